@@ -0,0 +1,451 @@
+/**
+ * Audio Container Utilities
+ * Joins per-paragraph audio segments into a single MP3 or WAV file and
+ * writes ID3v2.4 (MP3) or RIFF LIST/INFO (WAV) metadata. Also measures
+ * segment durations so transcripts can be laid out on the joined timeline.
+ *
+ * Segments are joined at the container level only - no re-encoding.
+ * All segments of one export come from the same provider, so they share
+ * a codec and (for WAV) a sample format.
+ *
+ * @module background/audio-container
+ */
+
+/**
+ * @typedef {Object} AudioMetadata
+ * @property {string} [title] - Page title
+ * @property {string} [url] - Page URL
+ * @property {string} [provider] - TTS provider ID
+ * @property {string} [voice] - Voice ID
+ */
+
+/**
+ * @typedef {Object} JoinedAudio
+ * @property {Uint8Array} data - File bytes
+ * @property {'mp3'|'wav'} format - Container format
+ * @property {string} mimeType - MIME type for the Blob
+ */
+
+const textEncoder = new TextEncoder();
+
+/**
+ * Normalize an ArrayBuffer or typed array to a Uint8Array view
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @returns {Uint8Array}
+ */
+function toBytes(buffer) {
+  return buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+}
+
+/**
+ * Read a 4-character ASCII tag
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @returns {string}
+ */
+function readTag(bytes, offset) {
+  return String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+}
+
+/**
+ * Concatenate byte arrays
+ * @param {Uint8Array[]} parts
+ * @returns {Uint8Array}
+ */
+function concatBytes(parts) {
+  const total = parts.reduce((sum, part) => sum + part.length, 0);
+  const result = new Uint8Array(total);
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+}
+
+/**
+ * Detect the container format of an audio buffer
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @returns {'mp3'|'wav'}
+ */
+export function detectAudioFormat(buffer) {
+  const bytes = toBytes(buffer);
+  if (bytes.length >= 12 && readTag(bytes, 0) === 'RIFF' && readTag(bytes, 8) === 'WAVE') {
+    return 'wav';
+  }
+  return 'mp3';
+}
+
+// =========================================
+// MP3 / ID3
+// =========================================
+
+/**
+ * Encode a number as a 4-byte ID3 synchsafe integer
+ * @param {number} value
+ * @returns {number[]}
+ */
+function toSynchsafe(value) {
+  return [
+    (value >> 21) & 0x7f,
+    (value >> 14) & 0x7f,
+    (value >> 7) & 0x7f,
+    value & 0x7f
+  ];
+}
+
+/**
+ * Decode a 4-byte ID3 synchsafe integer
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @returns {number}
+ */
+function fromSynchsafe(bytes, offset) {
+  return (bytes[offset] << 21) | (bytes[offset + 1] << 14) | (bytes[offset + 2] << 7) | bytes[offset + 3];
+}
+
+/**
+ * Build one ID3v2.4 frame
+ * @param {string} id - Frame ID (e.g. 'TIT2')
+ * @param {Uint8Array} body - Frame body
+ * @returns {Uint8Array}
+ */
+function buildId3Frame(id, body) {
+  const header = new Uint8Array(10);
+  header.set(textEncoder.encode(id), 0);
+  header.set(toSynchsafe(body.length), 4);
+  return concatBytes([header, body]);
+}
+
+/**
+ * Build a UTF-8 text frame body (encoding byte 0x03)
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function textFrameBody(text) {
+  return concatBytes([new Uint8Array([0x03]), textEncoder.encode(text)]);
+}
+
+/**
+ * Build a TXXX (user-defined text) frame body
+ * @param {string} description
+ * @param {string} value
+ * @returns {Uint8Array}
+ */
+function userTextFrameBody(description, value) {
+  return concatBytes([
+    new Uint8Array([0x03]),
+    textEncoder.encode(description),
+    new Uint8Array([0x00]),
+    textEncoder.encode(value)
+  ]);
+}
+
+/**
+ * Build an ID3v2.4 tag from export metadata
+ * @param {AudioMetadata} metadata
+ * @returns {Uint8Array}
+ */
+export function buildId3Tag(metadata = {}) {
+  const frames = [];
+
+  if (metadata.title) {
+    frames.push(buildId3Frame('TIT2', textFrameBody(metadata.title)));
+  }
+  if (metadata.voice) {
+    frames.push(buildId3Frame('TPE1', textFrameBody(metadata.voice)));
+  }
+  if (metadata.url) {
+    // URL frames carry ISO-8859-1 text with no encoding byte
+    frames.push(buildId3Frame('WOAS', textEncoder.encode(encodeURI(decodeURISafe(metadata.url)))));
+  }
+  if (metadata.provider) {
+    frames.push(buildId3Frame('TXXX', userTextFrameBody('Provider', metadata.provider)));
+  }
+  if (metadata.voice) {
+    frames.push(buildId3Frame('TXXX', userTextFrameBody('Voice', metadata.voice)));
+  }
+  frames.push(buildId3Frame('TSSE', textFrameBody('VoxPage')));
+
+  const body = concatBytes(frames);
+  const header = new Uint8Array(10);
+  header.set(textEncoder.encode('ID3'), 0);
+  header[3] = 0x04; // v2.4
+  header[4] = 0x00; // revision
+  header[5] = 0x00; // flags
+  header.set(toSynchsafe(body.length), 6);
+
+  return concatBytes([header, body]);
+}
+
+/**
+ * Decode a URL without throwing on malformed escapes
+ * @param {string} url
+ * @returns {string}
+ */
+function decodeURISafe(url) {
+  try {
+    return decodeURI(url);
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Remove leading ID3v2 and trailing ID3v1 tags from an MP3 segment
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @returns {Uint8Array} MPEG frames only
+ */
+export function stripId3(buffer) {
+  let bytes = toBytes(buffer);
+
+  if (bytes.length >= 10 && readTag(bytes, 0).startsWith('ID3')) {
+    const hasFooter = (bytes[5] & 0x10) !== 0;
+    const tagSize = fromSynchsafe(bytes, 6) + 10 + (hasFooter ? 10 : 0);
+    bytes = bytes.subarray(Math.min(tagSize, bytes.length));
+  }
+
+  if (bytes.length >= 128) {
+    const tail = bytes.length - 128;
+    if (bytes[tail] === 0x54 && bytes[tail + 1] === 0x41 && bytes[tail + 2] === 0x47) { // 'TAG'
+      bytes = bytes.subarray(0, tail);
+    }
+  }
+
+  return bytes;
+}
+
+/**
+ * Join MP3 segments into one file with a single ID3v2 tag
+ * @param {Array<ArrayBuffer|Uint8Array>} segments
+ * @param {AudioMetadata} metadata
+ * @returns {Uint8Array}
+ */
+export function joinMp3(segments, metadata = {}) {
+  return concatBytes([buildId3Tag(metadata), ...segments.map(stripId3)]);
+}
+
+/**
+ * Layer III bitrates in kbps, indexed by the header bitrate index
+ */
+const MP3_BITRATES = {
+  v1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  v2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+
+/**
+ * Sample rates in Hz, indexed by MPEG version bits
+ */
+const MP3_SAMPLE_RATES = {
+  3: [44100, 48000, 32000], // MPEG 1
+  2: [22050, 24000, 16000], // MPEG 2
+  0: [11025, 12000, 8000]   // MPEG 2.5
+};
+
+/**
+ * Parse an MPEG Layer III frame header
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @returns {{frameLength: number, samples: number, sampleRate: number}|null}
+ */
+function parseMp3FrameHeader(bytes, offset) {
+  if (bytes[offset] !== 0xFF || (bytes[offset + 1] & 0xE0) !== 0xE0) {
+    return null;
+  }
+
+  const versionBits = (bytes[offset + 1] >> 3) & 0x03;
+  const layerBits = (bytes[offset + 1] >> 1) & 0x03;
+  const bitrateIndex = bytes[offset + 2] >> 4;
+  const sampleRateIndex = (bytes[offset + 2] >> 2) & 0x03;
+  const padding = (bytes[offset + 2] >> 1) & 0x01;
+
+  if (versionBits === 1 || layerBits !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+
+  const isV1 = versionBits === 3;
+  const bitrate = (isV1 ? MP3_BITRATES.v1 : MP3_BITRATES.v2)[bitrateIndex] * 1000;
+  const sampleRate = MP3_SAMPLE_RATES[versionBits][sampleRateIndex];
+  const samples = isV1 ? 1152 : 576;
+  const frameLength = Math.floor((samples / 8) * bitrate / sampleRate) + padding;
+
+  return { frameLength, samples, sampleRate };
+}
+
+/**
+ * Measure MP3 duration by walking its frame headers
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @returns {number|null} Duration in ms, or null if no frames were found
+ */
+function getMp3DurationMs(buffer) {
+  const bytes = stripId3(buffer);
+  let offset = 0;
+  let durationMs = 0;
+  let frames = 0;
+
+  while (offset + 4 <= bytes.length) {
+    const header = parseMp3FrameHeader(bytes, offset);
+    if (!header) {
+      offset++; // Resync on garbage between frames
+      continue;
+    }
+    durationMs += (header.samples / header.sampleRate) * 1000;
+    offset += header.frameLength;
+    frames++;
+  }
+
+  return frames > 0 ? durationMs : null;
+}
+
+// =========================================
+// WAV / RIFF
+// =========================================
+
+/**
+ * Parse the chunks of a RIFF/WAVE buffer
+ * Tolerates streamed WAVs whose data chunk size is unset (0 or 0xFFFFFFFF).
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @returns {{fmt: Uint8Array, data: Uint8Array}}
+ */
+export function parseWav(buffer) {
+  const bytes = toBytes(buffer);
+  if (detectAudioFormat(bytes) !== 'wav') {
+    throw new Error('Not a WAV file');
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let fmt = null;
+  let data = null;
+  let offset = 12;
+
+  while (offset + 8 <= bytes.length) {
+    const id = readTag(bytes, offset);
+    let size = view.getUint32(offset + 4, true);
+    const start = offset + 8;
+
+    if (id === 'data') {
+      const remaining = bytes.length - start;
+      if (size === 0 || size > remaining) {
+        size = remaining;
+      }
+      data = bytes.subarray(start, start + size);
+      break;
+    }
+
+    if (id === 'fmt ') {
+      fmt = bytes.subarray(start, start + size);
+    }
+
+    offset = start + size + (size % 2);
+  }
+
+  if (!fmt || !data) {
+    throw new Error('WAV file is missing fmt or data chunk');
+  }
+
+  return { fmt, data };
+}
+
+/**
+ * Build a RIFF chunk, padded to an even length
+ * @param {string} id
+ * @param {Uint8Array} body
+ * @returns {Uint8Array}
+ */
+function buildChunk(id, body) {
+  const header = new Uint8Array(8);
+  header.set(textEncoder.encode(id), 0);
+  new DataView(header.buffer).setUint32(4, body.length, true);
+  const pad = body.length % 2 ? [new Uint8Array(1)] : [];
+  return concatBytes([header, body, ...pad]);
+}
+
+/**
+ * Build a LIST/INFO chunk from export metadata
+ * @param {AudioMetadata} metadata
+ * @returns {Uint8Array}
+ */
+export function buildRiffInfoChunk(metadata = {}) {
+  const fields = [
+    ['INAM', metadata.title],
+    ['IART', metadata.voice],
+    ['ISRC', metadata.url],
+    ['ICMT', [metadata.provider && `Provider: ${metadata.provider}`, metadata.voice && `Voice: ${metadata.voice}`]
+      .filter(Boolean).join(', ')],
+    ['ISFT', 'VoxPage']
+  ];
+
+  const subChunks = fields
+    .filter(([, value]) => value)
+    .map(([id, value]) => buildChunk(id, concatBytes([textEncoder.encode(value), new Uint8Array(1)])));
+
+  return buildChunk('LIST', concatBytes([textEncoder.encode('INFO'), ...subChunks]));
+}
+
+/**
+ * Join WAV segments into one file with a LIST/INFO chunk
+ * @param {Array<ArrayBuffer|Uint8Array>} segments
+ * @param {AudioMetadata} metadata
+ * @returns {Uint8Array}
+ */
+export function joinWav(segments, metadata = {}) {
+  const parsed = segments.map(parseWav);
+  const fmt = parsed[0].fmt;
+
+  for (const segment of parsed) {
+    if (segment.fmt.length !== fmt.length || segment.fmt.some((b, i) => b !== fmt[i])) {
+      throw new Error('Cannot join WAV segments with different sample formats');
+    }
+  }
+
+  const body = concatBytes([
+    textEncoder.encode('WAVE'),
+    buildChunk('fmt ', fmt),
+    buildRiffInfoChunk(metadata),
+    buildChunk('data', concatBytes(parsed.map(segment => segment.data)))
+  ]);
+
+  return buildChunk('RIFF', body);
+}
+
+/**
+ * Measure WAV duration from the fmt byte rate and data size
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @returns {number|null} Duration in ms, or null if the file cannot be parsed
+ */
+function getWavDurationMs(buffer) {
+  try {
+    const { fmt, data } = parseWav(buffer);
+    const byteRate = new DataView(fmt.buffer, fmt.byteOffset, fmt.byteLength).getUint32(8, true);
+    return byteRate > 0 ? (data.length / byteRate) * 1000 : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Measure the playback duration of an audio segment
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @returns {number|null} Duration in ms, or null if it cannot be determined
+ */
+export function getAudioDurationMs(buffer) {
+  return detectAudioFormat(buffer) === 'wav' ? getWavDurationMs(buffer) : getMp3DurationMs(buffer);
+}
+
+/**
+ * Join audio segments into a single file, picking the container from the first segment
+ * @param {Array<ArrayBuffer|Uint8Array>} segments
+ * @param {AudioMetadata} metadata
+ * @returns {JoinedAudio}
+ */
+export function joinAudioSegments(segments, metadata = {}) {
+  if (!segments || segments.length === 0) {
+    throw new Error('No audio segments to join');
+  }
+
+  const format = detectAudioFormat(segments[0]);
+  if (format === 'wav') {
+    return { data: joinWav(segments, metadata), format, mimeType: 'audio/wav' };
+  }
+  return { data: joinMp3(segments, metadata), format, mimeType: 'audio/mpeg' };
+}
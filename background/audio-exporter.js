@@ -0,0 +1,316 @@
+/**
+ * Audio Exporter
+ * Renders a whole article to one downloadable audio file.
+ * Reuses cached segments (memory and persistent tiers) so nothing is paid for twice,
+ * backs off on provider rate limits, and reports progress to the popup.
+ * Optionally writes WebVTT/SRT captions and a chapter list next to the audio.
+ *
+ * @module background/audio-exporter
+ */
+
+import { audioCache } from './audio-cache.js';
+import { persistentAudioCache } from './persistent-audio-cache.js';
+import { joinAudioSegments, getAudioDurationMs } from './audio-container.js';
+import {
+  buildCues,
+  buildChapters,
+  toWebVtt,
+  toSrt,
+  segmentTypesFromTags,
+  estimateDurationMs
+} from './transcript-builder.js';
+import { getLogger } from './remote-logger.js';
+import { ProviderRequestError } from '../shared/errors/provider-errors.js';
+
+/**
+ * Export configuration
+ */
+const EXPORT_CONFIG = {
+  retryDelaysMs: [2000, 5000, 15000], // Backoff schedule for rate-limited requests
+  blobUrlLifetimeMs: 60 * 1000,       // Keep the download URL alive long enough to save
+  maxFilenameLength: 80
+};
+
+/**
+ * Check whether an error is a provider rate limit
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isRateLimitError(error) {
+  if (error instanceof ProviderRequestError) {
+    return error.status === 429;
+  }
+  return /rate.?limit|429|too many requests/i.test(error?.message || '');
+}
+
+/**
+ * Build a safe download filename from a page title
+ * @param {string} title - Page title
+ * @param {string} extension - File extension without dot
+ * @returns {string}
+ */
+export function buildExportFilename(title, extension) {
+  const base = (title || 'voxpage-export')
+    .replace(/[\\/:*?"<>|\u0000-\u001f]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .substring(0, EXPORT_CONFIG.maxFilenameLength)
+    .trim();
+  return `${base || 'voxpage-export'}.${extension}`;
+}
+
+/**
+ * AudioExporter class - renders paragraphs to a single audio file
+ */
+export class AudioExporter {
+  /**
+   * @param {Object} deps - Dependencies
+   * @param {Object} deps.audioGenerator - Audio generator instance
+   * @param {Object} [deps.uiCoordinator] - UI coordinator for progress updates
+   * @param {function(number): Promise<void>} [deps.sleep] - Delay function (injectable for tests)
+   */
+  constructor(deps = {}) {
+    this.audioGenerator = deps.audioGenerator;
+    this.uiCoordinator = deps.uiCoordinator;
+    this.sleep = deps.sleep || ((ms) => new Promise(resolve => setTimeout(resolve, ms)));
+    this._active = false;
+    this._cancelled = false;
+  }
+
+  /**
+   * Whether an export is currently running
+   * @returns {boolean}
+   */
+  get isExporting() {
+    return this._active;
+  }
+
+  /**
+   * Request cancellation of the running export
+   */
+  cancel() {
+    if (this._active) {
+      this._cancelled = true;
+    }
+  }
+
+  /**
+   * Export paragraphs as one audio file and start the download
+   * @param {Object} options
+   * @param {string[]} options.paragraphs - Paragraph texts
+   * @param {import('./text-normalizer.js').SpokenText[]} [options.speech] - Paragraphs as sent to the
+   *   provider (with speech markup), aligned with paragraphs; defaults to the paragraph texts
+   * @param {string} options.provider - Provider ID
+   * @param {string} options.voice - Voice ID
+   * @param {number} [options.speed] - Generation speed
+   * @param {string} [options.languageCode] - Language code for the provider
+   * @param {string} [options.title] - Page title (metadata and filename)
+   * @param {string} [options.url] - Page URL (metadata)
+   * @param {string[]} [options.paragraphTags] - Tag name per paragraph, used to find chapter headings
+   * @param {'sentence'|'word'|'off'} [options.cueLevel='off'] - Transcript cue granularity
+   * @returns {Promise<{filename: string, format: string, size: number, cachedSegments: number, totalSegments: number, transcriptFiles: string[]}>}
+   */
+  async exportArticle({ paragraphs, speech = null, provider, voice, speed, languageCode, title, url, paragraphTags, cueLevel = 'off' }) {
+    if (this._active) {
+      throw new Error('An audio export is already in progress');
+    }
+    if (this.audioGenerator.isBrowserTTS(provider)) {
+      throw new Error('Browser TTS cannot be exported. Choose an AI provider to export audio.');
+    }
+    if (!paragraphs || paragraphs.length === 0) {
+      throw new Error('No text found to export');
+    }
+
+    this._active = true;
+    this._cancelled = false;
+
+    const total = paragraphs.length;
+    const withTranscript = cueLevel !== 'off';
+    let cachedSegments = 0;
+
+    try {
+      const segments = [];
+      this._notify({ status: 'running', completed: 0, total });
+
+      for (let i = 0; i < total; i++) {
+        if (this._cancelled) {
+          throw new Error('Export cancelled');
+        }
+
+        const segment = await this._getSegment(speech?.[i]?.text ?? paragraphs[i], provider, voice, {
+          speed,
+          languageCode,
+          requestWordTiming: withTranscript
+        });
+        if (segment.cached) cachedSegments++;
+        // Drop the markup's own "words" from the timing before it becomes captions
+        segments.push(speech?.[i] ? { ...segment, wordTiming: speech[i].mapWordTiming(segment.wordTiming) } : segment);
+
+        this._notify({ status: 'running', completed: i + 1, total });
+      }
+
+      const joined = joinAudioSegments(segments.map(s => s.audioData), { title, url, provider, voice });
+      const filename = buildExportFilename(title, joined.format);
+      await this._download(joined.data, joined.mimeType, filename);
+
+      const transcriptFiles = withTranscript
+        ? await this._exportTranscripts(paragraphs, segments, { title, paragraphTags, cueLevel })
+        : [];
+
+      const result = {
+        filename,
+        format: joined.format,
+        size: joined.data.length,
+        cachedSegments,
+        totalSegments: total,
+        transcriptFiles
+      };
+
+      getLogger().info('Audio export completed', 'background', { provider, ...result });
+      this._notify({ status: 'complete', completed: total, total, filename });
+      return result;
+    } catch (error) {
+      this._notify({ status: this._cancelled ? 'cancelled' : 'error', total, error: error.message });
+      throw error;
+    } finally {
+      this._active = false;
+      this._cancelled = false;
+    }
+  }
+
+  /**
+   * Write WebVTT/SRT captions and, if the article has headings, a chapter list
+   * @param {string[]} paragraphs
+   * @param {Array<{audioData: ArrayBuffer, wordTiming: Array|null}>} segments
+   * @param {Object} options - title, paragraphTags, cueLevel
+   * @returns {Promise<string[]>} Filenames written
+   * @private
+   */
+  async _exportTranscripts(paragraphs, segments, { title, paragraphTags, cueLevel }) {
+    const types = segmentTypesFromTags(paragraphTags, paragraphs.length);
+    const transcriptSegments = segments.map((segment, i) => ({
+      text: paragraphs[i],
+      type: types[i],
+      wordTiming: segment.wordTiming,
+      durationMs: getAudioDurationMs(segment.audioData) ?? estimateDurationMs(paragraphs[i])
+    }));
+
+    const cues = buildCues(transcriptSegments, cueLevel);
+    const files = [
+      { filename: buildExportFilename(title, 'vtt'), content: toWebVtt(cues), mimeType: 'text/vtt' },
+      { filename: buildExportFilename(title, 'srt'), content: toSrt(cues), mimeType: 'application/x-subrip' }
+    ];
+
+    const chapters = buildChapters(transcriptSegments, title);
+    if (chapters.length > 0) {
+      files.push({ filename: buildExportFilename(title, 'chapters.vtt'), content: toWebVtt(chapters), mimeType: 'text/vtt' });
+    }
+
+    for (const file of files) {
+      await this._download(new TextEncoder().encode(file.content), file.mimeType, file.filename);
+    }
+
+    return files.map(file => file.filename);
+  }
+
+  /**
+   * Get audio for one paragraph: memory cache, then disk, then provider
+   * @param {string} text
+   * @param {string} provider
+   * @param {string} voice
+   * @param {Object} options - speed, languageCode, requestWordTiming
+   * @returns {Promise<{audioData: ArrayBuffer, wordTiming: Array|null, cached: boolean}>}
+   * @private
+   */
+  async _getSegment(text, provider, voice, options) {
+    const cacheKey = audioCache.generateKey(provider, voice, text);
+
+    const memoryHit = audioCache.get(cacheKey);
+    if (memoryHit) {
+      return { audioData: memoryHit.audioData, wordTiming: memoryHit.wordTiming, cached: true };
+    }
+
+    const diskHit = await persistentAudioCache.get(cacheKey);
+    if (diskHit) {
+      return { audioData: diskHit.audioData, wordTiming: diskHit.wordTiming || null, cached: true };
+    }
+
+    const result = await this._generateWithRetry(text, provider, voice, options);
+    // Providers with native timing return { audioData, wordTiming } when asked for it
+    const audioData = result?.audioData ?? result;
+    const wordTiming = result?.wordTiming || null;
+    const metadata = { provider, voice, text, wordTiming };
+    audioCache.set(cacheKey, audioData, metadata);
+    persistentAudioCache.set(cacheKey, audioData, metadata);
+
+    return { audioData, wordTiming, cached: false };
+  }
+
+  /**
+   * Generate audio, backing off when the provider rate limits us
+   * @param {string} text
+   * @param {string} provider
+   * @param {string} voice
+   * @param {Object} options - speed, languageCode, requestWordTiming
+   * @returns {Promise<ArrayBuffer|{audioData: ArrayBuffer, wordTiming: Array}>}
+   * @private
+   */
+  async _generateWithRetry(text, provider, voice, options) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        // Same path as playback: native timing, else Groq Whisper alignment
+        if (options.requestWordTiming) {
+          return await this.audioGenerator.generateAudioWithTiming(text, provider, voice, options);
+        }
+        return await this.audioGenerator.generateAudio(text, provider, voice, options);
+      } catch (error) {
+        const delay = EXPORT_CONFIG.retryDelaysMs[attempt];
+        if (!isRateLimitError(error) || delay === undefined || this._cancelled) {
+          throw error;
+        }
+
+        console.warn(`VoxPage: Export rate limited, retrying in ${delay}ms`);
+        this._notify({ status: 'rateLimited', retryInMs: delay });
+        await this.sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Hand a file to the downloads API
+   * @param {Uint8Array} data - File bytes
+   * @param {string} mimeType
+   * @param {string} filename
+   * @private
+   */
+  async _download(data, mimeType, filename) {
+    const blob = new Blob([data], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+
+    try {
+      await browser.downloads.download({ url, filename, saveAs: true });
+    } finally {
+      setTimeout(() => URL.revokeObjectURL(url), EXPORT_CONFIG.blobUrlLifetimeMs);
+    }
+  }
+
+  /**
+   * Forward progress to the popup
+   * @param {Object} progress
+   * @private
+   */
+  _notify(progress) {
+    this.uiCoordinator?.notifyExportProgress(progress);
+  }
+}
+
+/**
+ * Factory function for AudioExporter
+ * @param {Object} deps - Dependencies
+ * @returns {AudioExporter}
+ */
+export function createAudioExporter(deps) {
+  return new AudioExporter(deps);
+}
+
+export default AudioExporter;
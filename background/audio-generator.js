@@ -2,12 +2,23 @@
  * Audio Generator
  * Handles TTS audio generation and playback using provider registry.
  * Manages audio caching, pre-generation, and browser TTS fallback.
+ * Streaming providers are played through MediaSource as bytes arrive.
  *
  * @module background/audio-generator
  */
 
 import { ProviderId } from './constants.js';
+import { calculateCost } from './providers/pricing-model.js';
+import { BudgetLevel } from './usage-ledger.js';
+import { BudgetExceededError } from '../shared/errors/provider-errors.js';
 import { audioCache } from './audio-cache.js';
+import { persistentAudioCache } from './persistent-audio-cache.js';
+import {
+  isStreamingPlaybackSupported,
+  readStreamChunks,
+  concatChunks,
+  collectStream
+} from './audio-stream.js';
 import {
   initializeVisualizer,
   connectAudioElement,
@@ -22,10 +33,16 @@ export class AudioGenerator {
    * @param {Object} deps - Dependencies
    * @param {Object} deps.providerRegistry - Provider registry instance
    * @param {Object} deps.groqTimestampProvider - Groq timestamp provider for word timing
+   * @param {Object} [deps.localAlignmentProvider] - Offline word timing estimator, used without Groq
+   * @param {Object} [deps.usageLedger] - Usage ledger for spend tracking and caps
+   * @param {Object} [deps.metrics] - Playback metrics for provider latency and failures
    */
   constructor(deps = {}) {
     this.providerRegistry = deps.providerRegistry;
     this.groqTimestampProvider = deps.groqTimestampProvider;
+    this.localAlignmentProvider = deps.localAlignmentProvider || null;
+    this.usageLedger = deps.usageLedger || null;
+    this.metrics = deps.metrics || null;
   }
 
   /**
@@ -38,9 +55,102 @@ export class AudioGenerator {
    * @param {boolean} [options.requestWordTiming=true] - Request word timing if provider supports it
    * @param {string} [options.languageCode] - ISO 639-1 language code (019-multilingual-tts)
    * @returns {Promise<ArrayBuffer|{audioData: ArrayBuffer, wordTiming: Array}>}
+   * @throws {BudgetExceededError} When the call would cross the provider's hard cap
    */
   async generateAudio(text, providerId, voice, options = {}) {
-    const { speed = 1.0, requestWordTiming = true, languageCode } = options;
+    const provider = this._getReadyProvider(providerId);
+    const cost = await this._checkBudget(provider, providerId, text);
+    const result = await this._timeProviderCall(providerId,
+      () => provider.generateAudio(text, voice, this._buildGenerateOptions(provider, options)));
+    this._recordUsage(providerId, text, cost);
+    return result;
+  }
+
+  /**
+   * Check whether a provider's audio can be played while it is generated
+   * @param {string} providerId - Provider ID
+   * @returns {boolean}
+   */
+  canStream(providerId) {
+    const provider = this.providerRegistry.getProvider(providerId);
+    return !!provider?.constructor.supportsStreaming && isStreamingPlaybackSupported('audio/mpeg');
+  }
+
+  /**
+   * Start streaming generation
+   * @param {string} text - Text to synthesize
+   * @param {string} providerId - Provider ID
+   * @param {string} voice - Voice ID
+   * @param {Object} options - Same options as generateAudio()
+   * @returns {Promise<import('./audio-stream.js').AudioStream>}
+   * @throws {BudgetExceededError} When the call would cross the provider's hard cap
+   */
+  async generateAudioStream(text, providerId, voice, options = {}) {
+    const provider = this._getReadyProvider(providerId);
+    const cost = await this._checkBudget(provider, providerId, text);
+    // Streams resolve once the provider starts answering
+    const result = await this._timeProviderCall(providerId,
+      () => provider.generateAudioStream(text, voice, this._buildGenerateOptions(provider, options)));
+    this._recordUsage(providerId, text, cost);
+    return result;
+  }
+
+  /**
+   * Run a provider request, recording its latency or failure in the metrics
+   * @param {string} providerId
+   * @param {Function} request - Returns the provider's promise
+   * @returns {Promise<*>} The request's result
+   * @private
+   */
+  async _timeProviderCall(providerId, request) {
+    const startedAt = Date.now();
+    try {
+      const result = await request();
+      this.metrics?.recordProviderLatency(providerId, Date.now() - startedAt);
+      return result;
+    } catch (error) {
+      this.metrics?.recordProviderFailure(providerId, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Estimate the cost of a request and refuse it above the hard cap
+   * @param {Object} provider
+   * @param {string} providerId
+   * @param {string} text
+   * @returns {Promise<number>} Estimated cost in USD
+   * @private
+   */
+  async _checkBudget(provider, providerId, text) {
+    const cost = provider.pricingModel ? calculateCost(text, provider.pricingModel) : 0;
+    if (!this.usageLedger) return cost;
+
+    const budget = await this.usageLedger.checkBudget(providerId, cost);
+    if (budget.level === BudgetLevel.HARD) {
+      throw new BudgetExceededError(providerId, budget.cap, budget.spent);
+    }
+    return cost;
+  }
+
+  /**
+   * Add a completed API call to the usage ledger (does not block playback)
+   * @param {string} providerId
+   * @param {string} text
+   * @param {number} cost
+   * @private
+   */
+  _recordUsage(providerId, text, cost) {
+    this.usageLedger?.record(providerId, text.length, cost);
+  }
+
+  /**
+   * Look up a provider and check it can generate
+   * @param {string} providerId
+   * @returns {Object} Provider instance
+   * @private
+   */
+  _getReadyProvider(providerId) {
     const provider = this.providerRegistry.getProvider(providerId);
 
     if (!provider) {
@@ -51,6 +161,18 @@ export class AudioGenerator {
       throw new Error(`${provider.constructor.name} API key not configured`);
     }
 
+    return provider;
+  }
+
+  /**
+   * Translate generator options into provider options
+   * @param {Object} provider
+   * @param {Object} options
+   * @returns {Object}
+   * @private
+   */
+  _buildGenerateOptions(provider, options) {
+    const { speed = 1.0, requestWordTiming = true, languageCode } = options;
     const genOptions = { speed };
 
     // Request word timing if provider supports it
@@ -63,11 +185,11 @@ export class AudioGenerator {
       genOptions.languageCode = languageCode;
     }
 
-    return await provider.generateAudio(text, voice, genOptions);
+    return genOptions;
   }
 
   /**
-   * Generate audio with Groq Whisper word timing extraction
+   * Generate audio with word timing extraction (Groq Whisper or local estimate)
    * @param {string} text - Text to synthesize
    * @param {string} providerId - Provider ID
    * @param {string} voice - Voice ID
@@ -88,21 +210,57 @@ export class AudioGenerator {
       audioData = result;
     }
 
-    // Extract word timings using Groq Whisper if no native timing
-    if (!wordTiming && this.groqTimestampProvider?.hasApiKey()) {
+    // Extract or estimate word timings if no native timing
+    if (!wordTiming) {
+      wordTiming = await this.extractWordTiming(audioData, text);
+    }
+
+    return { audioData, wordTiming };
+  }
+
+  /**
+   * Extract word timings from generated audio
+   * Uses Groq Whisper when a key is configured; without one, or when Groq
+   * fails, timings are estimated locally from the audio.
+   * @param {ArrayBuffer} audioData - Complete audio
+   * @param {string} text - Text the audio was generated from
+   * @returns {Promise<Array|null>} Word timings, or null if neither source has any
+   */
+  async extractWordTiming(audioData, text) {
+    if (this.groqTimestampProvider?.hasApiKey()) {
       try {
         const wordTimeline = await this.groqTimestampProvider.extractWordTimings(audioData, text);
         if (wordTimeline && wordTimeline.words && wordTimeline.words.length > 0) {
-          wordTiming = wordTimeline.words;
-          console.log('VoxPage: Extracted word timings via Groq Whisper:', wordTiming.length, 'words');
+          console.log('VoxPage: Extracted word timings via Groq Whisper:', wordTimeline.words.length, 'words');
+          return wordTimeline.words;
         }
       } catch (groqError) {
         console.warn('VoxPage: Failed to extract word timings via Groq:', groqError);
-        // Continue without word timing - will use paragraph-level sync
+        // Fall back to the local estimate
       }
     }
 
-    return { audioData, wordTiming };
+    return this.estimateWordTiming(audioData, text);
+  }
+
+  /**
+   * Estimate word timings offline from audio energy
+   * @param {ArrayBuffer} audioData - Complete audio
+   * @param {string} text - Text the audio was generated from
+   * @returns {Promise<Array|null>} Approximate word timings, or null - will use paragraph-level sync
+   */
+  async estimateWordTiming(audioData, text) {
+    if (!this.localAlignmentProvider?.isAvailable()) {
+      return null;
+    }
+
+    const wordTimeline = await this.localAlignmentProvider.extractWordTimings(audioData, text);
+    if (wordTimeline && wordTimeline.words.length > 0) {
+      console.log('VoxPage: Estimated word timings locally:', wordTimeline.words.length, 'words,',
+        'confidence', wordTimeline.alignmentConfidence);
+      return wordTimeline.words;
+    }
+    return null;
   }
 
   /**
@@ -117,6 +275,95 @@ export class AudioGenerator {
    * @returns {HTMLAudioElement} The audio element
    */
   playAudio(audioData, options = {}) {
+    const blob = new Blob([audioData], { type: 'audio/mpeg' });
+    const url = URL.createObjectURL(blob);
+
+    const audio = this._createAudioElement(url, options);
+    audio.play();
+    return audio;
+  }
+
+  /**
+   * Play a stream, starting as soon as the first chunk is buffered
+   * Resolves once audio has started; `complete` resolves with the whole
+   * audio (for caching) when the stream ends. Without MediaSource support
+   * the stream is read in full and played like playAudio().
+   * @param {import('./audio-stream.js').AudioStream} audioStream - Stream to play
+   * @param {Object} options - Same callbacks as playAudio()
+   * @returns {Promise<{audio: HTMLAudioElement, complete: Promise<ArrayBuffer>}>}
+   */
+  async playAudioStream(audioStream, options = {}) {
+    const { stream, mimeType = 'audio/mpeg' } = audioStream;
+
+    if (!isStreamingPlaybackSupported(mimeType)) {
+      const audioData = await collectStream(stream);
+      return { audio: this.playAudio(audioData, options), complete: Promise.resolve(audioData) };
+    }
+
+    const mediaSource = new MediaSource();
+    const url = URL.createObjectURL(mediaSource);
+    const audio = this._createAudioElement(url, options);
+
+    await new Promise(resolve => mediaSource.addEventListener('sourceopen', resolve, { once: true }));
+    const sourceBuffer = mediaSource.addSourceBuffer(mimeType);
+
+    let resolveStarted;
+    let rejectStarted;
+    const started = new Promise((resolve, reject) => {
+      resolveStarted = resolve;
+      rejectStarted = reject;
+    });
+
+    const complete = (async () => {
+      const chunks = [];
+      try {
+        for await (const chunk of readStreamChunks(stream)) {
+          chunks.push(chunk);
+          await appendToSourceBuffer(sourceBuffer, chunk);
+
+          if (chunks.length === 1) {
+            audio.play();
+            resolveStarted();
+          }
+        }
+
+        if (chunks.length === 0) {
+          throw new Error('Provider returned no audio');
+        }
+
+        mediaSource.endOfStream();
+        // MediaSource reports an unknown duration until the stream ends
+        options.onLoadedMetadata?.(audio);
+        return concatChunks(chunks);
+      } catch (error) {
+        if (chunks.length === 0) {
+          // Nothing played yet: the caller reports the error via `started`
+          audio.onerror = null;
+          URL.revokeObjectURL(url);
+        }
+        if (mediaSource.readyState === 'open') {
+          mediaSource.endOfStream('network');
+        }
+        rejectStarted(error);
+        throw error;
+      }
+    })();
+
+    // Rejections after start are reported through `complete`
+    complete.catch(() => {});
+
+    await started;
+    return { audio, complete };
+  }
+
+  /**
+   * Create an audio element wired to the visualizer and playback callbacks
+   * @param {string} url - Object URL to play (revoked when playback ends)
+   * @param {Object} options - Playback options (see playAudio)
+   * @returns {HTMLAudioElement}
+   * @private
+   */
+  _createAudioElement(url, options) {
     const {
       speed = 1.0,
       onEnded,
@@ -125,9 +372,6 @@ export class AudioGenerator {
       onLoadedMetadata
     } = options;
 
-    const blob = new Blob([audioData], { type: 'audio/mpeg' });
-    const url = URL.createObjectURL(blob);
-
     const audio = new Audio(url);
     audio.playbackRate = speed;
 
@@ -157,7 +401,6 @@ export class AudioGenerator {
       if (onError) onError(new Error('Audio playback failed'));
     };
 
-    audio.play();
     return audio;
   }
 
@@ -167,11 +410,17 @@ export class AudioGenerator {
    * @param {string} voiceURI - Voice URI
    * @param {number} speed - Playback speed
    * @param {string} [languageCode] - Language code for pronunciation (019-multilingual-tts)
-   * @returns {Promise<void>}
+   * @param {Object} [prosody] - Speech markup for this paragraph
+   * @param {number} [prosody.rate=1] - Multiplier on the speed
+   * @param {number} [prosody.pitch=1] - Utterance pitch
+   * @param {Object} [options]
+   * @param {number} [options.startChar=0] - Offset in text to start speaking from
+   * @param {function(number): void} [options.onBoundary] - Called with the offset in text of each word as it is spoken
+   * @returns {Promise<void>} Resolves when speech ends or is stopped
    */
-  playWithBrowserTTS(text, voiceURI, speed = 1.0, languageCode = null) {
+  playWithBrowserTTS(text, voiceURI, speed = 1.0, languageCode = null, { rate = 1, pitch = 1 } = {}, { startChar = 0, onBoundary = null } = {}) {
     return new Promise((resolve, reject) => {
-      const utterance = new SpeechSynthesisUtterance(text);
+      const utterance = new SpeechSynthesisUtterance(text.slice(startChar));
 
       // Find the selected voice
       const voices = speechSynthesis.getVoices();
@@ -187,12 +436,23 @@ export class AudioGenerator {
         utterance.lang = selectedVoice.lang;
       }
 
-      utterance.rate = speed;
+      utterance.rate = speed * rate;
+      utterance.pitch = pitch;
+
+      if (onBoundary) {
+        // Some engines only send word boundaries and leave name unset
+        utterance.onboundary = (event) => {
+          if (!event.name || event.name === 'word') {
+            onBoundary(startChar + event.charIndex);
+          }
+        };
+      }
 
       utterance.onend = () => resolve();
 
       utterance.onerror = (event) => {
-        if (event.error !== 'canceled') {
+        // 'interrupted' is reported instead of 'canceled' when speech is cut off to start again
+        if (event.error !== 'canceled' && event.error !== 'interrupted') {
           reject(new Error(`Speech synthesis error: ${event.error}`));
         } else {
           resolve();
@@ -229,15 +489,23 @@ export class AudioGenerator {
 
       // Mark as pre-generating
       preGenerating.add(i);
+
+      // Skip if already on disk; playback promotes it to memory on demand
+      if (await persistentAudioCache.has(cacheKey)) {
+        preGenerating.delete(i);
+        continue;
+      }
+
       if (onPreGenerating) onPreGenerating(i);
 
       try {
         const audioData = await this.generateAudio(text, providerId, voice, { requestWordTiming: false });
-        audioCache.set(cacheKey, audioData, {
-          provider: providerId,
-          voice: voice,
-          text: text
-        });
+        // Estimated offline: free, so paragraphs played from the cache still get word highlighting
+        const wordTiming = await this.estimateWordTiming(audioData, text);
+        const metadata = { provider: providerId, voice: voice, text: text, wordTiming };
+        audioCache.set(cacheKey, audioData, metadata);
+        // Fire-and-forget, as for played paragraphs: pre-generated audio outlives a restart too
+        persistentAudioCache.set(cacheKey, audioData, metadata);
       } catch (error) {
         console.warn(`Failed to pre-generate paragraph ${i}:`, error);
       } finally {
@@ -277,6 +545,28 @@ export class AudioGenerator {
   }
 }
 
+/**
+ * Append a chunk to a SourceBuffer and wait for it to be buffered
+ * @param {SourceBuffer} sourceBuffer
+ * @param {Uint8Array} chunk
+ * @returns {Promise<void>}
+ */
+function appendToSourceBuffer(sourceBuffer, chunk) {
+  return new Promise((resolve, reject) => {
+    const onUpdateEnd = () => {
+      sourceBuffer.removeEventListener('error', onError);
+      resolve();
+    };
+    const onError = () => {
+      sourceBuffer.removeEventListener('updateend', onUpdateEnd);
+      reject(new Error('Failed to buffer streamed audio'));
+    };
+    sourceBuffer.addEventListener('updateend', onUpdateEnd, { once: true });
+    sourceBuffer.addEventListener('error', onError, { once: true });
+    sourceBuffer.appendBuffer(chunk);
+  });
+}
+
 /**
  * Create an audio generator instance
  * @param {Object} deps - Dependencies
@@ -10,6 +10,7 @@
  * @property {string} provider - Provider ID used to generate
  * @property {string} voice - Voice ID used to generate
  * @property {number} duration - Estimated duration in seconds
+ * @property {Array|null} wordTiming - Word timing data, if available
  * @property {number} createdAt - Timestamp when created
  * @property {number} lastAccessedAt - Timestamp when last accessed
  */
@@ -28,6 +29,7 @@ export class AudioSegment {
     this.voice = metadata.voice || '';
     this.text = metadata.text || '';
     this.duration = metadata.duration || 0;
+    this.wordTiming = metadata.wordTiming || null;
     this.createdAt = Date.now();
     this.lastAccessedAt = this.createdAt;
     this.size = audioData.byteLength;
@@ -0,0 +1,131 @@
+/**
+ * Audio Stream Helpers
+ * Reading and reshaping chunked TTS responses so playback can start on the
+ * first bytes while the rest of the paragraph is still being synthesized.
+ *
+ * @module background/audio-stream
+ */
+
+/**
+ * @typedef {Object} AudioStream
+ * @property {ReadableStream<Uint8Array>} stream - Encoded audio bytes as they arrive
+ * @property {string} mimeType - Container type of the bytes (e.g. 'audio/mpeg')
+ * @property {Promise<Array|null>} [wordTiming] - Word timing, resolved once the stream ends
+ */
+
+/**
+ * Check whether audio of a type can be played while it downloads
+ * @param {string} [mimeType='audio/mpeg']
+ * @returns {boolean}
+ */
+export function isStreamingPlaybackSupported(mimeType = 'audio/mpeg') {
+  return typeof MediaSource !== 'undefined' &&
+    typeof MediaSource.isTypeSupported === 'function' &&
+    MediaSource.isTypeSupported(mimeType);
+}
+
+/**
+ * Iterate the chunks of a ReadableStream (or any async iterable)
+ * Uses a reader rather than `for await` on the stream, which older
+ * Firefox releases do not support.
+ * @param {ReadableStream<Uint8Array>|AsyncIterable<Uint8Array>} stream
+ * @yields {Uint8Array}
+ */
+export async function* readStreamChunks(stream) {
+  if (typeof stream?.getReader !== 'function') {
+    yield* stream;
+    return;
+  }
+
+  const reader = stream.getReader();
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) return;
+      if (value && value.byteLength > 0) yield value;
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+/**
+ * Parse a newline-delimited JSON byte stream
+ * @param {ReadableStream<Uint8Array>|AsyncIterable<Uint8Array>} stream
+ * @yields {Object} One parsed object per non-empty line
+ */
+export async function* readJsonLines(stream) {
+  const decoder = new TextDecoder();
+  let pending = '';
+
+  for await (const chunk of readStreamChunks(stream)) {
+    pending += decoder.decode(chunk, { stream: true });
+
+    let newline;
+    while ((newline = pending.indexOf('\n')) !== -1) {
+      const line = pending.slice(0, newline).trim();
+      pending = pending.slice(newline + 1);
+      if (line) yield JSON.parse(line);
+    }
+  }
+
+  const rest = (pending + decoder.decode()).trim();
+  if (rest) yield JSON.parse(rest);
+}
+
+/**
+ * Wrap an async iterable of chunks as a ReadableStream
+ * @param {AsyncIterable<Uint8Array>} iterable
+ * @returns {ReadableStream<Uint8Array>}
+ */
+export function iterableToStream(iterable) {
+  const iterator = iterable[Symbol.asyncIterator]();
+
+  return new ReadableStream({
+    async pull(controller) {
+      try {
+        const { done, value } = await iterator.next();
+        if (done) {
+          controller.close();
+        } else {
+          controller.enqueue(value);
+        }
+      } catch (error) {
+        controller.error(error);
+      }
+    },
+    async cancel(reason) {
+      await iterator.return?.(reason);
+    }
+  });
+}
+
+/**
+ * Join chunks into one ArrayBuffer
+ * @param {Uint8Array[]} chunks
+ * @returns {ArrayBuffer}
+ */
+export function concatChunks(chunks) {
+  const total = chunks.reduce((sum, chunk) => sum + chunk.byteLength, 0);
+  const joined = new Uint8Array(total);
+
+  let offset = 0;
+  for (const chunk of chunks) {
+    joined.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  return joined.buffer;
+}
+
+/**
+ * Read a whole stream into one ArrayBuffer
+ * @param {ReadableStream<Uint8Array>|AsyncIterable<Uint8Array>} stream
+ * @returns {Promise<ArrayBuffer>}
+ */
+export async function collectStream(stream) {
+  const chunks = [];
+  for await (const chunk of readStreamChunks(stream)) {
+    chunks.push(chunk);
+  }
+  return concatChunks(chunks);
+}
@@ -38,6 +38,8 @@ export const MessageType = Object.freeze({
 
   // Content script actions
   EXTRACT_TEXT: 'extractText',
+  EXTRACT_TEXT_FAILED: 'extractTextFailed',
+  EXTRACT_FRAME_TEXT: 'extractFrameText',
   HIGHLIGHT: 'highlight',
   CLEAR_HIGHLIGHT: 'clearHighlight',
 
@@ -49,6 +51,42 @@ export const MessageType = Object.freeze({
   CACHE_HIT: 'cacheHit',
   PRE_GENERATING: 'preGenerating',
 
+  // Audio export
+  EXPORT_AUDIO: 'exportAudio',
+  CANCEL_EXPORT: 'cancelExport',
+  EXPORT_PROGRESS: 'exportProgress',
+
+  // Resume reading position
+  GET_RESUME_POSITION: 'getResumePosition',
+  CLEAR_RESUME_POSITION: 'clearResumePosition',
+
+  // Cost confirmation before long paid articles
+  COST_CONFIRMATION: 'costConfirmation',
+  COST_CONFIRMATION_RESOLVED: 'costConfirmationResolved',
+  CONFIRM_COST_PLAYBACK: 'confirmCostPlayback',
+  CANCEL_COST_PLAYBACK: 'cancelCostPlayback',
+
+  // Article extraction rules
+  START_RULE_PICKER: 'startRulePicker',
+  SAVE_EXTRACTION_RULE: 'saveExtractionRule',
+
+  // Following infinite feeds and single-page app navigation
+  PAGE_CONTENT_ADDED: 'pageContentAdded',
+  PAGE_NAVIGATED: 'pageNavigated',
+  STOP_FOLLOWING_PAGE: 'stopFollowingPage',
+
+  // Playback metrics (background/playback-metrics.js)
+  REPORT_HIGHLIGHT_LATENCY: 'reportHighlightLatency',
+
+  // Reader view overlay
+  SHOW_READER_VIEW: 'showReaderView',
+  HIDE_READER_VIEW: 'hideReaderView',
+  READER_VIEW_CLOSED: 'readerViewClosed',
+  SAVE_READER_STYLE: 'saveReaderStyle',
+
+  // Keyboard shortcuts (manifest `commands`, forwarded by background/index.js)
+  KEYBOARD_COMMAND: 'keyboardCommand',
+
   // Floating controller (004-playback-sync-highlight)
   SHOW_FLOATING_CONTROLLER: 'showFloatingController',
   HIDE_FLOATING_CONTROLLER: 'hideFloatingController',
@@ -81,7 +119,8 @@ export const ProviderId = Object.freeze({
   ELEVENLABS: 'elevenlabs',
   CARTESIA: 'cartesia',
   GROQ: 'groq',
-  BROWSER: 'browser'
+  BROWSER: 'browser',
+  CUSTOM: 'custom'
 });
 
 /**
@@ -94,6 +133,7 @@ export const StorageKey = Object.freeze({
   API_KEY_ELEVENLABS: 'elevenlabsApiKey',
   API_KEY_CARTESIA: 'cartesiaApiKey',
   API_KEY_GROQ: 'groqApiKey',
+  API_KEY_CUSTOM: 'customApiKey',
   /** @deprecated Use FOOTER_STATE instead (020-code-quality-fix) */
   FLOATING_CONTROLLER_POSITION: 'floatingControllerPosition',
   WORD_SYNC_ENABLED: 'wordSyncEnabled',
@@ -109,7 +149,13 @@ export const StorageKey = Object.freeze({
   // Language detection (019-multilingual-tts)
   DETECTED_LANGUAGE: 'detectedLanguage',
   LANGUAGE_PREFERENCE: 'languagePreference',
-  LANGUAGE_CACHE: 'languageCache'
+  LANGUAGE_CACHE: 'languageCache',
+  // Reading queue
+  READING_QUEUE: 'readingQueue',
+  // Per-URL resume positions
+  READING_POSITIONS: 'readingPositions',
+  // Provider usage and estimated spend per day
+  USAGE_LEDGER: 'usageLedger'
 });
 
 /**
@@ -123,6 +169,23 @@ export const GroqWhisper = Object.freeze({
   RESPONSE_FORMAT: 'verbose_json'
 });
 
+/**
+ * Offline word timing estimation from audio energy
+ * Used by LocalAlignmentProvider when Groq Whisper is not available
+ */
+export const LocalAlignment = Object.freeze({
+  // Audio is decoded (and resampled) to this rate before analysis
+  SAMPLE_RATE: 16000,
+  // Energy frame length
+  FRAME_MS: 10,
+  // Shorter quiet stretches are treated as part of speech
+  MIN_PAUSE_MS: 120,
+  // Silence threshold between the noise floor and speech level (0-1)
+  SILENCE_RATIO: 0.1,
+  // Estimated timelines never report more confidence than this
+  MAX_CONFIDENCE: 0.5
+});
+
 /**
  * Default settings
  * @deprecated Use shared/config/defaults.js instead (SSOT pattern)
@@ -182,6 +245,9 @@ export const SyncConfig = Object.freeze({
   WORD_LATENCY_TARGET_MS: 100,
   // SC-002: Paragraph highlighting latency target
   PARAGRAPH_LATENCY_TARGET_MS: 200,
+  // Average syllable length of browser voices at rate 1, for estimating
+  // word times before boundary events report them
+  BROWSER_TTS_SYLLABLE_MS: 200,
   // SC-008: Word timing cache size limit (5MB)
   WORD_TIMING_CACHE_MAX_BYTES: 5 * 1024 * 1024,
   // FR-015: Minimum text length for content blocks
@@ -260,6 +326,8 @@ export const FooterMessageTypes = Object.freeze({
   FOOTER_STATE_UPDATE: 'FOOTER_STATE_UPDATE',
   FOOTER_SHOW: 'FOOTER_SHOW',
   FOOTER_HIDE: 'FOOTER_HIDE',
+  FOOTER_COST_CONFIRMATION: 'FOOTER_COST_CONFIRMATION',
+  FOOTER_COST_CONFIRMATION_RESOLVED: 'FOOTER_COST_CONFIRMATION_RESOLVED',
 
   // Content → Background
   FOOTER_ACTION: 'FOOTER_ACTION',
@@ -285,7 +353,10 @@ export const FooterActions = Object.freeze({
   SPEED: 'speed',
   CLOSE: 'close',
   MINIMIZE: 'minimize',
-  EXPAND: 'expand'
+  EXPAND: 'expand',
+  CONFIRM_COST: 'confirmCost',
+  CANCEL_COST: 'cancelCost',
+  READER_VIEW: 'readerView'
 });
 
 /**
@@ -308,3 +379,39 @@ export const LanguageMessageTypes = Object.freeze({
   // Error handling
   LANGUAGE_NOT_SUPPORTED: 'languageNotSupported'
 });
+
+/**
+ * Reading queue message types
+ * Used for managing the cross-tab reading queue from the popup
+ */
+export const QueueMessageTypes = Object.freeze({
+  // Popup → Background
+  GET_QUEUE: 'getQueue',
+  ADD_TO_QUEUE: 'addToQueue',
+  REMOVE_FROM_QUEUE: 'removeFromQueue',
+  MOVE_QUEUE_ITEM: 'moveQueueItem',
+  CLEAR_QUEUE: 'clearQueue',
+  PLAY_QUEUE: 'playQueue',
+
+  // Background → Popup
+  QUEUE_UPDATED: 'queueUpdated'
+});
+
+/**
+ * Keyboard command names
+ * NOTE: Must match the `commands` keys in manifest.json
+ */
+export const CommandId = Object.freeze({
+  PLAY_PAUSE: 'play-pause',
+  STOP: 'stop',
+  NEXT: 'next-paragraph',
+  PREV: 'previous-paragraph',
+  SPEED_UP: 'speed-up',
+  SPEED_DOWN: 'speed-down',
+  READ_SELECTION: 'read-selection'
+});
+
+/**
+ * Speed change per speed-up/speed-down shortcut (matches the footer's speed steps)
+ */
+export const SPEED_STEP = 0.25;
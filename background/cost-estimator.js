@@ -49,6 +49,26 @@ export function compareCosts(text, providerIds = null) {
   return estimates.sort((a, b) => a.raw - b.raw);
 }
 
+/**
+ * Count how many leading paragraphs can be read within a cost limit
+ * @param {string[]} paragraphs - Paragraphs in reading order
+ * @param {string} providerId - Provider identifier
+ * @param {number} maxCost - Cost limit in USD
+ * @returns {number} - Number of paragraphs from the start that fit
+ */
+export function countParagraphsWithinCost(paragraphs, providerId, maxCost) {
+  let total = 0;
+  let count = 0;
+
+  for (const paragraph of paragraphs) {
+    total += estimateCost(paragraph, providerId).raw;
+    if (total > maxCost) break;
+    count++;
+  }
+
+  return count;
+}
+
 /**
  * Get the cheapest provider for given text
  * @param {string} text - Text to estimate
@@ -8,11 +8,17 @@
 import { providerRegistry } from './provider-registry.js';
 import { MessageType, StorageKey } from './constants.js';
 import { groqTimestampProvider } from './providers/groq-timestamp-provider.js';
+import { localAlignmentProvider } from './providers/local-alignment-provider.js';
 import { getVisualizerData, initializeVisualizer, isVisualizerReady } from './audio-visualizer.js';
 import { createRouter } from './message-router.js';
 import { createUICoordinator } from './ui-coordinator.js';
 import { createAudioGenerator } from './audio-generator.js';
 import { createPlaybackController } from './playback-controller.js';
+import { createAudioExporter } from './audio-exporter.js';
+import { readingQueue } from './reading-queue.js';
+import { readingPositionStore } from './reading-positions.js';
+import { usageLedger } from './usage-ledger.js';
+import { playbackMetrics } from './playback-metrics.js';
 import { settingsStore } from '../shared/config/store.js';
 import { initializeLogger, getLogger } from './remote-logger.js';
 import { footerStateDefaults } from '../shared/config/defaults.js';
@@ -24,20 +30,40 @@ const uiCoordinator = createUICoordinator();
 
 const audioGenerator = createAudioGenerator({
   providerRegistry,
-  groqTimestampProvider
+  groqTimestampProvider,
+  localAlignmentProvider,
+  usageLedger,
+  metrics: playbackMetrics
+});
+
+const audioExporter = createAudioExporter({
+  audioGenerator,
+  uiCoordinator
 });
 
 const playbackController = createPlaybackController({
   providerRegistry,
   audioGenerator,
   uiCoordinator,
-  groqTimestampProvider
+  groqTimestampProvider,
+  audioExporter,
+  readingQueue,
+  readingPositions: readingPositionStore,
+  usageLedger,
+  metrics: playbackMetrics
 });
 
+// Keep the popup's queue list in sync with storage
+readingQueue.subscribe((queue) => uiCoordinator.notifyQueueUpdated(queue));
+
 // Create message router with all dependencies
 const router = createRouter({
   playbackController,
   providerRegistry,
+  readingQueue,
+  readingPositions: readingPositionStore,
+  usageLedger,
+  metrics: playbackMetrics,
   visualizer: {
     getVisualizerData,
     initializeVisualizer,
@@ -64,6 +90,7 @@ async function initialize() {
     if (settings.speed) {
       playbackController.state.speed = settings.speed;
     }
+    playbackController.state.wordSyncEnabled = settings.wordSyncEnabled;
 
     // T029: Load footer state from storage (018-ui-redesign)
     const footerStateResult = await browser.storage.local.get(StorageKey.FOOTER_STATE);
@@ -108,12 +135,10 @@ browser.tabs.onActivated.addListener(async (activeInfo) => {
 /**
  * T033: Handle tab close - stop playback and cleanup resources
  * Implements FR-013: Clean up all playback resources when tab is closed
+ * Only the tab being read stops playback; closing other tabs is ignored.
  */
 browser.tabs.onRemoved.addListener((tabId, removeInfo) => {
-  // Check if this was the tab we were playing on
-  // For now, just log - full implementation would track active playback tab
-  console.log(`VoxPage: Tab ${tabId} closed, stopping any associated playback`);
-  playbackController.handleStop();
+  playbackController.handleTabClosed(tabId);
 });
 
 /**
@@ -125,6 +150,16 @@ browser.runtime.onInstalled.addListener(() => {
     title: 'Read with VoxPage',
     contexts: ['selection']
   });
+  browser.contextMenus.create({
+    id: 'voxpage-queue-page',
+    title: 'Add page to VoxPage queue',
+    contexts: ['page']
+  });
+  browser.contextMenus.create({
+    id: 'voxpage-queue-link',
+    title: 'Add link to VoxPage queue',
+    contexts: ['link']
+  });
 });
 
 /**
@@ -136,9 +171,21 @@ browser.contextMenus.onClicked.addListener((info, tab) => {
       mode: 'selection',
       text: info.selectionText
     }, tab);
+  } else if (info.menuItemId === 'voxpage-queue-page' && tab) {
+    readingQueue.add([{ url: tab.url, title: tab.title }]);
+  } else if (info.menuItemId === 'voxpage-queue-link' && info.linkUrl) {
+    readingQueue.add([{ url: info.linkUrl, title: info.linkText }]);
   }
 });
 
+/**
+ * Handle keyboard shortcuts declared in the manifest `commands` block
+ * Routed like a message so the router stays the single dispatch point.
+ */
+browser.commands.onCommand.addListener((command, tab) => {
+  router.route({ action: MessageType.KEYBOARD_COMMAND, command }, { tab }, () => {});
+});
+
 /**
  * Listen for messages from popup and content scripts
  * Uses the message router for dispatching to appropriate handlers
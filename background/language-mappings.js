@@ -250,8 +250,9 @@ export function getLanguageDisplayName(code) {
  * @returns {boolean}
  */
 export function providerSupportsLanguage(providerId, languageCode) {
-  // OpenAI auto-detects all languages
-  if (providerId === 'openai') return true;
+  // OpenAI auto-detects all languages; custom endpoints depend on the
+  // model behind them, so they are not restricted
+  if (providerId === 'openai' || providerId === 'custom') return true;
 
   // Groq and Cartesia only support English
   if (providerId === 'groq' || providerId === 'cartesia') {
@@ -282,7 +283,7 @@ export function providerSupportsLanguage(providerId, languageCode) {
  * @returns {string[]} Array of provider IDs
  */
 export function getProvidersForLanguage(languageCode) {
-  const providers = ['openai', 'elevenlabs', 'browser', 'groq', 'cartesia'];
+  const providers = ['openai', 'elevenlabs', 'browser', 'groq', 'cartesia', 'custom'];
   return providers.filter(providerId => providerSupportsLanguage(providerId, languageCode));
 }
 
@@ -319,8 +320,8 @@ export function getVoicesForLanguage(voices, languageCode, providerId) {
 
   const targetPrimary = normalizeLanguageCode(languageCode);
 
-  // OpenAI: auto-detect, all voices support all languages
-  if (providerId === 'openai') {
+  // OpenAI: auto-detect, all voices support all languages (custom: unknown, keep all)
+  if (providerId === 'openai' || providerId === 'custom') {
     return voices;
   }
 
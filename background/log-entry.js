@@ -143,6 +143,149 @@ export function getEntrySize(entry) {
   return size;
 }
 
+/**
+ * Placeholder for masked secrets
+ */
+export const REDACTED = '[REDACTED]';
+
+// URLs with any scheme; trailing punctuation is left to the sentence around it
+const URL_PATTERN = /\b[a-z][a-z0-9+.-]*:\/\/[^\s"'<>]*[^\s"'<>.,;:!?)\]]/gi;
+
+// Provider keys (sk-..., sk_car_..., gsk_...), auth headers, JWTs, long hex
+// strings, and credential query parameters
+const SECRET_PATTERNS = [
+  [/\b(?:sk|gsk|pk|rk)[-_][A-Za-z0-9_-]{16,}/g, REDACTED],
+  [/\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]{8,}/gi, `$1 ${REDACTED}`],
+  [/\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g, REDACTED],
+  [/\b[a-f0-9]{32,}\b/gi, REDACTED],
+  [/([?&](?:api[_-]?key|key|token|access_token|secret|password|sig|signature)=)[^&#\s]+/gi, `$1${REDACTED}`],
+];
+
+// Metadata keys whose values are always masked when masking secrets
+const SECRET_KEY_PATTERN = /api[-_]?key|secret|password|passwd|token|authorization|credential/i;
+
+// Nesting deeper than this is cut off rather than walked
+const MAX_REDACTION_DEPTH = 8;
+
+/**
+ * Short, stable FNV-1a hash so redacted URLs can still be told apart
+ * @param {string} value
+ * @returns {string} 8 hex characters
+ */
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Redact a single URL
+ *
+ * @param {string} url - Absolute URL
+ * @param {string} mode - 'query' | 'hash' | 'origin' | 'none'
+ * @returns {string} Redacted URL
+ */
+export function redactUrl(url, mode) {
+  if (mode === 'none') return url;
+  if (mode === 'query') return url.split(/[?#]/)[0];
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return '[URL]';
+  }
+
+  // origin is "null" for non-web schemes such as moz-extension:, so build it by hand
+  const origin = `${parsed.protocol}//${parsed.host}`;
+  if (mode === 'origin') return origin;
+
+  const rest = `${parsed.pathname}${parsed.search}${parsed.hash}`;
+  return rest && rest !== '/' ? `${origin}/[${hashString(rest)}]` : origin;
+}
+
+/**
+ * Redact URLs and secrets in free text
+ *
+ * @param {string} text - Message or metadata string
+ * @param {Object} rules - Logging config (redactUrls, maskSecrets)
+ * @returns {string} Redacted text
+ */
+export function redactText(text, rules) {
+  let result = text;
+
+  if (rules.redactUrls && rules.redactUrls !== 'none') {
+    result = result.replace(URL_PATTERN, url => redactUrl(url, rules.redactUrls));
+  }
+
+  if (rules.maskSecrets) {
+    for (const [pattern, replacement] of SECRET_PATTERNS) {
+      result = result.replace(pattern, replacement);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Redact a metadata value, walking objects and arrays
+ * @param {*} value
+ * @param {Object} rules - Logging config
+ * @param {Set<string>} dropped - Field names to remove
+ * @param {number} depth
+ * @returns {*}
+ */
+function redactValue(value, rules, dropped, depth) {
+  if (typeof value === 'string') return redactText(value, rules);
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= MAX_REDACTION_DEPTH) return '[Truncated]';
+
+  // Dates and similar serialize through toJSON, so redact what would be sent
+  if (typeof value.toJSON === 'function') {
+    return redactValue(value.toJSON(), rules, dropped, depth);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => redactValue(item, rules, dropped, depth + 1));
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (dropped.has(key)) continue;
+    result[key] = rules.maskSecrets && SECRET_KEY_PATTERN.test(key) && item !== null && item !== undefined
+      ? REDACTED
+      : redactValue(item, rules, dropped, depth + 1);
+  }
+  return result;
+}
+
+/**
+ * Apply redaction rules to a log message and its metadata
+ * Runs before createLogEntry so the size limits apply to what is actually sent.
+ *
+ * @param {Object} fields
+ * @param {string} fields.message - Log message
+ * @param {Object|null} [fields.metadata] - Structured metadata
+ * @param {Object} rules - Logging config
+ * @param {string} rules.redactUrls - 'query' | 'hash' | 'origin' | 'none'
+ * @param {boolean} rules.maskSecrets - Mask API keys and tokens
+ * @param {string[]} rules.redactFields - Metadata fields to drop
+ * @returns {{message: string, metadata: Object|null}}
+ */
+export function redactLogFields({ message, metadata = null }, rules) {
+  const dropped = new Set(rules.redactFields || []);
+
+  return {
+    message: typeof message === 'string' ? redactText(message, rules) : message,
+    metadata: metadata !== null && typeof metadata === 'object'
+      ? redactValue(metadata, rules, dropped, 0)
+      : metadata,
+  };
+}
+
 /**
  * Serialize LogEntry for Loki values array
  * Returns [timestamp, message] or [timestamp, message, metadata]
@@ -163,4 +306,7 @@ export default {
   validateLogEntry,
   getEntrySize,
   serializeForLoki,
+  redactUrl,
+  redactText,
+  redactLogFields,
 };
@@ -0,0 +1,295 @@
+/**
+ * VoxPage Log Exporters
+ * Formats for shipping batched logs: Loki push API, OTLP/HTTP JSON logs,
+ * and a generic JSON webhook. RemoteLogger owns batching, retries and the
+ * circuit breaker; an exporter only builds the payload and sends it.
+ *
+ * @module background/log-exporters
+ */
+
+import { serializeForLoki } from './log-entry.js';
+import { loggingConstants } from '../shared/config/logging-defaults.js';
+
+/**
+ * OTLP severity numbers for each log level
+ * @see https://opentelemetry.io/docs/specs/otel/logs/data-model/#field-severitynumber
+ */
+const OTLP_SEVERITY = Object.freeze({
+  debug: 5,
+  info: 9,
+  warn: 13,
+  error: 17,
+});
+
+/**
+ * @typedef {Object} LogResource
+ * @property {string} version - Extension version
+ * @property {string} sessionId - Logging session identifier
+ */
+
+/**
+ * @typedef {Object} SendResult
+ * @property {boolean} success
+ * @property {boolean} retryable - Whether the batch should be queued for retry
+ * @property {string} [error]
+ */
+
+/**
+ * Build authentication headers for a logging config
+ * @param {Object} config - Logging configuration
+ * @returns {Object} Headers to add to the request
+ */
+export function buildAuthHeaders(config) {
+  const headers = {};
+
+  switch (config.authType) {
+    case 'basic':
+      if (config.username && config.password) {
+        headers['Authorization'] = `Basic ${btoa(config.username + ':' + config.password)}`;
+      }
+      break;
+    case 'bearer':
+      if (config.bearerToken) {
+        headers['Authorization'] = `Bearer ${config.bearerToken}`;
+      }
+      break;
+    case 'cloudflare':
+      if (config.cfAccessClientId && config.cfAccessClientSecret) {
+        headers['CF-Access-Client-Id'] = config.cfAccessClientId;
+        headers['CF-Access-Client-Secret'] = config.cfAccessClientSecret;
+      }
+      break;
+  }
+
+  return headers;
+}
+
+/**
+ * Convert a nanosecond timestamp string to ISO 8601
+ * @param {string} timestamp - Unix nanoseconds
+ * @returns {string}
+ */
+export function toIsoTimestamp(timestamp) {
+  return new Date(Number(BigInt(timestamp) / BigInt(1000000))).toISOString();
+}
+
+/**
+ * Convert a JavaScript value to an OTLP AnyValue
+ * @param {*} value
+ * @returns {Object}
+ */
+export function toOtlpValue(value) {
+  if (typeof value === 'string') return { stringValue: value };
+  if (typeof value === 'boolean') return { boolValue: value };
+  if (typeof value === 'number') {
+    // int64 is a string in the protobuf JSON mapping
+    return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+  }
+  if (Array.isArray(value)) return { arrayValue: { values: value.map(toOtlpValue) } };
+  if (value && typeof value === 'object') {
+    return { kvlistValue: { values: toOtlpAttributes(value) } };
+  }
+  return { stringValue: String(value) };
+}
+
+/**
+ * Convert an object to OTLP key/value attributes
+ * @param {Object} object
+ * @returns {Array<{key: string, value: Object}>}
+ */
+function toOtlpAttributes(object) {
+  return Object.entries(object)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => ({ key, value: toOtlpValue(value) }));
+}
+
+/**
+ * Base class for log exporters
+ */
+export class LogExporter {
+  /**
+   * @param {Object} config - Logging configuration (endpoint and auth)
+   */
+  constructor(config) {
+    if (new.target === LogExporter) {
+      throw new Error('LogExporter is abstract and cannot be instantiated directly');
+    }
+    this.config = config;
+  }
+
+  /**
+   * Exporter identifier (one of LOG_EXPORTERS)
+   * @returns {string}
+   */
+  static get id() {
+    throw new Error('Subclass must implement static id getter');
+  }
+
+  /**
+   * Exporter identifier of this instance
+   * @returns {string}
+   */
+  get id() {
+    return this.constructor.id;
+  }
+
+  /**
+   * Build the request body for a batch of entries
+   * @param {Array} entries - LogEntry objects
+   * @param {LogResource} resource - Who is logging
+   * @returns {Object}
+   */
+  buildPayload(entries, resource) {
+    throw new Error('Subclass must implement buildPayload()');
+  }
+
+  /**
+   * POST a payload to the configured endpoint
+   * Any 2xx is success; server errors, rate limits and network errors are
+   * retryable, other client errors are not.
+   *
+   * @param {Object} payload - Body built by buildPayload()
+   * @returns {Promise<SendResult>}
+   */
+  async send(payload) {
+    try {
+      const response = await fetch(this.config.endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...buildAuthHeaders(this.config),
+        },
+        body: JSON.stringify(payload),
+      });
+
+      if (response.ok) {
+        return { success: true, retryable: false };
+      }
+
+      const errorBody = await response.json().catch(() => ({}));
+      const error = errorBody.error || errorBody.message || `HTTP ${response.status}`;
+      const retryable = response.status >= 500 || response.status === 429;
+
+      return { success: false, retryable, error };
+    } catch (err) {
+      // Network error - retryable
+      return { success: false, retryable: true, error: err.message };
+    }
+  }
+}
+
+/**
+ * Loki push API exporter
+ * One stream per level and component, labelled with the app, version and session.
+ */
+export class LokiExporter extends LogExporter {
+  static get id() {
+    return 'loki';
+  }
+
+  buildPayload(entries, resource) {
+    // Group entries by level:component
+    const grouped = {};
+    for (const entry of entries) {
+      const key = `${entry.level}:${entry.component}`;
+      if (!grouped[key]) {
+        grouped[key] = [];
+      }
+      grouped[key].push(entry);
+    }
+
+    const streams = Object.entries(grouped).map(([key, items]) => {
+      const [level, component] = key.split(':');
+      return {
+        stream: {
+          app: loggingConstants.appName,
+          version: resource.version,
+          session: resource.sessionId,
+          level: level,
+          component: component,
+        },
+        values: items.map(entry => serializeForLoki(entry)),
+      };
+    });
+
+    return { streams };
+  }
+}
+
+/**
+ * OTLP/HTTP JSON logs exporter
+ * Sends an ExportLogsServiceRequest to a collector's /v1/logs endpoint.
+ */
+export class OtlpLogExporter extends LogExporter {
+  static get id() {
+    return 'otlp';
+  }
+
+  buildPayload(entries, resource) {
+    return {
+      resourceLogs: [{
+        resource: {
+          attributes: toOtlpAttributes({
+            'service.name': loggingConstants.appName,
+            'service.version': resource.version,
+            'session.id': resource.sessionId,
+          }),
+        },
+        scopeLogs: [{
+          scope: { name: loggingConstants.appName, version: resource.version },
+          logRecords: entries.map(entry => ({
+            timeUnixNano: entry.timestamp,
+            observedTimeUnixNano: entry.timestamp,
+            severityNumber: OTLP_SEVERITY[entry.level],
+            severityText: entry.level.toUpperCase(),
+            body: { stringValue: entry.message },
+            attributes: toOtlpAttributes({ component: entry.component, ...entry.metadata }),
+          })),
+        }],
+      }],
+    };
+  }
+}
+
+/**
+ * Generic JSON webhook exporter
+ * Posts the batch as plain JSON with ISO timestamps.
+ */
+export class WebhookLogExporter extends LogExporter {
+  static get id() {
+    return 'webhook';
+  }
+
+  buildPayload(entries, resource) {
+    return {
+      app: loggingConstants.appName,
+      version: resource.version,
+      session: resource.sessionId,
+      entries: entries.map(entry => ({
+        timestamp: toIsoTimestamp(entry.timestamp),
+        level: entry.level,
+        component: entry.component,
+        message: entry.message,
+        metadata: entry.metadata,
+      })),
+    };
+  }
+}
+
+const EXPORTERS = {
+  [LokiExporter.id]: LokiExporter,
+  [OtlpLogExporter.id]: OtlpLogExporter,
+  [WebhookLogExporter.id]: WebhookLogExporter,
+};
+
+/**
+ * Create the exporter a logging config selects
+ * Unknown exporters fall back to Loki.
+ *
+ * @param {Object} config - Logging configuration
+ * @returns {LogExporter}
+ */
+export function createLogExporter(config) {
+  const Exporter = EXPORTERS[config.exporter] || LokiExporter;
+  return new Exporter(config);
+}
@@ -13,8 +13,12 @@
  * - `prev` - Go to previous paragraph
  * - `next` - Go to next paragraph
  *
+ * ### Keyboard Shortcuts (from browser.commands via background/index.js)
+ * - `keyboardCommand` - Run a manifest command ({ command }: play-pause, stop,
+ *   next-paragraph, previous-paragraph, speed-up, speed-down, read-selection)
+ *
  * ### Settings (from popup/options → background)
- * - `setProvider` - Change TTS provider (openai/elevenlabs/cartesia/groq/browser)
+ * - `setProvider` - Change TTS provider (openai/elevenlabs/cartesia/groq/browser/custom)
  * - `setVoice` - Change voice for current provider
  * - `setSpeed` - Change playback speed (0.5-2.0)
  *
@@ -24,8 +28,13 @@
  *
  * ### Content Script → Background
  * - `textContent` - Extracted text content from page (response to extractText)
+ * - `extractTextFailed` - The page could not extract the text asked for ({ error, exportId })
  * - `jumpToParagraph` - User clicked on a paragraph in the page
  * - `jumpToWord` - User clicked on a specific word
+ * - `extractFrameText` - Relay a frame's extraction request to a child frame ({ frameId }, async)
+ * - `pageContentAdded` - Paragraphs a followed page added after extraction
+ * - `pageNavigated` - A followed single-page app moved to another view ({ url, title })
+ * - `reportHighlightLatency` - Highlight latency samples for the metrics ({ paragraphMs, wordMs })
  * - `controllerAction` - Action from floating controller (play/pause/seek/close)
  * - `visibilityChanged` - Tab visibility changed (for resync)
  * - `requestResync` - Request sync state refresh (tab became visible)
@@ -37,6 +46,49 @@
  * ### Onboarding
  * - `setOnboardingComplete` - Mark onboarding as completed
  *
+ * ### Audio Export (from popup → background)
+ * - `exportAudio` - Render the page to a single downloadable audio file
+ * - `cancelExport` - Cancel a running export
+ *
+ * ### Cost Confirmation (from popup → background)
+ * - `confirmCostPlayback` - Start the article waiting on its cost ({ paragraphLimit?, provider? })
+ * - `cancelCostPlayback` - Drop the article waiting on its cost
+ *
+ * ### Extraction Rules
+ * - `startRulePicker` - Open the element picker on the active tab with its current rule (from popup)
+ * - `saveExtractionRule` - Store a rule built in the picker ({ rule }, from content)
+ *
+ * ### Reader View (from content → background)
+ * - `readerViewClosed` - The overlay was closed from the page
+ * - `saveReaderStyle` - Store the overlay's theme and typography ({ style }, async)
+ *
+ * ### Resume Position (from popup → background)
+ * - `getResumePosition` - Get the saved reading position for a URL
+ * - `clearResumePosition` - Forget the saved position for a URL ("Start over")
+ *
+ * ### Reading Queue (from popup → background)
+ * - `getQueue` - Get queued pages and the item being read
+ * - `addToQueue` - Append pages ({ items: [{ url, title }] })
+ * - `removeFromQueue` - Remove an item by id
+ * - `moveQueueItem` - Move an item to a new index
+ * - `clearQueue` - Remove every item
+ * - `playQueue` - Play an item (or the head of the queue), resuming where it was left
+ *
+ * ### Custom Provider (from options → background)
+ * - `fetchCustomVoices` - List voices on an OpenAI-compatible server ({ baseUrl, apiKey })
+ *
+ * ### Audio Cache (from options → background)
+ * - `getAudioCacheStats` - Get memory and persistent cache usage
+ * - `clearAudioCache` - Clear both cache tiers
+ *
+ * ### Usage & Budget (from options → background)
+ * - `getUsageSummary` - Get today's and this month's characters and estimated cost per provider
+ * - `clearUsage` - Erase the usage ledger
+ *
+ * ### Diagnostics (from options → background)
+ * - `getPlaybackMetrics` - Get this session's playback metrics (latency histograms, cache hit rate, failures)
+ * - `resetPlaybackMetrics` - Start the metrics over
+ *
  * ## Message Flow
  *
  * ```
@@ -53,9 +105,22 @@
  * @see background/ui-coordinator.js - Handles UI notifications
  */
 
-import { FooterMessageTypes, FooterActions, StorageKey, LanguageMessageTypes } from './constants.js';
+import {
+  FooterMessageTypes,
+  FooterActions,
+  StorageKey,
+  LanguageMessageTypes,
+  MessageType,
+  QueueMessageTypes,
+  CommandId,
+  SPEED_STEP
+} from './constants.js';
 import { getLogger } from './remote-logger.js';
+import { audioCache } from './audio-cache.js';
+import { persistentAudioCache } from './persistent-audio-cache.js';
 import { footerStateDefaults } from '../shared/config/defaults.js';
+import { settingsStore } from '../shared/config/store.js';
+import { findExtractionRule, patternForUrl, upsertExtractionRule } from '../shared/config/extraction-rules.js';
 import {
   detectLanguage,
   getLanguageState,
@@ -64,6 +129,7 @@ import {
   storeDetectedLanguage
 } from './language-detector.js';
 import { getProvidersForLanguage, getLanguageDisplayName, getAllLanguages } from './language-mappings.js';
+import { fetchCompatibleVoices } from './providers/custom-openai-provider.js';
 
 /**
  * Message handler function type
@@ -98,7 +164,11 @@ export class MessageRouter {
    * @returns {boolean|void} - True if async response expected
    */
   route(message, sender, sendResponse) {
-    const type = message.action || message.type;
+    // Footer messages carry their control (play, close, readerView...) in
+    // `action`, so they dispatch on the type to reach the FOOTER_ACTION handler
+    const type = message.type === FooterMessageTypes.FOOTER_ACTION
+      ? message.type
+      : (message.action || message.type);
     const handler = this.handlers.get(type);
 
     if (handler) {
@@ -134,7 +204,8 @@ export class MessageRouter {
  * - **Playback Control**: play, pause, resume, stop, prev, next
  * - **Settings**: setProvider, setVoice, setSpeed
  * - **State Queries**: getState, getProviders (async - return true)
- * - **Content**: textContent, jumpToParagraph, jumpToWord
+ * - **Content**: textContent, extractTextFailed, extractFrameText (async), pageContentAdded, pageNavigated,
+ *   reportHighlightLatency, jumpToParagraph, jumpToWord
  * - **Controller**: controllerAction (from floating controller)
  * - **Sync**: visibilityChanged, requestResync
  * - **Visualizer**: getVisualizerData, initVisualizer (async)
@@ -143,6 +214,9 @@ export class MessageRouter {
  * @param {Object} deps - Dependencies for handlers (injected for testability)
  * @param {PlaybackController} deps.playbackController - Handles playback operations
  * @param {ProviderRegistry} deps.providerRegistry - Manages TTS provider instances
+ * @param {ReadingQueue} [deps.readingQueue] - Persistent reading queue
+ * @param {ReadingPositionStore} [deps.readingPositions] - Per-URL resume positions
+ * @param {PlaybackMetrics} [deps.metrics] - Session playback metrics for the Diagnostics panel
  * @param {Object} deps.visualizer - Audio visualization functions
  * @returns {MessageRouter} Configured router ready to handle messages
  *
@@ -162,6 +236,10 @@ export function createRouter(deps = {}) {
   const {
     playbackController,
     providerRegistry,
+    readingQueue,
+    readingPositions,
+    usageLedger,
+    metrics,
     visualizer
   } = deps;
 
@@ -196,6 +274,37 @@ export function createRouter(deps = {}) {
     playbackController?.handleNext();
   });
 
+  // Keyboard shortcuts work on any page, so they act on the active tab
+  router.register(MessageType.KEYBOARD_COMMAND, (msg, sender) => {
+    getLogger().debug('Keyboard command', 'background', { command: msg.command });
+
+    switch (msg.command) {
+      case CommandId.PLAY_PAUSE:
+        playbackController?.togglePlayback(sender?.tab);
+        break;
+      case CommandId.STOP:
+        playbackController?.handleStop();
+        break;
+      case CommandId.NEXT:
+        playbackController?.handleNext();
+        break;
+      case CommandId.PREV:
+        playbackController?.handlePrev();
+        break;
+      case CommandId.SPEED_UP:
+        playbackController?.changeSpeed(SPEED_STEP);
+        break;
+      case CommandId.SPEED_DOWN:
+        playbackController?.changeSpeed(-SPEED_STEP);
+        break;
+      case CommandId.READ_SELECTION:
+        playbackController?.playSelection();
+        break;
+      default:
+        getLogger().warn('Unknown keyboard command', 'background', { command: msg.command });
+    }
+  });
+
   // Settings handlers (3 types)
   router.register('setProvider', (msg) => {
     getLogger().info('Provider changed', 'background', { provider: msg.provider });
@@ -223,22 +332,57 @@ export function createRouter(deps = {}) {
   });
 
   // Content handlers (3 types - from content script)
-  router.register('textContent', (msg) => {
+  router.register('textContent', (msg, sender) => {
     // Pass paragraphs array for accurate TTS-to-DOM index synchronization
-    playbackController?.processTextContent(msg.text, msg.mode, msg.paragraphs);
+    playbackController?.processTextContent(
+      msg.text, msg.mode, msg.paragraphs, msg.paragraphTags,
+      { tabId: sender?.tab?.id ?? null, url: sender?.tab?.url, paragraphFrames: msg.paragraphFrames, exportId: msg.exportId },
+      msg.paragraphMarkup
+    );
+  });
+
+  router.register(MessageType.EXTRACT_TEXT_FAILED, (msg) => {
+    playbackController?.handleExtractionFailed(msg);
+  });
+
+  // A frame asks one of its child frames for its paragraphs (content/frame-collector.js)
+  router.register('extractFrameText', (msg, sender, sendResponse) => {
+    const { action, frameId, mode, extractionRule, contentBlocks } = msg;
+    browser.tabs.sendMessage(sender.tab.id, { action, mode, extractionRule, contentBlocks }, { frameId })
+      .then(sendResponse, () => sendResponse(null));
+    return true;
+  });
+
+  // Follow page mode (content/page-follower.js)
+  router.register(MessageType.PAGE_CONTENT_ADDED, (msg, sender) => {
+    playbackController?.appendParagraphs(msg, sender?.tab);
   });
 
-  router.register('jumpToParagraph', (msg) => {
-    playbackController?.jumpToParagraph(msg.index);
+  router.register(MessageType.PAGE_NAVIGATED, (msg, sender) => {
+    playbackController?.handlePageNavigation(msg, sender?.tab);
   });
 
-  router.register('jumpToWord', (msg) => {
-    playbackController?.jumpToWord(msg.paragraphIndex, msg.wordIndex);
+  // Highlight latency measured in the page (content/highlight-manager.js)
+  router.register(MessageType.REPORT_HIGHLIGHT_LATENCY, (msg) => {
+    metrics?.recordHighlightLatency('paragraph', msg.paragraphMs || []);
+    metrics?.recordHighlightLatency('word', msg.wordMs || []);
+  });
+
+  // Paragraph indexes from the page are local to the frame that sent them
+  const articleIndex = (sender, index) =>
+    playbackController?.uiCoordinator?.paragraphFromFrame?.(sender?.frameId ?? 0, index) ?? index;
+
+  router.register('jumpToParagraph', (msg, sender) => {
+    playbackController?.jumpToParagraph(articleIndex(sender, msg.index));
+  });
+
+  router.register('jumpToWord', (msg, sender) => {
+    playbackController?.jumpToWord(articleIndex(sender, msg.paragraphIndex), msg.wordIndex);
   });
 
   // Play from a specific paragraph (from paragraph selector)
   router.register('playFromParagraph', (msg, sender) => {
-    playbackController?.playFromParagraph(msg.index, sender.tab);
+    playbackController?.playFromParagraph(articleIndex(sender, msg.index), sender.tab);
   });
 
   // Onboarding (1 type - async)
@@ -287,9 +431,9 @@ export function createRouter(deps = {}) {
   });
 
   // Scroll coordination handlers (011-highlight-playback-fix)
-  router.register('highlightWithScroll', (msg) => {
+  router.register('highlightWithScroll', (msg, sender) => {
     const { index, text, timestamp, scrollBehavior } = msg;
-    playbackController?.uiCoordinator?.highlightParagraph(index, text, timestamp);
+    playbackController?.uiCoordinator?.highlightParagraph(articleIndex(sender, index), text, timestamp);
     // Scroll is handled by content script with scroll-margin CSS
   });
 
@@ -299,6 +443,14 @@ export function createRouter(deps = {}) {
     console.log(`VoxPage: User scrolled at ${userScrolledAt}`);
   });
 
+  // Custom provider voice discovery (options page)
+  router.register('fetchCustomVoices', (msg, sender, sendResponse) => {
+    fetchCompatibleVoices(msg.baseUrl, msg.apiKey)
+      .then(voices => sendResponse({ success: true, voices }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  });
+
   // Remote logging handlers (014-loki-remote-logging)
   router.register('testLoggingConnection', async (msg, sender, sendResponse) => {
     try {
@@ -344,6 +496,214 @@ export function createRouter(deps = {}) {
     return true;
   });
 
+  // Audio export handlers (from popup)
+  router.register(MessageType.EXPORT_AUDIO, (msg) => {
+    getLogger().info('Audio export requested', 'background', { mode: msg.mode });
+    playbackController?.handleExport(msg);
+  });
+
+  router.register(MessageType.CANCEL_EXPORT, () => {
+    playbackController?.audioExporter?.cancel();
+  });
+
+  // =========================================
+  // Cost confirmation handlers (from popup)
+  // =========================================
+
+  router.register(MessageType.CONFIRM_COST_PLAYBACK, (msg) => {
+    playbackController?.confirmCostPlayback({
+      paragraphLimit: msg.paragraphLimit,
+      provider: msg.provider
+    });
+  });
+
+  router.register(MessageType.CANCEL_COST_PLAYBACK, () => {
+    playbackController?.cancelCostPlayback();
+  });
+
+  // =========================================
+  // Extraction rule handlers
+  // =========================================
+
+  router.register(MessageType.START_RULE_PICKER, (msg, sender, sendResponse) => {
+    (async () => {
+      const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+      const pattern = patternForUrl(tab?.url);
+      if (!pattern) {
+        return { success: false, error: 'Rules can only be made for web pages' };
+      }
+
+      const { extractionRules } = await settingsStore.load();
+      const rule = findExtractionRule(extractionRules, tab.url) ||
+        { pattern, include: [], exclude: [], startAfter: null, stopBefore: null };
+      await browser.tabs.sendMessage(tab.id, { action: MessageType.START_RULE_PICKER, rule });
+      return { success: true };
+    })()
+      .then(sendResponse)
+      .catch(() => sendResponse({ success: false, error: 'Could not reach the page. Try reloading it.' }));
+    return true;
+  });
+
+  router.register(MessageType.SAVE_EXTRACTION_RULE, (msg, sender, sendResponse) => {
+    settingsStore.load()
+      .then(({ extractionRules }) => settingsStore.save({
+        extractionRules: upsertExtractionRule(extractionRules, msg.rule)
+      }))
+      .then(() => {
+        getLogger().info('Extraction rule saved', 'background', { pattern: msg.rule?.pattern });
+        sendResponse({ success: true });
+      })
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+  });
+
+  // Reader view overlay (from content)
+  router.register(MessageType.READER_VIEW_CLOSED, (msg, sender) => {
+    playbackController?.closeReaderView(sender?.tab, { notifyPage: false });
+  });
+
+  router.register(MessageType.SAVE_READER_STYLE, (msg, sender, sendResponse) => {
+    const { theme, fontFamily, fontSize } = msg.style || {};
+    settingsStore.save({ readerTheme: theme, readerFontFamily: fontFamily, readerFontSize: fontSize })
+      .then(() => sendResponse({ success: true }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+  });
+
+  // =========================================
+  // Resume position handlers (from popup)
+  // =========================================
+
+  router.register(MessageType.GET_RESUME_POSITION, (msg, sender, sendResponse) => {
+    readingPositions.get(msg.url)
+      .then(sendResponse)
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+  });
+
+  router.register(MessageType.CLEAR_RESUME_POSITION, (msg, sender, sendResponse) => {
+    readingPositions.clear(msg.url)
+      .then(() => sendResponse({ success: true }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+  });
+
+  // =========================================
+  // Reading queue handlers (from popup)
+  // =========================================
+
+  router.register(QueueMessageTypes.GET_QUEUE, (msg, sender, sendResponse) => {
+    readingQueue.getAll()
+      .then(sendResponse)
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+  });
+
+  router.register(QueueMessageTypes.ADD_TO_QUEUE, (msg, sender, sendResponse) => {
+    readingQueue.add(msg.items || [])
+      .then((added) => sendResponse({ success: true, added: added.length }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+  });
+
+  router.register(QueueMessageTypes.REMOVE_FROM_QUEUE, (msg, sender, sendResponse) => {
+    readingQueue.remove(msg.id)
+      .then((removed) => sendResponse({ success: removed }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+  });
+
+  router.register(QueueMessageTypes.MOVE_QUEUE_ITEM, (msg, sender, sendResponse) => {
+    readingQueue.move(msg.id, msg.toIndex)
+      .then((moved) => sendResponse({ success: moved }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+  });
+
+  router.register(QueueMessageTypes.CLEAR_QUEUE, (msg, sender, sendResponse) => {
+    readingQueue.clear()
+      .then(() => sendResponse({ success: true }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+  });
+
+  router.register(QueueMessageTypes.PLAY_QUEUE, (msg) => {
+    getLogger().info('Queue playback requested', 'background');
+    playbackController?.playQueueItem(msg.id || null);
+  });
+
+  // =========================================
+  // Audio cache handlers (from options)
+  // =========================================
+
+  router.register('getAudioCacheStats', (msg, sender, sendResponse) => {
+    persistentAudioCache.getStats()
+      .then((persistent) => sendResponse({ memory: audioCache.getStats(), persistent }))
+      .catch((error) => sendResponse({ memory: audioCache.getStats(), error: error.message }));
+    return true;
+  });
+
+  router.register('clearAudioCache', (msg, sender, sendResponse) => {
+    audioCache.clear();
+    persistentAudioCache.clear()
+      .then(() => {
+        getLogger().info('Audio cache cleared', 'background');
+        sendResponse({ success: true });
+      })
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+  });
+
+  // =========================================
+  // Usage ledger handlers (from options)
+  // =========================================
+
+  router.register('getUsageSummary', (msg, sender, sendResponse) => {
+    if (!usageLedger) {
+      sendResponse({ error: 'Usage ledger unavailable' });
+      return;
+    }
+    usageLedger.getSummary()
+      .then((summary) => sendResponse({ summary }))
+      .catch((error) => sendResponse({ error: error.message }));
+    return true;
+  });
+
+  router.register('clearUsage', (msg, sender, sendResponse) => {
+    if (!usageLedger) {
+      sendResponse({ success: false, error: 'Usage ledger unavailable' });
+      return;
+    }
+    usageLedger.clear()
+      .then(() => {
+        getLogger().info('Usage ledger cleared', 'background');
+        sendResponse({ success: true });
+      })
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+  });
+
+  // =========================================
+  // Diagnostics handlers (from options)
+  // =========================================
+
+  router.register('getPlaybackMetrics', (msg, sender, sendResponse) => {
+    if (!metrics) {
+      sendResponse({ error: 'Playback metrics unavailable' });
+      return;
+    }
+    sendResponse({ metrics: metrics.getSnapshot() });
+  });
+
+  router.register('resetPlaybackMetrics', (msg, sender, sendResponse) => {
+    if (!metrics) {
+      sendResponse({ success: false, error: 'Playback metrics unavailable' });
+      return;
+    }
+    metrics.reset();
+    sendResponse({ success: true });
+  });
+
   // =========================================
   // Footer message handlers (018-ui-redesign)
   // =========================================
@@ -425,9 +785,18 @@ export function createRouter(deps = {}) {
           playbackController?.setSpeed(value);
         }
         break;
+      case FooterActions.READER_VIEW:
+        playbackController?.toggleReaderView(sender?.tab);
+        break;
       case FooterActions.CLOSE:
         playbackController?.handleStop();
         break;
+      case FooterActions.CONFIRM_COST:
+        playbackController?.confirmCostPlayback(value || {});
+        break;
+      case FooterActions.CANCEL_COST:
+        playbackController?.cancelCostPlayback();
+        break;
       case FooterActions.MINIMIZE:
       case FooterActions.EXPAND:
         // Visibility state handled by FOOTER_VISIBILITY_CHANGED
@@ -0,0 +1,368 @@
+/**
+ * Persistent Audio Cache Module
+ * IndexedDB-backed second cache tier for generated audio.
+ * Survives browser restarts and background unloads so paragraphs that were
+ * already paid for are not regenerated. Sits behind the in-memory audioCache.
+ *
+ * @module background/persistent-audio-cache
+ */
+
+/**
+ * Persistent cache configuration
+ */
+const PERSISTENT_CACHE_CONFIG = {
+  dbName: 'voxpage-audio-cache',
+  dbVersion: 1,
+  maxEntries: 2000,                 // Maximum number of persisted segments
+  maxSizeBytes: 250 * 1024 * 1024   // 250MB quota for audio bytes
+};
+
+/**
+ * Object store names
+ * Metadata is kept apart from audio bytes so eviction scans never load audio.
+ */
+const ENTRIES_STORE = 'entries';
+const AUDIO_STORE = 'audio';
+
+/**
+ * @typedef {Object} PersistentCacheEntry
+ * @property {string} cacheKey - Key from AudioSegment.generateCacheKey
+ * @property {string} provider - Provider ID used to generate
+ * @property {string} voice - Voice ID used to generate
+ * @property {string} text - Source text
+ * @property {number} duration - Duration in seconds (0 if unknown)
+ * @property {Array|null} wordTiming - Word timing data, if available
+ * @property {number} size - Audio size in bytes
+ * @property {number} createdAt - Timestamp when stored
+ * @property {number} lastAccessedAt - Timestamp when last read
+ */
+
+/**
+ * Wrap an IDBRequest in a Promise
+ * @param {IDBRequest} request
+ * @returns {Promise<*>}
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wait for an IDBTransaction to complete
+ * @param {IDBTransaction} tx
+ * @returns {Promise<void>}
+ */
+function promisifyTransaction(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Thin IndexedDB wrapper used by PersistentAudioCache.
+ * The database is opened lazily on first use.
+ */
+export class IndexedDBAudioStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dbName] - Database name
+   * @param {IDBFactory} [options.indexedDB] - IndexedDB factory (defaults to global)
+   */
+  constructor(options = {}) {
+    this.dbName = options.dbName || PERSISTENT_CACHE_CONFIG.dbName;
+    this._indexedDB = options.indexedDB || null;
+    /** @type {Promise<IDBDatabase>|null} */
+    this._dbPromise = null;
+  }
+
+  /**
+   * Open (or create) the database
+   * @returns {Promise<IDBDatabase>}
+   * @private
+   */
+  _open() {
+    if (this._dbPromise) {
+      return this._dbPromise;
+    }
+
+    const factory = this._indexedDB || globalThis.indexedDB;
+    if (!factory) {
+      return Promise.reject(new Error('IndexedDB is not available'));
+    }
+
+    this._dbPromise = new Promise((resolve, reject) => {
+      const request = factory.open(this.dbName, PERSISTENT_CACHE_CONFIG.dbVersion);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(ENTRIES_STORE)) {
+          db.createObjectStore(ENTRIES_STORE, { keyPath: 'cacheKey' });
+        }
+        if (!db.objectStoreNames.contains(AUDIO_STORE)) {
+          db.createObjectStore(AUDIO_STORE);
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    // Allow a retry after a failed open
+    this._dbPromise.catch(() => {
+      this._dbPromise = null;
+    });
+
+    return this._dbPromise;
+  }
+
+  /**
+   * Get entry metadata
+   * @param {string} key
+   * @returns {Promise<PersistentCacheEntry|undefined>}
+   */
+  async getEntry(key) {
+    const db = await this._open();
+    const tx = db.transaction(ENTRIES_STORE, 'readonly');
+    return promisifyRequest(tx.objectStore(ENTRIES_STORE).get(key));
+  }
+
+  /**
+   * Get audio bytes
+   * @param {string} key
+   * @returns {Promise<ArrayBuffer|undefined>}
+   */
+  async getAudio(key) {
+    const db = await this._open();
+    const tx = db.transaction(AUDIO_STORE, 'readonly');
+    return promisifyRequest(tx.objectStore(AUDIO_STORE).get(key));
+  }
+
+  /**
+   * Store entry metadata and, optionally, audio bytes in one transaction
+   * @param {PersistentCacheEntry} entry
+   * @param {ArrayBuffer} [audioData] - Omit to update metadata only
+   * @returns {Promise<void>}
+   */
+  async put(entry, audioData) {
+    const db = await this._open();
+    const stores = audioData ? [ENTRIES_STORE, AUDIO_STORE] : [ENTRIES_STORE];
+    const tx = db.transaction(stores, 'readwrite');
+    tx.objectStore(ENTRIES_STORE).put(entry);
+    if (audioData) {
+      tx.objectStore(AUDIO_STORE).put(audioData, entry.cacheKey);
+    }
+    return promisifyTransaction(tx);
+  }
+
+  /**
+   * Delete an entry and its audio
+   * @param {string} key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    const db = await this._open();
+    const tx = db.transaction([ENTRIES_STORE, AUDIO_STORE], 'readwrite');
+    tx.objectStore(ENTRIES_STORE).delete(key);
+    tx.objectStore(AUDIO_STORE).delete(key);
+    return promisifyTransaction(tx);
+  }
+
+  /**
+   * List all entry metadata (no audio bytes)
+   * @returns {Promise<PersistentCacheEntry[]>}
+   */
+  async listEntries() {
+    const db = await this._open();
+    const tx = db.transaction(ENTRIES_STORE, 'readonly');
+    return promisifyRequest(tx.objectStore(ENTRIES_STORE).getAll());
+  }
+
+  /**
+   * Remove everything
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    const db = await this._open();
+    const tx = db.transaction([ENTRIES_STORE, AUDIO_STORE], 'readwrite');
+    tx.objectStore(ENTRIES_STORE).clear();
+    tx.objectStore(AUDIO_STORE).clear();
+    return promisifyTransaction(tx);
+  }
+}
+
+/**
+ * Persistent LRU audio cache.
+ * All methods swallow storage errors: a failing disk tier must never
+ * break playback, it only costs a regeneration.
+ */
+export class PersistentAudioCache {
+  /**
+   * @param {Object} [deps]
+   * @param {IndexedDBAudioStore} [deps.store] - Storage backend
+   * @param {number} [deps.maxSizeBytes] - Size quota in bytes
+   * @param {number} [deps.maxEntries] - Maximum number of entries
+   */
+  constructor(deps = {}) {
+    this.store = deps.store || new IndexedDBAudioStore();
+    this.maxSizeBytes = deps.maxSizeBytes ?? PERSISTENT_CACHE_CONFIG.maxSizeBytes;
+    this.maxEntries = deps.maxEntries ?? PERSISTENT_CACHE_CONFIG.maxEntries;
+  }
+
+  /**
+   * Check if a key exists without touching it or loading audio
+   * @param {string} key - Cache key
+   * @returns {Promise<boolean>}
+   */
+  async has(key) {
+    try {
+      return !!(await this.store.getEntry(key));
+    } catch (error) {
+      console.warn('VoxPage: Persistent cache lookup failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get a persisted segment and mark it as recently used
+   * @param {string} key - Cache key
+   * @returns {Promise<(PersistentCacheEntry & {audioData: ArrayBuffer})|null>}
+   */
+  async get(key) {
+    try {
+      const entry = await this.store.getEntry(key);
+      if (!entry) {
+        return null;
+      }
+
+      const audioData = await this.store.getAudio(key);
+      if (!audioData) {
+        // Metadata without audio - drop the orphan
+        await this.store.delete(key);
+        return null;
+      }
+
+      entry.lastAccessedAt = Date.now();
+      await this.store.put(entry);
+
+      return { ...entry, audioData };
+    } catch (error) {
+      console.warn('VoxPage: Persistent cache read failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Persist an audio segment
+   * @param {string} key - Cache key
+   * @param {ArrayBuffer} audioData - Audio data
+   * @param {Object} metadata - Segment metadata (provider, voice, text, duration, wordTiming)
+   * @returns {Promise<boolean>} Whether the segment was stored
+   */
+  async set(key, audioData, metadata = {}) {
+    if (!audioData || audioData.byteLength > this.maxSizeBytes) {
+      return false;
+    }
+
+    const now = Date.now();
+    const entry = {
+      cacheKey: key,
+      provider: metadata.provider || '',
+      voice: metadata.voice || '',
+      text: metadata.text || '',
+      duration: metadata.duration || 0,
+      wordTiming: metadata.wordTiming || null,
+      size: audioData.byteLength,
+      createdAt: now,
+      lastAccessedAt: now
+    };
+
+    try {
+      await this.store.put(entry, audioData);
+      await this._evictIfNeeded();
+      return true;
+    } catch (error) {
+      console.warn('VoxPage: Persistent cache write failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Delete a persisted segment
+   * @param {string} key - Cache key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    try {
+      await this.store.delete(key);
+    } catch (error) {
+      console.warn('VoxPage: Persistent cache delete failed:', error);
+    }
+  }
+
+  /**
+   * Clear all persisted segments
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.store.clear();
+  }
+
+  /**
+   * Get cache statistics
+   * @returns {Promise<Object>}
+   */
+  async getStats() {
+    const entries = await this.store.listEntries();
+    const totalSize = entries.reduce((sum, entry) => sum + (entry.size || 0), 0);
+
+    return {
+      entries: entries.length,
+      maxEntries: this.maxEntries,
+      totalSize,
+      maxSize: this.maxSizeBytes,
+      sizePercentage: (totalSize / this.maxSizeBytes * 100).toFixed(1)
+    };
+  }
+
+  /**
+   * Evict least recently used entries until within quota
+   * @private
+   */
+  async _evictIfNeeded() {
+    const entries = await this.store.listEntries();
+    let totalSize = entries.reduce((sum, entry) => sum + (entry.size || 0), 0);
+    let count = entries.length;
+
+    if (count <= this.maxEntries && totalSize <= this.maxSizeBytes) {
+      return;
+    }
+
+    entries.sort((a, b) => a.lastAccessedAt - b.lastAccessedAt);
+
+    for (const entry of entries) {
+      if (count <= this.maxEntries && totalSize <= this.maxSizeBytes) {
+        break;
+      }
+      await this.store.delete(entry.cacheKey);
+      totalSize -= entry.size || 0;
+      count--;
+    }
+  }
+}
+
+/**
+ * Factory function for PersistentAudioCache
+ * @param {Object} deps - Dependencies
+ * @returns {PersistentAudioCache}
+ */
+export function createPersistentAudioCache(deps) {
+  return new PersistentAudioCache(deps);
+}
+
+// Export singleton instance
+export const persistentAudioCache = new PersistentAudioCache();
+
+export default PersistentAudioCache;
@@ -8,11 +8,27 @@
 
 import { PlaybackStatus, ProviderId } from './constants.js';
 import { audioCache } from './audio-cache.js';
-import { PlaybackSyncState } from './playback-sync.js';
-import { defaults } from '../shared/config/defaults.js';
+import { persistentAudioCache } from './persistent-audio-cache.js';
+import { PlaybackSyncState, createBoundaryWordTimeline, findBoundaryWord } from './playback-sync.js';
+import { locateParagraph } from './reading-positions.js';
+import { defaults, constraints } from '../shared/config/defaults.js';
+import { settingsStore } from '../shared/config/store.js';
+import { findSiteProfile } from '../shared/config/site-profiles.js';
+import { findExtractionRule } from '../shared/config/extraction-rules.js';
 import { getLogger } from './remote-logger.js';
+import { SpokenText, normalizeText } from './text-normalizer.js';
+import { describeParagraphs, renderSpeechMarkup } from './speech-markup.js';
 import { getLanguageState } from './language-detector.js';
 import { LanguageNotSupportedError } from '../shared/errors/language-errors.js';
+import { createProviderFallback, isFallbackError } from './provider-fallback.js';
+import { BudgetLevel } from './usage-ledger.js';
+import { calculateCost, formatCost } from './providers/pricing-model.js';
+import { estimateCost, compareCosts, countParagraphsWithinCost } from './cost-estimator.js';
+import { BudgetExceededError } from '../shared/errors/provider-errors.js';
+import { CacheTier } from './playback-metrics.js';
+
+// How long an export waits for the page's text before giving up
+const EXPORT_TEXT_TIMEOUT_MS = 30000;
 
 /**
  * PlaybackController class - orchestrates TTS playback
@@ -24,12 +40,69 @@ export class PlaybackController {
    * @param {Object} deps.audioGenerator - Audio generator instance
    * @param {Object} deps.uiCoordinator - UI coordinator instance
    * @param {Object} deps.groqTimestampProvider - Groq timestamp provider
+   * @param {Object} [deps.audioExporter] - Audio exporter for whole-article export
+   * @param {Object} [deps.readingQueue] - Reading queue for multi-page playback
+   * @param {Object} [deps.readingPositions] - Per-URL resume position store
+   * @param {Object} [deps.providerFallback] - Provider fallback chain (created from the registry if omitted)
+   * @param {Object} [deps.usageLedger] - Usage ledger for spending cap checks
+   * @param {Object} [deps.metrics] - Playback metrics (cache hits, time to first audio, drift)
    */
   constructor(deps = {}) {
     this.providerRegistry = deps.providerRegistry;
     this.audioGenerator = deps.audioGenerator;
     this.uiCoordinator = deps.uiCoordinator;
     this.groqTimestampProvider = deps.groqTimestampProvider;
+    this.audioExporter = deps.audioExporter;
+    this.readingQueue = deps.readingQueue;
+    this.readingPositions = deps.readingPositions;
+    this.providerFallback = deps.providerFallback ||
+      createProviderFallback({ providerRegistry: this.providerRegistry });
+    this.usageLedger = deps.usageLedger || null;
+    this.metrics = deps.metrics || null;
+
+    // Export waiting for extracted text ({ id, title, url, timer })
+    this.pendingExport = null;
+
+    // Id of the last export; its extraction request and reply carry it
+    this.lastExportId = 0;
+
+    // Queue item waiting for extracted text ({ itemId, startIndex })
+    this.pendingQueueStart = null;
+
+    // Queue item currently being read, if playback came from the queue
+    this.activeQueueItemId = null;
+
+    // Tab whose content is being read (null when unknown, e.g. context menu text)
+    this.playbackTabId = null;
+
+    // URL positions are saved for (null for selections)
+    this.playbackUrl = null;
+
+    // Next extracted text should resume from the saved position
+    this.pendingResume = false;
+
+    // Word to seek to once the first resumed paragraph has audio
+    this.pendingWordSeek = null;
+
+    // Changes with every browser TTS utterance, so a stopped one does not end its paragraph
+    this.browserSpeechToken = 0;
+
+    // Article waiting for the user to accept its estimated cost
+    // ({ startIndex, wordSeek, details })
+    this.pendingCostConfirmation = null;
+
+    // Paragraph index to stop before when only part of the article was confirmed
+    this.stopAtIndex = null;
+
+    // SpokenText per paragraph: what is sent to the provider, with offsets
+    // mapped back to the page text (built when reading starts)
+    this.spokenParagraphs = [];
+
+    // Segment type and emphasis ranges per paragraph, for speech markup
+    this.paragraphStyles = [];
+
+    // Whether paragraphs are rendered with speech markup (read when reading starts)
+    this.speechMarkupEnabled = false;
 
     // Playback sync state for audio-text synchronization
     this.syncState = new PlaybackSyncState();
@@ -41,8 +114,13 @@ export class PlaybackController {
       isPaused: false,
       currentProvider: defaults.provider,
       currentVoice: defaults.voice,
+      // Provider reading the current paragraph (differs from currentProvider while falling back)
+      speakingProvider: null,
       speed: defaults.speed,
       mode: defaults.mode,  // From shared/config/defaults.js (SSOT)
+      wordSyncEnabled: defaults.wordSyncEnabled,
+      // Origin whose site profile was applied to the current article (null = global settings)
+      siteProfileOrigin: null,
       paragraphs: [],
       currentIndex: 0,
       audioQueue: [],
@@ -72,6 +150,10 @@ export class PlaybackController {
     this.syncState.onProgress((progressPercent, timeRemaining) => {
       this.uiCoordinator?.updateFloatingControllerState(this.state);
     });
+
+    this.syncState.onDriftCorrected((driftMs) => {
+      this.metrics?.recordDriftCorrection(driftMs);
+    });
   }
 
   /**
@@ -102,27 +184,38 @@ export class PlaybackController {
       isPaused: this.state.isPaused,
       currentProvider: this.state.currentProvider,
       currentVoice: this.state.currentVoice,
+      speakingProvider: this.state.speakingProvider,
       currentIndex: this.state.currentIndex,
       totalParagraphs: this.state.paragraphs.length,
       progress: {
         current: this._getCurrentProgress(),
         total: this.state.totalDuration
-      }
+      },
+      isExporting: !!this.audioExporter?.isExporting,
+      queueItemId: this.activeQueueItemId,
+      siteProfileOrigin: this.state.siteProfileOrigin,
+      costConfirmation: this.pendingCostConfirmation?.details || null
     };
   }
 
   /**
    * Set the current provider
    * @param {string} providerId
+   * @param {Object} [options]
+   * @param {boolean} [options.keepCache=false] - Keep the previous provider's
+   *   cached audio; site profiles switch back and forth automatically
    */
-  setProvider(providerId) {
+  setProvider(providerId, { keepCache = false } = {}) {
     if (this.providerRegistry?.hasProvider(providerId)) {
       const previousProvider = this.state.currentProvider;
       this.state.currentProvider = providerId;
 
       // Clear cache for the previous provider when switching
       if (previousProvider !== providerId) {
-        audioCache.clearForProvider(previousProvider);
+        if (!keepCache) {
+          audioCache.clearForProvider(previousProvider);
+        }
+        this.providerFallback.reset();
       }
 
       // Set default voice for the new provider
@@ -155,6 +248,52 @@ export class PlaybackController {
     }
   }
 
+  /**
+   * Step the playback speed up or down (keyboard shortcuts)
+   * The new speed is saved so the popup shows it next time it opens.
+   * @param {number} delta - Change in speed multiplier
+   * @returns {number} New speed
+   */
+  changeSpeed(delta) {
+    const { min, max } = constraints.speed;
+    const speed = Math.round(Math.min(max, Math.max(min, this.state.speed + delta)) * 100) / 100;
+
+    this.setSpeed(speed);
+    settingsStore.save({ speed }).catch(error => {
+      console.warn('VoxPage: Failed to save speed:', error.message);
+    });
+    this.uiCoordinator?.sendFooterStateUpdate(this.state);
+    this.uiCoordinator?.notifyStatus(`Speed ${speed}x`);
+    return speed;
+  }
+
+  /**
+   * Play, pause or resume depending on the current state (keyboard shortcut)
+   * @param {Object} [tab] - Tab to read when nothing is playing
+   * @returns {Promise<void>}
+   */
+  async togglePlayback(tab) {
+    if (this.state.isPaused) {
+      this.handleResume();
+    } else if (this.state.isPlaying) {
+      this.handlePause();
+    } else {
+      await this.handlePlay({}, tab);
+    }
+  }
+
+  /**
+   * Read the text selected in the active tab (keyboard shortcut)
+   * Unlike a selection play from the popup, the popup's reading mode is kept.
+   * @returns {Promise<void>}
+   */
+  async playSelection() {
+    this._detachQueueItem();
+    this.pendingQueueStart = null;
+    this.pendingResume = false;
+    await this._requestTextFromActiveTab('selection');
+  }
+
   /**
    * T023: Get the current effective language for TTS (019-multilingual-tts)
    * Fetches from language detector and updates internal state
@@ -189,7 +328,17 @@ export class PlaybackController {
    * @param {Object} tab - Tab that sent the request
    */
   async handlePlay(message, tab) {
+    // Playing takes over from an export still waiting for its text
+    if (this.pendingExport) {
+      this._clearPendingExport();
+      this.uiCoordinator?.notifyError('Audio export cancelled');
+    }
+
     try {
+      // The last site's profile does not carry over to this page
+      if (this.state.siteProfileOrigin) {
+        await this._restoreGlobalSettings();
+      }
       if (message.provider) {
         this.setProvider(message.provider);
       }
@@ -200,6 +349,12 @@ export class PlaybackController {
         this.state.speed = message.speed;
       }
       this.state.mode = message.mode || this.state.mode;
+      await this._applySiteProfile(tab);
+
+      // Playing a page directly takes over from the queue; its position is kept
+      this._detachQueueItem();
+      this.pendingQueueStart = null;
+      this.pendingResume = !!message.resume && !message.text;
 
       // If we have direct text (from selection), use it
       if (message.text) {
@@ -208,156 +363,594 @@ export class PlaybackController {
       }
 
       // Otherwise, request text from content script
+      await this._requestTextFromActiveTab(this.state.mode);
+    } catch (error) {
+      console.error('Play error:', error);
+      getLogger().error('Play error', 'background', {
+        error: error.message,
+        mode: this.state.mode,
+        provider: this.state.currentProvider,
+      });
+      this.uiCoordinator?.notifyError(error.message);
+    }
+  }
+
+  /**
+   * Go back to the saved provider, voice, speed and mode after a site profile
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _restoreGlobalSettings() {
+    const settings = await settingsStore.load();
+    // Also picks the provider's default voice, for a saved voice of null
+    this.setProvider(settings.provider, { keepCache: true });
+    if (settings.voice) {
+      this.setVoice(settings.voice);
+    }
+    this.setSpeed(settings.speed);
+    this.state.mode = settings.mode;
+  }
+
+  /**
+   * Apply the site profile for the page about to be read
+   * Profile values win over the popup's global ones; settings the profile
+   * leaves out keep their current value.
+   * @param {Object} [tab] - Tab being read (the active tab when omitted)
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _applySiteProfile(tab) {
+    const settings = await settingsStore.load();
+    const url = tab?.url ?? (await browser.tabs.query({ active: true, currentWindow: true }))[0]?.url;
+    const match = findSiteProfile(settings.siteProfiles, url);
+
+    this.state.wordSyncEnabled = settings.wordSyncEnabled;
+    this.state.siteProfileOrigin = match?.origin || null;
+    if (!match) return;
+
+    const { profile } = match;
+    if (profile.provider && profile.provider !== this.state.currentProvider) {
+      this.setProvider(profile.provider, { keepCache: true });
+    }
+    // A null voice means the provider's default, which setProvider() already picked
+    if (profile.voice) {
+      this.setVoice(profile.voice);
+    }
+    if (profile.speed) {
+      this.setSpeed(profile.speed);
+    }
+    if (profile.mode) {
+      this.state.mode = profile.mode;
+    }
+    if (profile.wordSyncEnabled !== undefined) {
+      this.state.wordSyncEnabled = profile.wordSyncEnabled;
+    }
+
+    getLogger().info('Site profile applied', 'background', { origin: match.origin, ...profile });
+  }
+
+  /**
+   * Handle export request - extract the page like handlePlay, but render
+   * every paragraph to a downloadable file instead of playing it
+   * @param {Object} message - Export message with optional mode/text
+   */
+  async handleExport(message) {
+    if (!this.audioExporter) return;
+
+    if (this.audioExporter.isExporting || this.pendingExport) {
+      this.uiCoordinator?.notifyError('An audio export is already in progress');
+      return;
+    }
+
+    const id = ++this.lastExportId;
+    try {
       const tabs = await browser.tabs.query({ active: true, currentWindow: true });
-      if (tabs[0]) {
-        const tab = tabs[0];
-
-        // Check if this is a restricted page
-        if (tab.url?.startsWith('about:') ||
-            tab.url?.startsWith('moz-extension:') ||
-            tab.url?.startsWith('chrome:') ||
-            tab.url?.includes('addons.mozilla.org')) {
-          this.uiCoordinator?.notifyError('Cannot read content on this page');
-          return;
-        }
+      const tab = tabs[0];
+      this.pendingExport = {
+        id,
+        title: tab?.title || '',
+        url: tab?.url || '',
+        timer: setTimeout(() => this.handleExtractionFailed({ exportId: id, error: 'The page did not send its text' }), EXPORT_TEXT_TIMEOUT_MS)
+      };
+
+      if (message.text) {
+        await this.processTextContent(message.text, 'selection', null, null, { exportId: id });
+        return;
+      }
+
+      const requested = await this._requestTextFromActiveTab(message.mode || this.state.mode, { exportId: id });
+      if (!requested) {
+        this._clearPendingExport();
+      }
+    } catch (error) {
+      this._clearPendingExport();
+      getLogger().error('Export error', 'background', { error: error.message });
+      this.uiCoordinator?.notifyError(error.message);
+    }
+  }
+
+  /**
+   * Handle a page that could not extract the text it was asked for
+   * An export waiting for that text is dropped; playback requests only
+   * report the error.
+   * @param {Object} message - extractTextFailed message
+   * @param {string} [message.error]
+   * @param {number} [message.exportId] - Export the extraction was for
+   */
+  handleExtractionFailed(message) {
+    if (message.exportId !== undefined) {
+      if (message.exportId !== this.pendingExport?.id) return;
+      this._clearPendingExport();
+    }
+    getLogger().warn('Text extraction failed', 'background', { error: message.error, exportId: message.exportId });
+    this.uiCoordinator?.notifyError('Could not read the page content. Try refreshing the page.');
+  }
+
+  /**
+   * Forget the export waiting for text
+   * @private
+   */
+  _clearPendingExport() {
+    clearTimeout(this.pendingExport?.timer);
+    this.pendingExport = null;
+  }
+
+  /**
+   * Run a pending export on extracted paragraphs
+   * @param {string[]} paragraphs
+   * @param {string[]|null} paragraphTags - Tag name per paragraph (for chapters)
+   * @param {Array<{quote: boolean, emphasis: Array}>|null} paragraphMarkup - Structure per paragraph
+   * @private
+   */
+  async _runExport(paragraphs, paragraphTags, paragraphMarkup) {
+    const { title, url } = this.pendingExport;
+    this._clearPendingExport();
+
+    try {
+      await this._getCurrentLanguage();
+      const { transcriptCueLevel, speechMarkupEnabled } = await settingsStore.load();
+      // Files hold what was said, so captions follow the spoken text
+      const spoken = await this._normalizeParagraphs(paragraphs, url);
+      // Rendered as playback renders it, so audio already heard is a cache hit
+      const styles = describeParagraphs(paragraphTags, paragraphMarkup, paragraphs.length);
+      const speech = spoken.map((paragraph, index) =>
+        this._renderSpoken(paragraph, styles[index], this.state.currentProvider, speechMarkupEnabled).spoken);
+
+      await this.audioExporter.exportArticle({
+        paragraphs: spoken.map(paragraph => paragraph.text),
+        speech,
+        provider: this.state.currentProvider,
+        voice: this.state.currentVoice,
+        speed: this.state.speed,
+        languageCode: this.state.languageCode,
+        title,
+        url,
+        paragraphTags,
+        cueLevel: transcriptCueLevel
+      });
+    } catch (error) {
+      // Progress channel already told the popup; keep a record for diagnostics
+      getLogger().error('Audio export failed', 'background', {
+        error: error.message,
+        provider: this.state.currentProvider,
+        paragraphs: paragraphs.length,
+      });
+    }
+  }
 
+  /**
+   * Ask the active tab's content script to extract text.
+   * @param {string} mode - Extraction mode
+   * @param {Object} [options] - See _requestTextFromTab()
+   * @returns {Promise<boolean>} Whether the extraction request reached the page
+   * @private
+   */
+  async _requestTextFromActiveTab(mode, options = {}) {
+    const tabs = await browser.tabs.query({ active: true, currentWindow: true });
+    return this._requestTextFromTab(tabs[0], mode, options);
+  }
+
+  /**
+   * Ask a tab's content script to extract text.
+   * The content script replies asynchronously with a `textContent` message.
+   * Injects the content scripts first if they are not loaded.
+   * @param {Object} tab - Tab to extract from
+   * @param {string} mode - Extraction mode
+   * @param {Object} [options]
+   * @param {number} [options.exportId] - Export the text is for; the reply carries it back
+   * @returns {Promise<boolean>} Whether the extraction request reached the page
+   * @private
+   */
+  async _requestTextFromTab(tab, mode, { exportId } = {}) {
+    if (tab) {
+      // Check if this is a restricted page
+      if (tab.url?.startsWith('about:') ||
+          tab.url?.startsWith('moz-extension:') ||
+          tab.url?.startsWith('chrome:') ||
+          tab.url?.includes('addons.mozilla.org')) {
+        this.uiCoordinator?.notifyError('Cannot read content on this page');
+        return false;
+      }
+
+      // Article mode follows the user's selector rule for the page, if any
+      const { extractionRules, codeBlockMode, tableMode, readImageDescriptions, followPage } = await settingsStore.load();
+      const extractionRule = mode === 'article'
+        ? findExtractionRule(extractionRules, tab.url)
+        : null;
+      const contentBlocks = { code: codeBlockMode, table: tableMode, figures: readImageDescriptions };
+      // Selections are read as they are; pages can be followed as they grow
+      const followsPage = followPage && mode !== 'selection';
+
+      try {
+        await browser.tabs.sendMessage(tab.id, {
+          action: 'extractText',
+          mode: mode,
+          extractionRule,
+          contentBlocks,
+          followPage: followsPage,
+          exportId
+        });
+      } catch (sendError) {
+        console.warn('Content script not responding:', sendError.message);
+
+        // Check if scripts are already loaded but just not ready yet
         try {
-          await browser.tabs.sendMessage(tab.id, {
-            action: 'extractText',
-            mode: this.state.mode
+          const checkResults = await browser.scripting.executeScript({
+            target: { tabId: tab.id },
+            func: () => typeof window.VoxPage !== 'undefined' && !!window.VoxPage.contentExtractor
           });
-        } catch (sendError) {
-          console.warn('Content script not responding:', sendError.message);
-
-          // Check if scripts are already loaded but just not ready yet
-          try {
-            const checkResults = await browser.scripting.executeScript({
-              target: { tabId: tab.id },
-              func: () => typeof window.VoxPage !== 'undefined' && !!window.VoxPage.contentExtractor
-            });
 
-            const scriptsLoaded = checkResults?.[0]?.result;
-            console.log('Scripts already loaded:', scriptsLoaded);
-
-            if (!scriptsLoaded) {
-              // Scripts not loaded, inject them
-              console.log('Injecting content scripts into tab', tab.id);
-              await browser.scripting.executeScript({
-                target: { tabId: tab.id },
-                files: [
-                  'content/readability-check.js',
-                  'content/readability.js',
-                  'content/floating-controller.js',
-                  'content/sticky-footer.js',
-                  'content/content-scorer.js',
-                  'content/content-extractor.js',
-                  'content/highlight-manager.js',
-                  'content/paragraph-selector.js',
-                  'content/index.js'
-                ]
-              });
-
-              await browser.scripting.insertCSS({
-                target: { tabId: tab.id },
-                files: ['styles/content.css']
-              });
-              console.log('Scripts and CSS injected');
-            }
-
-            // Wait for scripts to initialize
-            await new Promise(resolve => setTimeout(resolve, 300));
-
-            // Retry sending the message
-            console.log('Retrying message to content script');
-            await browser.tabs.sendMessage(tab.id, {
-              action: 'extractText',
-              mode: this.state.mode
+          const scriptsLoaded = checkResults?.[0]?.result;
+          console.log('Scripts already loaded:', scriptsLoaded);
+
+          if (!scriptsLoaded) {
+            // Scripts not loaded, inject them
+            console.log('Injecting content scripts into tab', tab.id);
+            await browser.scripting.executeScript({
+              target: { tabId: tab.id, allFrames: true },
+              files: [
+                'content/readability-check.js',
+                'content/readability.js',
+                'content/floating-controller.js',
+                'content/sticky-footer.js',
+                'content/reader-view.js',
+                'content/content-scorer.js',
+                'content/content-extractor.js',
+                'content/highlight-manager.js',
+                'content/paragraph-selector.js',
+                'content/rule-picker.js',
+                'content/frame-collector.js',
+                'content/page-follower.js',
+                'content/index.js'
+              ]
             });
-            console.log('Message sent successfully');
-          } catch (injectError) {
-            console.error('Failed to communicate with content scripts:', injectError);
-            console.error('Tab URL:', tab.url);
-            getLogger().error('Failed to communicate with content scripts', 'background', {
-              error: injectError.message,
-              tabUrl: tab.url,
+
+            await browser.scripting.insertCSS({
+              target: { tabId: tab.id, allFrames: true },
+              files: ['styles/content.css']
             });
-            this.uiCoordinator?.notifyError('Could not access page content. Try refreshing the page.');
+            console.log('Scripts and CSS injected');
           }
+
+          // Wait for scripts to initialize
+          await new Promise(resolve => setTimeout(resolve, 300));
+
+          // Retry sending the message
+          console.log('Retrying message to content script');
+          await browser.tabs.sendMessage(tab.id, {
+            action: 'extractText',
+            mode: mode,
+            extractionRule,
+            contentBlocks,
+            followPage: followsPage,
+            exportId
+          });
+          console.log('Message sent successfully');
+        } catch (injectError) {
+          console.error('Failed to communicate with content scripts:', injectError);
+          console.error('Tab URL:', tab.url);
+          getLogger().error('Failed to communicate with content scripts', 'background', {
+            error: injectError.message,
+            tabUrl: tab.url,
+          });
+          this.uiCoordinator?.notifyError('Could not access page content. Try refreshing the page.');
+          return false;
         }
       }
-    } catch (error) {
-      console.error('Play error:', error);
-      getLogger().error('Play error', 'background', {
-        error: error.message,
-        mode: this.state.mode,
-        provider: this.state.currentProvider,
-      });
-      this.uiCoordinator?.notifyError(error.message);
+      return true;
     }
+    return false;
   }
 
   /**
    * Process text content and start playback
    * @param {string} text - Text to read
    * @param {string} mode - Extraction mode
+   * @param {string[]|null} [paragraphs] - Paragraph texts from the DOM
+   * @param {string[]|null} [paragraphTags] - Tag name per paragraph, aligned with paragraphs
+   * @param {Object} [source] - Tab the text came from
+   * @param {number|null} [source.tabId]
+   * @param {string} [source.url]
+   * @param {Array<{frameId: number, index: number}>} [source.paragraphFrames] - Frame and
+   *   frame-local index per paragraph, aligned with paragraphs (for highlighting)
+   * @param {number} [source.exportId] - Export the text was extracted for
+   * @param {Array<{quote: boolean, emphasis: Array}>|null} [paragraphMarkup] - Structure per
+   *   paragraph, aligned with paragraphs (for speech markup)
    */
-  async processTextContent(text, mode, paragraphs = null) {
+  async processTextContent(text, mode, paragraphs = null, paragraphTags = null, source = {}, paragraphMarkup = null) {
+    // Text for an export that was cancelled or timed out is not played either
+    if (source.exportId !== undefined && source.exportId !== this.pendingExport?.id) {
+      return;
+    }
+
     if (!text || text.trim().length === 0) {
+      if (source.exportId !== undefined) {
+        this._clearPendingExport();
+      }
+      this.pendingQueueStart = null;
+      this.pendingResume = false;
       this.uiCoordinator?.notifyError('No text found to read');
       return;
     }
 
     // Use provided paragraphs array if available (for accurate DOM index sync)
     // Otherwise fall back to splitting text (legacy behavior)
+    let resolvedParagraphs;
+    let resolvedTags = null;
+    let resolvedMarkup = null;
+    let resolvedFrames = [];
     if (paragraphs && Array.isArray(paragraphs) && paragraphs.length > 0) {
       // Use exact paragraph boundaries from DOM for highlight sync
-      this.state.paragraphs = paragraphs.filter(p => p && p.trim().length > 0);
-      console.log(`VoxPage: Using ${this.state.paragraphs.length} DOM-synced paragraphs`);
+      const keep = paragraphs.map(p => Boolean(p && p.trim().length > 0));
+      resolvedParagraphs = paragraphs.filter((p, i) => keep[i]);
+      if (Array.isArray(paragraphTags) && paragraphTags.length === paragraphs.length) {
+        resolvedTags = paragraphTags.filter((tag, i) => keep[i]);
+      }
+      if (Array.isArray(paragraphMarkup) && paragraphMarkup.length === paragraphs.length) {
+        resolvedMarkup = paragraphMarkup.filter((markup, i) => keep[i]);
+      }
+      if (Array.isArray(source.paragraphFrames) && source.paragraphFrames.length === paragraphs.length) {
+        resolvedFrames = source.paragraphFrames.filter((target, i) => keep[i]);
+      }
+      console.log(`VoxPage: Using ${resolvedParagraphs.length} DOM-synced paragraphs`);
     } else {
       // Fallback: split text (may cause highlight index mismatch)
-      this.state.paragraphs = this._splitIntoParagraphs(text);
-      console.log(`VoxPage: Using ${this.state.paragraphs.length} text-split paragraphs (fallback)`);
+      resolvedParagraphs = this._splitIntoParagraphs(text);
+      console.log(`VoxPage: Using ${resolvedParagraphs.length} text-split paragraphs (fallback)`);
+    }
+
+    // Text requested for an export: render it without touching playback state
+    if (source.exportId !== undefined) {
+      await this._runExport(resolvedParagraphs, resolvedTags, resolvedMarkup);
+      return;
+    }
+
+    // Keep the place in the article being replaced
+    if (this.state.isPlaying || this.state.isPaused) {
+      this._saveReadingPosition();
+    }
+
+    if (this.pendingCostConfirmation) {
+      this.pendingCostConfirmation = null;
+      this.uiCoordinator?.notifyCostConfirmationResolved();
+    }
+
+    this.state.paragraphs = resolvedParagraphs;
+    this.uiCoordinator?.setParagraphFrames?.(resolvedFrames);
+    this.spokenParagraphs = [];
+    this.paragraphStyles = describeParagraphs(resolvedTags, resolvedMarkup, resolvedParagraphs.length);
+    // An open reader view switches to the new article
+    if (this.uiCoordinator?.readerViewOpen) {
+      await this.openReaderView();
+    }
+    this.providerFallback.reset();
+    this.stopAtIndex = null;
+    this.playbackTabId = source.tabId ?? null;
+    this.playbackUrl = mode === 'selection' ? null : source.url || null;
+    this.pendingWordSeek = null;
+
+    // Queued pages and explicit resumes continue where they were left
+    let startIndex = 0;
+    const queueStart = this.pendingQueueStart;
+    const resume = this.pendingResume || !!queueStart;
+    this.pendingQueueStart = null;
+    this.pendingResume = false;
+
+    if (queueStart) {
+      this.activeQueueItemId = queueStart.itemId;
+      startIndex = Math.min(queueStart.startIndex, resolvedParagraphs.length - 1);
+    }
+    if (resume) {
+      const located = await this._locateResumePosition(resolvedParagraphs);
+      if (located) {
+        startIndex = located.paragraphIndex;
+        this.pendingWordSeek = located.wordIndex || null;
+      }
+    }
+
+    // Long paid articles wait for the user to confirm the estimated cost
+    const confirmation = await this._getCostConfirmation(resolvedParagraphs.slice(startIndex));
+    if (confirmation) {
+      this._awaitCostConfirmation(startIndex, confirmation);
+      return;
+    }
+
+    await this._startArticle(startIndex);
+  }
+
+  /**
+   * Start reading the loaded paragraphs
+   * @param {number} startIndex - First paragraph to read
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _startArticle(startIndex) {
+    const endIndex = this.stopAtIndex ?? this.state.paragraphs.length;
+    if (!(await this._checkArticleBudget(this.state.paragraphs.slice(startIndex, endIndex)))) {
+      this.handleStop();
+      return;
     }
 
     // T023: Get language before starting playback (019-multilingual-tts)
     await this._getCurrentLanguage();
+    this.spokenParagraphs = await this._normalizeParagraphs(this.state.paragraphs);
+    this.speechMarkupEnabled = (await settingsStore.load()).speechMarkupEnabled;
 
-    this.state.currentIndex = 0;
+    this.state.currentIndex = startIndex;
     this.state.audioQueue = [];
     this.state.status = PlaybackStatus.LOADING;
     this.state.isPlaying = true;
     this.state.isPaused = false;
     this.state.startTime = Date.now();
 
+    this._buildParagraphTimeline();
+
+    this.uiCoordinator?.notifyPlaybackState(this.state, true);
+    // T027: Show sticky footer on playback start (018-ui-redesign)
+    this.uiCoordinator?.showStickyFooter();
+    // Keep legacy floating controller for backwards compatibility
+    this.uiCoordinator?.showFloatingController();
+
+    await this._playCurrentParagraph();
+  }
+
+  /**
+   * Estimate the article's duration and build the paragraph timeline for sync
+   * @private
+   */
+  _buildParagraphTimeline() {
     // Estimate total duration (rough: ~150 words per minute)
-    const wordCount = text.split(/\s+/).length;
+    const wordCount = this.state.paragraphs.join(' ').split(/\s+/).length;
     this.state.totalDuration = (wordCount / 150) * 60;
 
-    // Build paragraph timeline for sync
     this.syncState.buildParagraphTimeline(
       this.state.paragraphs,
       this.state.totalDuration * 1000
     );
+  }
 
-    this.uiCoordinator?.notifyPlaybackState(this.state, true);
-    // T027: Show sticky footer on playback start (018-ui-redesign)
-    this.uiCoordinator?.showStickyFooter();
-    // Keep legacy floating controller for backwards compatibility
-    this.uiCoordinator?.showFloatingController();
+  /**
+   * Build the cost confirmation for an article, if it needs one
+   * Only asked when cost estimates are enabled and the estimate for the
+   * paragraphs left to read is above the user's threshold.
+   * @param {string[]} paragraphs - Paragraphs about to be read
+   * @returns {Promise<Object|null>} Confirmation details, or null to play straight away
+   * @private
+   */
+  async _getCostConfirmation(paragraphs) {
+    const providerId = this.state.currentProvider;
+    if (this.audioGenerator?.isBrowserTTS(providerId)) return null;
+
+    const { showCostEstimate, costConfirmThreshold } = await settingsStore.load();
+    if (!showCostEstimate) return null;
+
+    const text = paragraphs.join('\n\n');
+    const estimate = estimateCost(text, providerId);
+    if (estimate.raw <= costConfirmThreshold) return null;
+
+    const nameOf = (id) => this.providerRegistry?.getProvider(id)?.constructor.name || id;
+    const readyIds = this.providerRegistry.getProviderIds().filter(id => {
+      const provider = this.providerRegistry.getProvider(id);
+      if (id === providerId || !provider) return false;
+      if (provider.constructor.requiresApiKey && !provider.hasApiKey()) return false;
+      return typeof provider.isConfigured !== 'function' || provider.isConfigured();
+    });
 
-    await this._playCurrentParagraph();
+    return {
+      provider: providerId,
+      providerName: nameOf(providerId),
+      characters: estimate.characters,
+      cost: estimate.formatted,
+      threshold: formatCost(costConfirmThreshold),
+      paragraphCount: paragraphs.length,
+      affordableParagraphs: Math.max(1, countParagraphsWithinCost(paragraphs, providerId, costConfirmThreshold)),
+      alternatives: compareCosts(text, readyIds)
+        .filter(alternative => alternative.raw < estimate.raw)
+        .map(alternative => ({
+          provider: alternative.provider,
+          name: nameOf(alternative.provider),
+          cost: alternative.formatted
+        }))
+    };
+  }
+
+  /**
+   * Hold playback until the user answers the cost confirmation
+   * @param {number} startIndex - Paragraph playback will start from
+   * @param {Object} confirmation - Details from _getCostConfirmation()
+   * @private
+   */
+  _awaitCostConfirmation(startIndex, confirmation) {
+    this._stopCurrentPlayback();
+    this.state.isPlaying = false;
+    this.state.isPaused = false;
+    this.state.currentIndex = startIndex;
+    this.state.status = PlaybackStatus.STOPPED;
+    this.pendingCostConfirmation = { startIndex, wordSeek: this.pendingWordSeek, details: confirmation };
+
+    getLogger().info('Waiting for cost confirmation', 'background', {
+      provider: confirmation.provider,
+      characters: confirmation.characters,
+      cost: confirmation.cost
+    });
+
+    this.uiCoordinator?.notifyPlaybackState(this.state, false);
+    this.uiCoordinator?.requestCostConfirmation(confirmation, this.playbackTabId);
+  }
+
+  /**
+   * Start the article waiting for cost confirmation
+   * @param {Object} [options]
+   * @param {number|null} [options.paragraphLimit] - Read only this many paragraphs
+   * @param {string} [options.provider] - Read with a cheaper provider instead
+   * @returns {Promise<void>}
+   */
+  async confirmCostPlayback({ paragraphLimit = null, provider = null } = {}) {
+    const pending = this.pendingCostConfirmation;
+    if (!pending) return;
+    this.pendingCostConfirmation = null;
+    this.uiCoordinator?.notifyCostConfirmationResolved();
+
+    if (provider) {
+      this.setProvider(provider);
+    }
+    const limit = Math.floor(Number(paragraphLimit));
+    if (limit > 0) {
+      this.stopAtIndex = Math.min(pending.startIndex + limit, this.state.paragraphs.length);
+    }
+    this.pendingWordSeek = pending.wordSeek;
+
+    getLogger().info('Cost confirmed', 'background', {
+      provider: this.state.currentProvider,
+      paragraphLimit
+    });
+    await this._startArticle(pending.startIndex);
+  }
+
+  /**
+   * Drop the article waiting for cost confirmation
+   */
+  cancelCostPlayback() {
+    if (!this.pendingCostConfirmation) return;
+    this.pendingCostConfirmation = null;
+    this.uiCoordinator?.notifyCostConfirmationResolved();
+    this._detachQueueItem();
+    this.uiCoordinator?.hideStickyFooter();
   }
 
   /**
    * Handle pause
    */
   handlePause() {
+    this._saveReadingPosition(this.syncState.currentWordIndex || 0);
+
     this.state.isPaused = true;
     this.state.isPlaying = false;
     this.state.status = PlaybackStatus.PAUSED;
 
-    if (this.audioGenerator?.isBrowserTTS(this.state.currentProvider)) {
-      this.audioGenerator.pauseBrowserTTS();
+    if (this.audioGenerator?.isBrowserTTS(this._getSpeakingProvider())) {
+      // Engines pause unreliably; resuming speaks again from the current word
+      this.audioGenerator.stopBrowserTTS();
     } else if (this.state.currentAudio) {
       this.state.currentAudio.pause();
     }
@@ -375,13 +968,14 @@ export class PlaybackController {
       this.state.isPlaying = true;
       this.state.status = PlaybackStatus.PLAYING;
 
-      if (this.audioGenerator?.isBrowserTTS(this.state.currentProvider)) {
-        this.audioGenerator.resumeBrowserTTS();
-      } else if (this.state.currentAudio) {
-        this.state.currentAudio.play();
+      if (this.audioGenerator?.isBrowserTTS(this._getSpeakingProvider())) {
+        this.pendingWordSeek = this.syncState.currentWordIndex || 0;
+        this._playCurrentParagraph();
+      } else {
+        this.state.currentAudio?.play();
+        this.syncState.resume();
       }
 
-      this.syncState.resume();
       this.uiCoordinator?.notifyPlaybackState(this.state, true);
     }
   }
@@ -390,12 +984,23 @@ export class PlaybackController {
    * Handle stop
    */
   handleStop() {
+    if (this.pendingCostConfirmation) {
+      this.pendingCostConfirmation = null;
+      this.uiCoordinator?.notifyCostConfirmationResolved();
+    }
+    this.stopAtIndex = null;
+
+    if (this.state.isPlaying || this.state.isPaused) {
+      this._saveReadingPosition(this.syncState.currentWordIndex || 0);
+    }
+    this._detachQueueItem();
+
     this.state.isPlaying = false;
     this.state.isPaused = false;
     this.state.currentIndex = 0;
     this.state.status = PlaybackStatus.STOPPED;
 
-    if (this.audioGenerator?.isBrowserTTS(this.state.currentProvider)) {
+    if (this.audioGenerator?.isBrowserTTS(this._getSpeakingProvider())) {
       this.audioGenerator.stopBrowserTTS();
     } else if (this.state.currentAudio) {
       this.state.currentAudio.pause();
@@ -404,11 +1009,13 @@ export class PlaybackController {
 
     this.syncState.reset();
     this.uiCoordinator?.clearHighlight();
+    this.uiCoordinator?.stopFollowingPage?.(this.playbackTabId);
     this.uiCoordinator?.notifyPlaybackState(this.state, false);
     // T028: Hide sticky footer on stop (018-ui-redesign)
     this.uiCoordinator?.hideStickyFooter();
     // Keep legacy floating controller for backwards compatibility
     this.uiCoordinator?.hideFloatingController();
+    this.metrics?.emit();
   }
 
   /**
@@ -470,6 +1077,11 @@ export class PlaybackController {
    * @param {number} wordIndex
    */
   jumpToWord(paragraphIndex, wordIndex) {
+    if (this.audioGenerator?.isBrowserTTS(this._getSpeakingProvider())) {
+      this._jumpToBrowserWord(paragraphIndex, wordIndex);
+      return;
+    }
+
     if (paragraphIndex !== this.state.currentIndex) {
       this.jumpToParagraph(paragraphIndex);
     }
@@ -484,23 +1096,174 @@ export class PlaybackController {
   }
 
   /**
-   * Play from a specific paragraph (from paragraph selector)
-   * Starts playback from the selected paragraph
-   * @param {number} index - Paragraph index to start from
-   * @param {Object} tab - Source tab
+   * Jump to a word when reading with browser TTS
+   * Utterances cannot seek, so the paragraph is spoken again from the word.
+   * @param {number} paragraphIndex
+   * @param {number} wordIndex
+   * @private
    */
-  async playFromParagraph(index, tab) {
-    console.log(`VoxPage: Playing from paragraph ${index}`);
-
-    if (this.state.paragraphs.length === 0) {
-      // No paragraphs loaded - need to extract first
-      console.log('VoxPage: No paragraphs loaded, cannot play from paragraph');
-      this.uiCoordinator?.notifyError('Please extract text first before playing');
+  _jumpToBrowserWord(paragraphIndex, wordIndex) {
+    if (!this.state.isPlaying && !this.state.isPaused) {
+      this.jumpToParagraph(paragraphIndex);
       return;
     }
+    if (paragraphIndex < 0 || paragraphIndex >= this.state.paragraphs.length) return;
 
-    if (index < 0 || index >= this.state.paragraphs.length) {
-      console.log(`VoxPage: Invalid paragraph index ${index}`);
+    this._stopCurrentPlayback();
+    this.state.currentIndex = paragraphIndex;
+    this.syncState.seekToParagraph(paragraphIndex);
+    this._updateProgress();
+
+    this.state.isPlaying = true;
+    this.state.isPaused = false;
+    this.uiCoordinator?.notifyPlaybackState(this.state, true);
+    this.pendingWordSeek = wordIndex;
+    this._playCurrentParagraph();
+  }
+
+  /**
+   * Append paragraphs a followed page added while it is read
+   * Reading goes on without restarting: the new paragraphs are read after
+   * the ones already loaded.
+   * @param {Object} content - pageContentAdded message
+   * @param {string[]} content.paragraphs
+   * @param {string[]} [content.paragraphTags]
+   * @param {Array<{quote: boolean, emphasis: Array}>} [content.paragraphMarkup]
+   * @param {Array<{frameId: number, index: number}>} [content.paragraphFrames]
+   * @param {Object} [tab] - Tab the content was added to
+   * @returns {Promise<void>}
+   */
+  async appendParagraphs(content, tab) {
+    const paragraphs = content.paragraphs || [];
+    if (paragraphs.length === 0 || !this._isReadingTab(tab)) return;
+
+    const aligned = list => (Array.isArray(list) && list.length === paragraphs.length ? list : null);
+    const spoken = await this._normalizeParagraphs(paragraphs);
+    if (!this._isReadingTab(tab)) return;
+
+    const offset = this.state.paragraphs.length;
+    this.state.paragraphs = [...this.state.paragraphs, ...paragraphs];
+    this.paragraphStyles = [
+      ...this.paragraphStyles,
+      ...describeParagraphs(aligned(content.paragraphTags), aligned(content.paragraphMarkup), paragraphs.length)
+    ];
+    // Reading may not have normalized the article yet; it then does all of it
+    if (this.spokenParagraphs.length === offset) {
+      this.spokenParagraphs = [...this.spokenParagraphs, ...spoken];
+    }
+    this.uiCoordinator?.appendParagraphFrames?.(aligned(content.paragraphFrames) || [], offset);
+    this._buildParagraphTimeline();
+    this._updateProgress();
+    getLogger().info('Followed page added paragraphs', 'background', { added: paragraphs.length, total: this.state.paragraphs.length });
+
+    if (this.uiCoordinator?.readerViewOpen) {
+      await this.openReaderView(tab);
+    }
+  }
+
+  /**
+   * React to a followed single-page app moving to another view
+   * Reads the new view from its start, or stops, as set in followPageNavigation.
+   * @param {{url: string, title?: string}} navigation - pageNavigated message
+   * @param {Object} [tab] - Tab that navigated
+   * @returns {Promise<void>}
+   */
+  async handlePageNavigation(navigation, tab) {
+    if (!this._isReadingTab(tab)) return;
+
+    const { followPageNavigation } = await settingsStore.load();
+    getLogger().info('Followed page navigated', 'background', { action: followPageNavigation });
+    if (followPageNavigation === 'reset') {
+      this.handleStop();
+      return;
+    }
+    await this._requestTextFromTab({ ...tab, url: navigation.url, title: navigation.title ?? tab.title }, this.state.mode);
+  }
+
+  /**
+   * Whether a tab is the one being read
+   * @param {Object} [tab]
+   * @returns {boolean}
+   * @private
+   */
+  _isReadingTab(tab) {
+    return (this.state.isPlaying || this.state.isPaused) &&
+      tab?.id !== undefined && tab.id === this.playbackTabId;
+  }
+
+  /**
+   * Open or close the reader view overlay (from the sticky footer)
+   * @param {Object} [tab] - Tab the footer is on
+   * @returns {Promise<void>}
+   */
+  async toggleReaderView(tab) {
+    if (this.uiCoordinator?.readerViewOpen) {
+      await this.closeReaderView(tab);
+    } else {
+      await this.openReaderView(tab);
+    }
+  }
+
+  /**
+   * Render the loaded article in the reader view overlay
+   * @param {Object} [tab] - Tab to show it on (the active tab when omitted)
+   * @returns {Promise<void>}
+   */
+  async openReaderView(tab) {
+    if (this.state.paragraphs.length === 0) {
+      this.uiCoordinator?.notifyError('Start reading a page to open the reader view');
+      return;
+    }
+
+    const { readerTheme, readerFontFamily, readerFontSize } = await settingsStore.load();
+    await this.uiCoordinator?.showReaderView(tab, {
+      paragraphs: this.state.paragraphs,
+      types: this.state.paragraphs.map((text, i) => this.paragraphStyles[i]?.type || 'paragraph'),
+      style: { theme: readerTheme, fontFamily: readerFontFamily, fontSize: readerFontSize }
+    });
+    this._highlightCurrentParagraph();
+  }
+
+  /**
+   * Close the reader view overlay and highlight the page again
+   * @param {Object} [tab] - Tab showing it
+   * @param {Object} [options]
+   * @param {boolean} [options.notifyPage=true] - False when the page closed it itself
+   * @returns {Promise<void>}
+   */
+  async closeReaderView(tab, { notifyPage = true } = {}) {
+    await this.uiCoordinator?.hideReaderView(tab, notifyPage);
+    this._highlightCurrentParagraph();
+  }
+
+  /**
+   * Highlight the paragraph being read, where it is currently shown
+   * @private
+   */
+  _highlightCurrentParagraph() {
+    if (!this.state.isPlaying && !this.state.isPaused) return;
+    const index = this.state.currentIndex;
+    this.uiCoordinator?.highlightParagraph(index, this.state.paragraphs[index]);
+  }
+
+  /**
+   * Play from a specific paragraph (from paragraph selector)
+   * Starts playback from the selected paragraph
+   * @param {number} index - Paragraph index to start from
+   * @param {Object} tab - Source tab
+   */
+  async playFromParagraph(index, tab) {
+    console.log(`VoxPage: Playing from paragraph ${index}`);
+
+    if (this.state.paragraphs.length === 0) {
+      // No paragraphs loaded - need to extract first
+      console.log('VoxPage: No paragraphs loaded, cannot play from paragraph');
+      this.uiCoordinator?.notifyError('Please extract text first before playing');
+      return;
+    }
+
+    if (index < 0 || index >= this.state.paragraphs.length) {
+      console.log(`VoxPage: Invalid paragraph index ${index}`);
       return;
     }
 
@@ -593,6 +1356,194 @@ export class PlaybackController {
     }
   }
 
+  /**
+   * Play an item from the reading queue, resuming at its saved position.
+   * Opens the page in a tab (or switches to an open one) and extracts it.
+   * @param {string|null} [itemId] - Item to play; defaults to the head of the queue
+   */
+  async playQueueItem(itemId = null) {
+    if (!this.readingQueue) return;
+
+    const { items } = await this.readingQueue.getAll();
+    const item = itemId ? items.find(entry => entry.id === itemId) : items[0];
+    if (!item) {
+      this.uiCoordinator?.notifyError('Your reading queue is empty');
+      return;
+    }
+
+    // Leave the current article without counting it as finished
+    if (this.state.isPlaying || this.state.isPaused) {
+      this.handleStop();
+    }
+
+    try {
+      const tab = await this._openQueueTab(item.url);
+      await this._waitForTabComplete(tab.id);
+      await this.readingQueue.setCurrent(item.id);
+
+      if (this.state.siteProfileOrigin) {
+        await this._restoreGlobalSettings();
+      }
+      await this._applySiteProfile({ ...tab, url: item.url });
+
+      this.pendingQueueStart = { itemId: item.id, startIndex: item.position?.paragraphIndex || 0 };
+      const mode = this.state.mode === 'selection' ? 'article' : this.state.mode;
+      const requested = await this._requestTextFromTab(tab, mode);
+      if (!requested) {
+        this.pendingQueueStart = null;
+      }
+    } catch (error) {
+      this.pendingQueueStart = null;
+      getLogger().error('Queue playback error', 'background', { error: error.message, url: item.url });
+      this.uiCoordinator?.notifyError(`Could not open queued page: ${error.message}`);
+    }
+  }
+
+  /**
+   * Handle a closed tab - stop only if it is the tab being read
+   * @param {number} tabId
+   */
+  handleTabClosed(tabId) {
+    if (this.playbackTabId !== null && this.playbackTabId !== tabId) {
+      return;
+    }
+    this.handleStop();
+  }
+
+  /**
+   * Switch to a tab showing the URL, or open one
+   * @param {string} url
+   * @returns {Promise<Object>} The tab
+   * @private
+   */
+  async _openQueueTab(url) {
+    const tabs = await browser.tabs.query({ currentWindow: true });
+    const existing = tabs.find(tab => tab.url === url);
+    if (existing) {
+      return browser.tabs.update(existing.id, { active: true });
+    }
+    return browser.tabs.create({ url, active: true });
+  }
+
+  /**
+   * Wait until a tab has finished loading
+   * @param {number} tabId
+   * @param {number} [timeoutMs=30000] - Give up waiting after this long
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _waitForTabComplete(tabId, timeoutMs = 30000) {
+    let listener;
+    let timer;
+    const loaded = new Promise((resolve) => {
+      listener = (updatedId, changeInfo) => {
+        if (updatedId === tabId && changeInfo.status === 'complete') resolve();
+      };
+      timer = setTimeout(resolve, timeoutMs);
+      browser.tabs.onUpdated.addListener(listener);
+    });
+
+    try {
+      const tab = await browser.tabs.get(tabId);
+      if (tab.status !== 'complete') {
+        await loaded;
+      }
+    } finally {
+      clearTimeout(timer);
+      browser.tabs.onUpdated.removeListener(listener);
+    }
+  }
+
+  /**
+   * Finish the current article and continue with the next queued page
+   * @private
+   */
+  async _onArticleFinished() {
+    const finishedId = this.activeQueueItemId;
+    // Detach first so handleStop does not save a position for a finished page
+    this.activeQueueItemId = null;
+    if (this.playbackUrl) {
+      this.readingPositions?.clear(this.playbackUrl);
+      this.playbackUrl = null;
+    }
+    this.handleStop();
+
+    if (!finishedId || !this.readingQueue) return;
+
+    const next = await this.readingQueue.complete(finishedId);
+    if (next) {
+      getLogger().info('Reading queue advancing', 'background', { url: next.url });
+      await this.playQueueItem(next.id);
+    }
+  }
+
+  /**
+   * Save where reading is on the current URL
+   * @param {number} [wordIndex=0] - Word within the current paragraph
+   * @private
+   */
+  _saveReadingPosition(wordIndex = 0) {
+    if (!this.playbackUrl || this.state.currentIndex >= this.state.paragraphs.length) return;
+
+    this.readingPositions?.save(this.playbackUrl, {
+      paragraphs: this.state.paragraphs,
+      paragraphIndex: this.state.currentIndex,
+      wordIndex,
+      mode: this.state.mode
+    });
+  }
+
+  /**
+   * Find the saved position for the current URL in freshly extracted paragraphs
+   * @param {string[]} paragraphs
+   * @returns {Promise<{paragraphIndex: number, wordIndex: number}|null>} Null when nothing was saved
+   * @private
+   */
+  async _locateResumePosition(paragraphs) {
+    if (!this.playbackUrl || !this.readingPositions) return null;
+
+    const saved = await this.readingPositions.get(this.playbackUrl);
+    if (!saved) return null;
+
+    const located = locateParagraph(paragraphs, saved);
+    if (!located) {
+      getLogger().info('Saved paragraph no longer on page', 'background', {
+        paragraphIndex: saved.paragraphIndex
+      });
+      this.uiCoordinator?.notifyStatus('This page changed since you last read it. Starting from the beginning.');
+      return { paragraphIndex: 0, wordIndex: 0 };
+    }
+
+    return {
+      paragraphIndex: located.paragraphIndex,
+      // Word offsets only carry over when the paragraph text is unchanged
+      wordIndex: located.exact ? saved.wordIndex : 0
+    };
+  }
+
+  /**
+   * Save the reading position of the active queue item
+   * @private
+   */
+  _saveQueuePosition() {
+    this.readingQueue?.savePosition(
+      this.activeQueueItemId,
+      this.state.currentIndex,
+      this.state.paragraphs.length
+    );
+  }
+
+  /**
+   * Stop tracking the active queue item, keeping its position for later
+   * @private
+   */
+  _detachQueueItem() {
+    if (!this.activeQueueItemId) return;
+    this._saveQueuePosition();
+    this.readingQueue?.setCurrent(null);
+    this.activeQueueItemId = null;
+  }
+
   /**
    * Handle setting onboarding complete
    */
@@ -612,10 +1563,14 @@ export class PlaybackController {
    * @private
    */
   async _playCurrentParagraph() {
-    if (!this.state.isPlaying || this.state.currentIndex >= this.state.paragraphs.length) {
+    if (!this.state.isPlaying) {
       this.handleStop();
       return;
     }
+    if (this.state.currentIndex >= this.state.paragraphs.length) {
+      await this._onArticleFinished();
+      return;
+    }
 
     const text = this.state.paragraphs[this.state.currentIndex];
     this.state.status = PlaybackStatus.LOADING;
@@ -623,32 +1578,34 @@ export class PlaybackController {
     // Reset word highlight tracking
     this.uiCoordinator?.resetWordHighlightTracking();
 
+    const speaker = this._resolveSpeaker();
+    const rendered = this._renderParagraph(this.state.currentIndex, speaker.provider);
+
     try {
       // Highlight current paragraph
       this.uiCoordinator?.highlightParagraph(this.state.currentIndex, text);
       this.uiCoordinator?.notifyParagraphChanged(this.state.currentIndex, this.state.paragraphs.length);
 
-      if (this.audioGenerator?.isBrowserTTS(this.state.currentProvider)) {
-        // T023: Pass languageCode to browser TTS (019-multilingual-tts)
-        await this.audioGenerator.playWithBrowserTTS(
-          text,
-          this.state.currentVoice,
-          this.state.speed,
-          this.state.languageCode
-        );
-        this._onParagraphEnded();
+      if (this.audioGenerator?.isBrowserTTS(speaker.provider)) {
+        await this._playWithBrowserTTS(rendered, speaker);
       } else {
-        await this._playWithTTSProvider(text);
+        await this._playWithTTSProvider(rendered.spoken, speaker);
       }
     } catch (error) {
       console.error('Playback error:', error);
 
+      // Retry this paragraph with the next provider in the fallback order
+      if (await this._fallBackFrom(speaker.provider, error)) {
+        this._playCurrentParagraph();
+        return;
+      }
+
       // T023: Handle LanguageNotSupportedError specially (019-multilingual-tts)
       if (error instanceof LanguageNotSupportedError) {
         const compatibleList = error.compatibleProviders.length > 0
           ? ` Try: ${error.compatibleProviders.join(', ')}`
           : '';
-        const errorMsg = `${this.state.currentProvider} doesn't support ${error.languageCode}.${compatibleList}`;
+        const errorMsg = `${speaker.provider} doesn't support ${error.languageCode}.${compatibleList}`;
         getLogger().warn('Language not supported', 'background', {
           languageCode: error.languageCode,
           provider: error.providerId,
@@ -659,9 +1616,20 @@ export class PlaybackController {
         return;
       }
 
+      if (error instanceof BudgetExceededError) {
+        getLogger().warn('Spending cap reached', 'background', {
+          provider: error.providerId,
+          spent: error.spent,
+          cap: error.cap
+        });
+        this.uiCoordinator?.notifyError(error.message);
+        this.handleStop();
+        return;
+      }
+
       getLogger().error('Playback error', 'background', {
         error: error.message,
-        provider: this.state.currentProvider,
+        provider: speaker.provider,
         paragraphIndex: this.state.currentIndex,
         totalParagraphs: this.state.paragraphs.length,
       });
@@ -671,33 +1639,137 @@ export class PlaybackController {
     }
   }
 
+  /**
+   * Speak the current paragraph with browser TTS
+   * Word boundary events drive the highlight: the timeline is estimated up
+   * front and each boundary moves it to when the word was really spoken.
+   * A pending word seek starts the utterance at that word.
+   * @param {Object} rendered - Paragraph from _renderParagraph()
+   * @param {{provider: string, voice: string}} speaker - Provider and voice for this paragraph
+   * @private
+   */
+  async _playWithBrowserTTS(rendered, speaker) {
+    const token = ++this.browserSpeechToken;
+    const paragraphIndex = this.state.currentIndex;
+    // Stopped, moved on or started again since this utterance began
+    const superseded = () => token !== this.browserSpeechToken ||
+      !this.state.isPlaying || this.state.currentIndex !== paragraphIndex;
+
+    const timeline = createBoundaryWordTimeline(rendered.spoken.text, this.state.speed * rendered.rate);
+    const fromWord = Math.min(Math.max(this.pendingWordSeek || 0, 0), Math.max(timeline.length - 1, 0));
+    this.pendingWordSeek = null;
+
+    this.syncState.stop();
+    this._setupWordTimeline(rendered.spoken.mapWordTiming(timeline), null);
+
+    if (rendered.pauseBeforeMs > 0 && fromWord === 0) {
+      await this._waitForPause(rendered.pauseBeforeMs);
+      if (superseded()) return;
+    }
+
+    const baseMs = timeline[fromWord]?.startMs ?? 0;
+    const startedAt = Date.now();
+    let spokenWord = fromWord;
+    this.state.status = PlaybackStatus.PLAYING;
+    this.syncState.syncToBoundary(fromWord, baseMs);
+
+    // T023: Pass languageCode to browser TTS (019-multilingual-tts)
+    await this.audioGenerator.playWithBrowserTTS(
+      rendered.spoken.text,
+      speaker.voice,
+      this.state.speed,
+      this.state.languageCode,
+      { rate: rendered.rate, pitch: rendered.pitch },
+      {
+        startChar: timeline[fromWord]?.charOffset ?? 0,
+        onBoundary: (charIndex) => {
+          const wordIndex = findBoundaryWord(timeline, charIndex);
+          if (superseded() || wordIndex <= spokenWord) return;
+          spokenWord = wordIndex;
+          this.syncState.syncToBoundary(wordIndex, baseMs + Date.now() - startedAt);
+        }
+      }
+    );
+    if (superseded()) return;
+
+    await this._waitForPause(rendered.pauseAfterMs);
+    if (superseded()) return;
+    this._onParagraphEnded();
+  }
+
   /**
    * Play with TTS provider (non-browser)
-   * @param {string} text
+   * Uncached audio from streaming providers starts playing on the first
+   * chunk; everything else is generated in full first.
+   * @param {SpokenText} spoken - Paragraph as it is to be spoken
+   * @param {{provider: string, voice: string}} speaker - Provider and voice for this paragraph
    * @private
    */
-  async _playWithTTSProvider(text) {
-    const cacheKey = audioCache.generateKey(
-      this.state.currentProvider,
-      this.state.currentVoice,
-      text
+  async _playWithTTSProvider(spoken, speaker) {
+    const text = spoken.text;
+    const cacheKey = audioCache.generateKey(speaker.provider, speaker.voice, text);
+
+    let cachedSegment = audioCache.get(cacheKey);
+    let cacheTier = CacheTier.MEMORY;
+
+    // Memory miss: fall back to the persistent tier and promote the hit
+    if (!cachedSegment) {
+      const persisted = await persistentAudioCache.get(cacheKey);
+      if (persisted) {
+        cachedSegment = audioCache.set(cacheKey, persisted.audioData, persisted);
+      }
+      cacheTier = cachedSegment ? CacheTier.PERSISTENT : CacheTier.MISS;
+    } else {
+      this._persistMemoryHit(cacheKey, cachedSegment);
+    }
+    this.metrics?.recordCacheLookup(cacheTier);
+
+    // A resumed word offset needs word timing up front, which streams only deliver at the end
+    if (!cachedSegment && this.pendingWordSeek === null && this.audioGenerator.canStream(speaker.provider)) {
+      await this._playStreamedAudio(spoken, cacheKey, speaker);
+    } else {
+      await this._playBufferedAudio(spoken, cacheKey, cachedSegment, speaker);
+    }
+
+    // Pre-generate next paragraphs, never past the confirmed ones
+    this.audioGenerator.preGenerateNextParagraphs(
+      this.state.paragraphs
+        .slice(0, this.stopAtIndex ?? undefined)
+        .map((paragraph, index) => this._renderParagraph(index, speaker.provider).spoken.text),
+      this.state.currentIndex,
+      speaker.provider,
+      speaker.voice,
+      this.state.preGenerating,
+      (index) => this.uiCoordinator?.notifyPreGenerating(index)
     );
+  }
 
+  /**
+   * Play cached audio, or generate the whole paragraph and then play it
+   * @param {SpokenText} spoken
+   * @param {string} cacheKey
+   * @param {Object|null} cachedSegment
+   * @param {{provider: string, voice: string}} speaker
+   * @private
+   */
+  async _playBufferedAudio(spoken, cacheKey, cachedSegment, speaker) {
+    const text = spoken.text;
     let audioData;
     let wordTiming = null;
-    const cachedSegment = audioCache.get(cacheKey);
 
     if (cachedSegment) {
       audioData = cachedSegment.audioData;
-      wordTiming = cachedSegment.wordTiming || null;
+      wordTiming = cachedSegment.wordTiming || await this._estimateCachedWordTiming(cacheKey, cachedSegment);
       this.state.lastCacheHit = true;
       this.uiCoordinator?.notifyCacheHit(true);
     } else {
+      const requestedAt = Date.now();
+
       // T023: Pass languageCode to TTS provider (019-multilingual-tts)
       const result = await this.audioGenerator.generateAudioWithTiming(
         text,
-        this.state.currentProvider,
-        this.state.currentVoice,
+        speaker.provider,
+        speaker.voice,
         {
           speed: this.state.speed,
           languageCode: this.state.languageCode
@@ -708,20 +1780,101 @@ export class PlaybackController {
       wordTiming = result.wordTiming;
       this.state.lastCacheHit = false;
       this.uiCoordinator?.notifyCacheHit(false);
+      this._logTimeToFirstAudio(requestedAt, text, speaker.provider, false);
 
-      audioCache.set(cacheKey, audioData, {
-        provider: this.state.currentProvider,
-        voice: this.state.currentVoice,
+      this._cacheGeneratedAudio(cacheKey, audioData, {
+        provider: speaker.provider,
+        voice: speaker.voice,
         text: text,
         wordTiming: wordTiming
       });
     }
 
-    this._setupWordTimeline(wordTiming, cachedSegment);
+    // Cached timing is for the spoken text; highlighting needs page offsets
+    this._setupWordTimeline(spoken.mapWordTiming(wordTiming), cachedSegment);
 
     this.state.status = PlaybackStatus.PLAYING;
 
-    this.state.currentAudio = this.audioGenerator.playAudio(audioData, {
+    this.state.currentAudio = this.audioGenerator.playAudio(audioData, this._audioCallbacks());
+
+    this.syncState.start(this.state.currentAudio);
+
+    if (this.pendingWordSeek !== null) {
+      this.jumpToWord(this.state.currentIndex, this.pendingWordSeek);
+      this.pendingWordSeek = null;
+    }
+  }
+
+  /**
+   * Stream generated audio, starting playback on the first chunk
+   * Word timing (native or Groq) arrives once the stream is complete and is
+   * applied mid-paragraph; the full audio is cached as usual.
+   * @param {SpokenText} spoken
+   * @param {string} cacheKey
+   * @param {{provider: string, voice: string}} speaker
+   * @private
+   */
+  async _playStreamedAudio(spoken, cacheKey, speaker) {
+    const text = spoken.text;
+    const requestedAt = Date.now();
+    const paragraphIndex = this.state.currentIndex;
+    const { provider, voice } = speaker;
+
+    const audioStream = await this.audioGenerator.generateAudioStream(
+      text,
+      provider,
+      voice,
+      {
+        speed: this.state.speed,
+        languageCode: this.state.languageCode
+      }
+    );
+
+    this.state.lastCacheHit = false;
+    this.uiCoordinator?.notifyCacheHit(false);
+
+    const { audio, complete } = await this.audioGenerator.playAudioStream(audioStream, this._audioCallbacks());
+    this._logTimeToFirstAudio(requestedAt, text, provider, true);
+
+    // The rest still downloads in the background and is cached either way
+    complete
+      .then(async (audioData) => {
+        const wordTiming = (await audioStream.wordTiming) ||
+          await this.audioGenerator.extractWordTiming(audioData, text);
+
+        this._cacheGeneratedAudio(cacheKey, audioData, { provider, voice, text, wordTiming });
+
+        if (wordTiming?.length > 0 && this.state.currentAudio === audio) {
+          this._setupWordTimeline(spoken.mapWordTiming(wordTiming), null);
+        }
+      })
+      .catch((error) => {
+        getLogger().warn('Audio stream interrupted', 'background', {
+          error: error.message,
+          provider,
+          paragraphIndex
+        });
+      });
+
+    // Playback may have been stopped or moved on while the first chunk loaded
+    if (!this.state.isPlaying || this.state.currentIndex !== paragraphIndex) {
+      audio.pause();
+      return;
+    }
+
+    this._setupWordTimeline(null, null);
+    this.state.status = PlaybackStatus.PLAYING;
+    this.state.currentAudio = audio;
+    this.syncState.start(audio);
+  }
+
+  /**
+   * Playback callbacks shared by buffered and streamed audio
+   * @returns {Object}
+   * @private
+   */
+  _audioCallbacks() {
+    return {
       speed: this.state.speed,
       onEnded: () => this._onParagraphEnded(),
       onError: (error) => {
@@ -730,18 +1883,259 @@ export class PlaybackController {
       },
       onTimeUpdate: (audio) => this._onTimeUpdate(audio),
       onLoadedMetadata: (audio) => this._onLoadedMetadata(audio)
+    };
+  }
+
+  /**
+   * Store freshly generated audio in both cache tiers
+   * @param {string} cacheKey
+   * @param {ArrayBuffer} audioData
+   * @param {Object} metadata - provider, voice, text and wordTiming
+   * @private
+   */
+  _cacheGeneratedAudio(cacheKey, audioData, metadata) {
+    audioCache.set(cacheKey, audioData, metadata);
+    // Fire-and-forget: disk write failures only cost a future regeneration
+    persistentAudioCache.set(cacheKey, audioData, metadata);
+  }
+
+  /**
+   * Write a memory cache hit to disk if it is not there yet
+   * Audio cached before the disk tier (or whose write failed) would otherwise
+   * be generated and paid for again after a restart.
+   * @param {string} cacheKey
+   * @param {AudioSegment} segment
+   * @private
+   */
+  _persistMemoryHit(cacheKey, segment) {
+    persistentAudioCache.has(cacheKey).then((onDisk) => {
+      if (!onDisk) {
+        persistentAudioCache.set(cacheKey, segment.audioData, segment);
+      }
     });
+  }
 
-    this.syncState.start(this.state.currentAudio);
+  /**
+   * Build the spoken form of each paragraph
+   * Applies the pronunciation lexicon entries for the page and language,
+   * then the enabled built-in normalizers.
+   * @param {string[]} paragraphs - Paragraph texts from the page
+   * @param {string|null} [url] - Page URL (defaults to the page being read)
+   * @returns {Promise<SpokenText[]>}
+   * @private
+   */
+  async _normalizeParagraphs(paragraphs, url = this.playbackUrl) {
+    const { pronunciationLexicon, textNormalizers } = await settingsStore.load();
+    const options = {
+      lexicon: pronunciationLexicon,
+      normalizers: textNormalizers,
+      languageCode: this.state.languageCode,
+      url
+    };
+    return paragraphs.map(paragraph => normalizeText(paragraph, options));
+  }
 
-    // Pre-generate next paragraphs
-    this.audioGenerator.preGenerateNextParagraphs(
-      this.state.paragraphs,
-      this.state.currentIndex,
-      this.state.currentProvider,
-      this.state.currentVoice,
-      this.state.preGenerating,
-      (index) => this.uiCoordinator?.notifyPreGenerating(index)
+  /**
+   * Get the spoken form of a paragraph
+   * Falls back to the page text if reading started without normalizing.
+   * @param {number} index
+   * @returns {SpokenText}
+   * @private
+   */
+  _getSpokenParagraph(index) {
+    return this.spokenParagraphs[index] || new SpokenText(this.state.paragraphs[index]);
+  }
+
+  /**
+   * Get a paragraph as it is sent to a provider
+   * With speech markup on, the spoken text gets the provider's markup and
+   * browser TTS gets prosody and pauses; otherwise it is passed through.
+   * @param {number} index
+   * @param {string} providerId - Provider speaking the paragraph
+   * @returns {{spoken: SpokenText, rate: number, pitch: number, pauseBeforeMs: number, pauseAfterMs: number}}
+   * @private
+   */
+  _renderParagraph(index, providerId) {
+    return this._renderSpoken(
+      this._getSpokenParagraph(index),
+      this.paragraphStyles[index],
+      providerId,
+      this.speechMarkupEnabled
+    );
+  }
+
+  /**
+   * Render spoken text for a provider, with speech markup when enabled
+   * @param {SpokenText} spoken
+   * @param {Object|null} style - From describeParagraphs()
+   * @param {string} providerId
+   * @param {boolean} markupEnabled
+   * @returns {{spoken: SpokenText, rate: number, pitch: number, pauseBeforeMs: number, pauseAfterMs: number}}
+   * @private
+   */
+  _renderSpoken(spoken, style, providerId, markupEnabled) {
+    if (!markupEnabled) {
+      return renderSpeechMarkup(spoken, null, null);
+    }
+    const support = this.providerRegistry?.getProvider(providerId)?.constructor.speechMarkup ?? null;
+    return renderSpeechMarkup(spoken, style, support);
+  }
+
+  /**
+   * Wait between browser TTS utterances
+   * @param {number} ms
+   * @returns {Promise<void>}
+   * @private
+   */
+  _waitForPause(ms) {
+    return ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve();
+  }
+
+  /**
+   * Log time from requesting generation to audio starting
+   * @param {number} requestedAt - Date.now() when generation was requested
+   * @param {string} text - Paragraph text
+   * @param {string} provider - Provider that generated the audio
+   * @param {boolean} streamed - Whether playback started from a stream
+   * @private
+   */
+  _logTimeToFirstAudio(requestedAt, text, provider, streamed) {
+    const ttfaMs = Date.now() - requestedAt;
+    this.metrics?.recordTimeToFirstAudio(ttfaMs);
+    getLogger().info('Time to first audio', 'background', {
+      ttfaMs,
+      streamed,
+      provider,
+      paragraphIndex: this.state.currentIndex,
+      textLength: text.length
+    });
+  }
+
+  /**
+   * Pick the provider and voice for the current paragraph
+   * Announces a change of speaking provider (falling back or recovering).
+   * @returns {{provider: string, voice: string}}
+   * @private
+   */
+  _resolveSpeaker() {
+    const primary = this.state.currentProvider;
+    const provider = this.providerFallback.resolve(primary, this.state.languageCode) || primary;
+    const voice = provider === primary
+      ? this.state.currentVoice
+      : this.providerFallback.pickVoice(provider, this.state.languageCode);
+
+    const previous = this._getSpeakingProvider();
+    this.state.speakingProvider = provider;
+
+    if (provider !== previous) {
+      this._announceSpeakingProvider(provider, primary);
+    }
+
+    return { provider, voice };
+  }
+
+  /**
+   * Provider reading the current paragraph
+   * @returns {string}
+   * @private
+   */
+  _getSpeakingProvider() {
+    return this.state.speakingProvider || this.state.currentProvider;
+  }
+
+  /**
+   * Record a provider failure and check whether another provider can take over
+   * @param {string} providerId - Provider that failed
+   * @param {Error} error
+   * @returns {Promise<boolean>} Whether the paragraph should be retried
+   * @private
+   */
+  async _fallBackFrom(providerId, error) {
+    if (!this.state.isPlaying || !isFallbackError(error)) {
+      return false;
+    }
+
+    // Read on every failure so edits in the options page apply immediately
+    const { fallbackProviders } = await settingsStore.load();
+    this.providerFallback.setOrder(fallbackProviders);
+    if (this.providerFallback.order.length === 0) {
+      return false;
+    }
+
+    this.providerFallback.markFailed(providerId, error, this.state.languageCode);
+    const next = this.providerFallback.resolve(this.state.currentProvider, this.state.languageCode);
+    if (!next || next === providerId) {
+      return false;
+    }
+
+    getLogger().warn('Provider failed, falling back', 'background', {
+      failedProvider: providerId,
+      fallbackProvider: next,
+      error: error.message,
+      status: error.status,
+      paragraphIndex: this.state.currentIndex
+    });
+    return true;
+  }
+
+  /**
+   * Warn about, or refuse, an article whose estimated cost crosses a monthly cap
+   * Cached paragraphs are priced too, so the estimate errs high.
+   * @param {string[]} paragraphs - Paragraphs about to be read
+   * @returns {Promise<boolean>} Whether playback may start
+   * @private
+   */
+  async _checkArticleBudget(paragraphs) {
+    const providerId = this.state.currentProvider;
+    const provider = this.providerRegistry?.getProvider(providerId);
+    if (!this.usageLedger || !provider?.pricingModel) return true;
+
+    const cost = calculateCost(paragraphs.join(''), provider.pricingModel);
+    const budget = await this.usageLedger.checkBudget(providerId, cost);
+    if (budget.level === BudgetLevel.OK) return true;
+
+    getLogger().warn('Article crosses spending cap', 'background', {
+      provider: providerId,
+      level: budget.level,
+      spent: budget.spent,
+      projected: budget.projected,
+      cap: budget.cap
+    });
+
+    const name = provider.constructor.name;
+    const projected = formatCost(budget.projected);
+    if (budget.level === BudgetLevel.HARD) {
+      this.uiCoordinator?.notifyError(
+        `Reading this page with ${name} would bring this month's spend to ${projected}, over your ${formatCost(budget.cap)} limit`
+      );
+      return false;
+    }
+
+    this.uiCoordinator?.notifyStatus(
+      `This page brings ${name} spending to about ${projected} this month (warning at ${formatCost(budget.cap)})`,
+      'warning'
+    );
+    return true;
+  }
+
+  /**
+   * Tell the popup which provider is reading
+   * @param {string} provider - Provider now speaking
+   * @param {string} primary - Provider selected by the user
+   * @private
+   */
+  _announceSpeakingProvider(provider, primary) {
+    const nameOf = (id) => this.providerRegistry?.getProvider(id)?.constructor.name || id;
+
+    if (provider === primary) {
+      this.uiCoordinator?.notifyStatus(`${nameOf(primary)} is reading again`, 'info');
+      return;
+    }
+
+    const reason = this.providerFallback.getFailureReason(primary);
+    this.uiCoordinator?.notifyStatus(
+      `${nameOf(provider)} is reading: ${nameOf(primary)} unavailable${reason ? ` (${reason})` : ''}`,
+      'warning'
     );
   }
 
@@ -752,12 +2146,11 @@ export class PlaybackController {
    * @private
    */
   _setupWordTimeline(wordTiming, cachedSegment) {
-    if (wordTiming && wordTiming.length > 0) {
+    if (this.state.wordSyncEnabled && wordTiming && wordTiming.length > 0) {
       this.syncState.setWordTimeline(wordTiming);
       this.uiCoordinator?.sendWordTimeline(wordTiming, this.state.currentIndex);
 
-      const source = cachedSegment?.wordTiming ? 'cached' :
-        (this.groqTimestampProvider?.hasApiKey() ? 'groq' : 'native');
+      const source = this._wordTimingSource(wordTiming, cachedSegment);
       this.uiCoordinator?.notifyWordSyncStatus(true, source, this.syncState.driftMs, this.syncState.isDrifting);
 
       console.log('VoxPage: Word timeline set with', wordTiming.length, 'words');
@@ -768,6 +2161,39 @@ export class PlaybackController {
     }
   }
 
+  /**
+   * Name where a word timeline came from, for the sync status
+   * @param {Array} wordTiming
+   * @param {Object|null} cachedSegment
+   * @returns {'local'|'cached'|'groq'|'native'}
+   * @private
+   */
+  _wordTimingSource(wordTiming, cachedSegment) {
+    if (wordTiming[0]?.estimated) return 'local';
+    if (cachedSegment?.wordTiming) return 'cached';
+    return this.groqTimestampProvider?.hasApiKey() ? 'groq' : 'native';
+  }
+
+  /**
+   * Estimate word timing for cached audio that was stored without it
+   * The estimate is kept with the segment (in memory and on disk), so it is
+   * only made once.
+   * @param {string} cacheKey
+   * @param {AudioSegment} cachedSegment
+   * @returns {Promise<Array|null>}
+   * @private
+   */
+  async _estimateCachedWordTiming(cacheKey, cachedSegment) {
+    if (!this.state.wordSyncEnabled) return null;
+
+    const wordTiming = await this.audioGenerator.estimateWordTiming(cachedSegment.audioData, cachedSegment.text);
+    if (wordTiming) {
+      cachedSegment.wordTiming = wordTiming;
+      this._cacheGeneratedAudio(cacheKey, cachedSegment.audioData, cachedSegment);
+    }
+    return wordTiming;
+  }
+
   /**
    * Handle paragraph ended
    * @private
@@ -776,6 +2202,23 @@ export class PlaybackController {
     this.state.currentIndex++;
     this._updateProgress();
 
+    // Only part of the article was confirmed: stop and keep the place for later
+    if (this.stopAtIndex !== null && this.state.currentIndex >= this.stopAtIndex &&
+        this.state.currentIndex < this.state.paragraphs.length) {
+      this._saveReadingPosition();
+      this.state.isPlaying = false;
+      this.handleStop();
+      this.uiCoordinator?.notifyStatus('Stopped at the paragraph limit. Resume from the popup to read on.');
+      return;
+    }
+
+    if (this.state.currentIndex < this.state.paragraphs.length) {
+      this._saveReadingPosition();
+      if (this.activeQueueItemId) {
+        this._saveQueuePosition();
+      }
+    }
+
     if (this.state.isPlaying && !this.state.isPaused) {
       this._playCurrentParagraph();
     }
@@ -811,7 +2254,8 @@ export class PlaybackController {
    * @private
    */
   _onLoadedMetadata(audio) {
-    if (audio && audio.duration) {
+    // Streams report Infinity until their last chunk is buffered
+    if (audio && Number.isFinite(audio.duration) && audio.duration > 0) {
       const actualDurationMs = audio.duration * 1000;
       this.syncState.setCurrentParagraphDuration(actualDurationMs);
       console.log('VoxPage: Audio loaded, duration:', actualDurationMs.toFixed(0), 'ms');
@@ -823,7 +2267,7 @@ export class PlaybackController {
    * @private
    */
   _stopCurrentPlayback() {
-    if (this.audioGenerator?.isBrowserTTS(this.state.currentProvider)) {
+    if (this.audioGenerator?.isBrowserTTS(this._getSpeakingProvider())) {
       this.audioGenerator.stopBrowserTTS();
     } else if (this.state.currentAudio) {
       this.state.currentAudio.pause();
@@ -0,0 +1,315 @@
+/**
+ * Playback Metrics
+ * Aggregates playback performance for the current browser session:
+ * provider latency, time to first audio, highlight latency against the
+ * SyncConfig targets, drift corrections, audio cache hit rate and provider
+ * failures. Shown in the options page Diagnostics panel and, when
+ * `emitMetrics` is on in the logging config, sent through the remote logger
+ * when playback stops.
+ *
+ * Metrics live in memory only; they start over when the background restarts
+ * or the panel is reset.
+ *
+ * @module background/playback-metrics
+ */
+
+import { SyncConfig } from './constants.js';
+import { getLogger } from './remote-logger.js';
+
+/**
+ * Metrics configuration
+ */
+export const METRICS_CONFIG = {
+  // Histogram bucket upper bounds in ms; slower samples go in an overflow bucket
+  latencyBucketsMs: [25, 50, 100, 200, 500, 1000, 2000, 5000, 10000]
+};
+
+/**
+ * Cache tiers a paragraph can be served from
+ */
+export const CacheTier = Object.freeze({
+  MEMORY: 'memory',
+  PERSISTENT: 'persistent',
+  MISS: 'miss'
+});
+
+/**
+ * @typedef {Object} HistogramSnapshot
+ * @property {number} count - Samples recorded
+ * @property {number|null} meanMs
+ * @property {number|null} minMs
+ * @property {number|null} maxMs
+ * @property {number|null} p50Ms - Median, as the upper bound of its bucket
+ * @property {number|null} p95Ms - 95th percentile, as the upper bound of its bucket
+ * @property {number|null} targetMs - Latency target, if any
+ * @property {number} overTarget - Samples slower than the target
+ * @property {Array<{leMs: number|null, count: number}>} buckets - leMs null is the overflow bucket
+ */
+
+/**
+ * Fixed-bucket latency histogram
+ */
+export class LatencyHistogram {
+  /**
+   * @param {Object} [options]
+   * @param {number[]} [options.bucketsMs] - Ascending bucket upper bounds
+   * @param {number|null} [options.targetMs] - Latency target to count misses against
+   */
+  constructor({ bucketsMs = METRICS_CONFIG.latencyBucketsMs, targetMs = null } = {}) {
+    this.bucketsMs = bucketsMs;
+    this.targetMs = targetMs;
+    this.counts = new Array(bucketsMs.length + 1).fill(0);
+    this.count = 0;
+    this.sumMs = 0;
+    this.minMs = null;
+    this.maxMs = null;
+    this.overTarget = 0;
+  }
+
+  /**
+   * Record one sample
+   * @param {number} ms - Latency in milliseconds (negative values count as 0)
+   */
+  record(ms) {
+    if (!Number.isFinite(ms)) return;
+    const value = Math.max(0, ms);
+
+    const bucket = this.bucketsMs.findIndex(bound => value <= bound);
+    this.counts[bucket === -1 ? this.bucketsMs.length : bucket]++;
+    this.count++;
+    this.sumMs += value;
+    this.minMs = this.minMs === null ? value : Math.min(this.minMs, value);
+    this.maxMs = this.maxMs === null ? value : Math.max(this.maxMs, value);
+    if (this.targetMs !== null && value > this.targetMs) {
+      this.overTarget++;
+    }
+  }
+
+  /**
+   * Estimate a percentile as the upper bound of the bucket holding it
+   * Samples in the overflow bucket report the maximum.
+   * @param {number} p - Percentile between 0 and 100
+   * @returns {number|null}
+   */
+  percentile(p) {
+    if (this.count === 0) return null;
+
+    const rank = Math.ceil((p / 100) * this.count);
+    let seen = 0;
+    for (let i = 0; i < this.counts.length; i++) {
+      seen += this.counts[i];
+      if (seen >= rank) {
+        return i < this.bucketsMs.length ? Math.min(this.bucketsMs[i], this.maxMs) : this.maxMs;
+      }
+    }
+    return this.maxMs;
+  }
+
+  /**
+   * @returns {HistogramSnapshot}
+   */
+  toJSON() {
+    return {
+      count: this.count,
+      meanMs: this.count > 0 ? Math.round(this.sumMs / this.count) : null,
+      minMs: this.minMs,
+      maxMs: this.maxMs,
+      p50Ms: this.percentile(50),
+      p95Ms: this.percentile(95),
+      targetMs: this.targetMs,
+      overTarget: this.overTarget,
+      buckets: this.counts.map((count, i) => ({ leMs: this.bucketsMs[i] ?? null, count }))
+    };
+  }
+}
+
+/**
+ * Playback metrics for one session
+ */
+export class PlaybackMetrics {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Start a new session, discarding everything recorded
+   */
+  reset() {
+    this.startedAt = Date.now();
+    /** @type {Map<string, LatencyHistogram>} */
+    this.providerLatency = new Map();
+    /** @type {Map<string, {count: number, lastError: string|null, lastAt: number|null}>} */
+    this.providerFailures = new Map();
+    this.timeToFirstAudio = new LatencyHistogram();
+    this.paragraphHighlight = new LatencyHistogram({ targetMs: SyncConfig.PARAGRAPH_LATENCY_TARGET_MS });
+    this.wordHighlight = new LatencyHistogram({ targetMs: SyncConfig.WORD_LATENCY_TARGET_MS });
+    // Corrections only happen past SyncConfig.DRIFT_THRESHOLD_MS; this records by how much
+    this.driftCorrections = new LatencyHistogram();
+    this.cacheLookups = { memory: 0, persistent: 0, miss: 0 };
+    // Samples recorded so far and when metrics were last emitted
+    this._samples = 0;
+    this._emittedSamples = 0;
+  }
+
+  /**
+   * Record how long a provider took to answer a generation request
+   * @param {string} providerId
+   * @param {number} ms
+   */
+  recordProviderLatency(providerId, ms) {
+    if (!this.providerLatency.has(providerId)) {
+      this.providerLatency.set(providerId, new LatencyHistogram());
+    }
+    this.providerLatency.get(providerId).record(ms);
+    this._samples++;
+  }
+
+  /**
+   * Record a failed generation request
+   * @param {string} providerId
+   * @param {Error} error
+   */
+  recordProviderFailure(providerId, error) {
+    const failures = this.providerFailures.get(providerId) || { count: 0, lastError: null, lastAt: null };
+    failures.count++;
+    failures.lastError = error?.message || String(error);
+    failures.lastAt = Date.now();
+    this.providerFailures.set(providerId, failures);
+    this._samples++;
+  }
+
+  /**
+   * Record the time from requesting a paragraph to its audio starting
+   * @param {number} ms
+   */
+  recordTimeToFirstAudio(ms) {
+    this.timeToFirstAudio.record(ms);
+    this._samples++;
+  }
+
+  /**
+   * Record highlight latency measured by the content script
+   * @param {'paragraph'|'word'} kind
+   * @param {number[]} samplesMs
+   */
+  recordHighlightLatency(kind, samplesMs) {
+    const histogram = kind === 'word' ? this.wordHighlight : this.paragraphHighlight;
+    for (const ms of samplesMs) {
+      histogram.record(ms);
+      this._samples++;
+    }
+  }
+
+  /**
+   * Record a drift correction in the sync loop
+   * @param {number} driftMs - Drift that was corrected (sign ignored)
+   */
+  recordDriftCorrection(driftMs) {
+    this.driftCorrections.record(Math.abs(driftMs));
+    this._samples++;
+  }
+
+  /**
+   * Record where a paragraph's audio was found
+   * @param {string} tier - CacheTier value
+   */
+  recordCacheLookup(tier) {
+    if (tier in this.cacheLookups) {
+      this.cacheLookups[tier]++;
+      this._samples++;
+    }
+  }
+
+  /**
+   * Share of paragraph lookups served from either cache tier
+   * @returns {number|null} Between 0 and 1, null before any lookup
+   */
+  get cacheHitRate() {
+    const { memory, persistent, miss } = this.cacheLookups;
+    const total = memory + persistent + miss;
+    return total > 0 ? (memory + persistent) / total : null;
+  }
+
+  /**
+   * Everything recorded this session
+   * @returns {Object}
+   */
+  getSnapshot() {
+    const providers = {};
+    const ids = new Set([...this.providerLatency.keys(), ...this.providerFailures.keys()]);
+    for (const id of ids) {
+      providers[id] = {
+        latency: (this.providerLatency.get(id) || new LatencyHistogram()).toJSON(),
+        failures: this.providerFailures.get(id)?.count || 0,
+        lastError: this.providerFailures.get(id)?.lastError || null
+      };
+    }
+
+    return {
+      startedAt: this.startedAt,
+      providers,
+      timeToFirstAudio: this.timeToFirstAudio.toJSON(),
+      paragraphHighlight: this.paragraphHighlight.toJSON(),
+      wordHighlight: this.wordHighlight.toJSON(),
+      driftCorrections: this.driftCorrections.toJSON(),
+      cache: { ...this.cacheLookups, hitRate: this.cacheHitRate }
+    };
+  }
+
+  /**
+   * Compact summary for log metadata (no buckets)
+   * @returns {Object}
+   */
+  getSummary() {
+    const brief = histogram => ({
+      count: histogram.count,
+      p50Ms: histogram.percentile(50),
+      p95Ms: histogram.percentile(95),
+      maxMs: histogram.maxMs,
+      ...(histogram.targetMs !== null && { overTarget: histogram.overTarget })
+    });
+
+    const providers = {};
+    for (const [id, histogram] of this.providerLatency) {
+      providers[id] = { ...brief(histogram), failures: this.providerFailures.get(id)?.count || 0 };
+    }
+    for (const [id, failures] of this.providerFailures) {
+      if (!providers[id]) {
+        providers[id] = { count: 0, failures: failures.count };
+      }
+    }
+
+    return {
+      sessionMs: Date.now() - this.startedAt,
+      providers,
+      timeToFirstAudio: brief(this.timeToFirstAudio),
+      paragraphHighlight: brief(this.paragraphHighlight),
+      wordHighlight: brief(this.wordHighlight),
+      driftCorrections: this.driftCorrections.count,
+      cacheHitRate: this.cacheHitRate === null ? null : Number(this.cacheHitRate.toFixed(3))
+    };
+  }
+
+  /**
+   * Send the summary through the remote logger if metrics logging is on
+   * Skipped when nothing was recorded since the last emit.
+   */
+  emit() {
+    const logger = getLogger();
+    if (!logger.config.emitMetrics || this._samples === this._emittedSamples) return;
+
+    this._emittedSamples = this._samples;
+    logger.logMetrics('Playback metrics', this.getSummary());
+  }
+}
+
+/**
+ * Create a playback metrics instance
+ * @returns {PlaybackMetrics}
+ */
+export function createPlaybackMetrics() {
+  return new PlaybackMetrics();
+}
+
+// Export singleton instance
+export const playbackMetrics = new PlaybackMetrics();
@@ -3,6 +3,9 @@
  * Manages synchronization state between audio playback and text highlighting
  */
 
+import { SyncConfig } from './constants.js';
+import { tokenizeWords, countSyllables } from './providers/local-alignment-provider.js';
+
 /**
  * Timing data for a single paragraph
  * @typedef {Object} ParagraphTiming
@@ -64,6 +67,9 @@ export class PlaybackSyncState {
     /** @type {Function|null} */
     this._onProgress = null;
 
+    /** @type {Function|null} */
+    this._onDriftCorrected = null;
+
     /** @type {HTMLAudioElement|null} */
     this._audioElement = null;
 
@@ -348,6 +354,14 @@ export class PlaybackSyncState {
     this._onProgress = callback;
   }
 
+  /**
+   * Register callback for drift auto-corrections
+   * @param {Function} callback - Called with (driftMs) before the drift is reset
+   */
+  onDriftCorrected(callback) {
+    this._onDriftCorrected = callback;
+  }
+
   /**
    * Sync to the correct paragraph based on current time (T028, T029)
    * @private
@@ -405,6 +419,39 @@ export class PlaybackSyncState {
     }
   }
 
+  /**
+   * Move to a word the speech engine reports it has started
+   * Browser TTS has no audio element to poll; its boundary events say when
+   * each word starts. The word and those after it are shifted so the
+   * timeline matches how it is actually spoken. Every boundary is a new word
+   * starting, so the word change is always reported.
+   * @param {number} wordIndex - Word being spoken
+   * @param {number} elapsedMs - Time since the paragraph started speaking
+   */
+  syncToBoundary(wordIndex, elapsedMs) {
+    if (!this.hasWordTiming || wordIndex < 0 || wordIndex >= this.wordTimeline.length) return;
+
+    const word = this.wordTimeline[wordIndex];
+    const shiftMs = elapsedMs - (word.startMs ?? word.startTimeMs ?? 0);
+    for (let i = wordIndex; i < this.wordTimeline.length; i++) {
+      shiftWordTiming(this.wordTimeline[i], shiftMs);
+    }
+
+    const previous = this.wordTimeline[wordIndex - 1];
+    if (previous) {
+      if (previous.endMs !== undefined) previous.endMs = Math.max(previous.startMs, elapsedMs);
+      if (previous.endTimeMs !== undefined) previous.endTimeMs = Math.max(previous.startTimeMs, elapsedMs);
+    }
+
+    this._currentTimeMs = elapsedMs;
+    this._currentWordIndex = wordIndex;
+    this._lastSyncTimestamp = performance.now();
+
+    if (this._onWordChange) {
+      this._onWordChange(this._currentParagraphIndex, wordIndex, Date.now());
+    }
+  }
+
   /**
    * Sync to the correct word based on current time (T024, FR-005)
    * Uses binary search for efficiency with large word lists (O(log n) vs O(n))
@@ -502,6 +549,7 @@ export class PlaybackSyncState {
         // FR-006: Auto-correct when drift exceeds threshold (T047)
         if (Math.abs(this._driftMs) > this._driftThresholdMs) {
           console.warn(`VoxPage: Sync drift detected: ${this._driftMs.toFixed(0)}ms - auto-correcting`);
+          this._onDriftCorrected?.(this._driftMs);
           // Snap to correct position smoothly (don't jarring jump)
           this._currentTimeMs = audioTimeMs;
           this._driftMs = 0;
@@ -694,6 +742,47 @@ export function normalizeWordTiming(rawTiming) {
   };
 }
 
+/**
+ * Shift a word's times, whichever naming convention it uses
+ * @param {Object} word - Word timing
+ * @param {number} shiftMs
+ */
+function shiftWordTiming(word, shiftMs) {
+  for (const key of ['startMs', 'endMs', 'startTimeMs', 'endTimeMs']) {
+    if (typeof word[key] === 'number') {
+      word[key] += shiftMs;
+    }
+  }
+}
+
+/**
+ * Build a word timeline for text spoken by browser TTS
+ * Offsets are exact; times are estimated from syllable counts and corrected
+ * by syncToBoundary() as the engine reports each word.
+ * @param {string} text - Text given to the speech engine
+ * @param {number} [rate=1] - Utterance rate
+ * @returns {Array<{word: string, startMs: number, endMs: number, charOffset: number, charLength: number}>}
+ */
+export function createBoundaryWordTimeline(text, rate = 1) {
+  let startMs = 0;
+  return tokenizeWords(text).map(({ word, charOffset, charLength }) => {
+    const durationMs = Math.round((countSyllables(word) * SyncConfig.BROWSER_TTS_SYLLABLE_MS) / rate);
+    const timing = { word, startMs, endMs: startMs + durationMs, charOffset, charLength };
+    startMs += durationMs;
+    return timing;
+  });
+}
+
+/**
+ * Find the word a boundary event's charIndex falls in (or the next one)
+ * @param {Array<{charOffset: number, charLength: number}>} timeline
+ * @param {number} charIndex - Offset in the text given to the engine
+ * @returns {number} Word index, or -1 past the last word
+ */
+export function findBoundaryWord(timeline, charIndex) {
+  return timeline.findIndex(word => word.charOffset + word.charLength > charIndex);
+}
+
 /**
  * Normalize an array of word timings (T004)
  * @param {Array} rawTimings - Array of raw word timing objects
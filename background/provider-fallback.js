@@ -0,0 +1,180 @@
+/**
+ * Provider Fallback
+ * Keeps an article playing when the selected provider fails: the failing
+ * paragraph is retried with the next provider in the user's fallback order,
+ * and the primary is tried again once its cooldown has passed.
+ *
+ * @module background/provider-fallback
+ */
+
+import { LanguageNotSupportedError } from '../shared/errors/language-errors.js';
+import { ProviderRequestError, BudgetExceededError } from '../shared/errors/provider-errors.js';
+import { providerSupportsLanguage, getVoicesForLanguage } from './language-mappings.js';
+
+/**
+ * Fallback configuration
+ */
+export const FALLBACK_CONFIG = {
+  // How long a failed provider is skipped before it is tried again
+  cooldownMs: 60000,
+  // Rate limits usually clear sooner
+  rateLimitCooldownMs: 20000
+};
+
+/**
+ * Check whether an error should move playback to another provider
+ * Bad keys, exhausted quota or spending caps, rate limits, server errors,
+ * unreachable servers and unsupported languages qualify; malformed
+ * requests do not.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isFallbackError(error) {
+  if (error instanceof LanguageNotSupportedError || error instanceof BudgetExceededError) return true;
+
+  if (error instanceof ProviderRequestError) {
+    const { status } = error;
+    return status === 0 || status === 401 || status === 402 || status === 403 ||
+      status === 429 || status >= 500;
+  }
+
+  return false;
+}
+
+/**
+ * ProviderFallback class - tracks failed providers and picks replacements
+ */
+export class ProviderFallback {
+  /**
+   * @param {Object} deps - Dependencies
+   * @param {Object} deps.providerRegistry - Provider registry instance
+   * @param {function(): number} [deps.now] - Clock (for tests)
+   */
+  constructor(deps = {}) {
+    this.providerRegistry = deps.providerRegistry;
+    this._now = deps.now || (() => Date.now());
+
+    /** @type {string[]} Providers to try after the selected one, in order */
+    this.order = [];
+
+    /** @type {Map<string, {until: number, reason: string, languageCode?: string}>} */
+    this._failures = new Map();
+  }
+
+  /**
+   * Set the fallback order
+   * @param {string[]} order - Provider IDs
+   */
+  setOrder(order) {
+    this.order = Array.isArray(order) ? [...order] : [];
+  }
+
+  /**
+   * Forget all failures (new article or provider changed by the user)
+   */
+  reset() {
+    this._failures.clear();
+  }
+
+  /**
+   * Record a provider failure
+   * Language failures last for as long as the article's language does.
+   * @param {string} providerId
+   * @param {Error} error
+   * @param {string|null} [languageCode]
+   */
+  markFailed(providerId, error, languageCode = null) {
+    if (error instanceof LanguageNotSupportedError) {
+      this._failures.set(providerId, { until: Infinity, reason: error.message, languageCode });
+      return;
+    }
+
+    const cooldown = error?.status === 429 ? FALLBACK_CONFIG.rateLimitCooldownMs : FALLBACK_CONFIG.cooldownMs;
+    this._failures.set(providerId, { until: this._now() + cooldown, reason: error?.message || 'Unknown error' });
+  }
+
+  /**
+   * Check whether a provider is cooling down after a failure
+   * @param {string} providerId
+   * @param {string|null} [languageCode]
+   * @returns {boolean}
+   */
+  isFailed(providerId, languageCode = null) {
+    const failure = this._failures.get(providerId);
+    if (!failure) return false;
+
+    if (failure.until === Infinity) {
+      return failure.languageCode === languageCode;
+    }
+    if (this._now() >= failure.until) {
+      this._failures.delete(providerId);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Get the reason a provider was last skipped
+   * @param {string} providerId
+   * @returns {string|null}
+   */
+  getFailureReason(providerId) {
+    return this._failures.get(providerId)?.reason || null;
+  }
+
+  /**
+   * Pick the provider that should speak the next paragraph
+   * The primary wins unless it is cooling down; otherwise the first
+   * usable provider in the fallback order is returned.
+   * @param {string} primaryId - Provider selected by the user
+   * @param {string|null} [languageCode] - Article language
+   * @returns {string|null} Provider ID, or null when none is usable
+   */
+  resolve(primaryId, languageCode = null) {
+    const candidates = [primaryId, ...this.order.filter(id => id !== primaryId)];
+    return candidates.find(id => this._isUsable(id, languageCode)) || null;
+  }
+
+  /**
+   * Pick a voice on a fallback provider for the article language
+   * @param {string} providerId
+   * @param {string|null} [languageCode]
+   * @returns {string|null} Voice ID
+   */
+  pickVoice(providerId, languageCode = null) {
+    const provider = this.providerRegistry?.getProvider(providerId);
+    if (!provider) return null;
+
+    // Browser voices carry their BCP 47 tag as `language`
+    const voices = provider.getVoices().map(voice => ({ ...voice, lang: voice.lang || voice.language }));
+    const matching = getVoicesForLanguage(voices, languageCode, providerId);
+    return matching[0]?.id || provider.getDefaultVoice()?.id || null;
+  }
+
+  /**
+   * Check a provider is registered, configured, healthy and speaks the language
+   * @param {string} providerId
+   * @param {string|null} languageCode
+   * @returns {boolean}
+   * @private
+   */
+  _isUsable(providerId, languageCode) {
+    const provider = this.providerRegistry?.getProvider(providerId);
+    if (!provider) return false;
+    if (provider.constructor.requiresApiKey && !provider.hasApiKey()) return false;
+    if (typeof provider.isConfigured === 'function' && !provider.isConfigured()) return false;
+    if (languageCode && !providerSupportsLanguage(providerId, languageCode)) return false;
+    return !this.isFailed(providerId, languageCode);
+  }
+}
+
+/**
+ * Factory function for ProviderFallback
+ * @param {Object} [deps] - Dependencies
+ * @returns {ProviderFallback}
+ */
+export function createProviderFallback(deps) {
+  return new ProviderFallback(deps);
+}
+
+export default ProviderFallback;
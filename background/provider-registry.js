@@ -8,8 +8,27 @@ import { ElevenLabsProvider } from './providers/elevenlabs-provider.js';
 import { CartesiaProvider } from './providers/cartesia-provider.js';
 import { GroqProvider } from './providers/groq-provider.js';
 import { BrowserProvider } from './providers/browser-provider.js';
+import { CustomOpenAIProvider } from './providers/custom-openai-provider.js';
 import { ProviderId, StorageKey } from './constants.js';
 
+/**
+ * Settings keys holding the custom provider's endpoint configuration
+ */
+const CUSTOM_PROVIDER_SETTINGS = ['customProviderUrl', 'customProviderModel', 'customProviderVoices'];
+
+/**
+ * Map stored settings to CustomOpenAIProvider config (missing keys stay undefined)
+ * @param {Object} values - Stored values keyed by setting name
+ * @returns {{baseUrl?: string, model?: string, voices?: string[]}}
+ */
+function customProviderConfig(values) {
+  return {
+    baseUrl: values.customProviderUrl,
+    model: values.customProviderModel,
+    voices: values.customProviderVoices
+  };
+}
+
 /**
  * Registry of all available TTS providers
  */
@@ -31,7 +50,9 @@ class ProviderRegistry {
       StorageKey.API_KEY_OPENAI,
       StorageKey.API_KEY_ELEVENLABS,
       StorageKey.API_KEY_CARTESIA,
-      StorageKey.API_KEY_GROQ
+      StorageKey.API_KEY_GROQ,
+      StorageKey.API_KEY_CUSTOM,
+      ...CUSTOM_PROVIDER_SETTINGS
     ]);
 
     // Register OpenAI provider
@@ -54,6 +75,12 @@ class ProviderRegistry {
     const browserProvider = new BrowserProvider();
     this._providers.set(BrowserProvider.id, browserProvider);
 
+    // Register self-hosted OpenAI-compatible provider (API key optional)
+    this.registerProvider(new CustomOpenAIProvider(
+      storage[StorageKey.API_KEY_CUSTOM] || null,
+      customProviderConfig(storage)
+    ));
+
     this._initialized = true;
     console.log('Provider registry initialized with providers:', Array.from(this._providers.keys()));
   }
@@ -169,7 +196,8 @@ browser.storage.onChanged.addListener((changes, areaName) => {
     [StorageKey.API_KEY_OPENAI]: ProviderId.OPENAI,
     [StorageKey.API_KEY_ELEVENLABS]: ProviderId.ELEVENLABS,
     [StorageKey.API_KEY_CARTESIA]: ProviderId.CARTESIA,
-    [StorageKey.API_KEY_GROQ]: ProviderId.GROQ
+    [StorageKey.API_KEY_GROQ]: ProviderId.GROQ,
+    [StorageKey.API_KEY_CUSTOM]: ProviderId.CUSTOM
   };
 
   for (const [storageKey, providerId] of Object.entries(keyToProvider)) {
@@ -179,4 +207,15 @@ browser.storage.onChanged.addListener((changes, areaName) => {
       console.log(`Updated API key for provider: ${providerId}`);
     }
   }
+
+  // Custom provider endpoint settings
+  const changedConfig = {};
+  for (const key of CUSTOM_PROVIDER_SETTINGS) {
+    if (changes[key]) {
+      changedConfig[key] = changes[key].newValue;
+    }
+  }
+  if (Object.keys(changedConfig).length > 0) {
+    providerRegistry.getProvider(ProviderId.CUSTOM)?.configure(customProviderConfig(changedConfig));
+  }
 });
@@ -3,6 +3,9 @@
  * Abstract base class defining the interface for all TTS providers
  */
 
+import { iterableToStream } from '../audio-stream.js';
+import { ProviderRequestError } from '../../shared/errors/provider-errors.js';
+
 /**
  * @typedef {Object} Voice
  * @property {string} id - Provider-specific voice identifier
@@ -63,13 +66,24 @@ export class TTSProvider {
   }
 
   /**
-   * Whether this provider supports streaming
+   * Whether this provider can deliver MP3 audio incrementally
+   * through generateAudioStream()
    * @returns {boolean}
    */
   static get supportsStreaming() {
     return true;
   }
 
+  /**
+   * Speech markup the provider understands (see background/speech-markup.js):
+   * 'elevenlabs' or 'cartesia' break tags, 'utterance' rate/pitch, or null
+   * for plain text only
+   * @returns {string|null}
+   */
+  static get speechMarkup() {
+    return null;
+  }
+
   /**
    * Returns array of supported ISO 639-1 language codes (019-multilingual-tts)
    * Return ['*'] to indicate all languages supported (auto-detect).
@@ -156,6 +170,28 @@ export class TTSProvider {
     throw new Error('Subclass must implement generateAudio()');
   }
 
+  /**
+   * Generate audio as a stream of chunks
+   * Providers whose API returns audio incrementally override this; the
+   * default delivers the complete generateAudio() buffer as one chunk.
+   * @param {string} text - Text to synthesize
+   * @param {string} voiceId - Voice identifier
+   * @param {GenerateOptions} [options] - Generation options
+   * @returns {Promise<import('../audio-stream.js').AudioStream>}
+   */
+  async generateAudioStream(text, voiceId, options = {}) {
+    const result = await this.generateAudio(text, voiceId, options);
+    const audioData = result?.audioData || result;
+
+    return {
+      stream: iterableToStream((async function* () {
+        yield new Uint8Array(audioData);
+      })()),
+      mimeType: 'audio/mpeg',
+      wordTiming: Promise.resolve(result?.wordTiming || null)
+    };
+  }
+
   /**
    * Estimate cost for generating audio
    * @param {string} text - Text to estimate
@@ -213,4 +249,39 @@ export class TTSProvider {
         return errorBody?.message || `API error (${status}). Please try again later.`;
     }
   }
+
+  /**
+   * Build the error thrown for a failed API response
+   * @param {Response} response - Fetch response
+   * @param {Object} [errorBody] - Parsed error body
+   * @returns {ProviderRequestError}
+   */
+  createResponseError(response, errorBody = null) {
+    return new ProviderRequestError(
+      this.buildErrorMessage(response, errorBody),
+      response.status,
+      this.constructor.id
+    );
+  }
+
+  /**
+   * Send an API request
+   * A request that gets no response at all (offline, DNS failure, blocked)
+   * fails with a ProviderRequestError of status 0 rather than fetch()'s TypeError.
+   * @param {string} url - Request URL
+   * @param {RequestInit} init - Fetch options
+   * @param {string} [unreachableMessage] - Error message when there is no response
+   * @returns {Promise<Response>}
+   */
+  async fetchApi(url, init, unreachableMessage = `Could not reach ${this.constructor.name}. Check your connection.`) {
+    try {
+      return await fetch(url, init);
+    } catch (error) {
+      throw new ProviderRequestError(
+        unreachableMessage,
+        0,
+        this.constructor.id
+      );
+    }
+  }
 }
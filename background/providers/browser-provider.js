@@ -30,6 +30,14 @@ export class BrowserProvider extends TTSProvider {
     return false;
   }
 
+  /**
+   * Prosody on the SpeechSynthesisUtterance; pauses between utterances
+   * @returns {string}
+   */
+  static get speechMarkup() {
+    return 'utterance';
+  }
+
   /**
    * Browser TTS supported languages (dynamic based on system voices)
    * (019-multilingual-tts)
@@ -40,6 +40,14 @@ export class CartesiaProvider extends TTSProvider {
     return true;
   }
 
+  /**
+   * Pauses as inline <break/> tags
+   * @returns {string}
+   */
+  static get speechMarkup() {
+    return 'cartesia';
+  }
+
   /**
    * Cartesia TTS supports English only (019-multilingual-tts)
    * @returns {string[]}
@@ -90,6 +98,31 @@ export class CartesiaProvider extends TTSProvider {
    * @returns {Promise<ArrayBuffer>}
    */
   async generateAudio(text, voiceId, options = {}) {
+    const response = await this._requestSpeech(text, voiceId, options);
+    return await response.arrayBuffer();
+  }
+
+  /**
+   * Generate audio as it is synthesized (/tts/bytes streams its body)
+   * @param {string} text - Text to synthesize
+   * @param {string} voiceId - Voice identifier (UUID)
+   * @param {Object} [options] - Generation options
+   * @returns {Promise<import('../audio-stream.js').AudioStream>}
+   */
+  async generateAudioStream(text, voiceId, options = {}) {
+    const response = await this._requestSpeech(text, voiceId, options);
+    return { stream: response.body, mimeType: 'audio/mpeg', wordTiming: Promise.resolve(null) };
+  }
+
+  /**
+   * POST a speech request
+   * @param {string} text
+   * @param {string} voiceId
+   * @param {Object} options
+   * @returns {Promise<Response>} Successful response, body unread
+   * @private
+   */
+  async _requestSpeech(text, voiceId, options) {
     if (!this.hasApiKey()) {
       throw new Error('Cartesia API key not configured');
     }
@@ -105,7 +138,7 @@ export class CartesiaProvider extends TTSProvider {
 
     const speed = this.clampSpeed(options.speed || 1.0);
 
-    const response = await fetch('https://api.cartesia.ai/tts/bytes', {
+    const response = await this.fetchApi('https://api.cartesia.ai/tts/bytes', {
       method: 'POST',
       headers: {
         'Authorization': `Bearer ${this._apiKey}`,
@@ -137,10 +170,10 @@ export class CartesiaProvider extends TTSProvider {
       } catch {
         // Ignore parse error
       }
-      throw new Error(this.buildErrorMessage(response, errorBody));
+      throw this.createResponseError(response, errorBody);
     }
 
-    return await response.arrayBuffer();
+    return response;
   }
 
   /**
@@ -0,0 +1,271 @@
+/**
+ * Custom OpenAI-compatible TTS Provider
+ * Talks to any server implementing OpenAI's /v1/audio/speech endpoint,
+ * such as self-hosted Piper, Kokoro or Coqui wrappers.
+ *
+ * Endpoint URL, model and voice list are user settings; the API key is
+ * optional because most local servers do not check one.
+ */
+
+import { TTSProvider } from './base-provider.js';
+import { ProviderPricing } from './pricing-model.js';
+
+/**
+ * Voice used when the user has not listed any (OpenAI-compatible servers
+ * commonly map OpenAI voice names onto their own)
+ */
+const FALLBACK_VOICES = [
+  { id: 'alloy', name: 'alloy', language: 'auto', description: 'Server default' }
+];
+
+/**
+ * Normalize a user-entered base URL
+ * Accepts the full speech endpoint as well (".../v1/audio/speech").
+ * @param {string} url
+ * @returns {string} Base URL without trailing slash, or '' when invalid
+ */
+export function normalizeBaseUrl(url) {
+  if (typeof url !== 'string') return '';
+
+  const trimmed = url.trim().replace(/\/+$/, '').replace(/\/audio\/speech$/, '');
+  return /^https?:\/\/[^/]+/i.test(trimmed) ? trimmed : '';
+}
+
+/**
+ * Build request headers, adding auth only when a key is set
+ * @param {string|null} apiKey
+ * @returns {Object}
+ */
+function buildHeaders(apiKey) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey && apiKey.trim()) {
+    headers['Authorization'] = `Bearer ${apiKey.trim()}`;
+  }
+  return headers;
+}
+
+/**
+ * Pull voice IDs out of the response shapes compatible servers use:
+ * `["a", "b"]`, `{ voices: [...] }`, `{ data: [...] }`, with entries that are
+ * strings or objects carrying `id`, `voice_id` or `name`.
+ * @param {*} body - Parsed JSON response
+ * @returns {string[]}
+ */
+export function parseVoiceList(body) {
+  const list = Array.isArray(body) ? body : (body?.voices || body?.data || []);
+  if (!Array.isArray(list)) return [];
+
+  const ids = list
+    .map(entry => (typeof entry === 'string' ? entry : entry?.id || entry?.voice_id || entry?.name))
+    .filter(id => typeof id === 'string' && id.trim())
+    .map(id => id.trim());
+  return [...new Set(ids)];
+}
+
+/**
+ * Fetch the voice list from an OpenAI-compatible server
+ * Tries `/audio/voices` (Kokoro-FastAPI, openedai-speech) then `/voices`.
+ * @param {string} baseUrl
+ * @param {string|null} [apiKey]
+ * @returns {Promise<string[]>} Voice IDs
+ * @throws {Error} When the server exposes no voice list
+ */
+export async function fetchCompatibleVoices(baseUrl, apiKey = null) {
+  const base = normalizeBaseUrl(baseUrl);
+  if (!base) {
+    throw new Error('Enter a valid endpoint URL first');
+  }
+
+  for (const path of ['/audio/voices', '/voices']) {
+    try {
+      const response = await fetch(`${base}${path}`, { headers: buildHeaders(apiKey) });
+      if (!response.ok) continue;
+
+      const voices = parseVoiceList(await response.json());
+      if (voices.length > 0) return voices;
+    } catch (error) {
+      console.warn(`VoxPage: Voice list request to ${path} failed:`, error.message);
+    }
+  }
+
+  throw new Error('Server did not return a voice list. Enter voice names manually.');
+}
+
+export class CustomOpenAIProvider extends TTSProvider {
+  /**
+   * @param {string|null} [apiKey] - Optional API key
+   * @param {Object} [config] - Endpoint configuration
+   * @param {string} [config.baseUrl] - Base URL, e.g. http://localhost:8880/v1
+   * @param {string} [config.model] - Model name sent with each request
+   * @param {string[]} [config.voices] - Voice IDs offered in the UI
+   */
+  constructor(apiKey = null, config = {}) {
+    super(apiKey);
+    this._baseUrl = '';
+    this._model = 'tts-1';
+    this._voices = [];
+    this.configure(config);
+  }
+
+  static get id() {
+    return 'custom';
+  }
+
+  static get name() {
+    return 'Custom (OpenAI-compatible)';
+  }
+
+  static get requiresApiKey() {
+    return false;
+  }
+
+  /**
+   * Language support depends on the model behind the endpoint, so the
+   * provider does not restrict it
+   * @returns {string[]}
+   */
+  static get supportedLanguages() {
+    return ['*'];
+  }
+
+  get pricingModel() {
+    return ProviderPricing.custom;
+  }
+
+  /**
+   * Update endpoint configuration (fields left undefined are kept)
+   * @param {Object} config
+   * @param {string} [config.baseUrl]
+   * @param {string} [config.model]
+   * @param {string[]} [config.voices]
+   */
+  configure({ baseUrl, model, voices } = {}) {
+    if (baseUrl !== undefined) {
+      this._baseUrl = normalizeBaseUrl(baseUrl);
+    }
+    if (model !== undefined) {
+      this._model = (typeof model === 'string' && model.trim()) || 'tts-1';
+    }
+    if (voices !== undefined) {
+      this._voices = parseVoiceList(Array.isArray(voices) ? voices : []);
+    }
+  }
+
+  /**
+   * Whether an endpoint URL is set
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return this._baseUrl.length > 0;
+  }
+
+  getVoices() {
+    if (this._voices.length === 0) {
+      return FALLBACK_VOICES;
+    }
+    return this._voices.map(id => ({ id, name: id, language: 'auto', description: 'Custom voice' }));
+  }
+
+  /**
+   * Fetch the voice list from the configured server
+   * @returns {Promise<string[]>}
+   */
+  async fetchVoices() {
+    return fetchCompatibleVoices(this._baseUrl, this._apiKey);
+  }
+
+  /**
+   * Check the endpoint is reachable (and accepts the key, if any)
+   * @returns {Promise<boolean>}
+   */
+  async validateKey() {
+    if (!this.isConfigured()) {
+      return false;
+    }
+
+    try {
+      const response = await fetch(`${this._baseUrl}/models`, {
+        headers: buildHeaders(this._apiKey)
+      });
+      return response.ok;
+    } catch (error) {
+      console.error('Custom provider validation error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Generate audio from text
+   * @param {string} text - Text to synthesize
+   * @param {string} voiceId - Voice identifier
+   * @param {Object} [options] - Generation options
+   * @returns {Promise<ArrayBuffer>}
+   */
+  async generateAudio(text, voiceId, options = {}) {
+    const response = await this._requestSpeech(text, voiceId, options);
+    return await response.arrayBuffer();
+  }
+
+  /**
+   * Generate audio as the server sends it
+   * @param {string} text - Text to synthesize
+   * @param {string} voiceId - Voice identifier
+   * @param {Object} [options] - Generation options
+   * @returns {Promise<import('../audio-stream.js').AudioStream>}
+   */
+  async generateAudioStream(text, voiceId, options = {}) {
+    const response = await this._requestSpeech(text, voiceId, options);
+    return { stream: response.body, mimeType: 'audio/mpeg', wordTiming: Promise.resolve(null) };
+  }
+
+  /**
+   * POST a speech request
+   * @param {string} text
+   * @param {string} voiceId
+   * @param {Object} options
+   * @returns {Promise<Response>} Successful response, body unread
+   * @private
+   */
+  async _requestSpeech(text, voiceId, options) {
+    if (!this.isConfigured()) {
+      throw new Error('Custom provider endpoint not configured. Set it in VoxPage settings.');
+    }
+
+    const speed = this.clampSpeed(options.speed || 1.0);
+
+    const response = await this.fetchApi(`${this._baseUrl}/audio/speech`, {
+      method: 'POST',
+      headers: buildHeaders(this._apiKey),
+      body: JSON.stringify({
+        model: this._model,
+        input: text,
+        voice: voiceId || this.getDefaultVoice().id,
+        response_format: 'mp3',
+        speed: speed
+      })
+    }, `Could not reach ${this._baseUrl}. Is the speech server running?`);
+
+    if (!response.ok) {
+      let errorBody = null;
+      try {
+        errorBody = await response.json();
+      } catch {
+        // Ignore parse error
+      }
+      // Servers differ: OpenAI nests { error: { message } }, FastAPI uses { detail }
+      const detail = errorBody?.error || (errorBody?.detail ? { message: String(errorBody.detail) } : null);
+      throw this.createResponseError(response, detail);
+    }
+
+    return response;
+  }
+
+  /**
+   * OpenAI-compatible servers accept the OpenAI speed range (0.25 - 4.0)
+   * @param {number} speed
+   * @returns {number}
+   */
+  clampSpeed(speed) {
+    return Math.max(0.25, Math.min(4.0, speed));
+  }
+}
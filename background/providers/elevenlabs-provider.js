@@ -6,6 +6,7 @@
 import { TTSProvider } from './base-provider.js';
 import { ProviderPricing } from './pricing-model.js';
 import { getProviderLanguageCode } from '../language-mappings.js';
+import { readJsonLines, iterableToStream } from '../audio-stream.js';
 
 /**
  * ElevenLabs voice definitions with their API IDs
@@ -53,6 +54,14 @@ export class ElevenLabsProvider extends TTSProvider {
     return true;
   }
 
+  /**
+   * Pauses as inline <break /> tags
+   * @returns {string}
+   */
+  static get speechMarkup() {
+    return 'elevenlabs';
+  }
+
   /**
    * ElevenLabs supports word-level timing via alignment response (T039)
    */
@@ -124,31 +133,9 @@ export class ElevenLabsProvider extends TTSProvider {
       return await this.generateAudioWithTimestamps(text, voiceId, options);
     }
 
-    const modelId = options.turbo ? 'eleven_turbo_v2_5' : 'eleven_multilingual_v2';
-
-    // Build request body (019-multilingual-tts)
-    const requestBody = {
-      text: text,
-      model_id: modelId,
-      voice_settings: {
-        stability: options.stability || 0.5,
-        similarity_boost: options.similarityBoost || 0.75,
-        style: options.style || 0.5,
-        use_speaker_boost: true
-      }
-    };
-
-    // Add language_code if specified (019-multilingual-tts, 020-code-quality-fix)
-    // Use centralized language mappings instead of manual truncation
-    if (options.languageCode) {
-      const providerCode = getProviderLanguageCode(options.languageCode, 'elevenlabs');
-      if (providerCode) {
-        requestBody.language_code = providerCode;
-      }
-      // null means use default (English) - don't set language_code
-    }
+    const requestBody = this._buildRequestBody(text, options);
 
-    const response = await fetch(`https://api.elevenlabs.io/v1/text-to-speech/${voiceId}`, {
+    const response = await this.fetchApi(`https://api.elevenlabs.io/v1/text-to-speech/${voiceId}`, {
       method: 'POST',
       headers: {
         'xi-api-key': this._apiKey,
@@ -165,7 +152,7 @@ export class ElevenLabsProvider extends TTSProvider {
       } catch {
         // Ignore parse error
       }
-      throw new Error(this.buildErrorMessage(response, errorBody?.detail));
+      throw this.createResponseError(response, errorBody?.detail);
     }
 
     return await response.arrayBuffer();
@@ -180,30 +167,9 @@ export class ElevenLabsProvider extends TTSProvider {
    * @returns {Promise<{audioData: ArrayBuffer, wordTiming: Array}>}
    */
   async generateAudioWithTimestamps(text, voiceId, options = {}) {
-    const modelId = options.turbo ? 'eleven_turbo_v2_5' : 'eleven_multilingual_v2';
+    const requestBody = this._buildRequestBody(text, options);
 
-    // Build request body (020-code-quality-fix)
-    const requestBody = {
-      text: text,
-      model_id: modelId,
-      voice_settings: {
-        stability: options.stability || 0.5,
-        similarity_boost: options.similarityBoost || 0.75,
-        style: options.style || 0.5,
-        use_speaker_boost: true
-      }
-    };
-
-    // Add language_code if specified (019-multilingual-tts, 020-code-quality-fix)
-    if (options.languageCode) {
-      const providerCode = getProviderLanguageCode(options.languageCode, 'elevenlabs');
-      if (providerCode) {
-        requestBody.language_code = providerCode;
-      }
-      // null means use default (English) - don't set language_code
-    }
-
-    const response = await fetch(`https://api.elevenlabs.io/v1/text-to-speech/${voiceId}/with-timestamps`, {
+    const response = await this.fetchApi(`https://api.elevenlabs.io/v1/text-to-speech/${voiceId}/with-timestamps`, {
       method: 'POST',
       headers: {
         'xi-api-key': this._apiKey,
@@ -219,7 +185,7 @@ export class ElevenLabsProvider extends TTSProvider {
       } catch {
         // Ignore parse error
       }
-      throw new Error(this.buildErrorMessage(response, errorBody?.detail));
+      throw this.createResponseError(response, errorBody?.detail);
     }
 
     const result = await response.json();
@@ -238,6 +204,109 @@ export class ElevenLabsProvider extends TTSProvider {
     return { audioData, wordTiming };
   }
 
+  /**
+   * Generate audio as it is synthesized
+   * With timestamps requested, the /stream/with-timestamps endpoint sends one
+   * JSON object per line carrying a base64 audio chunk and the alignment for
+   * that chunk; the alignment is collected and parsed once the stream ends.
+   * @param {string} text - Text to synthesize
+   * @param {string} voiceId - Voice identifier
+   * @param {Object} [options] - Generation options
+   * @param {boolean} [options.withTimestamps] - Request word timing data
+   * @returns {Promise<import('../audio-stream.js').AudioStream>}
+   */
+  async generateAudioStream(text, voiceId, options = {}) {
+    if (!this.hasApiKey()) {
+      throw new Error('ElevenLabs API key not configured');
+    }
+
+    const path = options.withTimestamps ? 'stream/with-timestamps' : 'stream';
+    const response = await this.fetchApi(`https://api.elevenlabs.io/v1/text-to-speech/${voiceId}/${path}`, {
+      method: 'POST',
+      headers: {
+        'xi-api-key': this._apiKey,
+        'Content-Type': 'application/json',
+        'Accept': options.withTimestamps ? 'application/json' : 'audio/mpeg'
+      },
+      body: JSON.stringify(this._buildRequestBody(text, options))
+    });
+
+    if (!response.ok) {
+      let errorBody = null;
+      try {
+        errorBody = await response.json();
+      } catch {
+        // Ignore parse error
+      }
+      throw this.createResponseError(response, errorBody?.detail);
+    }
+
+    if (!options.withTimestamps) {
+      return { stream: response.body, mimeType: 'audio/mpeg', wordTiming: Promise.resolve(null) };
+    }
+
+    let resolveTiming;
+    const wordTiming = new Promise(resolve => { resolveTiming = resolve; });
+    const alignment = { characters: [], character_start_times_seconds: [], character_end_times_seconds: [] };
+    const provider = this;
+
+    async function* audioChunks() {
+      try {
+        for await (const chunk of readJsonLines(response.body)) {
+          if (chunk.alignment?.characters) {
+            alignment.characters.push(...chunk.alignment.characters);
+            alignment.character_start_times_seconds.push(...chunk.alignment.character_start_times_seconds);
+            alignment.character_end_times_seconds.push(...chunk.alignment.character_end_times_seconds);
+          }
+          if (chunk.audio_base64) {
+            yield new Uint8Array(provider._base64ToArrayBuffer(chunk.audio_base64));
+          }
+        }
+        resolveTiming(provider._parseWordTiming(text, alignment));
+      } finally {
+        // Stream failed or was cancelled: no usable timing
+        resolveTiming(null);
+      }
+    }
+
+    return { stream: iterableToStream(audioChunks()), mimeType: 'audio/mpeg', wordTiming };
+  }
+
+  /**
+   * Build the JSON body shared by all speech endpoints
+   * @private
+   * @param {string} text - Text to synthesize
+   * @param {Object} options - Generation options
+   * @returns {Object}
+   */
+  _buildRequestBody(text, options) {
+    const modelId = options.turbo ? 'eleven_turbo_v2_5' : 'eleven_multilingual_v2';
+
+    // Build request body (019-multilingual-tts)
+    const requestBody = {
+      text: text,
+      model_id: modelId,
+      voice_settings: {
+        stability: options.stability || 0.5,
+        similarity_boost: options.similarityBoost || 0.75,
+        style: options.style || 0.5,
+        use_speaker_boost: true
+      }
+    };
+
+    // Add language_code if specified (019-multilingual-tts, 020-code-quality-fix)
+    // Use centralized language mappings instead of manual truncation
+    if (options.languageCode) {
+      const providerCode = getProviderLanguageCode(options.languageCode, 'elevenlabs');
+      if (providerCode) {
+        requestBody.language_code = providerCode;
+      }
+      // null means use default (English) - don't set language_code
+    }
+
+    return requestBody;
+  }
+
   /**
    * Convert base64 string to ArrayBuffer
    * @private
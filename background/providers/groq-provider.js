@@ -44,8 +44,12 @@ export class GroqProvider extends TTSProvider {
     return true;
   }
 
+  /**
+   * Groq returns WAV, which MediaSource cannot play incrementally
+   * @returns {boolean}
+   */
   static get supportsStreaming() {
-    return true;
+    return false;
   }
 
   /**
@@ -193,7 +197,7 @@ export class GroqProvider extends TTSProvider {
     const normalizedVoiceId = this.normalizeVoiceId(voiceId);
     const speed = this.clampSpeed(options.speed || 1.0);
 
-    const response = await fetch('https://api.groq.com/openai/v1/audio/speech', {
+    const response = await this.fetchApi('https://api.groq.com/openai/v1/audio/speech', {
       method: 'POST',
       headers: {
         'Authorization': `Bearer ${this._apiKey}`,
@@ -215,7 +219,7 @@ export class GroqProvider extends TTSProvider {
       } catch {
         // Ignore parse error
       }
-      throw new Error(this.buildErrorMessage(response, errorBody?.error));
+      throw this.createResponseError(response, errorBody?.error);
     }
 
     return await response.arrayBuffer();
@@ -181,7 +181,9 @@ export class GroqTimestampProvider {
    * @private
    */
   _alignWordsToSource(words, sourceText) {
-    const normalizedSource = sourceText.toLowerCase();
+    // Speech markup tags are not spoken: blank them out (keeping offsets) so
+    // no word aligns inside one
+    const normalizedSource = sourceText.replace(/<[^<>]*>/g, tag => ' '.repeat(tag.length)).toLowerCase();
     let searchStart = 0;
 
     return words.map((word, index) => {
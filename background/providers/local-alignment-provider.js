@@ -0,0 +1,349 @@
+/**
+ * VoxPage Local Alignment Provider
+ * Estimates word-level timestamps offline from the generated audio and the
+ * known text, for providers without native timing when Groq Whisper is not
+ * configured. Speech and pauses are found from frame energy, pauses are
+ * matched to punctuation, and words between pauses share the time by their
+ * syllable count.
+ *
+ * Timelines have the same shape as GroqTimestampProvider's with a lower
+ * alignmentConfidence: they are approximate, good enough to follow along.
+ * Each word is marked `estimated` so the sync status can name its source.
+ */
+
+import { LocalAlignment } from '../constants.js';
+
+// How much nearer a pause may fall to a boundary after a comma (1) or a
+// sentence end (2) than to a bare word boundary, as a share of the paragraph
+const PAUSE_BONUS = [0, 0.04, 0.08];
+
+// Pauses further than this (as a share of the paragraph) from any free word
+// boundary are left inside a word rather than split on
+const MAX_ANCHOR_DISTANCE = 0.15;
+
+// Voiced runs shorter than this many frames are clicks, not speech
+const MIN_SPEECH_FRAMES = 3;
+
+/**
+ * @typedef {import('./groq-timestamp-provider.js').WordTimeline} WordTimeline
+ * @typedef {import('./groq-timestamp-provider.js').WordTiming} WordTiming
+ */
+
+/**
+ * @typedef {Object} SourceWord
+ * @property {string} word - Word without surrounding punctuation
+ * @property {number} charOffset - Offset of the word in the source text
+ * @property {number} charLength - Length including trailing punctuation
+ * @property {number} pause - Pause expected after the word: 0 none, 1 comma, 2 sentence end
+ */
+
+/**
+ * Split source text into words with their offsets
+ * Speech markup tags are skipped, as are tokens without letters or digits.
+ * @param {string} sourceText
+ * @returns {SourceWord[]}
+ */
+export function tokenizeWords(sourceText) {
+  // Blank out markup tags, keeping offsets
+  const text = sourceText.replace(/<[^<>]*>/g, tag => ' '.repeat(tag.length));
+  const words = [];
+
+  for (const match of text.matchAll(/\S+/g)) {
+    const token = match[0];
+    const lead = token.match(/^[^\p{L}\p{N}]*/u)[0].length;
+    const core = token.slice(lead);
+    if (!/[\p{L}\p{N}]/u.test(core)) continue;
+
+    const trailing = core.match(/[^\p{L}\p{N}]*$/u)[0];
+    words.push({
+      word: core.slice(0, core.length - trailing.length),
+      charOffset: match.index + lead,
+      charLength: core.length,
+      pause: /[.!?…]/.test(trailing) ? 2 : /[,;:—–]/.test(trailing) ? 1 : 0
+    });
+  }
+
+  return words;
+}
+
+/**
+ * Estimate how many syllables a word takes to say
+ * Latin-script words use vowel groups; numbers count ~1.5 syllables per
+ * digit; other scripts scale with their letter count. Only the relative
+ * weights within a paragraph matter.
+ * @param {string} word
+ * @returns {number} At least 1
+ */
+export function countSyllables(word) {
+  const digits = (word.match(/\p{N}/gu) || []).length;
+  if (digits > 0) {
+    return Math.max(1, Math.ceil(digits * 1.5));
+  }
+
+  const latin = word.toLowerCase().replace(/[^a-zß-öø-ÿ]/g, '');
+  if (!latin) {
+    const letters = (word.match(/\p{L}/gu) || []).length;
+    return Math.max(1, Math.round(letters / 2));
+  }
+  if (latin.length <= 3) return 1;
+
+  // Silent endings ("-es", "-ed", "-e") and a leading consonant "y"
+  const stem = latin.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '').replace(/^y/, '');
+  const groups = stem.match(/[aeiouyà-æè-ïò-öø-üýÿ]{1,2}/g);
+  return Math.max(1, groups ? groups.length : 1);
+}
+
+/**
+ * Compute RMS energy per frame
+ * @param {Float32Array} samples - Mono PCM samples
+ * @param {number} sampleRate
+ * @param {number} [frameMs]
+ * @returns {Float32Array} One value per frame
+ */
+export function computeFrameEnergy(samples, sampleRate, frameMs = LocalAlignment.FRAME_MS) {
+  const frameSize = Math.max(1, Math.round(sampleRate * frameMs / 1000));
+  const energies = new Float32Array(Math.floor(samples.length / frameSize));
+
+  for (let frame = 0; frame < energies.length; frame++) {
+    let sum = 0;
+    for (let i = frame * frameSize; i < (frame + 1) * frameSize; i++) {
+      sum += samples[i] * samples[i];
+    }
+    energies[frame] = Math.sqrt(sum / frameSize);
+  }
+
+  return energies;
+}
+
+/**
+ * Find stretches of speech between pauses
+ * The silence threshold adapts to the recording: it sits between the noise
+ * floor (10th percentile) and speech level (95th percentile).
+ * @param {Float32Array} energies - Frame energies
+ * @param {number} [frameMs]
+ * @returns {Array<{startMs: number, endMs: number}>}
+ */
+export function findSpeechSegments(energies, frameMs = LocalAlignment.FRAME_MS) {
+  if (energies.length === 0) return [];
+
+  const sorted = Float32Array.from(energies).sort();
+  const floor = sorted[Math.floor((sorted.length - 1) * 0.1)];
+  const peak = sorted[Math.floor((sorted.length - 1) * 0.95)];
+  if (peak <= 0) return [];
+
+  const threshold = floor + (peak - floor) * LocalAlignment.SILENCE_RATIO;
+  const minPauseFrames = Math.ceil(LocalAlignment.MIN_PAUSE_MS / frameMs);
+
+  // Voiced runs as [startFrame, endFrame)
+  const runs = [];
+  let runStart = -1;
+  for (let frame = 0; frame <= energies.length; frame++) {
+    const voiced = frame < energies.length && energies[frame] > threshold;
+    if (voiced && runStart === -1) {
+      runStart = frame;
+    } else if (!voiced && runStart !== -1) {
+      runs.push([runStart, frame]);
+      runStart = -1;
+    }
+  }
+
+  // Short gaps are within speech (stops, breaths between syllables)
+  const merged = [];
+  for (const run of runs.filter(([start, end]) => end - start >= MIN_SPEECH_FRAMES)) {
+    const last = merged[merged.length - 1];
+    if (last && run[0] - last[1] < minPauseFrames) {
+      last[1] = run[1];
+    } else {
+      merged.push([...run]);
+    }
+  }
+
+  return merged.map(([start, end]) => ({ startMs: start * frameMs, endMs: end * frameMs }));
+}
+
+/**
+ * Spread words over speech segments
+ * Each pause between segments is anchored to the free word boundary nearest
+ * where it falls by syllable count, preferring boundaries at punctuation.
+ * Between anchors, words share the speech time by syllable count; pauses
+ * that were not anchored stay inside the word they fall in.
+ * @param {SourceWord[]} words
+ * @param {Array<{startMs: number, endMs: number}>} segments
+ * @returns {{timings: WordTiming[], alignmentConfidence: number}}
+ */
+export function alignWordsToSegments(words, segments) {
+  const weights = words.map(word => countSyllables(word.word));
+  const cumulative = [];
+  let totalWeight = 0;
+  for (const weight of weights) {
+    totalWeight += weight;
+    cumulative.push(totalWeight);
+  }
+
+  // Pause positions in speech time (pauses removed)
+  const pauses = [];
+  let speechMs = 0;
+  segments.forEach((segment, i) => {
+    speechMs += segment.endMs - segment.startMs;
+    if (i < segments.length - 1) pauses.push(speechMs);
+  });
+
+  const anchors = [{ boundary: -1, speechMs: 0 }];
+  for (const pauseMs of pauses) {
+    const expected = (pauseMs / speechMs) * totalWeight;
+    let best = -1;
+    let bestScore = Infinity;
+    for (let j = anchors[anchors.length - 1].boundary + 1; j < words.length - 1; j++) {
+      const score = Math.abs(cumulative[j] - expected) / totalWeight - PAUSE_BONUS[words[j].pause];
+      if (score < bestScore) {
+        best = j;
+        bestScore = score;
+      }
+    }
+    if (best === -1) break;
+    if (Math.abs(cumulative[best] - expected) / totalWeight > MAX_ANCHOR_DISTANCE) continue;
+    anchors.push({ boundary: best, speechMs: pauseMs });
+  }
+  anchors.push({ boundary: words.length - 1, speechMs });
+
+  /**
+   * Convert speech time to audio time; at a pause, `after` picks its end
+   */
+  const toAudioMs = (ms, after) => {
+    let elapsed = 0;
+    for (let i = 0; i < segments.length; i++) {
+      const length = segments[i].endMs - segments[i].startMs;
+      if (ms < elapsed + length || (ms === elapsed + length && !after) || i === segments.length - 1) {
+        return Math.round(segments[i].startMs + Math.min(Math.max(ms - elapsed, 0), length));
+      }
+      elapsed += length;
+    }
+    return 0;
+  };
+
+  const timings = [];
+  for (let a = 1; a < anchors.length; a++) {
+    const from = anchors[a - 1];
+    const to = anchors[a];
+    const spanStartWeight = from.boundary >= 0 ? cumulative[from.boundary] : 0;
+    const spanWeight = cumulative[to.boundary] - spanStartWeight;
+    const spanMs = to.speechMs - from.speechMs;
+
+    for (let j = from.boundary + 1; j <= to.boundary; j++) {
+      const before = cumulative[j] - weights[j] - spanStartWeight;
+      const after = cumulative[j] - spanStartWeight;
+      const startMs = from.speechMs + (spanMs * before) / spanWeight;
+      const endMs = j === to.boundary ? to.speechMs : from.speechMs + (spanMs * after) / spanWeight;
+
+      timings.push({
+        word: words[j].word,
+        startMs: toAudioMs(startMs, true),
+        endMs: toAudioMs(endMs, false),
+        charOffset: words[j].charOffset,
+        charLength: words[j].charLength,
+        estimated: true
+      });
+    }
+  }
+
+  // Confidence grows with pauses that found a boundary, and with those at punctuation
+  const placed = anchors.slice(1, -1);
+  const anchoredShare = pauses.length > 0 ? placed.length / pauses.length : 0;
+  const punctuatedShare = placed.length > 0
+    ? placed.filter(anchor => words[anchor.boundary].pause > 0).length / placed.length
+    : 0;
+  const alignmentConfidence = LocalAlignment.MAX_CONFIDENCE * (0.5 + 0.25 * anchoredShare + 0.25 * punctuatedShare);
+
+  return { timings, alignmentConfidence: Math.round(alignmentConfidence * 100) / 100 };
+}
+
+/**
+ * Estimate a word timeline from decoded audio
+ * @param {Float32Array} samples - Mono PCM samples
+ * @param {number} sampleRate
+ * @param {string} sourceText - Text the audio was generated from
+ * @returns {WordTimeline|null} Null when there are no words or no speech
+ */
+export function estimateWordTimeline(samples, sampleRate, sourceText) {
+  const words = tokenizeWords(sourceText);
+  if (words.length === 0) return null;
+
+  const segments = findSpeechSegments(computeFrameEnergy(samples, sampleRate));
+  if (segments.length === 0) return null;
+
+  const { timings, alignmentConfidence } = alignWordsToSegments(words, segments);
+
+  return {
+    paragraphIndex: 0, // Will be set by caller
+    words: timings,
+    audioDurationMs: Math.round((samples.length / sampleRate) * 1000),
+    sourceText: sourceText,
+    transcribedText: null, // Nothing is transcribed
+    alignmentConfidence: alignmentConfidence
+  };
+}
+
+/**
+ * LocalAlignmentProvider estimates word timestamps from audio without any API
+ */
+export class LocalAlignmentProvider {
+  /**
+   * Check whether audio can be decoded here
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return typeof OfflineAudioContext !== 'undefined';
+  }
+
+  /**
+   * Estimate word timings for generated audio
+   * @param {Blob|ArrayBuffer} audioData - Audio the text was spoken in
+   * @param {string} sourceText - Text the audio was generated from
+   * @returns {Promise<WordTimeline|null>} Word timeline or null on failure
+   */
+  async extractWordTimings(audioData, sourceText) {
+    if (!this.isAvailable()) {
+      return null;
+    }
+
+    try {
+      const { samples, sampleRate } = await this._decodeAudio(audioData);
+      return estimateWordTimeline(samples, sampleRate, sourceText);
+    } catch (error) {
+      console.warn('LocalAlignmentProvider: Failed to estimate word timings:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Decode audio to mono samples at LocalAlignment.SAMPLE_RATE
+   * @param {Blob|ArrayBuffer} audioData
+   * @returns {Promise<{samples: Float32Array, sampleRate: number}>}
+   * @private
+   */
+  async _decodeAudio(audioData) {
+    // decodeAudioData detaches its buffer; the caller still plays and caches the audio
+    const buffer = audioData instanceof Blob ? await audioData.arrayBuffer() : audioData.slice(0);
+    const context = new OfflineAudioContext(1, 1, LocalAlignment.SAMPLE_RATE);
+    const audioBuffer = await context.decodeAudioData(buffer);
+
+    let samples = audioBuffer.getChannelData(0);
+    if (audioBuffer.numberOfChannels > 1) {
+      samples = Float32Array.from(samples);
+      for (let channel = 1; channel < audioBuffer.numberOfChannels; channel++) {
+        const data = audioBuffer.getChannelData(channel);
+        for (let i = 0; i < samples.length; i++) {
+          samples[i] += data[i];
+        }
+      }
+      for (let i = 0; i < samples.length; i++) {
+        samples[i] /= audioBuffer.numberOfChannels;
+      }
+    }
+
+    return { samples, sampleRate: audioBuffer.sampleRate };
+  }
+}
+
+// Export singleton instance
+export const localAlignmentProvider = new LocalAlignmentProvider();
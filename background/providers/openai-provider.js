@@ -92,6 +92,31 @@ export class OpenAIProvider extends TTSProvider {
    * @returns {Promise<ArrayBuffer>}
    */
   async generateAudio(text, voiceId, options = {}) {
+    const response = await this._requestSpeech(text, voiceId, options);
+    return await response.arrayBuffer();
+  }
+
+  /**
+   * Generate audio as it is synthesized (OpenAI sends chunked MP3)
+   * @param {string} text - Text to synthesize
+   * @param {string} voiceId - Voice identifier
+   * @param {Object} [options] - Generation options
+   * @returns {Promise<import('../audio-stream.js').AudioStream>}
+   */
+  async generateAudioStream(text, voiceId, options = {}) {
+    const response = await this._requestSpeech(text, voiceId, options);
+    return { stream: response.body, mimeType: 'audio/mpeg', wordTiming: Promise.resolve(null) };
+  }
+
+  /**
+   * POST a speech request
+   * @param {string} text
+   * @param {string} voiceId
+   * @param {Object} options
+   * @returns {Promise<Response>} Successful response, body unread
+   * @private
+   */
+  async _requestSpeech(text, voiceId, options) {
     if (!this.hasApiKey()) {
       throw new Error('OpenAI API key not configured');
     }
@@ -99,7 +124,7 @@ export class OpenAIProvider extends TTSProvider {
     const speed = this.clampSpeed(options.speed || 1.0);
     const model = options.hd ? 'tts-1-hd' : 'tts-1';
 
-    const response = await fetch('https://api.openai.com/v1/audio/speech', {
+    const response = await this.fetchApi('https://api.openai.com/v1/audio/speech', {
       method: 'POST',
       headers: {
         'Authorization': `Bearer ${this._apiKey}`,
@@ -121,10 +146,10 @@ export class OpenAIProvider extends TTSProvider {
       } catch {
         // Ignore parse error
       }
-      throw new Error(this.buildErrorMessage(response, errorBody?.error));
+      throw this.createResponseError(response, errorBody?.error);
     }
 
-    return await response.arrayBuffer();
+    return response;
   }
 
   /**
@@ -37,6 +37,7 @@ export const ProviderPricing = Object.freeze({
   openaiHd: createPricingModel(PricingType.PER_CHARACTER, 0.030, 1000),
   elevenlabs: createPricingModel(PricingType.PER_CHARACTER, 0.30, 1000),
   cartesia: createPricingModel(PricingType.PER_CHARACTER, 0.05, 1000),
+  custom: createPricingModel(PricingType.FREE, 0, 1), // Self-hosted, no per-use charge
   browser: createPricingModel(PricingType.FREE, 0, 1)
 });
 
@@ -0,0 +1,295 @@
+/**
+ * Reading Positions
+ * Remembers where reading stopped on each URL so reopening the page can
+ * offer "Resume from paragraph N".
+ *
+ * Each entry stores the paragraph and word index plus text fingerprints.
+ * Pages change between visits (ads, edits, comment counts), so on resume
+ * the paragraph is re-located by text match rather than trusted by index.
+ * The short fingerprint only finds the paragraph; whether its text is
+ * unchanged is decided by a hash of the full paragraph.
+ *
+ * @module background/reading-positions
+ */
+
+import { StorageKey } from './constants.js';
+
+/**
+ * Reading position configuration
+ */
+export const READING_POSITION_CONFIG = {
+  maxEntries: 300,
+  // Shortest fingerprint allowed for prefix matching (same floor as content-extractor textsMatch)
+  minPrefixMatchLength: 15
+};
+
+/**
+ * @typedef {Object} ReadingPosition
+ * @property {string} url - Page URL (without fragment)
+ * @property {string} mode - Extraction mode used when reading
+ * @property {number} paragraphIndex - Paragraph reading stopped in
+ * @property {number} wordIndex - Word within that paragraph (0 when unknown)
+ * @property {number} totalParagraphs - Paragraph count when saved
+ * @property {string} paragraphFingerprint - Fingerprint of the paragraph text
+ * @property {string} paragraphHash - Hash of the full paragraph text
+ * @property {string} contentFingerprint - Fingerprint of the whole article
+ * @property {number} updatedAt - Timestamp of the last save
+ */
+
+/**
+ * Create a text fingerprint for fuzzy matching
+ * Same normalization as content-extractor's createTextFingerprint, so
+ * Readability output and live DOM text compare equal.
+ * @param {string} text
+ * @returns {string}
+ */
+export function createTextFingerprint(text) {
+  return normalizeText(text).substring(0, 50); // Use first 50 chars for comparison
+}
+
+/**
+ * Hash a paragraph's full normalized text
+ * @param {string} text
+ * @returns {string} 8-digit hex hash
+ */
+export function createParagraphHash(text) {
+  return hashString(normalizeText(text));
+}
+
+/**
+ * Fingerprint a whole article (hash of every paragraph's full normalized text)
+ * @param {string[]} paragraphs
+ * @returns {string} 8-digit hex hash
+ */
+export function createContentFingerprint(paragraphs) {
+  return hashString(paragraphs.map(normalizeText).join('\n'));
+}
+
+/**
+ * Lowercase, collapse whitespace and drop punctuation
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeText(text) {
+  if (!text) return '';
+  return text
+    .toLowerCase()
+    .replace(/\s+/g, ' ')      // Normalize whitespace
+    .replace(/[^\w\s]/g, '')   // Remove punctuation
+    .trim();
+}
+
+/**
+ * FNV-1a hash of a string
+ * @param {string} text
+ * @returns {string} 8-digit hex hash
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Normalize a URL for use as a position key (drops the fragment)
+ * @param {string} url
+ * @returns {string|null} Null for URLs positions are not kept for
+ */
+export function normalizePositionUrl(url) {
+  if (typeof url !== 'string' || !/^https?:\/\//i.test(url)) return null;
+  const hashIndex = url.indexOf('#');
+  return hashIndex === -1 ? url : url.slice(0, hashIndex);
+}
+
+/**
+ * Find the saved paragraph in the current page
+ * An unchanged page keeps the saved index. Otherwise the paragraph is
+ * matched by fingerprint (exact first, then prefix), preferring the
+ * match closest to the saved index. `exact` means the paragraph's full
+ * text is unchanged.
+ * @param {string[]} paragraphs - Current paragraphs
+ * @param {ReadingPosition} position - Saved position
+ * @returns {{paragraphIndex: number, exact: boolean}|null} Null when the paragraph is gone
+ */
+export function locateParagraph(paragraphs, position) {
+  if (!position || paragraphs.length === 0) return null;
+
+  const savedIndex = position.paragraphIndex;
+  if (position.contentFingerprint === createContentFingerprint(paragraphs) && savedIndex < paragraphs.length) {
+    return { paragraphIndex: savedIndex, exact: true };
+  }
+
+  const target = position.paragraphFingerprint;
+  if (!target) return null;
+
+  const fingerprints = paragraphs.map(createTextFingerprint);
+  const nearest = (indices) => indices.reduce((best, index) =>
+    (best === -1 || Math.abs(index - savedIndex) < Math.abs(best - savedIndex) ? index : best), -1);
+
+  const exactMatches = [];
+  const prefixMatches = [];
+  fingerprints.forEach((fingerprint, index) => {
+    if (fingerprint === target) {
+      exactMatches.push(index);
+    } else if (
+      fingerprint.length >= READING_POSITION_CONFIG.minPrefixMatchLength &&
+      target.length >= READING_POSITION_CONFIG.minPrefixMatchLength &&
+      (fingerprint.startsWith(target) || target.startsWith(fingerprint))
+    ) {
+      prefixMatches.push(index);
+    }
+  });
+
+  const unchanged = exactMatches.filter(index =>
+    position.paragraphHash && createParagraphHash(paragraphs[index]) === position.paragraphHash);
+  if (unchanged.length > 0) {
+    return { paragraphIndex: nearest(unchanged), exact: true };
+  }
+  if (exactMatches.length > 0) {
+    return { paragraphIndex: nearest(exactMatches), exact: false };
+  }
+  if (prefixMatches.length > 0) {
+    return { paragraphIndex: nearest(prefixMatches), exact: false };
+  }
+  return null;
+}
+
+/**
+ * ReadingPositionStore class - per-URL positions in storage.local
+ */
+export class ReadingPositionStore {
+  /**
+   * @param {Object} [deps] - Dependencies
+   * @param {Object} [deps.storage] - storage.local-compatible area (defaults to browser.storage.local)
+   */
+  constructor(deps = {}) {
+    this.storage = deps.storage || browser.storage.local;
+
+    /** @type {Object<string, ReadingPosition>} Positions keyed by URL */
+    this.positions = {};
+
+    this._loaded = false;
+  }
+
+  /**
+   * Load positions from storage (once)
+   * @returns {Promise<void>}
+   */
+  async load() {
+    if (this._loaded) return;
+
+    try {
+      const result = await this.storage.get(StorageKey.READING_POSITIONS);
+      this.positions = result?.[StorageKey.READING_POSITIONS] || {};
+    } catch (error) {
+      console.warn('VoxPage: Failed to load reading positions:', error.message);
+    }
+
+    this._loaded = true;
+  }
+
+  /**
+   * Get the saved position for a URL
+   * @param {string} url
+   * @returns {Promise<ReadingPosition|null>}
+   */
+  async get(url) {
+    const key = normalizePositionUrl(url);
+    if (!key) return null;
+
+    await this.load();
+    return this.positions[key] || null;
+  }
+
+  /**
+   * Save the position reached on a URL
+   * @param {string} url
+   * @param {Object} position
+   * @param {string[]} position.paragraphs - Paragraphs being read
+   * @param {number} position.paragraphIndex
+   * @param {number} [position.wordIndex=0]
+   * @param {string} [position.mode]
+   * @returns {Promise<void>}
+   */
+  async save(url, { paragraphs, paragraphIndex, wordIndex = 0, mode }) {
+    const key = normalizePositionUrl(url);
+    if (!key || !paragraphs?.[paragraphIndex]) return;
+
+    await this.load();
+
+    this.positions[key] = {
+      url: key,
+      mode,
+      paragraphIndex,
+      wordIndex,
+      totalParagraphs: paragraphs.length,
+      paragraphFingerprint: createTextFingerprint(paragraphs[paragraphIndex]),
+      paragraphHash: createParagraphHash(paragraphs[paragraphIndex]),
+      contentFingerprint: createContentFingerprint(paragraphs),
+      updatedAt: Date.now()
+    };
+
+    this._evictOldest();
+    await this._persist();
+  }
+
+  /**
+   * Forget the position for a URL (e.g. the article was finished)
+   * @param {string} url
+   * @returns {Promise<void>}
+   */
+  async clear(url) {
+    const key = normalizePositionUrl(url);
+    if (!key) return;
+
+    await this.load();
+    if (!(key in this.positions)) return;
+
+    delete this.positions[key];
+    await this._persist();
+  }
+
+  /**
+   * Drop the least recently saved positions above the entry limit
+   * @private
+   */
+  _evictOldest() {
+    const keys = Object.keys(this.positions);
+    if (keys.length <= READING_POSITION_CONFIG.maxEntries) return;
+
+    keys
+      .sort((a, b) => this.positions[a].updatedAt - this.positions[b].updatedAt)
+      .slice(0, keys.length - READING_POSITION_CONFIG.maxEntries)
+      .forEach(key => delete this.positions[key]);
+  }
+
+  /**
+   * Write positions to storage
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _persist() {
+    try {
+      await this.storage.set({ [StorageKey.READING_POSITIONS]: this.positions });
+    } catch (error) {
+      console.warn('VoxPage: Failed to save reading positions:', error.message);
+    }
+  }
+}
+
+/**
+ * Factory function for ReadingPositionStore
+ * @param {Object} [deps] - Dependencies
+ * @returns {ReadingPositionStore}
+ */
+export function createReadingPositionStore(deps) {
+  return new ReadingPositionStore(deps);
+}
+
+// Export singleton instance
+export const readingPositionStore = new ReadingPositionStore();
+
+export default ReadingPositionStore;
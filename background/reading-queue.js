@@ -0,0 +1,286 @@
+/**
+ * Reading Queue
+ * Persistent playlist of pages to read one after another.
+ * Lives in storage.local so it survives browser restarts, and remembers
+ * the last paragraph reached in each page so playback can resume there.
+ *
+ * @module background/reading-queue
+ */
+
+import { StorageKey } from './constants.js';
+
+/**
+ * Queue configuration
+ */
+export const QUEUE_CONFIG = {
+  maxItems: 200
+};
+
+/**
+ * @typedef {Object} QueuePosition
+ * @property {number} paragraphIndex - Paragraph to resume from
+ * @property {number} totalParagraphs - Paragraph count when last read
+ * @property {number} updatedAt - Timestamp of the last save
+ */
+
+/**
+ * @typedef {Object} QueueItem
+ * @property {string} id - Unique item ID
+ * @property {string} url - Page URL
+ * @property {string} title - Page title (falls back to the URL)
+ * @property {number} addedAt - Timestamp when queued
+ * @property {QueuePosition|null} position - Last read position, if any
+ */
+
+/**
+ * Check whether a URL can be opened and read by the extension
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isQueueableUrl(url) {
+  return typeof url === 'string' && /^https?:\/\//i.test(url) && !url.includes('addons.mozilla.org');
+}
+
+/**
+ * ReadingQueue class - ordered, persisted list of pages
+ */
+export class ReadingQueue {
+  /**
+   * @param {Object} [deps] - Dependencies
+   * @param {Object} [deps.storage] - storage.local-compatible area (defaults to browser.storage.local)
+   */
+  constructor(deps = {}) {
+    this.storage = deps.storage || browser.storage.local;
+
+    /** @type {QueueItem[]} */
+    this.items = [];
+
+    /** @type {string|null} ID of the item being read */
+    this.currentId = null;
+
+    this._loaded = false;
+
+    /** @type {Set<Function>} Change subscribers */
+    this._subscribers = new Set();
+  }
+
+  /**
+   * Load the queue from storage (once)
+   * @returns {Promise<void>}
+   */
+  async load() {
+    if (this._loaded) return;
+
+    try {
+      const result = await this.storage.get(StorageKey.READING_QUEUE);
+      const stored = result?.[StorageKey.READING_QUEUE];
+      if (stored && Array.isArray(stored.items)) {
+        this.items = stored.items;
+        this.currentId = stored.currentId || null;
+      }
+    } catch (error) {
+      console.warn('VoxPage: Failed to load reading queue:', error.message);
+    }
+
+    this._loaded = true;
+  }
+
+  /**
+   * Get a snapshot of the queue
+   * @returns {Promise<{items: QueueItem[], currentId: string|null}>}
+   */
+  async getAll() {
+    await this.load();
+    return { items: this.items.map(item => ({ ...item })), currentId: this.currentId };
+  }
+
+  /**
+   * Get an item by ID
+   * @param {string} id
+   * @returns {Promise<QueueItem|null>}
+   */
+  async get(id) {
+    await this.load();
+    return this.items.find(item => item.id === id) || null;
+  }
+
+  /**
+   * Add pages to the end of the queue
+   * Pages already queued and URLs the extension cannot read are skipped.
+   * @param {Array<{url: string, title?: string}>} entries
+   * @returns {Promise<QueueItem[]>} Items that were added
+   */
+  async add(entries) {
+    await this.load();
+
+    const added = [];
+    for (const entry of entries) {
+      if (!isQueueableUrl(entry?.url)) continue;
+      if (this.items.some(item => item.url === entry.url)) continue;
+      if (this.items.length >= QUEUE_CONFIG.maxItems) break;
+
+      const item = {
+        id: `q-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        url: entry.url,
+        title: entry.title?.trim() || entry.url,
+        addedAt: Date.now(),
+        position: null
+      };
+      this.items.push(item);
+      added.push(item);
+    }
+
+    if (added.length > 0) {
+      await this._save();
+    }
+    return added;
+  }
+
+  /**
+   * Remove an item
+   * @param {string} id
+   * @returns {Promise<boolean>} Whether an item was removed
+   */
+  async remove(id) {
+    await this.load();
+
+    const index = this.items.findIndex(item => item.id === id);
+    if (index === -1) return false;
+
+    this.items.splice(index, 1);
+    if (this.currentId === id) {
+      this.currentId = null;
+    }
+    await this._save();
+    return true;
+  }
+
+  /**
+   * Move an item to a new position
+   * @param {string} id
+   * @param {number} toIndex - Target index (clamped to the queue bounds)
+   * @returns {Promise<boolean>} Whether the item was found
+   */
+  async move(id, toIndex) {
+    await this.load();
+
+    const fromIndex = this.items.findIndex(item => item.id === id);
+    if (fromIndex === -1) return false;
+
+    const target = Math.max(0, Math.min(toIndex, this.items.length - 1));
+    if (target !== fromIndex) {
+      const [item] = this.items.splice(fromIndex, 1);
+      this.items.splice(target, 0, item);
+      await this._save();
+    }
+    return true;
+  }
+
+  /**
+   * Remove every item
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.load();
+    this.items = [];
+    this.currentId = null;
+    await this._save();
+  }
+
+  /**
+   * Mark an item as the one being read
+   * @param {string|null} id
+   * @returns {Promise<void>}
+   */
+  async setCurrent(id) {
+    await this.load();
+    this.currentId = id;
+    await this._save();
+  }
+
+  /**
+   * Remember where reading stopped in an item
+   * @param {string} id
+   * @param {number} paragraphIndex
+   * @param {number} totalParagraphs
+   * @returns {Promise<void>}
+   */
+  async savePosition(id, paragraphIndex, totalParagraphs) {
+    await this.load();
+
+    const item = this.items.find(entry => entry.id === id);
+    if (!item) return;
+
+    item.position = { paragraphIndex, totalParagraphs, updatedAt: Date.now() };
+    await this._save();
+  }
+
+  /**
+   * Remove a finished item and return the one that followed it
+   * @param {string} id
+   * @returns {Promise<QueueItem|null>} Next item to read, if any
+   */
+  async complete(id) {
+    await this.load();
+
+    const index = this.items.findIndex(item => item.id === id);
+    if (index !== -1) {
+      this.items.splice(index, 1);
+    }
+    if (this.currentId === id) {
+      this.currentId = null;
+    }
+    await this._save();
+
+    // Items shift down after removal, so the follower now sits at `index`
+    return index === -1 ? null : this.items[index] || null;
+  }
+
+  /**
+   * Subscribe to queue changes
+   * @param {Function} callback - Called with the queue snapshot
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(callback) {
+    this._subscribers.add(callback);
+    return () => this._subscribers.delete(callback);
+  }
+
+  /**
+   * Persist and notify subscribers
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _save() {
+    try {
+      await this.storage.set({
+        [StorageKey.READING_QUEUE]: { items: this.items, currentId: this.currentId }
+      });
+    } catch (error) {
+      console.warn('VoxPage: Failed to save reading queue:', error.message);
+    }
+
+    const snapshot = { items: this.items.map(item => ({ ...item })), currentId: this.currentId };
+    for (const callback of this._subscribers) {
+      try {
+        callback(snapshot);
+      } catch (error) {
+        console.error('VoxPage: Queue subscriber error:', error);
+      }
+    }
+  }
+}
+
+/**
+ * Factory function for ReadingQueue
+ * @param {Object} [deps] - Dependencies
+ * @returns {ReadingQueue}
+ */
+export function createReadingQueue(deps) {
+  return new ReadingQueue(deps);
+}
+
+// Export singleton instance
+export const readingQueue = new ReadingQueue();
+
+export default ReadingQueue;
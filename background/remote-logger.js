@@ -1,13 +1,15 @@
 /**
  * VoxPage Remote Logger
- * Sends logs to Loki endpoint with batching, buffering, and retry
+ * Sends logs to Loki, an OTLP collector or a webhook (see log-exporters.js)
+ * with batching, buffering, and retry
  *
  * @module background/remote-logger
  * @description Core logging infrastructure for remote logging (014-loki-remote-logging)
  */
 
 import { LogBuffer } from './log-buffer.js';
-import { createLogEntry, serializeForLoki, generateTimestamp } from './log-entry.js';
+import { createLogEntry, redactLogFields } from './log-entry.js';
+import { createLogExporter, LokiExporter } from './log-exporters.js';
 import { StorageKey, LogLevel, LogLevelValue, LogComponent } from './constants.js';
 import {
   loggingDefaults,
@@ -16,11 +18,12 @@ import {
 } from '../shared/config/logging-defaults.js';
 
 /**
- * Remote logger class for sending logs to Loki
+ * Remote logger class for sending logs to the configured exporter
  */
 export class RemoteLogger {
   constructor() {
     this.config = { ...loggingDefaults };
+    this.exporter = createLogExporter(this.config);
     this.buffer = new LogBuffer({
       maxBytes: this.config.maxBufferBytes,
     });
@@ -84,6 +87,7 @@ export class RemoteLogger {
       const result = await browser.storage.local.get(StorageKey.LOGGING_CONFIG);
       if (result[StorageKey.LOGGING_CONFIG]) {
         this.config = { ...loggingDefaults, ...result[StorageKey.LOGGING_CONFIG] };
+        this.exporter = createLogExporter(this.config);
         this.buffer.maxBytes = this.config.maxBufferBytes;
       }
     } catch (err) {
@@ -99,6 +103,7 @@ export class RemoteLogger {
   handleConfigChange(newConfig) {
     const wasEnabled = this.config.enabled;
     this.config = { ...loggingDefaults, ...newConfig };
+    this.exporter = createLogExporter(this.config);
     this.buffer.maxBytes = this.config.maxBufferBytes;
 
     // Reset circuit breaker on config save (user action)
@@ -197,8 +202,38 @@ export class RemoteLogger {
       return;
     }
 
-    // Create and add entry
-    const entry = createLogEntry({ level, message, component, metadata });
+    this.addEntry(level, message, component, metadata);
+  }
+
+  /**
+   * Send a metrics summary whatever the minimum log level
+   * Metrics are opt-in (emitMetrics), so filtering them by level would only hide them.
+   *
+   * @param {string} message - Log message
+   * @param {Object} metrics - Metrics summary, sent as metadata
+   * @param {string} [component='background'] - Source component
+   */
+  logMetrics(message, metrics, component = LogComponent.BACKGROUND) {
+    if (!this.config.enabled || !this.initialized || this.buffer.isCircuitBroken()) {
+      return;
+    }
+
+    this.addEntry(LogLevel.INFO, message, component, metrics);
+  }
+
+  /**
+   * Redact, buffer an entry and flush when the batch is full
+   * Redaction follows the logging config (redactUrls, maskSecrets,
+   * redactFields), so nothing unredacted reaches the buffer or its storage.
+   * @private
+   * @param {string} level - Log level
+   * @param {string} message - Log message
+   * @param {string} component - Source component
+   * @param {Object|null} metadata - Structured metadata
+   */
+  addEntry(level, message, component, metadata) {
+    const redacted = redactLogFields({ message, metadata }, this.config);
+    const entry = createLogEntry({ level, component, ...redacted });
     if (entry) {
       this.buffer.add(entry);
 
@@ -241,7 +276,7 @@ export class RemoteLogger {
   }
 
   /**
-   * Flush buffered logs to Loki
+   * Flush buffered logs to the configured exporter
    * @returns {Promise<void>}
    */
   async flush() {
@@ -263,10 +298,10 @@ export class RemoteLogger {
     }
 
     // Build payload
-    const payload = this.buildLokiPayload(entries);
+    const payload = this.buildPayload(entries);
 
-    // Send to Loki
-    const result = await this.sendToLoki(payload);
+    // Send to the exporter's endpoint
+    const result = await this.exporter.send(payload);
 
     // Record result
     this.buffer.recordFlushResult(result.success);
@@ -281,106 +316,30 @@ export class RemoteLogger {
   }
 
   /**
-   * Build Loki push payload from log entries
-   * Groups entries by level and component for efficient streams
+   * Build the configured exporter's payload from log entries
    *
    * @param {Array} entries - Array of LogEntry objects
-   * @returns {Object} Loki streams payload
+   * @returns {Object} Exporter payload
    */
-  buildLokiPayload(entries) {
-    // Group entries by level:component
-    const grouped = this.groupByStreamLabels(entries);
-
-    const streams = Object.entries(grouped).map(([key, items]) => {
-      const [level, component] = key.split(':');
-      return {
-        stream: {
-          app: loggingConstants.appName,
-          version: this.version,
-          session: this.sessionId,
-          level: level,
-          component: component,
-        },
-        values: items.map(entry => serializeForLoki(entry)),
-      };
+  buildPayload(entries) {
+    return this.exporter.buildPayload(entries, {
+      version: this.version,
+      sessionId: this.sessionId,
     });
-
-    return { streams };
   }
 
   /**
-   * Group entries by stream labels for batching
-   * @private
-   * @param {Array} entries - Log entries
-   * @returns {Object} Grouped entries
-   */
-  groupByStreamLabels(entries) {
-    const groups = {};
-
-    for (const entry of entries) {
-      const key = `${entry.level}:${entry.component}`;
-      if (!groups[key]) {
-        groups[key] = [];
-      }
-      groups[key].push(entry);
-    }
-
-    return groups;
-  }
-
-  /**
-   * Send logs to Loki endpoint
+   * Build Loki push payload from log entries
+   * Groups entries by level and component for efficient streams
    *
-   * @param {Object} payload - Loki streams payload
-   * @returns {Promise<{success: boolean, retryable: boolean, error?: string}>}
+   * @param {Array} entries - Array of LogEntry objects
+   * @returns {Object} Loki streams payload
    */
-  async sendToLoki(payload) {
-    const headers = {
-      'Content-Type': 'application/json',
-    };
-
-    // Add authentication headers
-    switch (this.config.authType) {
-      case 'basic':
-        if (this.config.username && this.config.password) {
-          headers['Authorization'] = `Basic ${btoa(this.config.username + ':' + this.config.password)}`;
-        }
-        break;
-      case 'bearer':
-        if (this.config.bearerToken) {
-          headers['Authorization'] = `Bearer ${this.config.bearerToken}`;
-        }
-        break;
-      case 'cloudflare':
-        if (this.config.cfAccessClientId && this.config.cfAccessClientSecret) {
-          headers['CF-Access-Client-Id'] = this.config.cfAccessClientId;
-          headers['CF-Access-Client-Secret'] = this.config.cfAccessClientSecret;
-        }
-        break;
-    }
-
-    try {
-      const response = await fetch(this.config.endpoint, {
-        method: 'POST',
-        headers: headers,
-        body: JSON.stringify(payload),
-      });
-
-      if (response.status === 204) {
-        return { success: true, retryable: false };
-      }
-
-      const errorBody = await response.json().catch(() => ({}));
-      const error = errorBody.error || `HTTP ${response.status}`;
-
-      // Determine if retryable
-      const retryable = response.status >= 500 || response.status === 429;
-
-      return { success: false, retryable, error };
-    } catch (err) {
-      // Network error - retryable
-      return { success: false, retryable: true, error: err.message };
-    }
+  buildLokiPayload(entries) {
+    return new LokiExporter(this.config).buildPayload(entries, {
+      version: this.version,
+      sessionId: this.sessionId,
+    });
   }
 
   /**
@@ -396,6 +355,7 @@ export class RemoteLogger {
 
     this.retryQueue.push({
       payload,
+      exporter: this.exporter.id,
       attempts,
       nextRetryAt: Date.now() + delay,
       entryCount: entries.length,
@@ -415,10 +375,18 @@ export class RemoteLogger {
    */
   async processRetryQueue() {
     const now = Date.now();
+
+    // Batches built for another exporter cannot be sent to this one
+    // (queues saved before exporters existed hold Loki payloads)
+    const exporterId = this.exporter.id;
+    const queued = this.retryQueue.length;
+    this.retryQueue = this.retryQueue.filter(item => (item.exporter || 'loki') === exporterId);
+    const dropped = this.retryQueue.length < queued;
+
     const toRetry = this.retryQueue.filter(item => item.nextRetryAt <= now);
 
     for (const item of toRetry) {
-      const result = await this.sendToLoki(item.payload);
+      const result = await this.exporter.send(item.payload);
 
       if (result.success) {
         // Remove from queue
@@ -449,14 +417,14 @@ export class RemoteLogger {
       }
     }
 
-    if (toRetry.length > 0) {
+    if (toRetry.length > 0 || dropped) {
       await this.saveRetryQueue();
     }
   }
 
   /**
-   * Test connection to Loki endpoint
-   * Sends a test log entry and verifies response
+   * Test connection to the configured endpoint
+   * Sends a test log entry with the config's exporter and verifies response
    *
    * @param {Object} testConfig - Configuration to test
    * @returns {Promise<{success: boolean, error?: string}>}
@@ -469,66 +437,14 @@ export class RemoteLogger {
       metadata: { test: true },
     });
 
-    // Build test payload
-    const payload = {
-      streams: [{
-        stream: {
-          app: loggingConstants.appName,
-          version: this.version || '1.0.0',
-          session: 'test-session',
-          level: 'info',
-          component: 'options',
-        },
-        values: [serializeForLoki(testEntry)],
-      }],
-    };
-
-    // Build headers from test config
-    const headers = {
-      'Content-Type': 'application/json',
-    };
-
-    switch (testConfig.authType) {
-      case 'basic':
-        if (testConfig.username && testConfig.password) {
-          headers['Authorization'] = `Basic ${btoa(testConfig.username + ':' + testConfig.password)}`;
-        }
-        break;
-      case 'bearer':
-        if (testConfig.bearerToken) {
-          headers['Authorization'] = `Bearer ${testConfig.bearerToken}`;
-        }
-        break;
-      case 'cloudflare':
-        if (testConfig.cfAccessClientId && testConfig.cfAccessClientSecret) {
-          headers['CF-Access-Client-Id'] = testConfig.cfAccessClientId;
-          headers['CF-Access-Client-Secret'] = testConfig.cfAccessClientSecret;
-        }
-        break;
-    }
-
-    try {
-      const response = await fetch(testConfig.endpoint, {
-        method: 'POST',
-        headers: headers,
-        body: JSON.stringify(payload),
-      });
-
-      if (response.status === 204) {
-        return { success: true };
-      }
+    const exporter = createLogExporter(testConfig);
+    const payload = exporter.buildPayload([testEntry], {
+      version: this.version || '1.0.0',
+      sessionId: 'test-session',
+    });
 
-      const errorBody = await response.json().catch(() => ({}));
-      return {
-        success: false,
-        error: errorBody.error || `HTTP ${response.status}`,
-      };
-    } catch (err) {
-      return {
-        success: false,
-        error: err.message,
-      };
-    }
+    const result = await exporter.send(payload);
+    return result.success ? { success: true } : { success: false, error: result.error };
   }
 
   /**
@@ -545,7 +461,7 @@ export class RemoteLogger {
       return;
     }
 
-    const payload = this.buildLokiPayload(entries);
+    const payload = this.buildPayload(entries);
 
     // Use sendBeacon for more reliable delivery on page unload
     try {
@@ -561,7 +477,7 @@ export class RemoteLogger {
         navigator.sendBeacon(this.config.endpoint, blob);
       } else {
         // Use fetch with keepalive for authenticated requests
-        this.sendToLoki(payload).catch(() => {
+        this.exporter.send(payload).catch(() => {
           // Ignore errors on shutdown
         });
       }
@@ -581,6 +497,7 @@ export class RemoteLogger {
     return {
       initialized: this.initialized,
       enabled: this.config.enabled,
+      exporter: this.exporter.id,
       endpoint: this.config.endpoint ? '(configured)' : null,
       sessionId: this.sessionId,
       version: this.version,
@@ -0,0 +1,116 @@
+/**
+ * Speech Markup
+ * Optional layer that makes page structure audible: pauses around headings,
+ * list items, block quotes, code blocks, tables and figures, slower and
+ * lower headings, and short pauses before emphasized text. A provider-neutral plan is built per paragraph and
+ * rendered into what the speaking provider understands, named by its
+ * static `speechMarkup` getter:
+ *
+ * - 'elevenlabs' - `<break time="0.5s" />` tags in the text
+ * - 'cartesia' - `<break time="500ms"/>` tags in the text
+ * - 'utterance' - SpeechSynthesisUtterance rate/pitch, pauses between utterances
+ * - null - plain text
+ *
+ * Only 'utterance' carries the rate and pitch in SEGMENT_STYLES. The break
+ * tag providers get the pauses alone: emphasis is a short pause before the
+ * emphasized words, not stress, and headings and quotes are read at the
+ * voice's normal pace and pitch.
+ *
+ * Tags are inserted through SpokenText, so word timing still maps back to
+ * the page text.
+ *
+ * @module background/speech-markup
+ */
+
+import { segmentTypesFromTags } from './transcript-builder.js';
+
+/**
+ * Pauses (ms) and prosody (multipliers) per segment type
+ */
+export const SEGMENT_STYLES = Object.freeze({
+  heading: Object.freeze({ pauseBeforeMs: 500, pauseAfterMs: 700, rate: 0.9, pitch: 0.9 }),
+  listItem: Object.freeze({ pauseBeforeMs: 0, pauseAfterMs: 250, rate: 1, pitch: 1 }),
+  quote: Object.freeze({ pauseBeforeMs: 300, pauseAfterMs: 300, rate: 0.95, pitch: 1.1 }),
+  code: Object.freeze({ pauseBeforeMs: 300, pauseAfterMs: 300, rate: 1, pitch: 1 }),
+  table: Object.freeze({ pauseBeforeMs: 300, pauseAfterMs: 300, rate: 1, pitch: 1 }),
+  figure: Object.freeze({ pauseBeforeMs: 300, pauseAfterMs: 300, rate: 1, pitch: 1 }),
+  paragraph: Object.freeze({ pauseBeforeMs: 0, pauseAfterMs: 0, rate: 1, pitch: 1 })
+});
+
+/**
+ * Pause (ms) before emphasized text, by emphasis level
+ */
+const EMPHASIS_PAUSE_MS = Object.freeze({ moderate: 150, strong: 250 });
+
+/**
+ * Break tag formats for providers that take pauses inline
+ */
+const BREAK_TAGS = Object.freeze({
+  elevenlabs: ms => `<break time="${(ms / 1000).toFixed(2).replace(/0$/, '')}s" />`,
+  cartesia: ms => `<break time="${ms}ms"/>`
+});
+
+/**
+ * Describe each paragraph for markup: its segment type and emphasis ranges
+ * Block quote paragraphs are typed through the same detection as their tag
+ * (TextSegmentMap.detectSegmentType).
+ * @param {string[]|null} tags - Tag name per paragraph
+ * @param {Array<{quote: boolean, emphasis: Array}>|null} markup - From the content script
+ * @param {number} count - Number of paragraphs
+ * @returns {Array<{type: string, emphasis: Array<{start: number, end: number, level: string}>}>}
+ */
+export function describeParagraphs(tags, markup, count) {
+  const hasMarkup = Array.isArray(markup) && markup.length === count;
+  const quoteTags = hasMarkup && Array.isArray(tags) && tags.length === count
+    ? tags.map((tag, i) => (markup[i]?.quote && (tag === 'P' || tag === 'DIV') ? 'BLOCKQUOTE' : tag))
+    : tags;
+
+  return segmentTypesFromTags(quoteTags, count).map((type, i) => ({
+    type,
+    emphasis: hasMarkup && Array.isArray(markup[i]?.emphasis) ? markup[i].emphasis : []
+  }));
+}
+
+/**
+ * Render a paragraph for a provider
+ * @param {import('./text-normalizer.js').SpokenText} spoken - Paragraph as it is to be spoken
+ * @param {{type: string, emphasis: Array}|null} paragraph - From describeParagraphs
+ * @param {'elevenlabs'|'cartesia'|'utterance'|null} support - The provider's speechMarkup
+ * @returns {{spoken: import('./text-normalizer.js').SpokenText, rate: number, pitch: number, pauseBeforeMs: number, pauseAfterMs: number}}
+ *   Text to send, plus utterance prosody and pauses the caller has to add itself
+ */
+export function renderSpeechMarkup(spoken, paragraph, support) {
+  const plain = { spoken, rate: 1, pitch: 1, pauseBeforeMs: 0, pauseAfterMs: 0 };
+  if (!paragraph || !support) return plain;
+
+  const style = SEGMENT_STYLES[paragraph.type] || SEGMENT_STYLES.paragraph;
+
+  if (support === 'utterance') {
+    const { rate, pitch, pauseBeforeMs, pauseAfterMs } = style;
+    return { spoken, rate, pitch, pauseBeforeMs, pauseAfterMs };
+  }
+
+  const breakTag = BREAK_TAGS[support];
+  if (!breakTag) return plain;
+
+  const marked = spoken.clone();
+  // Insert from the end so earlier offsets stay valid
+  if (style.pauseAfterMs) {
+    marked.insertMarkup(marked.text.length, ` ${breakTag(style.pauseAfterMs)}`);
+  }
+  // Nested <em>/<strong> starting together get one pause, the longer one
+  const emphasisPauses = new Map();
+  for (const range of paragraph.emphasis) {
+    const offset = spoken.toSpokenOffset(range.start);
+    const ms = EMPHASIS_PAUSE_MS[range.level] || 0;
+    if (offset > 0 && ms > (emphasisPauses.get(offset) || 0)) emphasisPauses.set(offset, ms);
+  }
+  for (const [offset, ms] of [...emphasisPauses].sort((a, b) => b[0] - a[0])) {
+    marked.insertMarkup(offset, `${breakTag(ms)} `);
+  }
+  if (style.pauseBeforeMs) {
+    marked.insertMarkup(0, `${breakTag(style.pauseBeforeMs)} `);
+  }
+
+  return { ...plain, spoken: marked };
+}
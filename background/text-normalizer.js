@@ -0,0 +1,480 @@
+/**
+ * Text Normalizer
+ * Rewrites paragraph text into what the provider should say: the user's
+ * pronunciation lexicon first, then built-in normalizers for emails, URLs,
+ * dates, numbers and code identifiers. Every rewrite is recorded, so offsets
+ * into the spoken text (native word timing or Groq alignment) can be mapped
+ * back to the words on the page for highlighting.
+ *
+ * @module background/text-normalizer
+ */
+
+import { matchesUrlPattern } from '../shared/config/extraction-rules.js';
+
+/**
+ * Words for symbols read out by the URL, email and number normalizers
+ */
+const SPOKEN_SYMBOLS = Object.freeze({
+  en: { dot: 'dot', at: 'at', slash: 'slash', decimal: 'point', percent: 'percent' },
+  de: { dot: 'Punkt', at: 'at', slash: 'Schrägstrich', decimal: 'Komma', percent: 'Prozent' },
+  fr: { dot: 'point', at: 'arobase', slash: 'barre oblique', decimal: 'virgule', percent: 'pour cent' },
+  es: { dot: 'punto', at: 'arroba', slash: 'barra', decimal: 'coma', percent: 'por ciento' },
+  it: { dot: 'punto', at: 'chiocciola', slash: 'barra', decimal: 'virgola', percent: 'percento' },
+  pt: { dot: 'ponto', at: 'arroba', slash: 'barra', decimal: 'vírgula', percent: 'por cento' },
+  nl: { dot: 'punt', at: 'apenstaartje', slash: 'schuine streep', decimal: 'komma', percent: 'procent' }
+});
+
+const WORD_CHAR = '[\\p{L}\\p{N}_]';
+
+/**
+ * Text to be spoken, with a map back to the original paragraph
+ * Starts out equal to the original; each replace() swaps matches for
+ * spoken forms. Replaced text is never matched again, so later passes
+ * (and the built-in normalizers) leave the user's replacements alone.
+ */
+export class SpokenText {
+  /**
+   * @param {string} original - Paragraph text as shown on the page
+   */
+  constructor(original) {
+    this.original = original || '';
+
+    /**
+     * Spoken pieces in order; start/end are offsets in the original text.
+     * Markup pieces (speech markup tags) cover no original text.
+     * @type {Array<{text: string, start: number, end: number, replaced: boolean, markup?: boolean}>}
+     */
+    this.segments = this.original
+      ? [{ text: this.original, start: 0, end: this.original.length, replaced: false }]
+      : [];
+  }
+
+  /**
+   * The text to send to the provider
+   * @returns {string}
+   */
+  get text() {
+    return this.segments.map(segment => segment.text).join('');
+  }
+
+  /**
+   * Whether any rewrite applied
+   * @returns {boolean}
+   */
+  get changed() {
+    return this.segments.some(segment => segment.replaced);
+  }
+
+  /**
+   * Replace matches in the text that has not been rewritten yet
+   * @param {RegExp} pattern - Always applied globally
+   * @param {function(RegExpExecArray): (string|null)} replacer - Spoken form,
+   *   or null to leave the match as it is
+   * @returns {SpokenText} this, for chaining
+   */
+  replace(pattern, replacer) {
+    const flags = pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`;
+    const regex = new RegExp(pattern.source, flags);
+    const next = [];
+
+    for (const segment of this.segments) {
+      if (segment.replaced) {
+        next.push(segment);
+        continue;
+      }
+
+      let cursor = 0;
+      let match;
+      regex.lastIndex = 0;
+      while ((match = regex.exec(segment.text)) !== null) {
+        if (match[0].length === 0) {
+          regex.lastIndex++;
+          continue;
+        }
+
+        const replacement = replacer(match);
+        if (replacement === null || replacement === undefined || replacement === match[0]) continue;
+
+        if (match.index > cursor) {
+          next.push(sliceSegment(segment, cursor, match.index));
+        }
+        next.push({
+          text: replacement,
+          start: segment.start + match.index,
+          end: segment.start + match.index + match[0].length,
+          replaced: true
+        });
+        cursor = match.index + match[0].length;
+      }
+
+      if (cursor === 0) {
+        next.push(segment);
+      } else if (cursor < segment.text.length) {
+        next.push(sliceSegment(segment, cursor, segment.text.length));
+      }
+    }
+
+    this.segments = next;
+    return this;
+  }
+
+  /**
+   * Copy the text and its map, so markup can be added for one provider
+   * @returns {SpokenText}
+   */
+  clone() {
+    const copy = new SpokenText(this.original);
+    copy.segments = this.segments.map(segment => ({ ...segment }));
+    return copy;
+  }
+
+  /**
+   * Insert provider markup (e.g. a break tag) into the spoken text
+   * Offsets inside a rewritten piece move to its start, so markup never
+   * splits a replacement.
+   * @param {number} offset - Offset in the spoken text
+   * @param {string} markup
+   * @returns {SpokenText} this, for chaining
+   */
+  insertMarkup(offset, markup) {
+    let position = 0;
+    for (let i = 0; i <= this.segments.length; i++) {
+      const segment = this.segments[i];
+      const length = segment ? segment.text.length : 0;
+
+      if (!segment || offset < position + length || (offset === position && length === 0)) {
+        const at = segment ? Math.max(offset - position, 0) : 0;
+        const piece = {
+          text: markup,
+          start: segment ? segment.start + (segment.replaced ? 0 : at) : this.original.length,
+          end: 0,
+          replaced: true,
+          markup: true
+        };
+        piece.end = piece.start;
+
+        if (segment && !segment.replaced && at > 0) {
+          this.segments.splice(i, 1, sliceSegment(segment, 0, at), piece, sliceSegment(segment, at, length));
+        } else {
+          this.segments.splice(i, 0, piece);
+        }
+        return this;
+      }
+      position += length;
+    }
+    return this;
+  }
+
+  /**
+   * Map an offset in the original text to the spoken text
+   * Offsets inside a rewritten piece map to the start of its spoken form.
+   * @param {number} offset - Offset in the original text
+   * @returns {number}
+   */
+  toSpokenOffset(offset) {
+    let position = 0;
+    for (const segment of this.segments) {
+      if (!segment.markup && offset >= segment.start && offset < segment.end) {
+        return segment.replaced ? position : position + offset - segment.start;
+      }
+      position += segment.text.length;
+    }
+    return position;
+  }
+
+  /**
+   * Map a range of the spoken text to the original text
+   * A range touching a rewritten piece covers the whole original it came
+   * from, so every spoken word of "example dot com" highlights the URL.
+   * @param {number} charOffset - Offset in the spoken text
+   * @param {number} charLength - Length in the spoken text
+   * @returns {{charOffset: number, charLength: number}}
+   */
+  toOriginalRange(charOffset, charLength) {
+    const end = charOffset + Math.max(charLength, 1);
+    let position = 0;
+    let from = null;
+    let to = null;
+
+    for (const segment of this.segments) {
+      const segmentEnd = position + segment.text.length;
+      if (segmentEnd > charOffset && position < end && !segment.markup) {
+        const start = segment.replaced ? segment.start : segment.start + Math.max(charOffset - position, 0);
+        if (from === null) from = start;
+        to = segment.replaced ? segment.end : segment.start + Math.min(end, segmentEnd) - position;
+      }
+      position = segmentEnd;
+      if (position >= end) break;
+    }
+
+    if (from === null) {
+      return { charOffset: this.original.length, charLength: 0 };
+    }
+    return { charOffset: from, charLength: to - from };
+  }
+
+  /**
+   * Map word timing for the spoken text onto the original text
+   * Words without a position (charOffset < 0) are passed through; "words"
+   * that are only markup (a provider echoing its break tags) are dropped.
+   * @param {Array<Object>|null} words - Word timing with charOffset/charLength
+   * @returns {Array<Object>|null}
+   */
+  mapWordTiming(words) {
+    if (!words || !this.changed) return words;
+
+    const markupRanges = [];
+    let position = 0;
+    for (const segment of this.segments) {
+      if (segment.markup) markupRanges.push([position, position + segment.text.length]);
+      position += segment.text.length;
+    }
+
+    return words
+      .filter(word => !markupRanges.some(([start, end]) =>
+        word.charOffset >= start && word.charOffset + (word.charLength || 0) <= end))
+      .map(word => {
+        if (typeof word.charOffset !== 'number' || word.charOffset < 0) return word;
+        const length = word.charLength >= 0 ? word.charLength : (word.word?.length ?? 0);
+        return { ...word, ...this.toOriginalRange(word.charOffset, length) };
+      });
+  }
+}
+
+/**
+ * Cut an unreplaced segment down to part of its text
+ * @param {Object} segment
+ * @param {number} from
+ * @param {number} to
+ * @returns {Object}
+ */
+function sliceSegment(segment, from, to) {
+  return {
+    text: segment.text.slice(from, to),
+    start: segment.start + from,
+    end: segment.start + to,
+    replaced: false
+  };
+}
+
+/**
+ * Escape text for use in a regular expression
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Pick the lexicon entries that apply to a page, most specific first
+ * Site entries come before language entries, which come before global
+ * ones; entries of the same scope keep their order in the list.
+ * @param {Object[]} lexicon - The pronunciationLexicon setting
+ * @param {string|null} languageCode - Language being read (e.g. 'en', 'pt-BR')
+ * @param {string|null} url - Page URL
+ * @returns {Object[]}
+ */
+export function selectLexiconEntries(lexicon, languageCode, url) {
+  if (!Array.isArray(lexicon)) return [];
+  const language = (languageCode || '').split('-')[0].toLowerCase();
+
+  return lexicon
+    .filter(entry => (!entry.language || entry.language === language) &&
+      (!entry.site || matchesUrlPattern(entry.site, url)))
+    .map((entry, index) => ({ entry, index, rank: (entry.site ? 2 : 0) + (entry.language ? 1 : 0) }))
+    .sort((a, b) => b.rank - a.rank || a.index - b.index)
+    .map(({ entry }) => entry);
+}
+
+/**
+ * Build the pattern for a lexicon entry
+ * Literal matches only match whole words (where they start or end with a
+ * word character).
+ * @param {Object} entry
+ * @returns {RegExp|null} null if a regex entry does not compile
+ */
+function lexiconPattern(entry) {
+  const flags = entry.matchCase ? 'gu' : 'giu';
+  if (entry.isRegex) {
+    try {
+      return new RegExp(entry.match, flags);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  const before = /^[\p{L}\p{N}_]/u.test(entry.match) ? `(?<!${WORD_CHAR})` : '';
+  const after = /[\p{L}\p{N}_]$/u.test(entry.match) ? `(?!${WORD_CHAR})` : '';
+  return new RegExp(`${before}${escapeRegExp(entry.match)}${after}`, flags);
+}
+
+/**
+ * Apply one lexicon entry; regex replacements may use $& and $1..$n
+ * @param {SpokenText} spoken
+ * @param {Object} entry
+ */
+function applyLexiconEntry(spoken, entry) {
+  const pattern = lexiconPattern(entry);
+  if (!pattern) return;
+
+  spoken.replace(pattern, match => (entry.isRegex
+    ? entry.replacement.replace(/\$(\d+|&)/g, (token, ref) => (ref === '&' ? match[0] : match[Number(ref)] ?? ''))
+    : entry.replacement));
+}
+
+/**
+ * Read a dotted name ("example.com") with the language's word for the dot
+ * @param {string} name
+ * @param {Object} symbols
+ * @returns {string}
+ */
+function speakDotted(name, symbols) {
+  return name.split('.').filter(Boolean).join(` ${symbols.dot} `);
+}
+
+/**
+ * Emails: "jane.doe@example.com" -> "jane dot doe at example dot com"
+ * @param {SpokenText} spoken
+ * @param {Object} language
+ */
+function normalizeEmails(spoken, { symbols }) {
+  spoken.replace(/(?<![\w.+-])([\w.+-]+)@([\w-]+(?:\.[\w-]+)+)(?![\w-])/u, ([, local, domain]) =>
+    `${speakDotted(local, symbols)} ${symbols.at} ${speakDotted(domain, symbols)}`);
+}
+
+/**
+ * URLs: host and path are read, scheme, "www", query and fragment are not
+ * "https://www.example.com/docs/getting-started?x=1" -> "example dot com slash docs slash getting started"
+ * @param {SpokenText} spoken
+ * @param {Object} language
+ */
+function normalizeUrls(spoken, { symbols }) {
+  spoken.replace(/\b(?:https?:\/\/|www\.)[^\s<>"']*[^\s<>"'.,;:!?)\]]/u, ([url]) => {
+    const [address] = url.replace(/^https?:\/\//i, '').replace(/^www\./i, '').split(/[?#]/);
+    const [host, ...path] = address.split('/').filter(Boolean);
+    if (!host) return null;
+
+    return [speakDotted(host, symbols), ...path.map(part => part.replace(/[-_+]+/g, ' '))]
+      .join(` ${symbols.slash} `);
+  });
+}
+
+/**
+ * ISO dates: "2026-03-14" -> "March 14, 2026" in the page language
+ * @param {SpokenText} spoken
+ * @param {Object} language
+ */
+function normalizeDates(spoken, { locale }) {
+  const format = new Intl.DateTimeFormat(locale, { dateStyle: 'long', timeZone: 'UTC' });
+
+  spoken.replace(/(?<![\d-])(\d{4})-(\d{2})-(\d{2})(?![\d-])/u, ([, year, month, day]) => {
+    const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+    // Reject impossible dates like 2026-02-31 rather than reading the rollover
+    if (date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) return null;
+    return format.format(date);
+  });
+}
+
+/**
+ * Numbers: grouping separators are dropped and decimals and percentages
+ * read with the language's words ("1,234.5%" -> "1234 point 5 percent" in
+ * English, "1.234,5 %" -> "1234 Komma 5 Prozent" in German)
+ * @param {SpokenText} spoken
+ * @param {Object} language
+ */
+function normalizeNumbers(spoken, { locale, symbols }) {
+  const parts = new Intl.NumberFormat(locale).formatToParts(12345.6);
+  const group = parts.find(part => part.type === 'group')?.value || ',';
+  const decimal = parts.find(part => part.type === 'decimal')?.value || '.';
+  // Space-like group separators only count as the no-break spaces Intl uses
+  const groupClass = /\s/.test(group) ? '[\\u00a0\\u202f]' : escapeRegExp(group);
+  const separators = `[${escapeRegExp(decimal)}${/\s/.test(group) ? '\\u00a0\\u202f' : escapeRegExp(group)}]`;
+
+  const pattern = new RegExp(
+    `(?<![\\p{L}\\d]|\\d${separators})(\\d{1,3}(?:${groupClass}\\d{3})+|\\d+)` +
+    `(?:${escapeRegExp(decimal)}(\\d+))?(?!\\p{L}|${separators}?\\d)(\\s?%)?`,
+    'u'
+  );
+
+  spoken.replace(pattern, ([number, integer, fraction, percent]) => {
+    let text = integer.replace(/\D/g, '');
+    if (fraction) text += ` ${symbols.decimal} ${fraction}`;
+    if (percent) text += ` ${symbols.percent}`;
+    return text === number ? null : text;
+  });
+}
+
+/**
+ * Split a camelCase or PascalCase word ("parseHTMLDocument" -> "parse HTML Document")
+ * @param {string} word
+ * @returns {string}
+ */
+function splitCamelCase(word) {
+  return word.replace(/([a-z\d])(?=[A-Z])|([A-Z])(?=[A-Z][a-z])/g, '$1$2 ');
+}
+
+/**
+ * Code identifiers: "user_id" -> "user id", "getUserName" -> "get User Name"
+ * Mixed-case brand names with a single leading letter ("iPhone") are left alone.
+ * @param {SpokenText} spoken
+ */
+function normalizeIdentifiers(spoken) {
+  spoken.replace(/(?<![\p{L}\p{N}])[A-Za-z\d]+(?:_[A-Za-z\d]+)+(?![\p{L}\p{N}])/u, ([identifier]) =>
+    identifier.split('_').map(splitCamelCase).join(' '));
+  spoken.replace(/(?<![\p{L}\p{N}_])(?:[A-Za-z]*[a-z]{2}|[A-Z][a-z]+)[A-Z][A-Za-z\d]*(?![\p{L}\p{N}_])/u,
+    ([identifier]) => splitCamelCase(identifier));
+}
+
+/**
+ * Built-in normalizers by textNormalizers key, in the order they run
+ * Emails go before URLs and dates before numbers so each keeps its match.
+ */
+const NORMALIZERS = Object.freeze({
+  emails: normalizeEmails,
+  urls: normalizeUrls,
+  dates: normalizeDates,
+  numbers: normalizeNumbers,
+  identifiers: normalizeIdentifiers
+});
+
+/**
+ * Resolve the locale and symbol words for a language code
+ * @param {string|null} languageCode
+ * @returns {{locale: string, symbols: Object}}
+ */
+function resolveLanguage(languageCode) {
+  const code = (languageCode || 'en').split('-')[0].toLowerCase();
+  let locale = 'en';
+  try {
+    locale = Intl.NumberFormat.supportedLocalesOf(languageCode || 'en')[0] || 'en';
+  } catch (e) {
+    // Malformed language tag; read numbers and dates the English way
+  }
+  return { locale, symbols: SPOKEN_SYMBOLS[code] || SPOKEN_SYMBOLS.en };
+}
+
+/**
+ * Turn a paragraph into the text the provider should speak
+ * @param {string} text - Paragraph text from the page
+ * @param {Object} [options]
+ * @param {Object[]} [options.lexicon] - The pronunciationLexicon setting
+ * @param {Object<string, boolean>} [options.normalizers] - The textNormalizers setting
+ * @param {string|null} [options.languageCode] - Language being read
+ * @param {string|null} [options.url] - Page URL, for site-scoped entries
+ * @returns {SpokenText}
+ */
+export function normalizeText(text, { lexicon = [], normalizers = {}, languageCode = null, url = null } = {}) {
+  const spoken = new SpokenText(text);
+
+  for (const entry of selectLexiconEntries(lexicon, languageCode, url)) {
+    applyLexiconEntry(spoken, entry);
+  }
+
+  const language = resolveLanguage(languageCode);
+  for (const [key, normalize] of Object.entries(NORMALIZERS)) {
+    if (normalizers[key]) normalize(spoken, language);
+  }
+
+  return spoken;
+}
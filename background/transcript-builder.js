@@ -0,0 +1,239 @@
+/**
+ * Transcript Builder
+ * Turns exported paragraph audio into WebVTT/SRT captions and a chapter list.
+ *
+ * Cue timing comes from provider word timelines (ElevenLabs /with-timestamps,
+ * Groq Whisper) when available. Paragraphs without a timeline get an estimate
+ * spread across the segment duration by word length.
+ *
+ * Chapters start at headings, using the same segment type detection as the
+ * content script's TextSegmentMap.
+ *
+ * @module background/transcript-builder
+ */
+
+import { TextSegmentMap } from '../content/text-segment.js';
+import { normalizeWordTimeline } from './playback-sync.js';
+
+/**
+ * Transcript configuration
+ */
+const TRANSCRIPT_CONFIG = {
+  maxSentenceCueChars: 84, // Two caption lines of 42 characters
+  fallbackWordsPerMinute: 150
+};
+
+/**
+ * @typedef {Object} TranscriptSegment
+ * @property {string} text - Paragraph text
+ * @property {'paragraph'|'heading'|'listItem'|'quote'|'code'|'table'|'figure'} [type] - Segment type
+ * @property {number} durationMs - Audio duration of the segment
+ * @property {Array|null} [wordTiming] - Provider word timeline, if any
+ */
+
+/**
+ * @typedef {Object} Cue
+ * @property {number} startMs
+ * @property {number} endMs
+ * @property {string} text
+ */
+
+/**
+ * @typedef {Object} Chapter
+ * @property {number} startMs
+ * @property {number} endMs
+ * @property {string} title
+ */
+
+const segmentTypeDetector = new TextSegmentMap();
+
+/**
+ * Map paragraph tag names from the content script to segment types
+ * @param {string[]|null} tags - Tag names, aligned with the paragraphs
+ * @param {number} count - Number of paragraphs
+ * @returns {Array<'paragraph'|'heading'|'listItem'|'quote'|'code'|'table'|'figure'>}
+ */
+export function segmentTypesFromTags(tags, count) {
+  if (!Array.isArray(tags) || tags.length !== count) {
+    return new Array(count).fill('paragraph');
+  }
+  return tags.map(tagName => segmentTypeDetector.detectSegmentType({ tagName: tagName || 'P' }));
+}
+
+/**
+ * Estimate paragraph duration from its word count
+ * @param {string} text
+ * @returns {number} Duration in ms
+ */
+export function estimateDurationMs(text) {
+  const words = text.split(/\s+/).filter(Boolean).length;
+  return (words / TRANSCRIPT_CONFIG.fallbackWordsPerMinute) * 60 * 1000;
+}
+
+/**
+ * Spread words across a duration, weighted by their length
+ * @param {string} text
+ * @param {number} durationMs
+ * @returns {Array<{word: string, startTimeMs: number, endTimeMs: number}>}
+ */
+export function estimateWordTiming(text, durationMs) {
+  const words = text.split(/\s+/).filter(Boolean);
+  const totalWeight = words.reduce((sum, word) => sum + word.length + 1, 0);
+  let elapsed = 0;
+
+  return words.map(word => {
+    const startTimeMs = (elapsed / totalWeight) * durationMs;
+    elapsed += word.length + 1;
+    return { word, startTimeMs, endTimeMs: (elapsed / totalWeight) * durationMs };
+  });
+}
+
+/**
+ * Get the word timeline for a segment, estimating one if the provider gave none
+ * @param {TranscriptSegment} segment
+ * @returns {Array<{word: string, startTimeMs: number, endTimeMs: number}>}
+ */
+function resolveWordTiming(segment) {
+  const timeline = normalizeWordTimeline(segment.wordTiming).filter(t => t.word.trim());
+  return timeline.length > 0 ? timeline : estimateWordTiming(segment.text, segment.durationMs);
+}
+
+/**
+ * Group a word timeline into sentence cues
+ * @param {Array<{word: string, startTimeMs: number, endTimeMs: number}>} words
+ * @returns {Cue[]} Cues relative to the segment start
+ */
+function groupSentences(words) {
+  const cues = [];
+  let current = [];
+
+  const flush = () => {
+    if (current.length === 0) return;
+    cues.push({
+      startMs: current[0].startTimeMs,
+      endMs: current[current.length - 1].endTimeMs,
+      text: current.map(w => w.word.trim()).join(' ')
+    });
+    current = [];
+  };
+
+  for (const word of words) {
+    const text = word.word.trim();
+    const length = current.reduce((sum, w) => sum + w.word.trim().length + 1, 0);
+    if (current.length > 0 && length + text.length > TRANSCRIPT_CONFIG.maxSentenceCueChars) {
+      flush();
+    }
+    current.push(word);
+    if (/[.!?…]["'”’)\]]*$/.test(text)) {
+      flush();
+    }
+  }
+  flush();
+
+  return cues;
+}
+
+/**
+ * Build caption cues for the joined audio
+ * @param {TranscriptSegment[]} segments - Segments in playback order
+ * @param {'sentence'|'word'} [level='sentence'] - Cue granularity
+ * @returns {Cue[]}
+ */
+export function buildCues(segments, level = 'sentence') {
+  const cues = [];
+  let offsetMs = 0;
+
+  for (const segment of segments) {
+    const words = resolveWordTiming(segment);
+    const local = level === 'word'
+      ? words.map(w => ({ startMs: w.startTimeMs, endMs: w.endTimeMs, text: w.word.trim() }))
+      : groupSentences(words);
+
+    for (const cue of local) {
+      cues.push({
+        startMs: offsetMs + cue.startMs,
+        endMs: offsetMs + Math.max(cue.endMs, cue.startMs),
+        text: cue.text
+      });
+    }
+
+    offsetMs += segment.durationMs;
+  }
+
+  return cues;
+}
+
+/**
+ * Build a chapter list starting at each heading
+ * Content before the first heading becomes a chapter named after the article.
+ * @param {TranscriptSegment[]} segments - Segments in playback order
+ * @param {string} [title] - Article title for the leading chapter
+ * @returns {Chapter[]} Empty when the article has no headings
+ */
+export function buildChapters(segments, title) {
+  const chapters = [];
+  let offsetMs = 0;
+
+  segments.forEach((segment, index) => {
+    if (segment.type === 'heading') {
+      if (chapters.length === 0 && index > 0) {
+        chapters.push({ startMs: 0, title: title || 'Introduction' });
+      }
+      chapters.push({ startMs: offsetMs, title: segment.text.replace(/\s+/g, ' ').trim() });
+    }
+    offsetMs += segment.durationMs;
+  });
+
+  return chapters.map((chapter, i) => ({
+    ...chapter,
+    endMs: i + 1 < chapters.length ? chapters[i + 1].startMs : offsetMs
+  }));
+}
+
+/**
+ * Format milliseconds as HH:MM:SS.mmm (or HH:MM:SS,mmm for SRT)
+ * @param {number} ms
+ * @param {string} [separator='.'] - Fraction separator
+ * @returns {string}
+ */
+export function formatTimestamp(ms, separator = '.') {
+  const total = Math.max(0, Math.round(ms));
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor((total % 3600000) / 60000);
+  const seconds = Math.floor((total % 60000) / 1000);
+  const millis = total % 1000;
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(millis, 3)}`;
+}
+
+/**
+ * Escape cue text for WebVTT
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeVtt(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Serialize cues (or chapters) as WebVTT
+ * @param {Array<Cue|Chapter>} cues
+ * @returns {string}
+ */
+export function toWebVtt(cues) {
+  const blocks = cues.map((cue, i) =>
+    `${i + 1}\n${formatTimestamp(cue.startMs)} --> ${formatTimestamp(cue.endMs)}\n${escapeVtt(cue.text ?? cue.title)}`
+  );
+  return ['WEBVTT', ...blocks].join('\n\n') + '\n';
+}
+
+/**
+ * Serialize cues as SubRip (SRT)
+ * @param {Cue[]} cues
+ * @returns {string}
+ */
+export function toSrt(cues) {
+  return cues.map((cue, i) =>
+    `${i + 1}\n${formatTimestamp(cue.startMs, ',')} --> ${formatTimestamp(cue.endMs, ',')}\n${cue.text}\n`
+  ).join('\n');
+}
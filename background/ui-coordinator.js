@@ -7,7 +7,7 @@
  * @module background/ui-coordinator
  */
 
-import { MessageType, StorageKey, FooterMessageTypes } from './constants.js';
+import { MessageType, StorageKey, FooterMessageTypes, QueueMessageTypes } from './constants.js';
 
 /**
  * UICoordinator class - manages all UI notifications and state sync
@@ -18,6 +18,60 @@ export class UICoordinator {
     this.lastHighlightedWordIndex = -1;
     /** @type {number} */
     this.syncLogCounter = 0;
+    /** @type {number|null} Tab whose footer is showing a cost confirmation */
+    this.costConfirmationTabId = null;
+    /** @type {Array<{frameId: number, index: number}>} Frame and frame-local index per paragraph */
+    this.paragraphFrames = [];
+    /** @type {number|null} Frame holding the current paragraph highlight */
+    this.highlightFrameId = null;
+    /** @type {boolean} Whether the reader view overlay shows the article */
+    this.readerViewOpen = false;
+  }
+
+  /**
+   * Set where each paragraph of the article lives in the page
+   * @param {Array<{frameId: number, index: number}>} paragraphFrames - Empty when
+   *   every paragraph is in the top frame at its own index
+   */
+  setParagraphFrames(paragraphFrames) {
+    this.paragraphFrames = Array.isArray(paragraphFrames) ? paragraphFrames : [];
+  }
+
+  /**
+   * Add where paragraphs appended to the article live in the page
+   * Only kept while the list covers every paragraph before them; an empty
+   * list keeps meaning that every paragraph is in the top frame.
+   * @param {Array<{frameId: number, index: number}>} paragraphFrames - One per appended paragraph
+   * @param {number} offset - Article index of the first appended paragraph
+   */
+  appendParagraphFrames(paragraphFrames, offset) {
+    if (this.paragraphFrames.length > 0 && this.paragraphFrames.length === offset && Array.isArray(paragraphFrames)) {
+      this.paragraphFrames = this.paragraphFrames.concat(paragraphFrames);
+    }
+  }
+
+  /**
+   * Get the frame and frame-local index of a paragraph
+   * @param {number} index - Article paragraph index
+   * @returns {{frameId: number, index: number}}
+   * @private
+   */
+  _frameTarget(index) {
+    // The reader view in the top frame holds every paragraph at its article index
+    if (this.readerViewOpen) return { frameId: 0, index };
+    return this.paragraphFrames[index] || { frameId: 0, index };
+  }
+
+  /**
+   * Get the article paragraph index of a paragraph reported by a frame
+   * @param {number} frameId - Frame the message came from
+   * @param {number} index - Paragraph index within that frame
+   * @returns {number} Article paragraph index (index itself when frames are not tracked)
+   */
+  paragraphFromFrame(frameId, index) {
+    if (this.paragraphFrames.length === 0 || (this.readerViewOpen && frameId === 0)) return index;
+    const found = this.paragraphFrames.findIndex(target => target.frameId === frameId && target.index === index);
+    return found === -1 ? index : found;
   }
 
   /**
@@ -85,10 +139,95 @@ export class UICoordinator {
     }).catch(() => {});
   }
 
+  /**
+   * Notify popup of audio export progress
+   * @param {Object} progress - { status, completed, total, filename?, error?, retryInMs? }
+   */
+  notifyExportProgress(progress) {
+    browser.runtime.sendMessage({
+      type: MessageType.EXPORT_PROGRESS,
+      ...progress
+    }).catch(() => {});
+  }
+
+  /**
+   * Show an informational message in the popup status banner
+   * @param {string} text
+   * @param {'info'|'success'|'warning'} [level='info']
+   */
+  notifyStatus(text, level = 'info') {
+    browser.runtime.sendMessage({
+      type: 'status',
+      text,
+      level
+    }).catch(() => {});
+  }
+
+  /**
+   * Ask the user to confirm the estimated cost of an article
+   * Shown in the popup when it is open, otherwise in the page's sticky footer.
+   * @param {Object} confirmation - Details from PlaybackController._getCostConfirmation()
+   * @param {number|null} [tabId] - Tab being read (defaults to the active tab)
+   */
+  async requestCostConfirmation(confirmation, tabId = null) {
+    try {
+      // Rejects when no popup is listening
+      await browser.runtime.sendMessage({
+        type: MessageType.COST_CONFIRMATION,
+        confirmation
+      });
+      return;
+    } catch (error) {
+      // Fall through to the footer
+    }
+
+    try {
+      const targetId = tabId ?? (await browser.tabs.query({ active: true, currentWindow: true }))[0]?.id;
+      if (targetId == null) return;
+
+      this.costConfirmationTabId = targetId;
+      await browser.tabs.sendMessage(targetId, {
+        action: FooterMessageTypes.FOOTER_COST_CONFIRMATION,
+        confirmation
+      });
+    } catch (error) {
+      console.warn('VoxPage: Failed to show cost confirmation:', error);
+    }
+  }
+
+  /**
+   * Dismiss the cost confirmation wherever it is shown
+   */
+  notifyCostConfirmationResolved() {
+    browser.runtime.sendMessage({
+      type: MessageType.COST_CONFIRMATION_RESOLVED
+    }).catch(() => {});
+
+    if (this.costConfirmationTabId != null) {
+      browser.tabs.sendMessage(this.costConfirmationTabId, {
+        action: FooterMessageTypes.FOOTER_COST_CONFIRMATION_RESOLVED
+      }).catch(() => {
+        // Tab might have been closed
+      });
+      this.costConfirmationTabId = null;
+    }
+  }
+
+  /**
+   * Send the reading queue to the popup after it changes
+   * @param {{items: Array, currentId: string|null}} queue - Queue snapshot
+   */
+  notifyQueueUpdated(queue) {
+    browser.runtime.sendMessage({
+      type: QueueMessageTypes.QUEUE_UPDATED,
+      ...queue
+    }).catch(() => {});
+  }
+
   /**
    * Send word sync status to popup for indicator display
    * @param {boolean} hasWordTiming - Whether word-level timing is available
-   * @param {string} source - Source of timing ('groq', 'native', 'cached', or 'none')
+   * @param {string} source - Source of timing ('groq', 'native', 'local', 'cached', or 'none')
    * @param {number} driftMs - Current drift in milliseconds
    * @param {boolean} isDrifting - Whether significant drift detected
    */
@@ -236,13 +375,22 @@ export class UICoordinator {
       if (tabs[0]) {
         // Use first 100 chars for matching (enough to be unique, not too long)
         const matchText = (paragraphText || '').substring(0, 100).trim();
+        const target = this._frameTarget(index);
+
+        // The frame highlighted before keeps its highlight unless told otherwise
+        if (this.highlightFrameId !== null && this.highlightFrameId !== target.frameId) {
+          browser.tabs.sendMessage(tabs[0].id, {
+            action: MessageType.CLEAR_HIGHLIGHT
+          }, { frameId: this.highlightFrameId }).catch(() => {});
+        }
+        this.highlightFrameId = target.frameId;
 
         browser.tabs.sendMessage(tabs[0].id, {
           action: MessageType.HIGHLIGHT,
-          index: index,
+          index: target.index,
           text: matchText,
           timestamp: timestamp || Date.now()
-        });
+        }, { frameId: target.frameId });
       }
     } catch (error) {
       // Content script might not be ready
@@ -259,12 +407,13 @@ export class UICoordinator {
     try {
       const tabs = await browser.tabs.query({ active: true, currentWindow: true });
       if (tabs[0]) {
+        const target = this._frameTarget(paragraphIndex);
         browser.tabs.sendMessage(tabs[0].id, {
           action: MessageType.HIGHLIGHT_WORD,
-          paragraphIndex: paragraphIndex,
+          paragraphIndex: target.index,
           wordIndex: wordIndex,
           timestamp: timestamp
-        }).catch(() => {
+        }, { frameId: target.frameId }).catch(() => {
           // Content script might not be ready
         });
       }
@@ -282,11 +431,12 @@ export class UICoordinator {
     try {
       const tabs = await browser.tabs.query({ active: true, currentWindow: true });
       if (tabs[0]) {
+        const target = this._frameTarget(paragraphIndex);
         browser.tabs.sendMessage(tabs[0].id, {
           action: MessageType.SET_WORD_TIMELINE,
           wordTimeline: wordTimeline,
-          paragraphIndex: paragraphIndex
-        }).catch(() => {
+          paragraphIndex: target.index
+        }, { frameId: target.frameId }).catch(() => {
           // Content script might not be ready
         });
       }
@@ -296,9 +446,10 @@ export class UICoordinator {
   }
 
   /**
-   * Clear highlight from page
+   * Clear highlight from page (in every frame)
    */
   async clearHighlight() {
+    this.highlightFrameId = null;
     try {
       const tabs = await browser.tabs.query({ active: true, currentWindow: true });
       if (tabs[0]) {
@@ -467,6 +618,8 @@ export class UICoordinator {
    * @param {Object} [tab] - Optional specific tab
    */
   async hideStickyFooter(tab) {
+    // The reader view is opened from the footer and goes with it
+    this.hideReaderView(tab);
     try {
       const targetTab = tab || (await browser.tabs.query({ active: true, currentWindow: true }))[0];
       if (targetTab) {
@@ -488,6 +641,77 @@ export class UICoordinator {
     }
   }
 
+  /**
+   * Stop watching a page for added content and navigation
+   * @param {number|null} tabId - Tab being followed (the active tab when null)
+   */
+  async stopFollowingPage(tabId) {
+    try {
+      const targetTabId = tabId ?? (await browser.tabs.query({ active: true, currentWindow: true }))[0]?.id;
+      if (targetTabId !== undefined) {
+        browser.tabs.sendMessage(targetTabId, {
+          action: MessageType.STOP_FOLLOWING_PAGE
+        }, { frameId: 0 }).catch(() => {
+          // Content script might not be ready
+        });
+      }
+    } catch (error) {
+      console.warn('VoxPage: Failed to stop following page:', error);
+    }
+  }
+
+  /**
+   * Open the reader view overlay on a tab, or refresh its article
+   * @param {Object|undefined} tab - Tab to show it on (the active tab when omitted)
+   * @param {Object} view - Article and style to render
+   * @param {string[]} view.paragraphs
+   * @param {string[]} view.types - Segment type per paragraph
+   * @param {{theme: string, fontFamily: string, fontSize: number}} view.style
+   */
+  async showReaderView(tab, view) {
+    try {
+      const targetTab = tab || (await browser.tabs.query({ active: true, currentWindow: true }))[0];
+      if (!targetTab) return;
+
+      // Page highlights in any frame give way to the overlay's own
+      if (!this.readerViewOpen) {
+        await this.clearHighlight();
+      }
+      this.readerViewOpen = true;
+      await browser.tabs.sendMessage(targetTab.id, {
+        action: MessageType.SHOW_READER_VIEW,
+        view: { title: targetTab.title || '', ...view }
+      }, { frameId: 0 });
+    } catch (error) {
+      console.warn('VoxPage: Failed to show reader view:', error);
+    }
+  }
+
+  /**
+   * Close the reader view overlay
+   * @param {Object} [tab] - Tab showing it (the active tab when omitted)
+   * @param {boolean} [notifyPage=true] - False when the page closed it itself
+   */
+  async hideReaderView(tab, notifyPage = true) {
+    if (!this.readerViewOpen) return;
+    this.readerViewOpen = false;
+    this.highlightFrameId = null;
+    if (!notifyPage) return;
+
+    try {
+      const targetTab = tab || (await browser.tabs.query({ active: true, currentWindow: true }))[0];
+      if (targetTab) {
+        browser.tabs.sendMessage(targetTab.id, {
+          action: MessageType.HIDE_READER_VIEW
+        }, { frameId: 0 }).catch(() => {
+          // Content script might not be ready
+        });
+      }
+    } catch (error) {
+      console.warn('VoxPage: Failed to hide reader view:', error);
+    }
+  }
+
   /**
    * Format seconds to time string (m:ss)
    * @param {number} seconds
@@ -0,0 +1,263 @@
+/**
+ * Usage Ledger
+ * Records the characters and estimated cost of every provider API call
+ * (cache hits never reach it) so the options page can show daily and
+ * monthly totals, and checks spending against the per-provider monthly
+ * caps in settings.
+ *
+ * Totals are kept per local calendar day, so "today" and "this month"
+ * match the user's clock rather than UTC.
+ *
+ * @module background/usage-ledger
+ */
+
+import { StorageKey } from './constants.js';
+import { settingsStore } from '../shared/config/store.js';
+
+/**
+ * Usage ledger configuration
+ */
+export const USAGE_LEDGER_CONFIG = {
+  // Days of history kept (a little over a year, so last year's month stays comparable)
+  retentionDays: 400
+};
+
+/**
+ * Budget check result levels
+ */
+export const BudgetLevel = Object.freeze({
+  OK: 'ok',
+  SOFT: 'soft',
+  HARD: 'hard'
+});
+
+/**
+ * @typedef {Object} UsageTotals
+ * @property {number} characters - Characters sent to the provider
+ * @property {number} cost - Estimated cost in USD
+ * @property {number} requests - API calls made
+ */
+
+/**
+ * @typedef {Object} BudgetCheck
+ * @property {string} level - BudgetLevel value
+ * @property {number} spent - Estimated spend this month in USD
+ * @property {number} projected - Spend including the checked cost
+ * @property {number|null} cap - The cap that was crossed (null when OK)
+ */
+
+/**
+ * Format a date as a local YYYY-MM-DD key
+ * @param {Date} date
+ * @returns {string}
+ */
+export function toDayKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Empty totals record
+ * @returns {UsageTotals}
+ */
+function emptyTotals() {
+  return { characters: 0, cost: 0, requests: 0 };
+}
+
+/**
+ * Add one totals record into another
+ * @param {UsageTotals} target
+ * @param {UsageTotals} source
+ */
+function addTotals(target, source) {
+  target.characters += source.characters || 0;
+  target.cost += source.cost || 0;
+  target.requests += source.requests || 0;
+}
+
+/**
+ * UsageLedger class - per-day, per-provider usage in storage.local
+ */
+export class UsageLedger {
+  /**
+   * @param {Object} [deps] - Dependencies
+   * @param {Object} [deps.storage] - storage.local-compatible area (defaults to browser.storage.local)
+   * @param {function(): Promise<Object>} [deps.loadCaps] - Returns the spendingCaps setting
+   * @param {function(): Date} [deps.now] - Clock (for tests)
+   */
+  constructor(deps = {}) {
+    this.storage = deps.storage || browser.storage.local;
+    this._loadCaps = deps.loadCaps || (async () => (await settingsStore.load()).spendingCaps);
+    this._now = deps.now || (() => new Date());
+
+    /** @type {Object<string, Object<string, UsageTotals>>} Totals keyed by day, then provider */
+    this.days = {};
+
+    /** @type {Promise<void>|null} */
+    this._loading = null;
+  }
+
+  /**
+   * Load the ledger from storage (once; concurrent callers share the read)
+   * @returns {Promise<void>}
+   */
+  load() {
+    if (!this._loading) {
+      this._loading = this._read();
+    }
+    return this._loading;
+  }
+
+  /**
+   * Record one API call
+   * @param {string} providerId
+   * @param {number} characters - Characters sent
+   * @param {number} cost - Estimated cost in USD
+   * @returns {Promise<void>}
+   */
+  async record(providerId, characters, cost) {
+    await this.load();
+
+    const dayKey = toDayKey(this._now());
+    const day = this.days[dayKey] || (this.days[dayKey] = {});
+    const totals = day[providerId] || (day[providerId] = emptyTotals());
+    addTotals(totals, { characters, cost, requests: 1 });
+
+    this._pruneOldDays();
+    await this._persist();
+  }
+
+  /**
+   * Summarize today's and this month's usage
+   * @returns {Promise<{today: string, month: string, providers: Object<string, {today: UsageTotals, month: UsageTotals}>, totals: {today: UsageTotals, month: UsageTotals}, daily: Array<{date: string, characters: number, cost: number, requests: number}>}>}
+   *   Daily entries cover this month, newest first
+   */
+  async getSummary() {
+    await this.load();
+
+    const today = toDayKey(this._now());
+    const month = today.slice(0, 7);
+    const providers = {};
+    const totals = { today: emptyTotals(), month: emptyTotals() };
+    const daily = [];
+
+    for (const dayKey of Object.keys(this.days).sort().reverse()) {
+      if (!dayKey.startsWith(month)) continue;
+
+      const dayTotals = emptyTotals();
+      for (const [providerId, usage] of Object.entries(this.days[dayKey])) {
+        const entry = providers[providerId] || (providers[providerId] = { today: emptyTotals(), month: emptyTotals() });
+        addTotals(entry.month, usage);
+        addTotals(totals.month, usage);
+        addTotals(dayTotals, usage);
+        if (dayKey === today) {
+          addTotals(entry.today, usage);
+          addTotals(totals.today, usage);
+        }
+      }
+      daily.push({ date: dayKey, ...dayTotals });
+    }
+
+    return { today, month, providers, totals, daily };
+  }
+
+  /**
+   * Estimated spend with a provider this month
+   * @param {string} providerId
+   * @returns {Promise<number>} USD
+   */
+  async getMonthlySpend(providerId) {
+    await this.load();
+
+    const month = toDayKey(this._now()).slice(0, 7);
+    return Object.entries(this.days)
+      .filter(([dayKey]) => dayKey.startsWith(month))
+      .reduce((sum, [, day]) => sum + (day[providerId]?.cost || 0), 0);
+  }
+
+  /**
+   * Check whether spending a further amount would cross a monthly cap
+   * @param {string} providerId
+   * @param {number} cost - Cost about to be spent in USD
+   * @returns {Promise<BudgetCheck>}
+   */
+  async checkBudget(providerId, cost) {
+    const caps = (await this._loadCaps())?.[providerId];
+    const spent = await this.getMonthlySpend(providerId);
+    const projected = spent + (cost || 0);
+
+    if (caps?.hard != null && projected > caps.hard) {
+      return { level: BudgetLevel.HARD, spent, projected, cap: caps.hard };
+    }
+    if (caps?.soft != null && projected > caps.soft) {
+      return { level: BudgetLevel.SOFT, spent, projected, cap: caps.soft };
+    }
+    return { level: BudgetLevel.OK, spent, projected, cap: null };
+  }
+
+  /**
+   * Erase all recorded usage
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.load();
+    this.days = {};
+    await this._persist();
+  }
+
+  /**
+   * Read the ledger from storage
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _read() {
+    try {
+      const result = await this.storage.get(StorageKey.USAGE_LEDGER);
+      this.days = result?.[StorageKey.USAGE_LEDGER]?.days || {};
+    } catch (error) {
+      console.warn('VoxPage: Failed to load usage ledger:', error.message);
+    }
+  }
+
+  /**
+   * Drop days older than the retention window
+   * @private
+   */
+  _pruneOldDays() {
+    const cutoff = new Date(this._now());
+    cutoff.setDate(cutoff.getDate() - USAGE_LEDGER_CONFIG.retentionDays);
+    const cutoffKey = toDayKey(cutoff);
+
+    for (const dayKey of Object.keys(this.days)) {
+      if (dayKey < cutoffKey) delete this.days[dayKey];
+    }
+  }
+
+  /**
+   * Write the ledger to storage
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _persist() {
+    try {
+      await this.storage.set({ [StorageKey.USAGE_LEDGER]: { days: this.days } });
+    } catch (error) {
+      console.warn('VoxPage: Failed to save usage ledger:', error.message);
+    }
+  }
+}
+
+/**
+ * Factory function for UsageLedger
+ * @param {Object} [deps] - Dependencies
+ * @returns {UsageLedger}
+ */
+export function createUsageLedger(deps) {
+  return new UsageLedger(deps);
+}
+
+// Export singleton instance
+export const usageLedger = new UsageLedger();
+
+export default UsageLedger;
@@ -134,12 +134,16 @@
 
   /**
    * Feature 015: Sort elements by document position
-   * Uses compareDocumentPosition() for O(n log n) sorting
+   * Uses compareDocumentPosition() for O(n log n) sorting. Elements in open
+   * shadow roots sort where their host is, after the host itself.
    * @param {Element[]} elements - Array of DOM elements
    * @returns {Element[]} - Sorted array (mutates original)
    */
   function sortByDocumentPosition(elements) {
     return elements.sort((a, b) => {
+      if (a.getRootNode() !== b.getRootNode()) {
+        return compareComposedPosition(a, b);
+      }
       const position = a.compareDocumentPosition(b);
       if (position & Node.DOCUMENT_POSITION_FOLLOWING) return -1;
       if (position & Node.DOCUMENT_POSITION_PRECEDING) return 1;
@@ -147,6 +151,364 @@
     });
   }
 
+  /**
+   * Compare two nodes in different trees (document or shadow roots)
+   * Lifts each node to its shadow hosts until both are in the same tree,
+   * then compares them there.
+   * @param {Node} a
+   * @param {Node} b
+   * @returns {number}
+   */
+  function compareComposedPosition(a, b) {
+    const hostChain = (node) => {
+      const chain = [node];
+      let root = node.getRootNode();
+      while (root instanceof ShadowRoot) {
+        chain.push(root.host);
+        root = root.host.getRootNode();
+      }
+      return chain;
+    };
+    const chainA = hostChain(a);
+    const chainB = hostChain(b);
+
+    for (let i = 0; i < chainA.length; i++) {
+      const j = chainB.findIndex(node => node.getRootNode() === chainA[i].getRootNode());
+      if (j === -1) continue;
+      // A host comes before the content of its shadow root
+      if (chainA[i] === chainB[j]) return i - j;
+      const position = chainA[i].compareDocumentPosition(chainB[j]);
+      if (position & Node.DOCUMENT_POSITION_FOLLOWING) return -1;
+      if (position & Node.DOCUMENT_POSITION_PRECEDING) return 1;
+      return 0;
+    }
+    return 0;
+  }
+
+  /**
+   * Get the parent of a node, stepping out of shadow roots to their host
+   * @param {Node} node
+   * @returns {Element|null}
+   */
+  function composedParent(node) {
+    return node.parentElement || node.getRootNode().host || null;
+  }
+
+  /**
+   * Check whether a node is inside an element, across shadow root boundaries
+   * @param {Element} ancestor
+   * @param {Node} node
+   * @returns {boolean}
+   */
+  function containsComposed(ancestor, node) {
+    for (let current = node; current; current = composedParent(current)) {
+      if (ancestor.contains(current)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Collect the open shadow roots below a node, nested ones included
+   * Closed shadow roots are not reachable and are not read.
+   * @param {Node} root - Document, element or shadow root
+   * @returns {ShadowRoot[]}
+   */
+  function getOpenShadowRoots(root) {
+    const shadowRoots = [];
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+    for (let node = walker.currentNode; node; node = walker.nextNode()) {
+      if (node.shadowRoot) {
+        shadowRoots.push(node.shadowRoot, ...getOpenShadowRoots(node.shadowRoot));
+      }
+    }
+    return shadowRoots;
+  }
+
+  /**
+   * querySelectorAll that also looks inside open shadow roots
+   * @param {Node} root - Document, element or shadow root
+   * @param {string} selector
+   * @param {ShadowRoot[]} [shadowRoots] - Shadow roots below root, when already collected
+   * @returns {Element[]} Matches in document order
+   */
+  function queryAllDeep(root, selector, shadowRoots = getOpenShadowRoots(root)) {
+    const found = Array.from(root.querySelectorAll(selector));
+    if (shadowRoots.length === 0) return found;
+    return sortByDocumentPosition(found.concat(...shadowRoots.map(shadowRoot =>
+      Array.from(shadowRoot.querySelectorAll(selector)))));
+  }
+
+  /**
+   * How code blocks, tables and figures are read, from the codeBlockMode,
+   * tableMode and readImageDescriptions settings sent with each extraction
+   * (defaults mirror shared/config/defaults.js)
+   * @const {Object}
+   */
+  const DEFAULT_CONTENT_BLOCK_MODES = Object.freeze({ code: 'announce', table: 'summary', figures: false });
+  let contentBlockModes = DEFAULT_CONTENT_BLOCK_MODES;
+
+  /**
+   * Spoken names of code symbols, for reading code blocks aloud
+   * @const {Object}
+   */
+  const CODE_SYMBOLS = Object.freeze({
+    '===': 'strictly equals', '!==': 'not strictly equals', '==': 'equals equals', '!=': 'not equals',
+    '<=': 'less or equal', '>=': 'greater or equal', '=>': 'arrow', '->': 'arrow',
+    '&&': 'and', '||': 'or', '++': 'plus plus', '--': 'minus minus', '::': 'double colon',
+    '{': 'open brace', '}': 'close brace', '(': 'open paren', ')': 'close paren',
+    '[': 'open bracket', ']': 'close bracket', '<': 'less than', '>': 'greater than',
+    '=': 'equals', ';': 'semicolon', ':': 'colon', ',': 'comma', '.': 'dot',
+    '+': 'plus', '-': 'minus', '*': 'star', '/': 'slash', '\\': 'backslash', '%': 'percent',
+    '&': 'ampersand', '|': 'pipe', '!': 'not', '?': 'question mark', '#': 'hash', '@': 'at',
+    '$': 'dollar', '^': 'caret', '~': 'tilde', '`': 'backtick', '"': 'quote', "'": 'quote'
+  });
+
+  // Longest symbols first so '===' is not read as three '='
+  const CODE_SYMBOL_PATTERN = new RegExp(
+    Object.keys(CODE_SYMBOLS)
+      .sort((a, b) => b.length - a.length)
+      .map(symbol => symbol.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('|'),
+    'g'
+  );
+
+  /**
+   * Elements read as "Image: …" / "Figure: …" when image descriptions are on
+   * @const {string}
+   */
+  const FIGURE_SELECTOR = 'figure, img, svg[aria-label], [role="img"][aria-label]';
+
+  /**
+   * Get which kind of content block an element is
+   * @param {Element} el
+   * @returns {'code'|'table'|'figure'|null}
+   */
+  function getContentBlockKind(el) {
+    if (el.tagName === 'PRE') return 'code';
+    if (el.tagName === 'TABLE') return 'table';
+    if (contentBlockModes.figures && el.matches(FIGURE_SELECTOR)) return 'figure';
+    return null;
+  }
+
+  /**
+   * Check if an element is read through a code, table or figure strategy
+   * Its spoken text is generated, so it cannot be highlighted word by word.
+   * @param {Element} el
+   * @returns {boolean}
+   */
+  function isContentBlock(el) {
+    return Boolean(el && getContentBlockKind(el));
+  }
+
+  /**
+   * Format a count with its noun ("1 line", "12 lines")
+   * @param {number} count
+   * @param {string} noun
+   * @returns {string}
+   */
+  function pluralize(count, noun) {
+    return `${count} ${noun}${count === 1 ? '' : 's'}`;
+  }
+
+  /**
+   * Spoken text for a <pre> code block
+   * @param {Element} pre
+   * @returns {string}
+   */
+  function readCodeBlock(pre) {
+    const lines = pre.textContent.split('\n').map(line => line.trim()).filter(Boolean);
+    if (lines.length === 0) return '';
+
+    const announcement = `Code block, ${pluralize(lines.length, 'line')}.`;
+    if (contentBlockModes.code !== 'verbalize') return announcement;
+
+    const spokenLines = lines.map(line => line
+      .replace(CODE_SYMBOL_PATTERN, symbol => ` ${CODE_SYMBOLS[symbol]} `)
+      .replace(/\s+/g, ' ')
+      .trim());
+    return [announcement, ...spokenLines.map(line => `${line}.`)].join('\n');
+  }
+
+  /**
+   * Read the rows of a table, with colspans expanded so cells line up with headers
+   * @param {HTMLTableElement} table
+   * @returns {Array<{isHeader: boolean, cells: string[]}>}
+   */
+  function getTableRows(table) {
+    return Array.from(table.rows)
+      .map(row => {
+        const cells = [];
+        for (const cell of row.cells) {
+          cells.push(cell.textContent.replace(/\s+/g, ' ').trim());
+          for (let i = 1; i < cell.colSpan; i++) cells.push('');
+        }
+        const isHeader = row.parentElement?.tagName === 'THEAD' ||
+          Array.from(row.cells).every(cell => cell.tagName === 'TH');
+        return { isHeader, cells };
+      })
+      .filter(row => row.cells.some(Boolean));
+  }
+
+  /**
+   * Spoken text for a <table>: each row with its headers, or a summary
+   * @param {HTMLTableElement} table
+   * @returns {string}
+   */
+  function readTable(table) {
+    const rows = getTableRows(table);
+    if (rows.length === 0) return '';
+
+    const headers = rows[0].isHeader ? rows[0].cells : null;
+    const body = headers ? rows.slice(1) : rows;
+    const caption = table.caption?.textContent.replace(/\s+/g, ' ').trim();
+    const intro = caption ? `Table: ${caption}.` : 'Table.';
+
+    if (contentBlockModes.table === 'summary') {
+      const columns = Math.max(...rows.map(row => row.cells.length));
+      const size = `${pluralize(body.length, 'row')}, ${pluralize(columns, 'column')}`;
+      const names = headers ? headers.filter(Boolean) : [];
+      return `${intro} ${size}${names.length > 0 ? `: ${names.join(', ')}` : ''}.`;
+    }
+
+    const spokenRows = body.map(row => row.cells
+      .map((cell, i) => (cell && headers?.[i] ? `${headers[i]}: ${cell}` : cell))
+      .filter(Boolean)
+      .join(', '));
+    return [intro, ...spokenRows.map(row => `${row}.`)].join('\n');
+  }
+
+  /**
+   * Spoken text for a figure or image: its caption and its alt text or ARIA label
+   * @param {Element} el
+   * @returns {string}
+   */
+  function readFigure(el) {
+    const clean = text => (text || '').replace(/\s+/g, ' ').trim();
+    const sentence = (label, text) => `${label}: ${text}${/[.!?]$/.test(text) ? '' : '.'}`;
+
+    const image = el.tagName === 'FIGURE'
+      ? el.querySelector('img, svg[aria-label], [role="img"][aria-label]')
+      : el;
+    const description = image && !image.closest('[aria-hidden="true"]')
+      ? clean(image.getAttribute('alt') || image.getAttribute('aria-label'))
+      : '';
+    const caption = el.tagName === 'FIGURE'
+      ? clean(el.querySelector('figcaption')?.textContent || el.getAttribute('aria-label'))
+      : '';
+
+    const parts = [];
+    if (caption) parts.push(sentence('Figure', caption));
+    if (description && description.toLowerCase() !== caption.toLowerCase()) {
+      parts.push(sentence('Image', description));
+    }
+    return parts.join(' ');
+  }
+
+  /**
+   * Get the text spoken for a paragraph element
+   * Code blocks, tables and figures are read through their strategy; every
+   * other element is read as written.
+   * @param {Element} el
+   * @returns {string}
+   */
+  function getParagraphText(el) {
+    switch (getContentBlockKind(el)) {
+      case 'code':
+        return contentBlockModes.code === 'skip' ? '' : readCodeBlock(el);
+      case 'table':
+        return contentBlockModes.table === 'skip' ? '' : readTable(el);
+      case 'figure':
+        return readFigure(el);
+      default:
+        return el.textContent.trim();
+    }
+  }
+
+  /**
+   * Find the code blocks, data tables and (when enabled) figures in a container
+   * Layout tables (holding paragraphs or other tables) are not blocks; their
+   * paragraphs are read as usual. Figures wrapping code or a table leave
+   * those to their own strategy, and decorative images are not read.
+   * @param {Element} root
+   * @returns {Element[]} Outermost blocks in document order
+   */
+  function findContentBlocks(root) {
+    const scorer = getScorer();
+    const selector = contentBlockModes.figures ? `pre, table, ${FIGURE_SELECTOR}` : 'pre, table';
+    const blocks = queryAllDeep(root, selector).filter(el => {
+      if (el.tagName === 'TABLE' && (el.matches('[role="presentation"], [role="none"]') ||
+          el.querySelector('table, p, h1, h2, h3, h4, h5, h6, li, blockquote'))) return false;
+      if (getContentBlockKind(el) === 'figure' && (el.querySelector('pre, table') ||
+          el.matches('[role="presentation"], [role="none"]') || el.closest('[aria-hidden="true"]') ||
+          !readFigure(el))) return false;
+      const classId = ((el.getAttribute('class') || '') + ' ' + (el.id || '')).toLowerCase();
+      if (UNWANTED_CONFIG.patterns.some(pattern => classId.includes(pattern))) return false;
+      return !scorer.isInsideUnwantedElement?.(el);
+    });
+    return blocks.filter(el => !blocks.some(other => other !== el && other.contains(el)));
+  }
+
+  /**
+   * Apply the code block, table and figure modes to a list of paragraph elements
+   * Paragraphs inside blocks (or wrapping nothing but blocks) are replaced by
+   * the blocks themselves, which are dropped again when their mode is 'skip'.
+   * @param {Element[]} paragraphs - Paragraph elements found in root
+   * @param {Element} root - Container the paragraphs were found in
+   * @returns {Element[]}
+   */
+  function withContentBlocks(paragraphs, root) {
+    const blocks = root ? findContentBlocks(root) : [];
+    if (blocks.length === 0) return paragraphs;
+
+    const blockTextLength = el => el.textContent.replace(/\s/g, '').length;
+    const wrapsOnlyBlocks = el => {
+      const inner = blocks.filter(block => el.contains(block));
+      return inner.length > 0 &&
+        blockTextLength(el) === inner.reduce((sum, block) => sum + blockTextLength(block), 0);
+    };
+
+    const kept = paragraphs.filter(el => !blocks.some(block => block.contains(el)) && !wrapsOnlyBlocks(el));
+    const read = blocks.filter(block => getParagraphText(block) && !kept.some(el => el.contains(block)));
+
+    return sortByDocumentPosition([...kept, ...read]);
+  }
+
+  /**
+   * Add code blocks, tables and figures around the extracted paragraphs
+   * Looks in the closest container of all extracted paragraphs.
+   * @param {string} text - Text extracted so far
+   * @returns {string} The text, rebuilt from the paragraphs if they changed
+   */
+  function addContentBlocks(text) {
+    if (extractedParagraphs.length === 0) return text;
+
+    const paragraphs = withContentBlocks(extractedParagraphs, getExtractionRoot());
+    if (paragraphs.length === extractedParagraphs.length &&
+        paragraphs.every((el, i) => el === extractedParagraphs[i])) {
+      return text;
+    }
+
+    extractedParagraphs = paragraphs;
+    return getParagraphTexts().join('\n\n');
+  }
+
+  /**
+   * Get the closest container of all extracted paragraphs
+   * Crosses shadow root boundaries, so paragraphs in web components share
+   * a container with the page around them.
+   * @param {Element[]} [paragraphs] - Paragraphs to contain (the extracted ones by default)
+   * @returns {Element|null}
+   */
+  function getExtractionRoot(paragraphs = extractedParagraphs) {
+    if (paragraphs.length === 0) return null;
+
+    let root = composedParent(paragraphs[0]);
+    while (root && !paragraphs.every(el => containsComposed(root, el))) {
+      root = composedParent(root);
+    }
+    return root;
+  }
+
   /**
    * Get extracted paragraphs
    * @returns {Element[]}
@@ -162,9 +524,145 @@
    * @returns {string[]}
    */
   function getParagraphTexts() {
-    return extractedParagraphs
-      .map(el => el.textContent.trim())
-      .filter(text => text.length > 0);
+    return getReadableParagraphs().map(getParagraphText);
+  }
+
+  /**
+   * Get the extracted paragraphs that have text to read
+   * Same order and length as getParagraphTexts, so an index into one is an
+   * index into the other.
+   * @returns {Element[]}
+   */
+  function getReadableParagraphs() {
+    return extractedParagraphs.filter(el => getParagraphText(el).length > 0);
+  }
+
+  /**
+   * Get the tag name of each paragraph returned by getParagraphTexts
+   * Lets the background tell headings apart for transcript chapters.
+   * @returns {string[]}
+   */
+  function getParagraphTags() {
+    return getReadableParagraphs().map(el => el.tagName);
+  }
+
+  /**
+   * Inline elements read with emphasis, and how strongly
+   */
+  const EMPHASIS_LEVELS = Object.freeze({ EM: 'moderate', I: 'moderate', STRONG: 'strong', B: 'strong' });
+
+  /**
+   * Describe the structure of each paragraph returned by getParagraphTexts
+   * Lets the background add pauses and emphasis when speech markup is on:
+   * whether the paragraph sits in a block quote, and the ranges of its
+   * <em>/<strong> text as offsets into the paragraph text.
+   * @returns {Array<{quote: boolean, emphasis: Array<{start: number, end: number, level: string}>}>}
+   */
+  function getParagraphMarkup() {
+    return getReadableParagraphs().map(describeMarkup);
+  }
+
+  /**
+   * Describe the structure of one paragraph element (see getParagraphMarkup)
+   * @param {Element} el
+   * @returns {{quote: boolean, emphasis: Array<{start: number, end: number, level: string}>}}
+   */
+  function describeMarkup(el) {
+    // Generated text has no page emphasis to point into
+    if (isContentBlock(el)) return { quote: Boolean(el.closest('blockquote')), emphasis: [] };
+
+    const lead = el.textContent.length - el.textContent.trimStart().length;
+    const emphasis = [];
+
+    for (const node of el.querySelectorAll('em, i, strong, b')) {
+      const text = node.textContent;
+      if (!text.trim()) continue;
+
+      // Offset of the node = length of the paragraph text before it
+      const range = document.createRange();
+      range.setStart(el, 0);
+      range.setEnd(node, 0);
+      const start = range.toString().length - lead + (text.length - text.trimStart().length);
+      emphasis.push({
+        start,
+        end: start + text.trim().length,
+        level: EMPHASIS_LEVELS[node.tagName]
+      });
+    }
+
+    return { quote: Boolean(el.closest('blockquote')), emphasis };
+  }
+
+  /**
+   * Read a list of paragraph elements the way extracted paragraphs are read
+   * Elements without text to read are left out of every list.
+   * @param {Element[]} elements
+   * @returns {{elements: Element[], paragraphs: string[], paragraphTags: string[], paragraphMarkup: Array}}
+   */
+  function readParagraphs(elements) {
+    const readable = elements.filter(el => getParagraphText(el).length > 0);
+    return {
+      elements: readable,
+      paragraphs: readable.map(getParagraphText),
+      paragraphTags: readable.map(el => el.tagName),
+      paragraphMarkup: readable.map(describeMarkup)
+    };
+  }
+
+  /**
+   * Find paragraphs in content added to the page after extraction
+   * Used to follow infinite feeds: a new paragraph counts when it comes after
+   * the known paragraphs of the closest container holding any (the feed it
+   * was appended to), and in article mode only inside the container of all
+   * known paragraphs. Blocks are read with the modes of the last extraction.
+   * @param {Node[]} nodes - Nodes added to the page
+   * @param {Element[]} known - Paragraphs already being read, in reading order
+   * @param {string} [mode] - Extraction mode the known paragraphs came from
+   * @returns {Element[]} New paragraph elements in document order
+   */
+  function findAddedParagraphs(nodes, known, mode) {
+    const scorer = getScorer();
+    // Paragraphs re-rendered by the page are no longer connected to place new ones after
+    const connected = known.filter(el => el.isConnected);
+    if (known.length > 0 && connected.length === 0) return [];
+    const container = mode === 'article' ? getExtractionRoot(connected) : null;
+    if (mode === 'article' && !container) return [];
+
+    const roots = nodes.filter(node => node.nodeType === Node.ELEMENT_NODE && node.isConnected &&
+      !node.closest('[id^="voxpage-"]') && !nodes.some(other => other !== node && other.contains?.(node)));
+
+    const found = roots.flatMap(root => {
+      const paragraphs = findParagraphElements(root);
+      if (paragraphs.length > 0) return withContentBlocks(paragraphs, root);
+      const isParagraph = scorer.isBlockElement?.(root) && root.textContent.trim().length > 20;
+      return isParagraph || isContentBlock(root) ? [root] : [];
+    });
+
+    const added = [...new Set(found)].filter(el => {
+      if (!getParagraphText(el)) return false;
+      if (known.some(other => other === el || other.contains(el) || el.contains(other))) return false;
+      if (container && !containsComposed(container, el)) return false;
+      if (!followsKnownParagraphs(el, connected)) return false;
+      return !scorer.isInsideUnwantedElement?.(el);
+    });
+    return sortByDocumentPosition(added);
+  }
+
+  /**
+   * Check whether a paragraph comes after the known paragraphs around it
+   * @param {Element} el
+   * @param {Element[]} known - Connected known paragraphs
+   * @returns {boolean}
+   */
+  function followsKnownParagraphs(el, known) {
+    for (let parent = composedParent(el); parent; parent = composedParent(parent)) {
+      const inside = known.filter(other => containsComposed(parent, other));
+      if (inside.length > 0) {
+        const last = sortByDocumentPosition(inside)[inside.length - 1];
+        return sortByDocumentPosition([el, last])[0] === last;
+      }
+    }
+    return true;
   }
 
   /**
@@ -178,15 +676,19 @@
   /**
    * Extract text from the page based on mode
    * @param {string} mode - Extraction mode: 'selection', 'article', or 'full'
+   * @param {Object} [rule] - User extraction rule for this page (article mode only)
+   * @param {{code: string, table: string, figures: boolean}} [contentBlocks] - How to read code blocks,
+   *   tables and figures
    * @returns {string}
    */
-  function extractText(mode) {
+  function extractText(mode, rule, contentBlocks) {
     console.log(`VoxPage: extractText() called with mode: "${mode}"`);
+    contentBlockModes = { ...DEFAULT_CONTENT_BLOCK_MODES, ...contentBlocks };
     switch (mode) {
       case 'selection':
         return extractSelection();
       case 'article':
-        return extractArticle();
+        return extractArticle(rule);
       case 'full':
       default:
         console.log('VoxPage: Using full page extraction (consider using article mode)');
@@ -260,11 +762,33 @@
 
   /**
    * Extract main article content using Mozilla Readability
-   * Falls back to heuristics if Readability fails
+   * A user extraction rule for the page takes precedence; Readability and
+   * then the heuristics are used when there is none or it matches nothing.
+   * @param {Object} [rule] - Extraction rule from the extractionRules setting
    * @returns {string}
    */
-  function extractArticle() {
+  function extractArticle(rule) {
     console.log('VoxPage: extractArticle() called');
+
+    if (rule) {
+      const ruleResult = extractWithRule(rule);
+      if (ruleResult) {
+        console.log(`VoxPage: Used extraction rule "${rule.pattern}", paragraphs:`, extractedParagraphs.length);
+        return ruleResult;
+      }
+      console.log(`VoxPage: Extraction rule "${rule.pattern}" matched nothing, using automatic extraction`);
+    }
+
+    // Readability and the heuristics only see the light DOM, so pages built
+    // from web components are read straight from the composed tree
+    if (hasShadowContent()) {
+      extractedParagraphs = extractParagraphsDirectlyFromDOM();
+      if (extractedParagraphs.length > 0) {
+        console.log('VoxPage: Used shadow DOM extraction, paragraphs:', extractedParagraphs.length);
+        return addContentBlocks(getParagraphTexts().join('\n\n'));
+      }
+    }
+
     console.log('VoxPage: Readability available:', typeof window.Readability);
     console.log('VoxPage: isProbablyReaderable available:', typeof window.isProbablyReaderable);
 
@@ -273,14 +797,85 @@
     if (readabilityResult) {
       console.log('VoxPage: Used Readability for extraction');
       console.log('VoxPage: Extracted paragraphs count:', extractedParagraphs.length);
-      return readabilityResult;
+      return addContentBlocks(readabilityResult);
     }
 
     // Fallback to manual heuristics
     console.log('VoxPage: Readability failed, using heuristic extraction');
     const result = extractArticleHeuristic();
     console.log('VoxPage: Heuristic extracted paragraphs count:', extractedParagraphs.length);
-    return result;
+    return addContentBlocks(result);
+  }
+
+  /**
+   * Check whether open shadow roots hold a meaningful part of the page text
+   * @returns {boolean}
+   */
+  function hasShadowContent() {
+    const shadowText = getOpenShadowRoots(document.body)
+      .reduce((sum, shadowRoot) => sum + shadowRoot.textContent.trim().length, 0);
+    return shadowText >= 200;
+  }
+
+  /**
+   * Query the document without throwing on an invalid selector
+   * @param {string} selector
+   * @returns {Element[]}
+   */
+  function safeQueryAll(selector) {
+    try {
+      return queryAllDeep(document, selector);
+    } catch (e) {
+      console.warn(`VoxPage: Invalid selector in extraction rule: ${selector}`);
+      return [];
+    }
+  }
+
+  /**
+   * Extract paragraphs chosen by a user extraction rule
+   * Reads the paragraphs inside the include blocks (the whole body when
+   * there are none), minus those inside exclude blocks, bounded by the
+   * startAfter / stopBefore elements.
+   * @param {{include: string[], exclude: string[], startAfter: ?string, stopBefore: ?string}} rule
+   * @returns {string|null} Extracted text, or null when the rule selects nothing
+   */
+  function extractWithRule(rule) {
+    const include = rule.include || [];
+    const exclude = rule.exclude || [];
+
+    let roots = include.length > 0
+      ? sortByDocumentPosition([...new Set(include.flatMap(safeQueryAll))])
+      : [document.body].filter(Boolean);
+    // Nested matches would read the same text twice
+    roots = roots.filter(root => !roots.some(other => other !== root && other.contains(root)));
+    if (roots.length === 0) return null;
+
+    const excluded = exclude.flatMap(safeQueryAll);
+    const startAfter = rule.startAfter ? safeQueryAll(rule.startAfter)[0] : null;
+    const stopBefore = rule.stopBefore
+      ? safeQueryAll(rule.stopBefore).find(el => !startAfter ||
+          (startAfter.compareDocumentPosition(el) & Node.DOCUMENT_POSITION_FOLLOWING))
+      : null;
+
+    const paragraphs = roots
+      .flatMap(root => {
+        const found = findParagraphElements(root);
+        return found.length > 0 ? withContentBlocks(found, root) : [root];
+      })
+      .filter(el => {
+        if (!getParagraphText(el)) return false;
+        if (excluded.some(ex => ex.contains(el))) return false;
+        if (startAfter && (startAfter.contains(el) ||
+            !(startAfter.compareDocumentPosition(el) & Node.DOCUMENT_POSITION_FOLLOWING))) return false;
+        if (stopBefore && (stopBefore.contains(el) ||
+            !(stopBefore.compareDocumentPosition(el) & Node.DOCUMENT_POSITION_PRECEDING))) return false;
+        return true;
+      });
+
+    if (paragraphs.length === 0) return null;
+
+    extractedParagraphs = paragraphs;
+    return paragraphs.map(getParagraphText).join('\n\n');
   }
 
   /**
@@ -456,11 +1051,12 @@
 
     // Get DOM paragraphs, preferring wiki container if found
     const searchRoot = wikiContainer || document;
+    const shadowRoots = getOpenShadowRoots(searchRoot);
     let domParagraphs = [];
 
     for (const selector of selectors) {
       try {
-        const elements = searchRoot.querySelectorAll(selector);
+        const elements = queryAllDeep(searchRoot, selector, shadowRoots);
         domParagraphs.push(...elements);
       } catch (e) {
         // Ignore invalid selectors
@@ -469,9 +1065,7 @@
 
     // Fallback: get all paragraph-like elements
     if (domParagraphs.length === 0) {
-      domParagraphs = Array.from(document.querySelectorAll(
-        'p, h1, h2, h3, h4, h5, h6, li, blockquote'
-      ));
+      domParagraphs = queryAllDeep(document, 'p, h1, h2, h3, h4, h5, h6, li, blockquote');
     }
 
     // Remove duplicates and sort by document position (FR-001)
@@ -696,10 +1290,9 @@
 
     console.log(`VoxPage: Direct extraction from container: ${container.tagName}${container.id ? '#' + container.id : ''} (known: ${isKnownContentContainer})`);
 
-    // Get all paragraph-like elements
-    const candidates = container.querySelectorAll(
-      'p, h1, h2, h3, h4, h5, h6, blockquote'
-    );
+    // Get all paragraph-like elements, including those in open shadow roots
+    const shadowRoots = getOpenShadowRoots(container);
+    const candidates = queryAllDeep(container, 'p, h1, h2, h3, h4, h5, h6, blockquote', shadowRoots);
 
     console.log(`VoxPage: Found ${candidates.length} candidate elements`);
 
@@ -741,7 +1334,7 @@
     }
 
     // Also check for content in list items (common in wikis)
-    const listItems = container.querySelectorAll('li');
+    const listItems = queryAllDeep(container, 'li', shadowRoots);
     for (const el of listItems) {
       if (isKnownContentContainer) {
         if (isInsideUnwantedSubContainer(el, container)) continue;
@@ -961,7 +1554,8 @@
     const paragraphs = [];
     const seenTexts = new Set();
 
-    const candidates = container.querySelectorAll('p, h1, h2, h3, h4, h5, h6, blockquote, .wiki-paragraph, article p, .content p');
+    const shadowRoots = getOpenShadowRoots(container);
+    const candidates = queryAllDeep(container, 'p, h1, h2, h3, h4, h5, h6, blockquote, .wiki-paragraph, article p, .content p', shadowRoots);
 
     for (const el of candidates) {
       if (scorer.isInsideUnwantedElement?.(el)) continue;
@@ -983,7 +1577,7 @@
     }
 
     // Content-focused list items
-    const contentLists = container.querySelectorAll('.wiki-content li, .content li, article li, .prose li, .article-body li, [role="main"] li');
+    const contentLists = queryAllDeep(container, '.wiki-content li, .content li, article li, .prose li, .article-body li, [role="main"] li', shadowRoots);
     for (const el of contentLists) {
       if (scorer.isInsideUnwantedElement?.(el)) continue;
       const text = el.textContent.trim();
@@ -1013,7 +1607,7 @@
 
     const text = extractTextFromElement(body);
     extractedParagraphs = findParagraphElements(body);
-    return text;
+    return addContentBlocks(text);
   }
 
   /**
@@ -1086,19 +1680,16 @@
   function findParagraphElements(container) {
     const scorer = getScorer();
     const paragraphs = [];
+    const isParagraphBlock = (node) => {
+      if (!scorer.isBlockElement?.(node) || node.textContent.trim().length <= 20) return false;
+      const nestedBlocks = node.querySelectorAll('p, div, h1, h2, h3, h4, h5, h6, li');
+      const hasNestedContent = Array.from(nestedBlocks).some(b => b.textContent.trim().length > 50);
+      return !hasNestedContent || node.tagName === 'P' || node.tagName === 'LI';
+    };
     const walker = document.createTreeWalker(
       container, NodeFilter.SHOW_ELEMENT,
       {
-        acceptNode: (node) => {
-          if (scorer.isBlockElement?.(node) && node.textContent.trim().length > 20) {
-            const nestedBlocks = node.querySelectorAll('p, div, h1, h2, h3, h4, h5, h6, li');
-            const hasNestedContent = Array.from(nestedBlocks).some(b => b.textContent.trim().length > 50);
-            if (!hasNestedContent || node.tagName === 'P' || node.tagName === 'LI') {
-              return NodeFilter.FILTER_ACCEPT;
-            }
-          }
-          return NodeFilter.FILTER_SKIP;
-        }
+        acceptNode: (node) => (isParagraphBlock(node) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_SKIP)
       }
     );
 
@@ -1106,7 +1697,19 @@
       paragraphs.push(walker.currentNode);
     }
 
-    return paragraphs;
+    const shadowRoots = getOpenShadowRoots(container);
+    if (shadowRoots.length === 0) return paragraphs;
+
+    // TreeWalker does not enter shadow roots; walk each one on its own
+    for (const shadowRoot of shadowRoots) {
+      const shadowWalker = document.createTreeWalker(shadowRoot, NodeFilter.SHOW_ELEMENT, {
+        acceptNode: (node) => (isParagraphBlock(node) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_SKIP)
+      });
+      while (shadowWalker.nextNode()) {
+        paragraphs.push(shadowWalker.currentNode);
+      }
+    }
+    return sortByDocumentPosition(paragraphs);
   }
 
   /**
@@ -1132,13 +1735,13 @@
     const normalizedSearch = searchText.toLowerCase().replace(/\s+/g, ' ').trim();
 
     for (const el of extractedParagraphs) {
-      const elText = el.textContent?.toLowerCase().replace(/\s+/g, ' ').trim() || '';
+      const elText = getParagraphText(el).toLowerCase().replace(/\s+/g, ' ').trim();
       if (elText.startsWith(normalizedSearch) || elText.includes(normalizedSearch)) {
         return el;
       }
     }
 
-    const blockElements = document.querySelectorAll('p, h1, h2, h3, h4, h5, h6, li, blockquote, div.content, article p');
+    const blockElements = queryAllDeep(document, 'p, h1, h2, h3, h4, h5, h6, li, blockquote, div.content, article p');
     for (const el of blockElements) {
       const elText = el.textContent?.toLowerCase().replace(/\s+/g, ' ').trim() || '';
       if (elText.startsWith(normalizedSearch) || elText.includes(normalizedSearch)) {
@@ -1157,10 +1760,19 @@
     extractFullPage,
     findBestContentBlock,
     findContentParagraphs,
+    findAddedParagraphs,
     findElementByText,
     getExtractedParagraphs,
     setExtractedParagraphs,
-    getParagraphTexts
+    getExtractionRoot,
+    getParagraphTexts,
+    getReadableParagraphs,
+    getParagraphTags,
+    getParagraphMarkup,
+    isContentBlock,
+    queryAllDeep,
+    readParagraphs,
+    sortByDocumentPosition
   };
 
   console.log('VoxPage: content-extractor.js loaded');
@@ -0,0 +1,156 @@
+/**
+ * VoxPage Frame Collector
+ * Merges paragraphs from same-origin iframes into the top frame's reading
+ * order. Each frame runs its own content script, so its paragraphs are
+ * extracted (and later highlighted) by that frame's extractor; the top frame
+ * only asks for them through the background and splices them in where the
+ * iframe sits on the page.
+ *
+ * @module content/frame-collector
+ */
+
+// Wrap in IIFE to avoid variable name collisions with other content scripts
+(function() {
+  'use strict';
+
+  // Initialize VoxPage namespace
+  window.VoxPage = window.VoxPage || {};
+
+  // Prevent re-initialization
+  if (window.VoxPage._frameCollectorInitialized) {
+    return;
+  }
+  window.VoxPage._frameCollectorInitialized = true;
+
+  // Get module references
+  const getExtractor = () => window.VoxPage.contentExtractor || {};
+  const getScorer = () => window.VoxPage.contentScorer || {};
+
+  // Frames with less body text than this are widgets, not content
+  const MIN_FRAME_TEXT_LENGTH = 30;
+
+  /**
+   * Get a frame's document if it is same-origin
+   * @param {HTMLIFrameElement|HTMLFrameElement} frame
+   * @returns {Document|null}
+   */
+  function getFrameDocument(frame) {
+    try {
+      return frame.contentDocument || null;
+    } catch (e) {
+      // Cross-origin frames throw in some browsers instead of returning null
+      return null;
+    }
+  }
+
+  /**
+   * Find the same-origin frames worth reading
+   * Skips hidden frames, frames inside navigation, headers, footers and
+   * sidebars, and frames with little text. In article mode only frames inside
+   * the extracted article count, unless the page itself had nothing to read.
+   * @param {string} [mode] - Extraction mode
+   * @returns {Array<HTMLIFrameElement|HTMLFrameElement>} Frames in document order
+   */
+  function findContentFrames(mode) {
+    const extractor = getExtractor();
+    const scorer = getScorer();
+    const frames = extractor.queryAllDeep?.(document, 'iframe, frame') ||
+      Array.from(document.querySelectorAll('iframe, frame'));
+    const articleRoot = mode === 'article' ? extractor.getExtractionRoot?.() : null;
+
+    return frames.filter(frame => {
+      const doc = getFrameDocument(frame);
+      if (!doc?.body || doc.body.textContent.trim().length < MIN_FRAME_TEXT_LENGTH) return false;
+      if (frame.hidden || frame.closest('[aria-hidden="true"]')) return false;
+
+      const style = window.getComputedStyle(frame);
+      if (style.display === 'none' || style.visibility === 'hidden') return false;
+
+      if (articleRoot && !articleRoot.contains(frame)) return false;
+      return !scorer.isInsideUnwantedElement?.(frame);
+    });
+  }
+
+  /**
+   * Ask a child frame's content script for its paragraphs
+   * @param {number} frameId - WebExtension frame id
+   * @param {Object} message - The extractText message being handled
+   * @returns {Promise<Object|null>} Frame content, or null if the frame did not answer
+   */
+  async function requestFrameContent(frameId, message) {
+    try {
+      return await browser.runtime.sendMessage({
+        action: 'extractFrameText',
+        frameId,
+        mode: message.mode,
+        extractionRule: message.extractionRule,
+        contentBlocks: message.contentBlocks
+      });
+    } catch (e) {
+      console.warn(`VoxPage: Frame ${frameId} did not answer extraction:`, e);
+      return null;
+    }
+  }
+
+  /**
+   * Extract this frame's paragraphs, merged with those of its content frames
+   * Paragraphs of this frame have a null frameId; the frame above fills in
+   * the id it knows this frame by, so nested frames resolve level by level.
+   * Selection mode reads the selection only and does not look into frames.
+   * @param {Object} message - extractText or extractFrameText message
+   * @returns {Promise<{text: string, paragraphs: string[], paragraphTags: string[], paragraphMarkup: Array, paragraphFrames: Array<{frameId: number|null, index: number}>}>}
+   */
+  async function extractWithFrames(message) {
+    const extractor = getExtractor();
+    const text = extractor.extractText?.(message.mode, message.extractionRule, message.contentBlocks) || '';
+    const ownElements = extractor.getReadableParagraphs?.() || [];
+    const content = {
+      text,
+      paragraphs: extractor.getParagraphTexts?.() || [],
+      paragraphTags: extractor.getParagraphTags?.() || [],
+      paragraphMarkup: extractor.getParagraphMarkup?.() || [],
+      paragraphFrames: ownElements.map((el, index) => ({ frameId: null, index }))
+    };
+
+    if (message.mode === 'selection') return content;
+
+    const frames = findContentFrames(message.mode);
+    if (frames.length === 0) return content;
+
+    // Splice from the last frame back so earlier insertion points stay valid
+    let merged = false;
+    for (const frame of frames.reverse()) {
+      const frameId = browser.runtime.getFrameId?.(frame);
+      if (typeof frameId !== 'number' || frameId < 0) continue;
+
+      const frameContent = await requestFrameContent(frameId, message);
+      if (!frameContent?.paragraphs?.length) continue;
+
+      const ordered = extractor.sortByDocumentPosition?.([...ownElements, frame]) || [...ownElements, frame];
+      const position = ordered.indexOf(frame);
+      const count = frameContent.paragraphs.length;
+      const pick = (list, fallback) =>
+        (Array.isArray(list) && list.length === count ? list : Array.from({ length: count }, fallback));
+
+      content.paragraphs.splice(position, 0, ...frameContent.paragraphs);
+      content.paragraphTags.splice(position, 0, ...pick(frameContent.paragraphTags, () => 'P'));
+      content.paragraphMarkup.splice(position, 0, ...pick(frameContent.paragraphMarkup, () => ({ quote: false, emphasis: [] })));
+      content.paragraphFrames.splice(position, 0, ...pick(frameContent.paragraphFrames, (_, index) => ({ frameId: null, index }))
+        .map(target => ({ frameId: target.frameId ?? frameId, index: target.index })));
+      merged = true;
+    }
+
+    if (merged) {
+      content.text = content.paragraphs.join('\n\n');
+    }
+    return content;
+  }
+
+  // Export to VoxPage namespace
+  window.VoxPage.frameCollector = {
+    findContentFrames,
+    extractWithFrames
+  };
+
+  console.log('VoxPage: frame-collector.js loaded');
+})();
@@ -31,6 +31,37 @@
   const SCROLL_DEBOUNCE_MS = 2000; // Pause auto-scroll for 2s after user scroll
   const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
 
+  // Highlight latency samples waiting to be reported for the playback metrics.
+  // Paragraph highlights report straight away (with the words before them);
+  // word samples are sent in batches.
+  const WORD_LATENCY_BATCH_SIZE = 25;
+  let pendingLatency = { paragraphMs: [], wordMs: [] };
+
+  /**
+   * Queue a highlight latency sample
+   * @param {'paragraphMs'|'wordMs'} kind
+   * @param {number} latency - Milliseconds from the background sending the highlight
+   */
+  function recordLatency(kind, latency) {
+    pendingLatency[kind].push(latency);
+    if (kind === 'paragraphMs' || pendingLatency.wordMs.length >= WORD_LATENCY_BATCH_SIZE) {
+      reportLatency();
+    }
+  }
+
+  /**
+   * Send queued latency samples to the background
+   */
+  function reportLatency() {
+    if (pendingLatency.paragraphMs.length === 0 && pendingLatency.wordMs.length === 0) return;
+
+    const samples = pendingLatency;
+    pendingLatency = { paragraphMs: [], wordMs: [] };
+    try {
+      browser.runtime.sendMessage({ action: 'reportHighlightLatency', ...samples }).catch(() => {});
+    } catch (e) { /* ignore */ }
+  }
+
   /**
    * Get the currently highlighted element
    * @returns {Element|null}
@@ -69,15 +100,8 @@
       const latency = Date.now() - timestamp;
       if (latency > 200) {
         console.warn(`VoxPage: Highlight latency ${latency}ms exceeds 200ms sync threshold (FR-001)`);
-        // Notify background for drift correction tracking
-        try {
-          browser.runtime.sendMessage({
-            action: 'reportDrift',
-            latencyMs: latency,
-            paragraphIndex: index
-          }).catch(() => {});
-        } catch (e) { /* ignore */ }
       }
+      recordLatency('paragraphMs', latency);
     }
 
     let element = null;
@@ -92,6 +116,7 @@
 
     if (element && element.nodeType === Node.ELEMENT_NODE) {
       console.log(`VoxPage: Highlighting element at index ${index}:`, element.tagName, element.textContent?.substring(0, 50));
+      ensureShadowStyles(element);
       element.classList.add('voxpage-highlight');
       element.dataset.voxpageIndex = index;
       highlightElements.push(element);
@@ -105,6 +130,23 @@
     }
   }
 
+  /**
+   * Make highlight styles apply to an element inside a shadow root
+   * Page stylesheets stop at the shadow boundary, so content.css is linked
+   * into each open shadow root the first time one of its elements is styled.
+   * @param {Element} element
+   */
+  function ensureShadowStyles(element) {
+    const root = element.getRootNode();
+    if (!(root instanceof ShadowRoot) || root.querySelector('link[data-voxpage-styles]')) return;
+
+    const link = document.createElement('link');
+    link.rel = 'stylesheet';
+    link.href = browser.runtime.getURL('styles/content.css');
+    link.dataset.voxpageStyles = '';
+    root.prepend(link);
+  }
+
   /**
    * Set word timeline for the current paragraph
    * @param {Array} wordTimeline - Array of word timing data
@@ -128,8 +170,8 @@
       const latency = Date.now() - timestamp;
       if (latency > 100) {
         console.warn(`VoxPage: Word highlight latency ${latency}ms exceeds 100ms sync threshold (FR-002)`);
-        // Log for performance monitoring but don't block
       }
+      recordLatency('wordMs', latency);
     }
 
     if (!wordHighlightSupported) {
@@ -151,6 +193,11 @@
       return;
     }
 
+    // Code blocks and tables are spoken as generated text, not their own words
+    if (getExtractor().isContentBlock?.(element)) {
+      return;
+    }
+
     try {
       const charOffset = wordData.charOffset ?? 0;
       const charLength = wordData.charLength ?? wordData.word?.length ?? 5;
@@ -332,6 +379,8 @@
   function clearHighlights() {
     clearParagraphHighlights();
     clearWordHighlight();
+    // Playback stopped: send the last paragraph's word samples
+    reportLatency();
   }
 
   /**
@@ -346,7 +395,7 @@
    * Filter highlight elements to only those still in DOM
    */
   function filterValidHighlightElements() {
-    highlightElements = highlightElements.filter(el => document.body.contains(el));
+    highlightElements = highlightElements.filter(el => el.isConnected);
   }
 
   // Export to VoxPage namespace
@@ -358,6 +407,7 @@
     clearParagraphHighlights,
     clearWordHighlight,
     createWordRange,
+    ensureShadowStyles,
     getCurrentHighlightedElement,
     isWordHighlightSupported,
     getHighlightElements,
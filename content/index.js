@@ -22,6 +22,10 @@
   }
   window.VoxPage._indexInitialized = true;
 
+  // Child frames extract and highlight their own paragraphs; the top frame
+  // owns the page UI, playback lifecycle and the merged paragraph list
+  const isTopFrame = window === window.top;
+
   console.log('VoxPage: Namespace state:', {
     hasContentScorer: !!window.VoxPage.contentScorer,
     hasContentExtractor: !!window.VoxPage.contentExtractor,
@@ -29,9 +33,19 @@
     hasFloatingController: !!window.VoxPage.floatingController,
     hasStickyFooter: !!window.VoxPage.stickyFooter,
     hasParagraphSelector: !!window.VoxPage.paragraphSelector,
-    hasLanguageExtractor: !!window.VoxPage.extractPageLanguage
+    hasLanguageExtractor: !!window.VoxPage.extractPageLanguage,
+    hasFrameCollector: !!window.VoxPage.frameCollector,
+    hasPageFollower: !!window.VoxPage.pageFollower,
+    hasReaderView: !!window.VoxPage.readerView,
+    isTopFrame
   });
 
+  // Actions a child frame answers (see content/frame-collector.js)
+  const FRAME_ACTIONS = new Set([
+    'extractFrameText', 'highlight', 'clearHighlight', 'setWordTimeline', 'highlightWord',
+    'enableSelectionMode', 'disableSelectionMode', 'refreshSelection'
+  ]);
+
   // Get module references
   const getExtractor = () => window.VoxPage.contentExtractor || {};
   const getHighlighter = () => window.VoxPage.highlightManager || {};
@@ -77,14 +91,16 @@
       const paragraphSelector = getParagraphSelector();
       const highlighter = getHighlighter();
       const extractor = getExtractor();
+      // Clicks inside open shadow roots are retargeted to the host
+      const target = event.composedPath?.()[0] instanceof Element ? event.composedPath()[0] : event.target;
 
       // Ignore clicks on play icons (they have their own handlers)
-      if (event.target.closest('.voxpage-play-icon')) {
+      if (target.closest('.voxpage-play-icon')) {
         return;
       }
 
       // Check if we clicked on a selectable paragraph
-      const selectableEl = event.target.closest('.voxpage-selectable');
+      const selectableEl = target.closest('.voxpage-selectable');
       if (selectableEl && paragraphSelector.isActive?.()) {
         const index = parseInt(selectableEl.dataset.voxpageSelectIndex, 10);
         if (!isNaN(index)) {
@@ -95,7 +111,7 @@
       }
 
       // Check if we clicked on an active highlight (during playback)
-      const highlightedEl = event.target.closest('.voxpage-highlight');
+      const highlightedEl = target.closest('.voxpage-highlight');
       if (highlightedEl) {
         const index = parseInt(highlightedEl.dataset.voxpageIndex, 10);
         if (!isNaN(index)) {
@@ -112,7 +128,7 @@
       // Only allow paragraph jumping if playback is active (highlights exist)
       if (highlightElements.length > 0) {
         const clickedParagraph = extractedParagraphs.findIndex(el =>
-          el.contains(event.target) || el === event.target
+          el.contains(target) || el === target
         );
 
         if (clickedParagraph !== -1) {
@@ -128,23 +144,50 @@
    */
   console.log('VoxPage: Setting up message listener');
   browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (!isTopFrame && !FRAME_ACTIONS.has(message.action)) return;
     console.log('VoxPage: Received message:', message.action);
     const extractor = getExtractor();
     const highlighter = getHighlighter();
 
     switch (message.action) {
       case 'extractText':
-        const text = extractor.extractText?.(message.mode) || '';
-        // Send paragraph texts array for accurate TTS-to-DOM index synchronization
-        const paragraphTexts = extractor.getParagraphTexts?.() || [];
-        browser.runtime.sendMessage({
-          action: 'textContent',
-          text: text,
-          paragraphs: paragraphTexts,
-          mode: message.mode
+        // Send paragraph texts array for accurate TTS-to-DOM index synchronization,
+        // with the frame each paragraph is highlighted in
+        window.VoxPage.frameCollector.extractWithFrames(message).then(content => {
+          browser.runtime.sendMessage({
+            action: 'textContent',
+            text: content.text,
+            paragraphs: content.paragraphs,
+            paragraphTags: content.paragraphTags,
+            paragraphMarkup: content.paragraphMarkup,
+            paragraphFrames: content.paragraphFrames.map(target => ({ frameId: target.frameId ?? 0, index: target.index })),
+            mode: message.mode,
+            exportId: message.exportId
+          });
+          // Follow page mode picks up what the page adds from here on
+          if (message.followPage) {
+            window.VoxPage.pageFollower?.start(message);
+          } else {
+            window.VoxPage.pageFollower?.stop();
+          }
+        }).catch(err => {
+          console.error('VoxPage: Failed to extract text:', err);
+          browser.runtime.sendMessage({
+            action: 'extractTextFailed',
+            error: err?.message || String(err),
+            exportId: message.exportId
+          });
         });
         break;
 
+      case 'stopFollowingPage':
+        window.VoxPage.pageFollower?.stop();
+        break;
+
+      // Extraction of a child frame, requested by the frame above it
+      case 'extractFrameText':
+        return window.VoxPage.frameCollector.extractWithFrames(message);
+
       case 'highlight':
         highlighter.highlightParagraph?.(message.index, message.text, message.timestamp);
         break;
@@ -254,6 +297,33 @@
         }
         break;
 
+      // Cost confirmation when no popup is open to show it
+      case 'FOOTER_COST_CONFIRMATION':
+        if (window.VoxPage?.stickyFooter) {
+          window.VoxPage.stickyFooter.showCostConfirmation(message.confirmation);
+        }
+        break;
+
+      case 'FOOTER_COST_CONFIRMATION_RESOLVED':
+        if (window.VoxPage?.stickyFooter) {
+          window.VoxPage.stickyFooter.clearCostConfirmation();
+        }
+        break;
+
+      // Reader view overlay (toggled from the sticky footer via background)
+      case 'showReaderView':
+        window.VoxPage?.readerView?.show(message.view);
+        break;
+
+      case 'hideReaderView':
+        window.VoxPage?.readerView?.hide();
+        break;
+
+      // Extraction rule picker (from popup via background)
+      case 'startRulePicker':
+        window.VoxPage?.rulePicker?.start(message.rule);
+        break;
+
       // T021: Language extraction request (019-multilingual-tts)
       case 'extractLanguage':
         {
@@ -322,6 +392,8 @@
     // Clear all highlights (T031)
     getHighlighter().clearHighlights?.();
 
+    window.VoxPage?.pageFollower?.stop();
+
     // Execute registered callbacks
     cleanupCallbacks.forEach(cb => {
       try {
@@ -350,7 +422,7 @@
    * Implements FR-011: Stop audio on page navigation
    */
   window.addEventListener('pagehide', (event) => {
-    executeCleanup('navigation');
+    if (isTopFrame) executeCleanup('navigation');
   });
 
   /**
@@ -358,7 +430,7 @@
    * Implements FR-012: Stop audio on page reload
    */
   window.addEventListener('beforeunload', () => {
-    executeCleanup('beforeunload');
+    if (isTopFrame) executeCleanup('beforeunload');
   });
 
   /**
@@ -366,7 +438,7 @@
    * Implements FR-005: Resync within 500ms when tab becomes visible
    */
   document.addEventListener('visibilitychange', () => {
-    if (!document.hidden) {
+    if (isTopFrame && !document.hidden) {
       const resyncStart = performance.now();
       browser.runtime.sendMessage({
         action: 'requestResync',
@@ -410,7 +482,7 @@
 
       mutationDebounceTimer = setTimeout(() => {
         const extractedParagraphs = extractor.getExtractedParagraphs?.() || [];
-        extractor.setExtractedParagraphs?.(extractedParagraphs.filter(el => document.body.contains(el)));
+        extractor.setExtractedParagraphs?.(extractedParagraphs.filter(el => el.isConnected));
         highlighter.filterValidHighlightElements?.();
         mutationDebounceTimer = null;
       }, MUTATION_DEBOUNCE_MS);
@@ -440,11 +512,13 @@
     }
   }
 
-  // Send language detection on load
-  if (document.readyState === 'complete') {
-    sendInitialLanguageDetection();
-  } else {
-    window.addEventListener('load', sendInitialLanguageDetection, { once: true });
+  // Send language detection on load; the page language is read in the top frame
+  if (isTopFrame) {
+    if (document.readyState === 'complete') {
+      sendInitialLanguageDetection();
+    } else {
+      window.addEventListener('load', sendInitialLanguageDetection, { once: true });
+    }
   }
 
   console.log('VoxPage content script fully loaded and message listener registered');
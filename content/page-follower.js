@@ -0,0 +1,194 @@
+/**
+ * VoxPage Page Follower
+ * Keeps reading pages that change after extraction ("follow page" mode).
+ * Paragraphs added by infinite feeds are read and sent to the background to
+ * be appended to the article, and client-side route changes of single-page
+ * apps are reported so the background can read the new view or stop.
+ *
+ * Route changes made with history.pushState cannot be seen from a content
+ * script, so the URL is compared whenever the page settles after changing.
+ *
+ * @module content/page-follower
+ */
+
+// Wrap in IIFE to avoid variable name collisions with other content scripts
+(function() {
+  'use strict';
+
+  // Initialize VoxPage namespace
+  window.VoxPage = window.VoxPage || {};
+
+  // Prevent re-initialization
+  if (window.VoxPage._pageFollowerInitialized) {
+    return;
+  }
+  window.VoxPage._pageFollowerInitialized = true;
+
+  // Get module references
+  const getExtractor = () => window.VoxPage.contentExtractor || {};
+  const getReaderView = () => window.VoxPage.readerView || null;
+
+  // Feeds add content in bursts; read it once the page has been quiet this long
+  const SETTLE_DELAY_MS = 1000;
+
+  // Extraction being followed ({ mode }), null when not following
+  let following = null;
+  let observer = null;
+  let route = null;
+  let addedNodes = [];
+  let settleTimer = null;
+
+  /**
+   * Key identifying the view a URL shows
+   * In-page anchors are not navigation; hash routes (#/… or #!/…) are.
+   * @param {string} href
+   * @returns {string}
+   */
+  function getRouteKey(href) {
+    const url = new URL(href);
+    const hashRoute = /^#!?\//.test(url.hash) ? url.hash : '';
+    return url.origin + url.pathname + url.search + hashRoute;
+  }
+
+  /**
+   * Get the page paragraphs being read
+   * While the reader view is open the extractor holds its overlay paragraphs,
+   * so the page's own are kept by the overlay.
+   * @returns {Element[]}
+   */
+  function getPageParagraphs() {
+    return getReaderView()?.getPageParagraphs?.() || getExtractor().getExtractedParagraphs?.() || [];
+  }
+
+  /**
+   * Replace the page paragraphs being read
+   * @param {Element[]} paragraphs
+   */
+  function setPageParagraphs(paragraphs) {
+    const readerView = getReaderView();
+    if (readerView?.isReaderVisible?.()) {
+      readerView.setPageParagraphs(paragraphs);
+    } else {
+      getExtractor().setExtractedParagraphs?.(paragraphs);
+    }
+  }
+
+  /**
+   * Start following the page after an extraction
+   * @param {{mode: string}} message - The extractText message
+   */
+  function start(message) {
+    stop();
+    following = { mode: message.mode };
+    route = getRouteKey(location.href);
+
+    observer = new MutationObserver(onMutations);
+    observer.observe(document.body, { childList: true, subtree: true });
+    window.addEventListener('popstate', scheduleCheck);
+    window.addEventListener('hashchange', scheduleCheck);
+    console.log(`VoxPage: Following page (mode: ${message.mode})`);
+  }
+
+  /**
+   * Stop following the page
+   */
+  function stop() {
+    if (!following) return;
+
+    observer?.disconnect();
+    clearTimeout(settleTimer);
+    window.removeEventListener('popstate', scheduleCheck);
+    window.removeEventListener('hashchange', scheduleCheck);
+    following = null;
+    observer = null;
+    route = null;
+    addedNodes = [];
+    settleTimer = null;
+    console.log('VoxPage: Stopped following page');
+  }
+
+  /**
+   * Whether the page is being followed
+   * @returns {boolean}
+   */
+  function isFollowing() {
+    return following !== null;
+  }
+
+  /**
+   * Collect added elements until the page settles
+   * @param {MutationRecord[]} mutations
+   */
+  function onMutations(mutations) {
+    for (const mutation of mutations) {
+      for (const node of mutation.addedNodes) {
+        if (node.nodeType === Node.ELEMENT_NODE) {
+          addedNodes.push(node);
+        }
+      }
+    }
+    if (addedNodes.length > 0) {
+      scheduleCheck();
+    }
+  }
+
+  /**
+   * Check the page once it has been quiet for SETTLE_DELAY_MS
+   */
+  function scheduleCheck() {
+    clearTimeout(settleTimer);
+    settleTimer = setTimeout(check, SETTLE_DELAY_MS);
+  }
+
+  /**
+   * Report a route change, or the paragraphs added since the last check
+   */
+  function check() {
+    settleTimer = null;
+    if (!following) return;
+
+    if (getRouteKey(location.href) !== route) {
+      // The next extraction starts following the new view
+      stop();
+      browser.runtime.sendMessage({
+        action: 'pageNavigated',
+        url: location.href,
+        title: document.title
+      }).catch(err => {
+        console.error('VoxPage: Failed to report navigation:', err);
+      });
+      return;
+    }
+
+    const nodes = addedNodes;
+    addedNodes = [];
+    const extractor = getExtractor();
+    const known = getPageParagraphs();
+    const added = extractor.readParagraphs?.(extractor.findAddedParagraphs?.(nodes, known, following.mode) || []);
+    if (!added?.elements.length) return;
+
+    // Frame-local indexes continue after the paragraphs already read
+    const firstIndex = extractor.readParagraphs(known).elements.length;
+    setPageParagraphs([...known, ...added.elements]);
+    console.log(`VoxPage: Page added ${added.elements.length} paragraphs`);
+
+    browser.runtime.sendMessage({
+      action: 'pageContentAdded',
+      paragraphs: added.paragraphs,
+      paragraphTags: added.paragraphTags,
+      paragraphMarkup: added.paragraphMarkup,
+      paragraphFrames: added.elements.map((el, i) => ({ frameId: 0, index: firstIndex + i }))
+    }).catch(err => {
+      console.error('VoxPage: Failed to send added paragraphs:', err);
+    });
+  }
+
+  // Export to VoxPage namespace
+  window.VoxPage.pageFollower = {
+    start,
+    stop,
+    isFollowing
+  };
+
+  console.log('VoxPage: page-follower.js loaded');
+})();
@@ -48,6 +48,7 @@
     // Add selectable class and inject play icons
     paragraphs.forEach((el, index) => {
       if (el && el.nodeType === Node.ELEMENT_NODE) {
+        window.VoxPage.highlightManager?.ensureShadowStyles?.(el);
         el.classList.add('voxpage-selectable');
         el.dataset.voxpageSelectIndex = index.toString();
 
@@ -0,0 +1,457 @@
+/**
+ * VoxPage Reader View
+ * Distraction-free overlay that renders the paragraphs being read with
+ * adjustable typography and theme. While it is open its paragraphs stand in
+ * for the page's extracted paragraphs, so paragraph and word highlighting,
+ * auto-scroll and click-to-play run inside the overlay.
+ *
+ * @module content/reader-view
+ */
+
+// Wrap in IIFE to avoid variable name collisions
+(function() {
+  'use strict';
+
+  // Font size range and step in px
+  // NOTE: Must match constraints.readerFontSize in shared/config/defaults.js
+  const FONT_SIZE_MIN = 14;
+  const FONT_SIZE_MAX = 32;
+  const FONT_SIZE_STEP = 2;
+
+  // Just below the sticky footer, which stays usable on top of the overlay
+  const Z_INDEX = 2147483646;
+
+  const THEMES = [
+    { id: 'light', label: 'Light' },
+    { id: 'sepia', label: 'Sepia' },
+    { id: 'dark', label: 'Dark' }
+  ];
+
+  // Element used for each segment type (see background/speech-markup.js)
+  const SEGMENT_TAGS = Object.freeze({
+    heading: 'h2',
+    listItem: 'li',
+    quote: 'blockquote',
+    code: 'pre'
+  });
+
+  const getExtractor = () => window.VoxPage.contentExtractor || {};
+  const getHighlighter = () => window.VoxPage.highlightManager || {};
+
+  /**
+   * Get CSS styles for the overlay
+   * content.css is linked before these, so highlights look as they do on pages.
+   * @returns {string}
+   */
+  function getStyles() {
+    return `
+      :host {
+        all: initial;
+        position: fixed;
+        inset: 0;
+        z-index: ${Z_INDEX};
+      }
+      .reader {
+        --reader-bg: #ffffff;
+        --reader-text: #1f2328;
+        --reader-muted: #59636e;
+        --reader-border: rgba(0, 0, 0, 0.1);
+        --reader-accent: #0D9488;
+        height: 100%;
+        overflow-y: auto;
+        background: var(--reader-bg);
+        color: var(--reader-text);
+        font-family: Georgia, 'Iowan Old Style', 'Times New Roman', serif;
+        font-size: var(--reader-font-size, 20px);
+        line-height: 1.6;
+      }
+      .reader.theme-sepia {
+        --reader-bg: #f4ecd8;
+        --reader-text: #5b4636;
+        --reader-muted: #8a7460;
+        --reader-border: rgba(91, 70, 54, 0.15);
+      }
+      .reader.theme-dark {
+        --reader-bg: #1c1d21;
+        --reader-text: #e3e3e3;
+        --reader-muted: #a0a4ab;
+        --reader-border: rgba(255, 255, 255, 0.12);
+        --reader-accent: #14B8A6;
+      }
+      .reader.font-sans {
+        font-family: system-ui, -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      }
+      .toolbar {
+        position: sticky;
+        top: 0;
+        display: flex;
+        justify-content: flex-end;
+        gap: 4px;
+        padding: 8px 16px;
+        background: var(--reader-bg);
+        border-bottom: 1px solid var(--reader-border);
+        font-family: system-ui, -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        font-size: 14px;
+      }
+      .toolbar button {
+        min-width: 44px;
+        min-height: 36px;
+        padding: 0 10px;
+        border: 1px solid var(--reader-border);
+        border-radius: 6px;
+        background: transparent;
+        color: var(--reader-text);
+        font: inherit;
+        cursor: pointer;
+      }
+      .toolbar button[aria-pressed="true"] {
+        border-color: var(--reader-accent);
+        color: var(--reader-accent);
+      }
+      .toolbar button:focus-visible {
+        outline: 2px solid var(--reader-accent);
+        outline-offset: 2px;
+      }
+      .toolbar .separator {
+        width: 1px;
+        margin: 0 8px;
+        background: var(--reader-border);
+      }
+      article {
+        max-width: 40em;
+        margin: 0 auto;
+        padding: 32px 24px 160px;
+      }
+      h1 {
+        font-size: 1.6em;
+        line-height: 1.25;
+        margin: 0 0 1em;
+      }
+      h2 {
+        font-size: 1.25em;
+        line-height: 1.3;
+        margin: 1.5em 0 0.5em;
+      }
+      p, li, blockquote, pre {
+        margin: 0 0 1em;
+      }
+      blockquote {
+        padding-left: 1em;
+        border-left: 3px solid var(--reader-border);
+        color: var(--reader-muted);
+      }
+      pre {
+        white-space: pre-wrap;
+        font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;
+        font-size: 0.8em;
+      }
+      .generated {
+        white-space: pre-line;
+        color: var(--reader-muted);
+        font-style: italic;
+      }
+      [data-reader-index] {
+        cursor: pointer;
+        border-radius: 4px;
+      }
+      [data-reader-index]:focus-visible {
+        outline: 2px solid var(--reader-accent);
+        outline-offset: 4px;
+      }
+    `;
+  }
+
+  /**
+   * ReaderView manages the reader overlay
+   */
+  class ReaderView {
+    constructor() {
+      this.container = null;
+      this.shadowRoot = null;
+      this.isVisible = false;
+
+      this.style = { theme: 'light', fontFamily: 'serif', fontSize: 20 };
+
+      // Page paragraphs to hand back to the extractor on close
+      this._pageParagraphs = null;
+      this._paragraphEls = [];
+      this._readerEl = null;
+      this._previousFocus = null;
+      this._previousOverflow = '';
+
+      this._onKeyDown = this._onKeyDown.bind(this);
+    }
+
+    /**
+     * Open the overlay, or replace its article when already open
+     * @param {Object} view - Sent by the background
+     * @param {string} view.title - Page title
+     * @param {string[]} view.paragraphs - Paragraph texts, as they are read
+     * @param {string[]} [view.types] - Segment type per paragraph
+     * @param {{theme: string, fontFamily: string, fontSize: number}} [view.style]
+     */
+    show(view) {
+      const extractor = getExtractor();
+      if (!this.isVisible) {
+        this._pageParagraphs = extractor.getExtractedParagraphs?.() || [];
+        this._previousFocus = document.activeElement;
+        this._previousOverflow = document.documentElement.style.overflow;
+        document.documentElement.style.overflow = 'hidden';
+
+        this.container = document.createElement('div');
+        this.container.id = 'voxpage-reader-view';
+        this.shadowRoot = this.container.attachShadow({ mode: 'closed' });
+        document.body.appendChild(this.container);
+        document.addEventListener('keydown', this._onKeyDown, true);
+        this.isVisible = true;
+      } else if (!this._paragraphEls.includes(extractor.getExtractedParagraphs?.()[0])) {
+        // The page was extracted again for a new article
+        this._pageParagraphs = extractor.getExtractedParagraphs?.() || [];
+      }
+
+      this.style = { ...this.style, ...view.style };
+      getHighlighter().clearHighlights?.();
+      this._render(view);
+      extractor.setExtractedParagraphs?.(this._paragraphEls);
+      window.VoxPage.stickyFooter?.setReaderViewOpen?.(true);
+      this._readerEl.focus();
+
+      console.log('VoxPage: Reader view shown');
+    }
+
+    /**
+     * Close the overlay and give the page its paragraphs back
+     * @param {Object} [options]
+     * @param {boolean} [options.notify=false] - Tell the background (when closed from the page)
+     */
+    hide({ notify = false } = {}) {
+      if (!this.isVisible) return;
+
+      getHighlighter().clearHighlights?.();
+      getExtractor().setExtractedParagraphs?.(this._pageParagraphs || []);
+      document.removeEventListener('keydown', this._onKeyDown, true);
+      document.documentElement.style.overflow = this._previousOverflow;
+      this.container.remove();
+
+      this.container = null;
+      this.shadowRoot = null;
+      this.isVisible = false;
+      this._pageParagraphs = null;
+      this._paragraphEls = [];
+      this._readerEl = null;
+      window.VoxPage.stickyFooter?.setReaderViewOpen?.(false);
+      this._previousFocus?.focus?.();
+      this._previousFocus = null;
+
+      if (notify) {
+        browser.runtime.sendMessage({ action: 'readerViewClosed' }).catch(() => {});
+      }
+      console.log('VoxPage: Reader view hidden');
+    }
+
+    /**
+     * Change typography or theme and remember it
+     * @param {Object} change - Any of theme, fontFamily, fontSize
+     */
+    setStyle(change) {
+      this.style = { ...this.style, ...change };
+      this._applyStyle();
+      browser.runtime.sendMessage({ action: 'saveReaderStyle', style: this.style }).catch(() => {});
+    }
+
+    /**
+     * Build the overlay content
+     * @param {Object} view
+     * @private
+     */
+    _render(view) {
+      while (this.shadowRoot.firstChild) {
+        this.shadowRoot.removeChild(this.shadowRoot.firstChild);
+      }
+
+      // Marked so the highlight manager does not link it a second time
+      const link = document.createElement('link');
+      link.rel = 'stylesheet';
+      link.href = browser.runtime.getURL('styles/content.css');
+      link.dataset.voxpageStyles = '';
+      this.shadowRoot.appendChild(link);
+
+      const style = document.createElement('style');
+      style.textContent = getStyles();
+      this.shadowRoot.appendChild(style);
+
+      const reader = document.createElement('div');
+      reader.className = 'reader';
+      reader.setAttribute('role', 'dialog');
+      reader.setAttribute('aria-modal', 'true');
+      reader.setAttribute('aria-label', 'Reader view');
+      reader.setAttribute('tabindex', '-1');
+      this._readerEl = reader;
+
+      reader.appendChild(this._buildToolbar());
+
+      const article = document.createElement('article');
+      if (view.title) {
+        const title = document.createElement('h1');
+        title.textContent = view.title;
+        article.appendChild(title);
+      }
+
+      this._paragraphEls = [];
+      let list = null;
+      view.paragraphs.forEach((text, index) => {
+        const type = view.types?.[index] || 'paragraph';
+        const el = document.createElement(SEGMENT_TAGS[type] || 'p');
+        // Same text as was extracted, so word offsets line up for highlighting
+        el.textContent = text;
+        el.dataset.readerIndex = String(index);
+        el.setAttribute('tabindex', '0');
+        if (type === 'table' || type === 'figure') el.classList.add('generated');
+        el.addEventListener('click', () => this._playFrom(index));
+        el.addEventListener('keydown', (e) => {
+          if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            this._playFrom(index);
+          }
+        });
+        this._paragraphEls.push(el);
+
+        if (type === 'listItem') {
+          if (!list) {
+            list = document.createElement('ul');
+            article.appendChild(list);
+          }
+          list.appendChild(el);
+        } else {
+          list = null;
+          article.appendChild(el);
+        }
+      });
+      reader.appendChild(article);
+
+      this.shadowRoot.appendChild(reader);
+      this._applyStyle();
+    }
+
+    /**
+     * Build the typography and theme toolbar
+     * @returns {HTMLElement}
+     * @private
+     */
+    _buildToolbar() {
+      const toolbar = document.createElement('div');
+      toolbar.className = 'toolbar';
+      toolbar.setAttribute('role', 'toolbar');
+      toolbar.setAttribute('aria-label', 'Reader view settings');
+
+      const button = (label, ariaLabel, onClick, data = {}) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.textContent = label;
+        btn.setAttribute('aria-label', ariaLabel);
+        Object.assign(btn.dataset, data);
+        btn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          onClick();
+        });
+        toolbar.appendChild(btn);
+        return btn;
+      };
+      const separator = () => {
+        const el = document.createElement('span');
+        el.className = 'separator';
+        el.setAttribute('aria-hidden', 'true');
+        toolbar.appendChild(el);
+      };
+
+      button('A−', 'Smaller text', () => this.setStyle({
+        fontSize: Math.max(FONT_SIZE_MIN, this.style.fontSize - FONT_SIZE_STEP)
+      }));
+      button('A+', 'Larger text', () => this.setStyle({
+        fontSize: Math.min(FONT_SIZE_MAX, this.style.fontSize + FONT_SIZE_STEP)
+      }));
+      button('Serif', 'Serif font', () => this.setStyle({ fontFamily: 'serif' }), { font: 'serif' });
+      button('Sans', 'Sans-serif font', () => this.setStyle({ fontFamily: 'sans' }), { font: 'sans' });
+      separator();
+      THEMES.forEach(theme => {
+        button(theme.label, `${theme.label} theme`, () => this.setStyle({ theme: theme.id }), { theme: theme.id });
+      });
+      separator();
+      button('✕', 'Close reader view', () => this.hide({ notify: true }));
+
+      return toolbar;
+    }
+
+    /**
+     * Apply the current style to the overlay
+     * @private
+     */
+    _applyStyle() {
+      if (!this._readerEl) return;
+      const { theme, fontFamily, fontSize } = this.style;
+
+      this._readerEl.className = `reader theme-${theme} font-${fontFamily}`;
+      this._readerEl.style.setProperty('--reader-font-size', `${fontSize}px`);
+      this.shadowRoot.querySelectorAll('[data-theme]').forEach(btn => {
+        btn.setAttribute('aria-pressed', String(btn.dataset.theme === theme));
+      });
+      this.shadowRoot.querySelectorAll('[data-font]').forEach(btn => {
+        btn.setAttribute('aria-pressed', String(btn.dataset.font === fontFamily));
+      });
+    }
+
+    /**
+     * Start reading from a paragraph of the overlay
+     * @param {number} index
+     * @private
+     */
+    _playFrom(index) {
+      browser.runtime.sendMessage({ action: 'playFromParagraph', index }).catch(err => {
+        console.error('VoxPage: Failed to play from paragraph:', err);
+      });
+    }
+
+    /**
+     * Close on Escape
+     * @param {KeyboardEvent} e
+     * @private
+     */
+    _onKeyDown(e) {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        this.hide({ notify: true });
+      }
+    }
+
+    isReaderVisible() {
+      return this.isVisible;
+    }
+
+    /**
+     * Page paragraphs handed back on close
+     * @returns {Element[]|null} Null while the overlay is closed
+     */
+    getPageParagraphs() {
+      return this.isVisible ? this._pageParagraphs : null;
+    }
+
+    /**
+     * Replace the page paragraphs handed back on close (e.g. when the page grows)
+     * @param {Element[]} paragraphs
+     */
+    setPageParagraphs(paragraphs) {
+      if (this.isVisible) {
+        this._pageParagraphs = paragraphs;
+      }
+    }
+  }
+
+  // Create singleton instance
+  window.VoxPage = window.VoxPage || {};
+  try {
+    window.VoxPage.readerView = new ReaderView();
+    console.log('VoxPage: reader-view.js loaded');
+  } catch (e) {
+    console.error('VoxPage: Failed to create ReaderView:', e);
+  }
+})();
@@ -0,0 +1,351 @@
+/**
+ * VoxPage Rule Picker
+ * Lets the user build an article extraction rule by clicking page elements.
+ * A toolbar picks what the next click sets (blocks to read, blocks to skip,
+ * start after, stop before); saving sends the rule to the background, which
+ * stores it in the extractionRules setting.
+ *
+ * @module content/rule-picker
+ */
+
+// Wrap in IIFE to avoid variable name collisions with other content scripts
+(function() {
+  'use strict';
+
+  // Initialize VoxPage namespace
+  window.VoxPage = window.VoxPage || {};
+
+  // Prevent re-initialization
+  if (window.VoxPage._rulePickerInitialized) {
+    return;
+  }
+  window.VoxPage._rulePickerInitialized = true;
+
+  const Z_INDEX = 2147483647;
+
+  /**
+   * What a click sets, with the page class marking picked elements
+   */
+  const ROLES = Object.freeze({
+    include: { label: 'Read', className: 'voxpage-pick-include' },
+    exclude: { label: 'Skip', className: 'voxpage-pick-exclude' },
+    startAfter: { label: 'Start after', className: 'voxpage-pick-boundary' },
+    stopBefore: { label: 'Stop before', className: 'voxpage-pick-boundary' }
+  });
+
+  const HOVER_CLASS = 'voxpage-pick-hover';
+
+  // State
+  let isActive = false;
+  let role = 'include';
+  let rule = null;
+  let host = null;
+  let shadow = null;
+  let hovered = null;
+
+  /**
+   * Check whether a class name is stable enough to select by
+   * Skips our own classes, ones that look generated by CSS-in-JS tools and
+   * ones that would need escaping in a selector.
+   * @param {string} name
+   * @returns {boolean}
+   */
+  function isStableClass(name) {
+    return !name.startsWith('voxpage-') && /^-?[a-zA-Z_][\w-]*$/.test(name) &&
+      !/\d{3,}|^(css|sc|jsx|emotion)-/.test(name);
+  }
+
+  /**
+   * Build a CSS selector that uniquely matches an element
+   * Uses an id when there is one, otherwise walks up adding tag, class and
+   * :nth-of-type steps until the path is unique or reaches an id.
+   * @param {Element} element
+   * @returns {string}
+   */
+  function buildSelector(element) {
+    const steps = [];
+    let current = element;
+
+    while (current && current.nodeType === Node.ELEMENT_NODE && current !== document.documentElement) {
+      // Ids needing escapes are left to the tag/class steps below
+      if (current.id && /^[a-zA-Z][\w-]*$/.test(current.id) &&
+          document.querySelectorAll(`#${current.id}`).length === 1) {
+        steps.unshift(`#${current.id}`);
+        break;
+      }
+
+      let step = current.tagName.toLowerCase();
+      const classes = Array.from(current.classList).filter(isStableClass).slice(0, 2);
+      if (classes.length > 0) {
+        step += classes.map(name => `.${name}`).join('');
+      }
+
+      const parent = current.parentElement;
+      if (parent) {
+        const sameType = Array.from(parent.children).filter(child => child.tagName === current.tagName);
+        if (sameType.length > 1 && parent.querySelectorAll(`:scope > ${step}`).length > 1) {
+          step += `:nth-of-type(${sameType.indexOf(current) + 1})`;
+        }
+      }
+      steps.unshift(step);
+
+      if (document.querySelectorAll(steps.join(' > ')).length === 1) break;
+      current = parent;
+    }
+
+    return steps.join(' > ');
+  }
+
+  /**
+   * Mark or unmark the elements a rule selects
+   * @param {boolean} marked
+   */
+  function markRuleElements(marked) {
+    if (!rule) return;
+
+    const mark = (selector, className) => {
+      try {
+        document.querySelectorAll(selector).forEach(el => el.classList.toggle(className, marked));
+      } catch (e) {
+        // Hand-written selectors from the options page may not parse
+      }
+    };
+    rule.include.forEach(selector => mark(selector, ROLES.include.className));
+    rule.exclude.forEach(selector => mark(selector, ROLES.exclude.className));
+    if (rule.startAfter) mark(rule.startAfter, ROLES.startAfter.className);
+    if (rule.stopBefore) mark(rule.stopBefore, ROLES.stopBefore.className);
+  }
+
+  /**
+   * Assign a clicked element to the current role
+   * Clicking an element already in the include or exclude list removes it.
+   * @param {Element} element
+   */
+  function pickElement(element) {
+    const selector = buildSelector(element);
+
+    markRuleElements(false);
+    if (role === 'include' || role === 'exclude') {
+      const list = rule[role];
+      const index = list.indexOf(selector);
+      if (index === -1) {
+        list.push(selector);
+      } else {
+        list.splice(index, 1);
+      }
+    } else {
+      rule[role] = rule[role] === selector ? null : selector;
+    }
+    markRuleElements(true);
+    renderSummary();
+  }
+
+  /**
+   * Check whether an event came from the picker toolbar
+   * @param {Event} e
+   * @returns {boolean}
+   */
+  function isToolbarEvent(e) {
+    return host && e.composedPath().includes(host);
+  }
+
+  /**
+   * Outline the element under the pointer
+   * @param {MouseEvent} e
+   */
+  function onMouseOver(e) {
+    if (isToolbarEvent(e)) return;
+    hovered?.classList.remove(HOVER_CLASS);
+    hovered = e.target instanceof Element ? e.target : null;
+    hovered?.classList.add(HOVER_CLASS);
+  }
+
+  /**
+   * Pick the clicked element instead of following links or buttons
+   * @param {MouseEvent} e
+   */
+  function onClick(e) {
+    if (isToolbarEvent(e) || !(e.target instanceof Element)) return;
+    e.preventDefault();
+    e.stopPropagation();
+    pickElement(e.target);
+  }
+
+  /**
+   * Escape leaves the picker without saving
+   * @param {KeyboardEvent} e
+   */
+  function onKeyDown(e) {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      stop();
+    }
+  }
+
+  /**
+   * Build the toolbar in a closed shadow root so page styles cannot reach it
+   */
+  function createToolbar() {
+    host = document.createElement('div');
+    host.className = 'voxpage-rule-picker-host';
+    shadow = host.attachShadow({ mode: 'closed' });
+
+    const style = document.createElement('style');
+    style.textContent = `
+      .toolbar {
+        position: fixed;
+        top: 12px;
+        left: 50%;
+        transform: translateX(-50%);
+        z-index: ${Z_INDEX};
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 8px;
+        max-width: calc(100vw - 24px);
+        padding: 8px 12px;
+        border-radius: 8px;
+        background: #1f2937;
+        color: #f9fafb;
+        font: 13px/1.4 system-ui, sans-serif;
+        box-shadow: 0 8px 24px rgba(0, 0, 0, 0.3);
+      }
+      .roles { display: flex; gap: 4px; }
+      button {
+        padding: 4px 10px;
+        border: 1px solid #4b5563;
+        border-radius: 6px;
+        background: transparent;
+        color: inherit;
+        font: inherit;
+        cursor: pointer;
+      }
+      button[aria-pressed="true"] { background: #6366f1; border-color: #6366f1; }
+      button.save { background: #10b981; border-color: #10b981; }
+      .summary { color: #d1d5db; }
+    `;
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'toolbar';
+    toolbar.setAttribute('role', 'toolbar');
+    toolbar.setAttribute('aria-label', 'VoxPage content picker');
+
+    const hint = document.createElement('span');
+    hint.textContent = 'Click the page to set:';
+
+    const roles = document.createElement('div');
+    roles.className = 'roles';
+    for (const [id, { label }] of Object.entries(ROLES)) {
+      const button = document.createElement('button');
+      button.textContent = label;
+      button.dataset.role = id;
+      button.setAttribute('aria-pressed', String(id === role));
+      button.addEventListener('click', () => {
+        role = id;
+        roles.querySelectorAll('button').forEach(b => b.setAttribute('aria-pressed', String(b === button)));
+      });
+      roles.appendChild(button);
+    }
+
+    const summary = document.createElement('span');
+    summary.className = 'summary';
+
+    const saveBtn = document.createElement('button');
+    saveBtn.className = 'save';
+    saveBtn.textContent = 'Save rule';
+    saveBtn.addEventListener('click', save);
+
+    const cancelBtn = document.createElement('button');
+    cancelBtn.textContent = 'Cancel';
+    cancelBtn.addEventListener('click', stop);
+
+    toolbar.append(hint, roles, summary, saveBtn, cancelBtn);
+    shadow.append(style, toolbar);
+    document.documentElement.appendChild(host);
+  }
+
+  /**
+   * Show how much of the rule has been picked
+   */
+  function renderSummary() {
+    const summary = shadow?.querySelector('.summary');
+    if (!summary) return;
+
+    const parts = [
+      `${rule.include.length} to read`,
+      `${rule.exclude.length} to skip`
+    ];
+    if (rule.startAfter) parts.push('start set');
+    if (rule.stopBefore) parts.push('stop set');
+    summary.textContent = `${rule.pattern}: ${parts.join(', ')}`;
+  }
+
+  /**
+   * Send the rule to the background and close the picker
+   */
+  function save() {
+    const saved = rule;
+    stop();
+    browser.runtime.sendMessage({ action: 'saveExtractionRule', rule: saved }).catch(err => {
+      console.error('VoxPage: Failed to save extraction rule:', err);
+    });
+  }
+
+  /**
+   * Start picking, editing an existing rule when given one
+   * @param {{pattern: string, include?: string[], exclude?: string[], startAfter?: ?string, stopBefore?: ?string}} initialRule
+   */
+  function start(initialRule) {
+    if (isActive) stop();
+
+    rule = {
+      pattern: initialRule.pattern,
+      include: [...(initialRule.include || [])],
+      exclude: [...(initialRule.exclude || [])],
+      startAfter: initialRule.startAfter || null,
+      stopBefore: initialRule.stopBefore || null
+    };
+    role = 'include';
+    isActive = true;
+
+    createToolbar();
+    markRuleElements(true);
+    renderSummary();
+
+    document.addEventListener('mouseover', onMouseOver, true);
+    document.addEventListener('click', onClick, true);
+    document.addEventListener('keydown', onKeyDown, true);
+    console.log(`VoxPage: Rule picker started for ${rule.pattern}`);
+  }
+
+  /**
+   * Leave the picker and remove its marks from the page
+   */
+  function stop() {
+    if (!isActive) return;
+
+    document.removeEventListener('mouseover', onMouseOver, true);
+    document.removeEventListener('click', onClick, true);
+    document.removeEventListener('keydown', onKeyDown, true);
+
+    markRuleElements(false);
+    hovered?.classList.remove(HOVER_CLASS);
+    hovered = null;
+    host?.remove();
+    host = null;
+    shadow = null;
+    rule = null;
+    isActive = false;
+  }
+
+  // Export to VoxPage namespace
+  window.VoxPage.rulePicker = {
+    start,
+    stop,
+    buildSelector,
+    isActive: () => isActive,
+    getRule: () => rule
+  };
+
+  console.log('VoxPage: rule-picker.js loaded');
+})();
@@ -124,6 +124,14 @@
         svg.appendChild(l1);
         svg.appendChild(l2);
       },
+      'book-open': () => {
+        const left = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        left.setAttribute('d', 'M2 3h6a4 4 0 0 1 4 4v14a3 3 0 0 0-3-3H2z');
+        const right = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        right.setAttribute('d', 'M22 3h-6a4 4 0 0 0-4 4v14a3 3 0 0 1 3-3h7z');
+        svg.appendChild(left);
+        svg.appendChild(right);
+      },
       x: () => {
         const l1 = document.createElementNS('http://www.w3.org/2000/svg', 'line');
         l1.setAttribute('x1', '18');
@@ -299,13 +307,57 @@
       .footer.minimized .progress-section,
       .footer.minimized .controls .btn:not(.btn-play-pause),
       .footer.minimized .speed-control,
-      .footer.minimized .btn-minimize { display: none; }
+      .footer.minimized .btn-minimize,
+      .footer.minimized .btn-reader { display: none; }
       .footer.minimized .controls { justify-content: center; flex: 1; }
       .actions { display: flex; align-items: center; gap: 4px; flex-shrink: 0; }
       .paragraph-indicator { font-size: 11px; color: var(--footer-text-muted); white-space: nowrap; }
       .sr-only { position: absolute; width: 1px; height: 1px; padding: 0; margin: -1px; overflow: hidden; clip: rect(0, 0, 0, 0); white-space: nowrap; border: 0; }
       .live-region { position: absolute; width: 1px; height: 1px; padding: 0; margin: -1px; overflow: hidden; clip: rect(0, 0, 0, 0); white-space: nowrap; border: 0; }
       .loading .btn-play-pause svg { animation: pulse 1s ease-in-out infinite; }
+      .cost-panel {
+        position: absolute;
+        bottom: calc(100% + 8px);
+        left: 0;
+        right: 0;
+        background: var(--footer-bg);
+        border: 1px solid var(--footer-border);
+        border-radius: 12px;
+        box-shadow: var(--footer-shadow);
+        padding: 12px 16px;
+        display: flex;
+        flex-direction: column;
+        gap: 8px;
+        font-size: 13px;
+      }
+      .cost-panel-title { font-weight: 600; margin: 0; }
+      .cost-panel-message { color: var(--footer-text-muted); margin: 0; line-height: 1.4; }
+      .cost-panel-row { display: flex; flex-wrap: wrap; align-items: center; gap: 8px; }
+      .cost-panel .btn-text {
+        min-height: var(--footer-button-size-sm);
+        padding: 0 12px;
+        border-radius: 6px;
+        border: 1px solid var(--footer-border);
+        background: var(--footer-bg-secondary);
+        color: var(--footer-text);
+        font: inherit;
+        cursor: pointer;
+      }
+      .cost-panel .btn-text:hover { border-color: var(--footer-accent); }
+      .cost-panel .btn-text:focus-visible { outline: 2px solid var(--footer-focus-ring); outline-offset: 2px; }
+      .cost-panel .btn-primary { background: var(--footer-accent); border-color: var(--footer-accent); color: #ffffff; }
+      .cost-panel .btn-primary:hover { background: var(--footer-accent-hover); }
+      .cost-panel-count {
+        width: 56px;
+        min-height: var(--footer-button-size-sm);
+        padding: 0 6px;
+        border-radius: 6px;
+        border: 1px solid var(--footer-border);
+        background: var(--footer-bg-secondary);
+        color: var(--footer-text);
+        font: inherit;
+        box-sizing: border-box;
+      }
       @keyframes pulse { 0%, 100% { opacity: 1; } 50% { opacity: 0.5; } }
     `;
   }
@@ -319,6 +371,7 @@
       this.shadowRoot = null;
       this.isVisible = false;
       this.isMinimized = false;
+      this.readerViewOpen = false;
       this.position = { x: 'center', yOffset: 0 };
       this.isDragging = false;
       this.dragStartY = 0;
@@ -347,6 +400,10 @@
       this._liveRegion = null;
       this._playPauseBtn = null;
       this._speedDropdown = null;
+      this._costLimitInput = null;
+
+      // Pending cost confirmation sent by the background (null when none)
+      this.costConfirmation = null;
 
       this._onDragStart = this._onDragStart.bind(this);
       this._onDragMove = this._onDragMove.bind(this);
@@ -506,6 +563,15 @@
       const actions = document.createElement('div');
       actions.className = 'actions';
 
+      const readerBtn = createButton({
+        className: 'btn btn-sm btn-reader',
+        ariaLabel: 'Reader view',
+        ariaPressed: this.readerViewOpen,
+        action: 'toggleReaderView',
+        icon: 'book-open'
+      });
+      actions.appendChild(readerBtn);
+
       const minimizeBtn = createButton({
         className: 'btn btn-sm btn-minimize',
         ariaLabel: this.isMinimized ? 'Expand player' : 'Minimize player',
@@ -523,10 +589,92 @@
       actions.appendChild(closeBtn);
       footer.appendChild(actions);
 
+      if (this.costConfirmation) {
+        footer.appendChild(this._buildCostPanel(this.costConfirmation));
+      }
+
       fragment.appendChild(footer);
       return fragment;
     }
 
+    /**
+     * Build the cost confirmation panel shown above the controls
+     * @param {Object} confirmation - Details sent by the background
+     * @returns {HTMLElement}
+     * @private
+     */
+    _buildCostPanel(confirmation) {
+      const panel = document.createElement('div');
+      panel.className = 'cost-panel';
+      panel.setAttribute('role', 'alertdialog');
+      panel.setAttribute('aria-label', 'Confirm estimated cost');
+
+      const title = document.createElement('p');
+      title.className = 'cost-panel-title';
+      title.textContent = `Estimated cost: ${confirmation.cost}`;
+      panel.appendChild(title);
+
+      const message = document.createElement('p');
+      message.className = 'cost-panel-message';
+      message.textContent = `${confirmation.characters.toLocaleString()} characters in ` +
+        `${confirmation.paragraphCount} paragraphs with ${confirmation.providerName}. ` +
+        `You asked to confirm anything over ${confirmation.threshold}.`;
+      panel.appendChild(message);
+
+      const partialRow = document.createElement('div');
+      partialRow.className = 'cost-panel-row';
+      const countInput = document.createElement('input');
+      countInput.type = 'number';
+      countInput.className = 'cost-panel-count';
+      countInput.min = '1';
+      countInput.max = String(confirmation.paragraphCount);
+      countInput.value = String(Math.min(confirmation.affordableParagraphs, confirmation.paragraphCount));
+      countInput.setAttribute('aria-label', 'Number of paragraphs to play');
+      this._costLimitInput = countInput;
+      partialRow.appendChild(countInput);
+      partialRow.appendChild(createButton({
+        className: 'btn-text',
+        ariaLabel: 'Play the first paragraphs only',
+        action: 'confirmCostFirst',
+        text: 'Play first paragraphs only'
+      }));
+      panel.appendChild(partialRow);
+
+      if (confirmation.alternatives.length > 0) {
+        const alternativesRow = document.createElement('div');
+        alternativesRow.className = 'cost-panel-row';
+        confirmation.alternatives.forEach(alternative => {
+          const btn = createButton({
+            className: 'btn-text',
+            ariaLabel: `Use ${alternative.name} instead (${alternative.cost})`,
+            action: 'confirmCostSwitch',
+            text: `${alternative.name} (${alternative.cost})`
+          });
+          btn.dataset.provider = alternative.provider;
+          alternativesRow.appendChild(btn);
+        });
+        panel.appendChild(alternativesRow);
+      }
+
+      const decisionRow = document.createElement('div');
+      decisionRow.className = 'cost-panel-row';
+      decisionRow.appendChild(createButton({
+        className: 'btn-text btn-primary',
+        ariaLabel: `Play all (${confirmation.cost})`,
+        action: 'confirmCostAll',
+        text: `Play all (${confirmation.cost})`
+      }));
+      decisionRow.appendChild(createButton({
+        className: 'btn-text',
+        ariaLabel: 'Cancel playback',
+        action: 'cancelCost',
+        text: 'Cancel'
+      }));
+      panel.appendChild(decisionRow);
+
+      return panel;
+    }
+
     /**
      * Render the footer
      * @private
@@ -611,10 +759,47 @@
       this._liveRegion = null;
       this._playPauseBtn = null;
       this._speedDropdown = null;
+      this._costLimitInput = null;
+      this.costConfirmation = null;
 
       console.log('VoxPage: Sticky footer hidden');
     }
 
+    /**
+     * Ask the user to confirm an expensive article (shown when no popup is open)
+     * @param {Object} confirmation - Details sent by the background
+     */
+    async showCostConfirmation(confirmation) {
+      this.costConfirmation = confirmation;
+      if (!this.container) {
+        await this.show();
+      } else {
+        this._render();
+      }
+      this._announce(`Estimated cost ${confirmation.cost}. Confirm to start playback.`);
+    }
+
+    /**
+     * Reflect whether the reader view overlay is open
+     * @param {boolean} open
+     */
+    setReaderViewOpen(open) {
+      if (this.readerViewOpen === open) return;
+      this.readerViewOpen = open;
+      this._render();
+      this._announce(open ? 'Reader view opened' : 'Reader view closed');
+    }
+
+    /**
+     * Remove the cost confirmation panel
+     */
+    clearCostConfirmation() {
+      if (!this.costConfirmation) return;
+      this.costConfirmation = null;
+      this._costLimitInput = null;
+      this._render();
+    }
+
     /**
      * Update playback state
      * @param {Object} state - New playback state
@@ -846,6 +1031,34 @@
         case 'close':
           this._sendMessage('FOOTER_ACTION', { action: 'close' });
           break;
+        case 'toggleReaderView':
+          this._sendMessage('FOOTER_ACTION', { action: 'readerView' });
+          break;
+        case 'confirmCostAll':
+          this.clearCostConfirmation();
+          this._sendMessage('FOOTER_ACTION', { action: 'confirmCost', value: {} });
+          break;
+        case 'confirmCostFirst': {
+          const count = parseInt(this._costLimitInput?.value, 10);
+          if (!(count > 0)) {
+            this._costLimitInput?.focus();
+            break;
+          }
+          this.clearCostConfirmation();
+          this._sendMessage('FOOTER_ACTION', { action: 'confirmCost', value: { paragraphLimit: count } });
+          break;
+        }
+        case 'confirmCostSwitch': {
+          const provider = data.target?.closest?.('[data-provider]')?.dataset.provider;
+          if (!provider) break;
+          this.clearCostConfirmation();
+          this._sendMessage('FOOTER_ACTION', { action: 'confirmCost', value: { provider } });
+          break;
+        }
+        case 'cancelCost':
+          this.clearCostConfirmation();
+          this._sendMessage('FOOTER_ACTION', { action: 'cancelCost' });
+          break;
       }
     }
 
@@ -892,9 +1105,11 @@
       switch (e.key) {
         case ' ':
         case 'Enter':
+          // Let the cost panel's paragraph count take typed input
+          if (e.target.tagName === 'INPUT') break;
           if (e.target.dataset?.action) {
             e.preventDefault();
-            this._handleAction(e.target.dataset.action);
+            this._handleAction(e.target.dataset.action, e);
           } else {
             e.preventDefault();
             this._handleAction('playPause');
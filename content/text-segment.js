@@ -11,6 +11,13 @@
  * @property {number} charLength - Character length
  */
 
+/**
+ * Segment types whose spoken text is generated from the element (a code
+ * block announcement, table rows, a table summary or an image description)
+ * rather than read from it; they are highlighted as a whole, never word by word
+ */
+const GENERATED_TEXT_TYPES = ['code', 'table', 'figure'];
+
 /**
  * TextSegment maps source text to DOM elements for highlighting.
  * Supports both paragraph-level and word-level highlighting.
@@ -39,11 +46,11 @@ export class TextSegment {
     /** @type {{start: number, end: number}} */
     this.charRange = { start: charStart, end: charEnd };
 
-    /** @type {'paragraph'|'heading'|'listItem'} */
+    /** @type {'paragraph'|'heading'|'listItem'|'quote'|'code'|'table'|'figure'} */
     this.type = type;
 
     /** @type {WordBoundary[]} */
-    this.words = this.findWordBoundaries(text);
+    this.words = GENERATED_TEXT_TYPES.includes(type) ? [] : this.findWordBoundaries(text);
   }
 
   /**
@@ -247,7 +254,7 @@ export class TextSegmentMap {
    * Detect segment type from element
    * @private
    * @param {Element} element
-   * @returns {'paragraph'|'heading'|'listItem'}
+   * @returns {'paragraph'|'heading'|'listItem'|'quote'|'code'|'table'|'figure'}
    */
   detectSegmentType(element) {
     const tagName = element.tagName.toUpperCase();
@@ -258,6 +265,18 @@ export class TextSegmentMap {
     if (tagName === 'LI') {
       return 'listItem';
     }
+    if (tagName === 'PRE') {
+      return 'code';
+    }
+    if (tagName === 'TABLE') {
+      return 'table';
+    }
+    if (tagName === 'FIGURE' || tagName === 'IMG' || tagName === 'SVG') {
+      return 'figure';
+    }
+    if (tagName === 'BLOCKQUOTE' || element.closest?.('blockquote')) {
+      return 'quote';
+    }
     return 'paragraph';
   }
 
@@ -28,6 +28,18 @@ import {
   handleBackgroundMessage,
   syncWithBackground,
   showFooterPlayer,
+  toggleExport,
+  loadResumeOffer,
+  resumeReading,
+  startOver,
+  loadSiteProfile,
+  saveSiteProfile,
+  removeSiteProfile,
+  pickContent,
+  loadQueue,
+  addCurrentPageToQueue,
+  addAllTabsToQueue,
+  playQueue,
   // T032: Language override (019-multilingual-tts)
   setLanguageOverride
 } from './popup-controller.js';
@@ -46,6 +58,9 @@ async function init() {
   setupAccessibilityFeatures();
   populateVoices();
   await syncWithBackground();
+  await loadResumeOffer();
+  await loadSiteProfile();
+  await loadQueue();
   await initOnboarding(elements.playBtn);
 }
 
@@ -126,6 +141,31 @@ function setupEventListeners() {
     elements.showPlayerBtn.addEventListener('click', showFooterPlayer);
   }
 
+  // Audio export
+  if (elements.exportBtn) {
+    elements.exportBtn.addEventListener('click', toggleExport);
+  }
+
+  // Resume offer
+  if (elements.resumeOffer) {
+    elements.resumeBtn.addEventListener('click', resumeReading);
+    elements.startOverBtn.addEventListener('click', startOver);
+  }
+
+  // Site profile
+  if (elements.siteProfile) {
+    elements.saveSiteProfileBtn.addEventListener('click', saveSiteProfile);
+    elements.removeSiteProfileBtn.addEventListener('click', removeSiteProfile);
+    elements.pickContentBtn.addEventListener('click', pickContent);
+  }
+
+  // Reading queue
+  if (elements.queueList) {
+    elements.queueAddPageBtn.addEventListener('click', addCurrentPageToQueue);
+    elements.queueAddTabsBtn.addEventListener('click', addAllTabsToQueue);
+    elements.queuePlayBtn.addEventListener('click', () => playQueue());
+  }
+
   // T032: Language override dropdown (019-multilingual-tts)
   if (elements.languageSelect) {
     elements.languageSelect.addEventListener('change', (e) => {
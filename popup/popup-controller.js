@@ -17,13 +17,20 @@ import {
   updateParagraphInfo,
   updateSpeedUI,
   showStatus,
+  showFallbackProviderStatus,
   hideStatus,
   highlightSettingsButton,
+  updateExportUI,
+  renderQueue,
+  updateResumeOfferUI,
+  updateSiteProfileUI,
   // T032: Language UI imports (019-multilingual-tts)
   populateLanguageDropdown,
   updateLanguageIndicator,
   // T039: Provider switch modal (019-multilingual-tts)
-  showProviderSwitchModal
+  showProviderSwitchModal,
+  showCostConfirmationModal,
+  hideCostConfirmationModal
 } from './popup-ui.js';
 import {
   announce,
@@ -34,11 +41,12 @@ import {
 import { updateData as updateVisualizerData } from './components/visualizer.js';
 import { defaults } from '../shared/config/defaults.js';
 import { settingsStore } from '../shared/config/store.js';
+import { getSiteOrigin } from '../shared/config/site-profiles.js';
 // T037: Import voice filtering (019-multilingual-tts)
 // T039: Also import providerSupportsLanguage for modal check
 import { getVoicesForLanguage, providerSupportsLanguage } from '../background/language-mappings.js';
 // Import language message types for consistency
-import { LanguageMessageTypes } from '../background/constants.js';
+import { LanguageMessageTypes, QueueMessageTypes, MessageType } from '../background/constants.js';
 
 /**
  * Application state - uses SSOT defaults from shared/config
@@ -54,7 +62,10 @@ export const state = {
   // T031: Language state for multilingual TTS (019-multilingual-tts)
   detectedLanguage: null,    // Detected language code
   languageOverride: null,    // User override (null = auto-detect)
-  effectiveLanguage: 'en'    // Actual language used for TTS
+  effectiveLanguage: 'en',   // Actual language used for TTS
+  isExporting: false,
+  resumePosition: null,      // Saved position offered for the active page
+  siteOrigin: null           // Active tab's origin for site profiles (null on non-web pages)
 };
 
 // Voice configurations - fetched dynamically
@@ -206,6 +217,30 @@ export function updatePlayState(isPlaying, isPaused = false) {
   }
 }
 
+/**
+ * Check that the current provider has an API key, prompting for one if not
+ * @returns {Promise<boolean>}
+ */
+async function hasProviderApiKey() {
+  const settings = await browser.storage.local.get([
+    'openaiApiKey', 'elevenlabsApiKey', 'cartesiaApiKey', 'groqApiKey'
+  ]);
+
+  const providerKeyMap = {
+    groq: { key: 'groqApiKey', name: 'Groq' },
+    openai: { key: 'openaiApiKey', name: 'OpenAI' },
+    elevenlabs: { key: 'elevenlabsApiKey', name: 'ElevenLabs' },
+    cartesia: { key: 'cartesiaApiKey', name: 'Cartesia' }
+  };
+
+  const providerInfo = providerKeyMap[state.currentProvider];
+  if (providerInfo && !settings[providerInfo.key]) {
+    showApiKeyMissingMessage(providerInfo.name);
+    return false;
+  }
+  return true;
+}
+
 /**
  * Toggle play/pause state
  */
@@ -215,20 +250,7 @@ export async function togglePlayPause() {
     updatePlayState(false);
   } else {
     // Check API key for premium providers
-    const settings = await browser.storage.local.get([
-      'openaiApiKey', 'elevenlabsApiKey', 'cartesiaApiKey', 'groqApiKey'
-    ]);
-
-    const providerKeyMap = {
-      groq: { key: 'groqApiKey', name: 'Groq' },
-      openai: { key: 'openaiApiKey', name: 'OpenAI' },
-      elevenlabs: { key: 'elevenlabsApiKey', name: 'ElevenLabs' },
-      cartesia: { key: 'cartesiaApiKey', name: 'Cartesia' }
-    };
-
-    const providerInfo = providerKeyMap[state.currentProvider];
-    if (providerInfo && !settings[providerInfo.key]) {
-      showApiKeyMissingMessage(providerInfo.name);
+    if (!(await hasProviderApiKey())) {
       return;
     }
 
@@ -259,9 +281,268 @@ export async function togglePlayPause() {
       mode: state.currentMode
     });
     updatePlayState(true);
+    hideResumeOffer();
+  }
+}
+
+/**
+ * Offer to resume the active page if reading stopped partway through it
+ */
+export async function loadResumeOffer() {
+  if (state.isPlaying) return;
+
+  try {
+    const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+    if (!tab?.url) return;
+
+    const position = await browser.runtime.sendMessage({
+      action: MessageType.GET_RESUME_POSITION,
+      url: tab.url
+    });
+    if (position && (position.paragraphIndex > 0 || position.wordIndex > 0)) {
+      state.resumePosition = position;
+      updateResumeOfferUI(position);
+    }
+  } catch (error) {
+    console.log('Resume position not available');
   }
 }
 
+/**
+ * Show the active tab's site profile, if it is a web page
+ */
+export async function loadSiteProfile() {
+  try {
+    const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+    state.siteOrigin = getSiteOrigin(tab?.url);
+    if (!state.siteOrigin) {
+      updateSiteProfileUI(null, null);
+      return;
+    }
+
+    const settings = await settingsStore.load();
+    updateSiteProfileUI(state.siteOrigin, settings.siteProfiles[state.siteOrigin] || null);
+  } catch (error) {
+    console.log('Site profile not available');
+  }
+}
+
+/**
+ * Save the popup's current mode, provider, voice and speed as the active site's profile
+ */
+export async function saveSiteProfile() {
+  if (!state.siteOrigin) return;
+
+  try {
+    const settings = await settingsStore.load();
+    const existing = settings.siteProfiles[state.siteOrigin];
+    const profile = {
+      mode: state.currentMode,
+      provider: state.currentProvider,
+      voice: state.currentVoice,
+      speed: state.speed,
+      wordSyncEnabled: existing?.wordSyncEnabled ?? settings.wordSyncEnabled
+    };
+
+    await settingsStore.save({ siteProfiles: { ...settings.siteProfiles, [state.siteOrigin]: profile } });
+    updateSiteProfileUI(state.siteOrigin, profile);
+    showStatus(`Saved site profile for ${new URL(state.siteOrigin).host}`, 'success');
+  } catch (error) {
+    console.error('Error saving site profile:', error);
+    showStatus('Could not save the site profile', 'error');
+  }
+}
+
+/**
+ * Remove the active site's profile so global settings apply again
+ */
+export async function removeSiteProfile() {
+  if (!state.siteOrigin) return;
+
+  try {
+    const settings = await settingsStore.load();
+    const siteProfiles = { ...settings.siteProfiles };
+    delete siteProfiles[state.siteOrigin];
+    await settingsStore.save({ siteProfiles });
+    updateSiteProfileUI(state.siteOrigin, null);
+  } catch (error) {
+    console.error('Error removing site profile:', error);
+    showStatus('Could not remove the site profile', 'error');
+  }
+}
+
+/**
+ * Open the extraction rule picker on the active page
+ * The popup closes so the page can be clicked.
+ */
+export async function pickContent() {
+  try {
+    const response = await browser.runtime.sendMessage({ action: MessageType.START_RULE_PICKER });
+    if (response?.success) {
+      window.close();
+    } else {
+      showStatus(response?.error || 'Could not start the picker', 'error');
+    }
+  } catch (error) {
+    console.error('Error starting rule picker:', error);
+    showStatus('Communication error. Please try again.', 'error');
+  }
+}
+
+/**
+ * Resume the active page from its saved position
+ */
+export async function resumeReading() {
+  const position = state.resumePosition;
+  if (!position || !(await hasProviderApiKey())) return;
+
+  sendMessage('play', {
+    provider: state.currentProvider,
+    voice: state.currentVoice,
+    speed: state.speed,
+    mode: position.mode || state.currentMode,
+    resume: true
+  });
+  updatePlayState(true);
+  hideResumeOffer();
+}
+
+/**
+ * Forget the saved position so the page starts from the top next time
+ */
+export function startOver() {
+  if (state.resumePosition) {
+    sendMessage(MessageType.CLEAR_RESUME_POSITION, { url: state.resumePosition.url });
+  }
+  hideResumeOffer();
+}
+
+/**
+ * Hide the resume offer
+ */
+function hideResumeOffer() {
+  state.resumePosition = null;
+  updateResumeOfferUI(null);
+}
+
+/**
+ * Start an audio export of the current page, or cancel a running one
+ */
+export async function toggleExport() {
+  if (state.isExporting) {
+    sendMessage('cancelExport');
+    return;
+  }
+
+  if (state.currentProvider === 'browser') {
+    showStatus('Browser TTS cannot be exported. Choose an AI provider to export audio.', 'warning');
+    return;
+  }
+
+  state.isExporting = true;
+  updateExportUI({ status: 'running', completed: 0, total: 0 });
+  sendMessage('exportAudio', { mode: state.currentMode });
+}
+
+/**
+ * Handle export progress from background
+ * @param {Object} progress
+ */
+function handleExportProgress(progress) {
+  state.isExporting = progress.status === 'running' || progress.status === 'rateLimited';
+  updateExportUI(progress);
+
+  if (progress.status === 'complete') {
+    announce(`Audio export complete: ${progress.filename}`);
+  } else if (progress.status === 'error') {
+    showStatus(`Export failed: ${progress.error}`, 'error');
+    announceError(`Export failed: ${progress.error}`);
+  }
+}
+
+/**
+ * Item actions for the rendered queue list
+ */
+const queueHandlers = {
+  onPlay: (id) => playQueue(id),
+  onMove: (id, toIndex) => sendMessage(QueueMessageTypes.MOVE_QUEUE_ITEM, { id, toIndex }),
+  onRemove: (id) => sendMessage(QueueMessageTypes.REMOVE_FROM_QUEUE, { id })
+};
+
+/**
+ * Ask the user to confirm an expensive article before it plays
+ * @param {Object} confirmation - Details from the background (see showCostConfirmationModal)
+ */
+export function showCostConfirmation(confirmation) {
+  showCostConfirmationModal(confirmation, {
+    onPlayAll: () => sendMessage(MessageType.CONFIRM_COST_PLAYBACK),
+    onPlayFirst: (count) => sendMessage(MessageType.CONFIRM_COST_PLAYBACK, { paragraphLimit: count }),
+    onSwitch: (provider) => {
+      setProvider(provider);
+      sendMessage(MessageType.CONFIRM_COST_PLAYBACK, { provider });
+    },
+    onCancel: () => sendMessage(MessageType.CANCEL_COST_PLAYBACK)
+  });
+}
+
+/**
+ * Load the reading queue from background and render it
+ */
+export async function loadQueue() {
+  try {
+    const queue = await browser.runtime.sendMessage({ action: QueueMessageTypes.GET_QUEUE });
+    renderQueue(queue, queueHandlers);
+  } catch (error) {
+    console.log('Reading queue not available yet');
+  }
+}
+
+/**
+ * Add the active tab to the reading queue
+ */
+export async function addCurrentPageToQueue() {
+  const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+  await addTabsToQueue(tab ? [tab] : []);
+}
+
+/**
+ * Add every tab in the current window to the reading queue, in tab order
+ */
+export async function addAllTabsToQueue() {
+  const tabs = await browser.tabs.query({ currentWindow: true });
+  await addTabsToQueue(tabs);
+}
+
+/**
+ * Send tabs to the reading queue and report how many were added
+ * @param {Array<{url: string, title: string}>} tabs
+ */
+async function addTabsToQueue(tabs) {
+  try {
+    const response = await browser.runtime.sendMessage({
+      action: QueueMessageTypes.ADD_TO_QUEUE,
+      items: tabs.map(tab => ({ url: tab.url, title: tab.title }))
+    });
+    const added = response?.added || 0;
+    const message = added > 0
+      ? `Added ${added} page${added === 1 ? '' : 's'} to the queue`
+      : 'Nothing to add - pages are already queued or cannot be read';
+    showStatus(message, added > 0 ? 'success' : 'info');
+    announce(message);
+  } catch (error) {
+    console.error('Error adding to queue:', error);
+    showStatus('Communication error. Please try again.', 'error');
+  }
+}
+
+/**
+ * Play the reading queue from an item (or from the top)
+ * @param {string|null} [id]
+ */
+export function playQueue(id = null) {
+  sendMessage(QueueMessageTypes.PLAY_QUEUE, { id });
+}
+
 /**
  * Set the TTS provider
  * @param {string} provider
@@ -349,6 +630,18 @@ export function handleBackgroundMessage(message) {
     case 'status':
       showStatus(message.text, message.level || 'info');
       break;
+    case 'exportProgress':
+      handleExportProgress(message);
+      break;
+    case QueueMessageTypes.QUEUE_UPDATED:
+      renderQueue(message, queueHandlers);
+      break;
+    case MessageType.COST_CONFIRMATION:
+      showCostConfirmation(message.confirmation);
+      break;
+    case MessageType.COST_CONFIRMATION_RESOLVED:
+      hideCostConfirmationModal();
+      break;
     // T033: Handle language state updates (019-multilingual-tts)
     // T040: Re-filter voices when language changes
     case LanguageMessageTypes.LANGUAGE_STATE_UPDATE:
@@ -381,6 +674,17 @@ export async function syncWithBackground() {
       if (response.currentIndex !== undefined && response.totalParagraphs !== undefined) {
         updateParagraphInfo(response.currentIndex, response.totalParagraphs);
       }
+      if (response.isPlaying && response.speakingProvider &&
+          response.speakingProvider !== response.currentProvider) {
+        showFallbackProviderStatus(response.speakingProvider);
+      }
+      if (response.isExporting) {
+        state.isExporting = true;
+        updateExportUI({ status: 'running', completed: 0, total: 0 });
+      }
+      if (response.costConfirmation) {
+        showCostConfirmation(response.costConfirmation);
+      }
     }
   } catch (error) {
     console.log('Background sync pending...');
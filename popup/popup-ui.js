@@ -50,7 +50,29 @@ export const elements = {
   languageSelect: null,
   languageIndicator: null,
   // T039: Provider switch modal (019-multilingual-tts)
-  providerSwitchModal: null
+  providerSwitchModal: null,
+  costConfirmationModal: null,
+  // Audio export
+  exportBtn: null,
+  exportBtnText: null,
+  exportStatus: null,
+  // Resume offer
+  resumeOffer: null,
+  resumeBtn: null,
+  startOverBtn: null,
+  // Site profile
+  siteProfile: null,
+  siteProfileInfo: null,
+  saveSiteProfileBtn: null,
+  removeSiteProfileBtn: null,
+  pickContentBtn: null,
+  // Reading queue
+  queueAddPageBtn: null,
+  queueAddTabsBtn: null,
+  queuePlayBtn: null,
+  queueList: null,
+  queueEmpty: null,
+  queueCount: null
 };
 
 /**
@@ -85,6 +107,27 @@ export function cacheElements() {
   // T032: Language override dropdown (019-multilingual-tts)
   elements.languageSelect = document.getElementById('languageSelect');
   elements.languageIndicator = document.getElementById('languageIndicator');
+  // Audio export
+  elements.exportBtn = document.getElementById('exportBtn');
+  elements.exportBtnText = document.getElementById('exportBtnText');
+  elements.exportStatus = document.getElementById('exportStatus');
+  // Resume offer
+  elements.resumeOffer = document.getElementById('resumeOffer');
+  elements.resumeBtn = document.getElementById('resumeBtn');
+  elements.startOverBtn = document.getElementById('startOverBtn');
+  // Site profile
+  elements.siteProfile = document.getElementById('siteProfile');
+  elements.siteProfileInfo = document.getElementById('siteProfileInfo');
+  elements.saveSiteProfileBtn = document.getElementById('saveSiteProfileBtn');
+  elements.removeSiteProfileBtn = document.getElementById('removeSiteProfileBtn');
+  elements.pickContentBtn = document.getElementById('pickContentBtn');
+  // Reading queue
+  elements.queueAddPageBtn = document.getElementById('queueAddPageBtn');
+  elements.queueAddTabsBtn = document.getElementById('queueAddTabsBtn');
+  elements.queuePlayBtn = document.getElementById('queuePlayBtn');
+  elements.queueList = document.getElementById('queueList');
+  elements.queueEmpty = document.getElementById('queueEmpty');
+  elements.queueCount = document.getElementById('queueCount');
 }
 
 /**
@@ -256,6 +299,142 @@ export function updateSpeedUI(speed) {
   elements.speedSlider.setAttribute('aria-valuetext', `${speed.toFixed(1)}x speed`);
 }
 
+/**
+ * Update audio export button and progress text
+ * @param {Object} progress - Export progress from background
+ * @param {string} progress.status - 'running' | 'rateLimited' | 'complete' | 'error' | 'cancelled'
+ * @param {number} [progress.completed] - Paragraphs rendered so far
+ * @param {number} [progress.total] - Total paragraphs
+ */
+export function updateExportUI(progress) {
+  if (!elements.exportBtn) return;
+
+  const active = progress.status === 'running' || progress.status === 'rateLimited';
+  elements.exportBtnText.textContent = active ? 'Cancel export' : 'Export audio';
+
+  switch (progress.status) {
+    case 'running':
+      elements.exportStatus.textContent = progress.total
+        ? `Rendering ${progress.completed} of ${progress.total}`
+        : 'Exporting...';
+      break;
+    case 'rateLimited':
+      elements.exportStatus.textContent = `Rate limited, retrying in ${Math.round(progress.retryInMs / 1000)}s`;
+      break;
+    case 'complete':
+      elements.exportStatus.textContent = 'Export complete';
+      break;
+    default:
+      elements.exportStatus.textContent = '';
+  }
+}
+
+/**
+ * Show or hide the "Resume from paragraph N" offer
+ * @param {Object|null} position - Saved reading position, or null to hide
+ */
+export function updateResumeOfferUI(position) {
+  if (!elements.resumeOffer) return;
+
+  elements.resumeOffer.classList.toggle('hidden', !position);
+  if (position) {
+    elements.resumeBtn.textContent = `Resume from paragraph ${position.paragraphIndex + 1}`;
+    elements.resumeBtn.title = `Stopped at paragraph ${position.paragraphIndex + 1} of ${position.totalParagraphs}`;
+  }
+}
+
+/**
+ * Reading mode names shown in the site profile summary
+ */
+const MODE_DISPLAY_NAMES = {
+  full: 'Full page',
+  article: 'Article',
+  selection: 'Selection'
+};
+
+/**
+ * Show the site profile for the active tab
+ * @param {string|null} origin - Active tab's origin, or null to hide (non-web pages)
+ * @param {Object|null} profile - Saved profile for the origin
+ */
+export function updateSiteProfileUI(origin, profile) {
+  if (!elements.siteProfile) return;
+
+  elements.siteProfile.classList.toggle('hidden', !origin);
+  if (!origin) return;
+
+  const host = new URL(origin).host;
+  if (profile) {
+    const summary = [
+      profile.provider && (PROVIDER_DISPLAY_NAMES[profile.provider] || profile.provider),
+      profile.speed && `${profile.speed}x`,
+      profile.mode && MODE_DISPLAY_NAMES[profile.mode]
+    ].filter(Boolean).join(' · ');
+    elements.siteProfileInfo.textContent = `Site profile for ${host}: ${summary}`;
+  } else {
+    elements.siteProfileInfo.textContent = `No site profile for ${host}`;
+  }
+  elements.siteProfileInfo.title = elements.siteProfileInfo.textContent;
+  elements.saveSiteProfileBtn.textContent = profile ? 'Update site profile' : 'Save as profile for this site';
+  elements.removeSiteProfileBtn.classList.toggle('hidden', !profile);
+}
+
+/**
+ * Render the reading queue list
+ * @param {{items: Array, currentId: string|null}} queue - Queue snapshot
+ * @param {Object} handlers - Item actions
+ * @param {Function} handlers.onPlay - Called with the item ID
+ * @param {Function} handlers.onMove - Called with the item ID and target index
+ * @param {Function} handlers.onRemove - Called with the item ID
+ */
+export function renderQueue(queue, handlers) {
+  if (!elements.queueList) return;
+
+  const items = queue?.items || [];
+  elements.queueList.replaceChildren();
+  elements.queueEmpty.classList.toggle('hidden', items.length > 0);
+  elements.queuePlayBtn.disabled = items.length === 0;
+  elements.queueCount.textContent = items.length > 0 ? `${items.length} queued` : '';
+
+  items.forEach((item, index) => {
+    const li = document.createElement('li');
+    li.className = 'queue-item';
+    li.classList.toggle('queue-item--current', item.id === queue.currentId);
+
+    const title = document.createElement('button');
+    title.className = 'queue-item-title';
+    title.textContent = item.title;
+    title.title = item.url;
+    title.addEventListener('click', () => handlers.onPlay(item.id));
+    li.appendChild(title);
+
+    if (item.position?.totalParagraphs) {
+      const position = document.createElement('span');
+      position.className = 'queue-item-position';
+      position.textContent = `${item.position.paragraphIndex + 1}/${item.position.totalParagraphs}`;
+      position.title = 'Resumes from this paragraph';
+      li.appendChild(position);
+    }
+
+    const buttons = [
+      { label: '↑', name: 'Move up', disabled: index === 0, action: () => handlers.onMove(item.id, index - 1) },
+      { label: '↓', name: 'Move down', disabled: index === items.length - 1, action: () => handlers.onMove(item.id, index + 1) },
+      { label: '×', name: 'Remove', disabled: false, action: () => handlers.onRemove(item.id) }
+    ];
+    for (const { label, name, disabled, action } of buttons) {
+      const button = document.createElement('button');
+      button.className = 'voxpage-button voxpage-button--icon voxpage-button--ghost';
+      button.textContent = label;
+      button.disabled = disabled;
+      button.setAttribute('aria-label', `${name}: ${item.title}`);
+      button.addEventListener('click', action);
+      li.appendChild(button);
+    }
+
+    elements.queueList.appendChild(li);
+  });
+}
+
 /**
  * Show status banner
  * @param {string} text - Status message
@@ -381,9 +560,19 @@ const PROVIDER_DISPLAY_NAMES = {
   openai: 'OpenAI',
   elevenlabs: 'ElevenLabs',
   groq: 'Groq',
-  cartesia: 'Cartesia'
+  cartesia: 'Cartesia',
+  custom: 'Custom'
 };
 
+/**
+ * Show which fallback provider is reading in place of the selected one
+ * @param {string} providerId - Provider currently speaking
+ */
+export function showFallbackProviderStatus(providerId) {
+  const name = PROVIDER_DISPLAY_NAMES[providerId] || providerId;
+  showStatus(`${name} is reading while your selected provider is unavailable`, 'warning');
+}
+
 /**
  * T039: Create and show provider switch modal (019-multilingual-tts)
  * Shows when current provider doesn't support the detected language
@@ -492,3 +681,139 @@ export function hideProviderSwitchModal() {
     elements.providerSwitchModal = null;
   }
 }
+
+/**
+ * Show the cost confirmation for a long paid article
+ * @param {Object} confirmation - Details sent by the background
+ * @param {string} confirmation.provider - Selected provider
+ * @param {number} confirmation.characters - Characters left to read
+ * @param {string} confirmation.cost - Formatted estimated cost
+ * @param {string} confirmation.threshold - Formatted confirmation threshold
+ * @param {number} confirmation.paragraphCount - Paragraphs left to read
+ * @param {number} confirmation.affordableParagraphs - Paragraphs that fit within the threshold
+ * @param {Array<{provider: string, name: string, cost: string}>} confirmation.alternatives - Cheaper ready providers
+ * @param {Object} handlers
+ * @param {function(): void} handlers.onPlayAll
+ * @param {function(number): void} handlers.onPlayFirst - Receives the paragraph count
+ * @param {function(string): void} handlers.onSwitch - Receives the provider ID
+ * @param {function(): void} handlers.onCancel
+ */
+export function showCostConfirmationModal(confirmation, handlers) {
+  hideCostConfirmationModal();
+
+  const providerName = PROVIDER_DISPLAY_NAMES[confirmation.provider] || confirmation.provider;
+
+  const overlay = document.createElement('div');
+  overlay.className = 'provider-switch-overlay';
+  overlay.id = 'costConfirmationModal';
+  overlay.setAttribute('role', 'dialog');
+  overlay.setAttribute('aria-modal', 'true');
+  overlay.setAttribute('aria-labelledby', 'costConfirmationTitle');
+
+  const modal = document.createElement('div');
+  modal.className = 'provider-switch-modal';
+
+  const title = document.createElement('h2');
+  title.className = 'provider-switch-title';
+  title.id = 'costConfirmationTitle';
+  title.textContent = 'Confirm Estimated Cost';
+  modal.appendChild(title);
+
+  const message = document.createElement('p');
+  message.className = 'provider-switch-message';
+  message.textContent = `Reading this page with ${providerName} costs about ${confirmation.cost} ` +
+    `(${confirmation.characters.toLocaleString()} characters, ${confirmation.paragraphCount} paragraphs). ` +
+    `You asked to confirm anything over ${confirmation.threshold}.`;
+  modal.appendChild(message);
+
+  const buttons = document.createElement('div');
+  buttons.className = 'provider-switch-options';
+
+  const playAllBtn = document.createElement('button');
+  playAllBtn.className = 'voxpage-button voxpage-button--primary provider-switch-option';
+  playAllBtn.textContent = `Play All (${confirmation.cost})`;
+  playAllBtn.addEventListener('click', () => {
+    hideCostConfirmationModal();
+    handlers.onPlayAll();
+  });
+  buttons.appendChild(playAllBtn);
+
+  // Partial read: first N paragraphs, pre-filled with what fits the threshold
+  const partial = document.createElement('div');
+  partial.className = 'cost-confirm-partial';
+  const partialInput = document.createElement('input');
+  partialInput.type = 'number';
+  partialInput.className = 'voxpage-input cost-confirm-partial__count';
+  partialInput.min = '1';
+  partialInput.max = String(confirmation.paragraphCount);
+  partialInput.value = String(Math.min(confirmation.affordableParagraphs, confirmation.paragraphCount));
+  partialInput.setAttribute('aria-label', 'Number of paragraphs to play');
+  const partialBtn = document.createElement('button');
+  partialBtn.className = 'voxpage-button voxpage-button--secondary';
+  partialBtn.textContent = 'Play first paragraphs only';
+  partialBtn.addEventListener('click', () => {
+    const count = parseInt(partialInput.value, 10);
+    if (!(count > 0)) {
+      partialInput.focus();
+      return;
+    }
+    hideCostConfirmationModal();
+    handlers.onPlayFirst(count);
+  });
+  partial.appendChild(partialInput);
+  partial.appendChild(partialBtn);
+  buttons.appendChild(partial);
+
+  if (confirmation.alternatives.length > 0) {
+    const alternativesLabel = document.createElement('p');
+    alternativesLabel.className = 'cost-confirm-alternatives-label';
+    alternativesLabel.textContent = 'Cheaper options';
+    buttons.appendChild(alternativesLabel);
+
+    confirmation.alternatives.forEach(alternative => {
+      const btn = document.createElement('button');
+      btn.className = 'voxpage-button voxpage-button--secondary provider-switch-option';
+      btn.textContent = `${PROVIDER_DISPLAY_NAMES[alternative.provider] || alternative.name} (${alternative.cost})`;
+      btn.addEventListener('click', () => {
+        hideCostConfirmationModal();
+        handlers.onSwitch(alternative.provider);
+      });
+      buttons.appendChild(btn);
+    });
+  }
+
+  modal.appendChild(buttons);
+
+  const cancelBtn = document.createElement('button');
+  cancelBtn.className = 'voxpage-button voxpage-button--ghost provider-switch-cancel';
+  cancelBtn.textContent = 'Cancel';
+  cancelBtn.addEventListener('click', () => {
+    hideCostConfirmationModal();
+    handlers.onCancel();
+  });
+  modal.appendChild(cancelBtn);
+
+  overlay.appendChild(modal);
+  document.body.appendChild(overlay);
+  elements.costConfirmationModal = overlay;
+
+  const handleEscape = (e) => {
+    if (e.key === 'Escape' && elements.costConfirmationModal === overlay) {
+      hideCostConfirmationModal();
+      handlers.onCancel();
+    }
+  };
+  overlay.addEventListener('keydown', handleEscape);
+
+  playAllBtn.focus();
+}
+
+/**
+ * Hide the cost confirmation
+ */
+export function hideCostConfirmationModal() {
+  if (elements.costConfirmationModal) {
+    elements.costConfirmationModal.remove();
+    elements.costConfirmationModal = null;
+  }
+}
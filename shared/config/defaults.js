@@ -15,7 +15,38 @@ export const MODES = Object.freeze(['selection', 'article', 'full']);
 /**
  * Valid TTS provider values
  */
-export const PROVIDERS = Object.freeze(['openai', 'elevenlabs', 'cartesia', 'groq', 'browser']);
+export const PROVIDERS = Object.freeze(['openai', 'elevenlabs', 'cartesia', 'groq', 'browser', 'custom']);
+
+/**
+ * Valid transcript cue levels for audio export ('off' skips transcripts)
+ */
+export const TRANSCRIPT_CUE_LEVELS = Object.freeze(['sentence', 'word', 'off']);
+
+/**
+ * Valid ways of reading <pre> code blocks
+ */
+export const CODE_BLOCK_MODES = Object.freeze(['skip', 'announce', 'verbalize']);
+
+/**
+ * Valid ways of reading <table> elements
+ */
+export const TABLE_MODES = Object.freeze(['skip', 'rows', 'summary']);
+
+/**
+ * What following a page does when a single-page app moves to another view:
+ * 'continue' reads the new view, 'reset' stops reading
+ */
+export const FOLLOW_PAGE_NAVIGATION = Object.freeze(['continue', 'reset']);
+
+/**
+ * Reader view color themes
+ */
+export const READER_THEMES = Object.freeze(['light', 'sepia', 'dark']);
+
+/**
+ * Reader view font families
+ */
+export const READER_FONTS = Object.freeze(['serif', 'sans']);
 
 /**
  * Default configuration values
@@ -31,7 +62,7 @@ export const defaults = Object.freeze({
   // Default is 'article' for best content extraction on most pages
   mode: 'article',
 
-  // TTS provider: 'openai' | 'elevenlabs' | 'cartesia' | 'groq' | 'browser'
+  // TTS provider: 'openai' | 'elevenlabs' | 'cartesia' | 'groq' | 'browser' | 'custom'
   // Default is 'browser' for zero-configuration first use
   provider: 'browser',
 
@@ -44,6 +75,9 @@ export const defaults = Object.freeze({
   // Show cost estimate before playback (for paid providers)
   showCostEstimate: true,
 
+  // Ask before playing when a paid article's estimated cost exceeds this (USD)
+  costConfirmThreshold: 0.5,
+
   // Enable audio segment caching
   cacheEnabled: true,
 
@@ -55,6 +89,69 @@ export const defaults = Object.freeze({
 
   // Enable automatic language detection (019-multilingual-tts)
   autoDetectLanguage: true,
+
+  // Captions written next to exported audio: 'sentence' | 'word' | 'off'
+  transcriptCueLevel: 'sentence',
+
+  // Custom OpenAI-compatible provider: base URL ('' = not configured),
+  // model name and voice IDs offered in the popup
+  customProviderUrl: '',
+  customProviderModel: 'tts-1',
+  customProviderVoices: Object.freeze([]),
+
+  // Providers to switch to, in order, when the selected one fails mid-article
+  // (bad key, quota, rate limit, outage or unsupported language); empty = stop on error
+  fallbackProviders: Object.freeze([]),
+
+  // Monthly spending caps in USD per provider ({ openai: { soft: 5, hard: 10 } });
+  // soft warns before playback, hard blocks API calls; missing = no cap
+  spendingCaps: Object.freeze({}),
+
+  // Per-origin overrides of mode, provider, voice, speed and wordSyncEnabled,
+  // applied when playback starts ({ 'https://docs.example.com': { speed: 1.4 } })
+  siteProfiles: Object.freeze({}),
+
+  // CSS selector rules for article mode, matched by URL pattern
+  // ([{ pattern: 'docs.example.com', include: ['main'], exclude: [], startAfter: null, stopBefore: null }])
+  extractionRules: Object.freeze([]),
+
+  // Word replacements applied before synthesis, most specific scope first
+  // ([{ match: 'VoxPage', replacement: 'Vox Page', isRegex: false, matchCase: false, language: null, site: null }])
+  pronunciationLexicon: Object.freeze([]),
+
+  // Pauses, emphasis and prosody from page structure (headings, lists,
+  // quotes, <em>/<strong>), in whatever form the provider supports
+  speechMarkupEnabled: false,
+
+  // Code blocks: 'skip' | 'announce' ("code block, 12 lines") | 'verbalize' (read with symbols)
+  codeBlockMode: 'announce',
+
+  // Tables: 'skip' | 'rows' (each row with its headers) | 'summary' (size and columns)
+  tableMode: 'summary',
+
+  // Read image alt text, figure captions and ARIA image labels as their own
+  // segments ("Image: …", "Figure: …")
+  readImageDescriptions: false,
+
+  // Keep reading content the page adds while it is read (infinite feeds),
+  // and what to do when a single-page app navigates: 'continue' | 'reset'
+  followPage: false,
+  followPageNavigation: 'continue',
+
+  // Reader view overlay typography: 'light' | 'sepia' | 'dark', 'serif' | 'sans',
+  // font size in px
+  readerTheme: 'light',
+  readerFontFamily: 'serif',
+  readerFontSize: 20,
+
+  // Built-in rewrites of text providers tend to misread
+  textNormalizers: Object.freeze({
+    urls: true,
+    emails: true,
+    numbers: true,
+    dates: true,
+    identifiers: true,
+  }),
 });
 
 /**
@@ -68,6 +165,7 @@ export const defaultVoices = Object.freeze({
   cartesia: null,
   groq: 'hannah', // Orpheus default (Groq deprecated PlayAI Dec 2025)
   browser: null,
+  custom: null,
 });
 
 /**
@@ -76,6 +174,8 @@ export const defaultVoices = Object.freeze({
 export const constraints = Object.freeze({
   speed: { min: 0.5, max: 2.0 },
   maxCacheSize: { min: 10, max: 200 },
+  costConfirmThreshold: { min: 0, max: 100 },
+  readerFontSize: { min: 14, max: 32 },
 });
 
 /**
@@ -0,0 +1,98 @@
+/**
+ * Extraction Rules
+ * User-defined CSS selector rules that tell article extraction which parts
+ * of a page to read. Stored in the `extractionRules` setting as an array of
+ * { pattern, include, exclude, startAfter, stopBefore }:
+ *
+ * - `pattern` - URL pattern, `*` matches any run of characters
+ *   ("https://docs.example.com/guide/*"); in the scheme and host it never
+ *   reaches past them ("*.example.com" does not match "evil.com/?u=x.example.com").
+ *   Patterns without a scheme match both http and https; a bare host
+ *   ("docs.example.com") covers the site, on any port.
+ * - `include` - Selectors of the blocks to read (empty = the whole page)
+ * - `exclude` - Selectors of blocks to skip inside them
+ * - `startAfter` / `stopBefore` - Optional boundary elements; only text
+ *   after the first / before the first match is read
+ *
+ * @module shared/config/extraction-rules
+ */
+
+import { getSiteOrigin } from './site-profiles.js';
+
+const SCHEME = /^([a-z*][a-z0-9+.*-]*):\/\//i;
+
+/**
+ * Turn part of a pattern into regular expression source
+ * @param {string} part
+ * @param {string} wildcard - Source `*` stands for
+ * @returns {string}
+ */
+function wildcardSource(part, wildcard) {
+  return part
+    .split('*')
+    .map(text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join(wildcard);
+}
+
+/**
+ * Convert a URL pattern into a regular expression
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function patternToRegExp(pattern) {
+  const scheme = pattern.match(SCHEME);
+  const rest = scheme ? pattern.slice(scheme[0].length) : pattern;
+  const slash = rest.indexOf('/');
+  const host = slash < 0 ? rest : rest.slice(0, slash);
+  // A bare host covers the whole site
+  const path = slash < 0 ? '/*' : rest.slice(slash);
+
+  const schemeSource = scheme ? wildcardSource(scheme[1], '[a-z0-9+.-]*') : 'https?';
+  const port = host.includes(':') ? '' : '(?::\\d+)?';
+  return new RegExp(`^${schemeSource}://${wildcardSource(host, '[^/?#@]*')}${port}${wildcardSource(path, '.*')}$`, 'i');
+}
+
+/**
+ * Check whether a URL matches a rule pattern (the fragment is ignored)
+ * @param {string} pattern
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function matchesUrlPattern(pattern, url) {
+  if (!pattern || !url) return false;
+  return patternToRegExp(pattern).test(url.split('#')[0]);
+}
+
+/**
+ * Find the rule for a page
+ * When several patterns match, the longest (most specific) one wins.
+ * @param {Object[]} rules - The extractionRules setting
+ * @param {string} url - Page URL
+ * @returns {Object|null}
+ */
+export function findExtractionRule(rules, url) {
+  if (!Array.isArray(rules)) return null;
+  return rules
+    .filter(rule => matchesUrlPattern(rule.pattern, url))
+    .sort((a, b) => b.pattern.length - a.pattern.length)[0] || null;
+}
+
+/**
+ * Suggest a pattern covering every page on a URL's site
+ * @param {string} url
+ * @returns {string|null} e.g. "https://docs.example.com/*"
+ */
+export function patternForUrl(url) {
+  const origin = getSiteOrigin(url);
+  return origin ? `${origin}/*` : null;
+}
+
+/**
+ * Add a rule, replacing any rule with the same pattern
+ * @param {Object[]} rules
+ * @param {Object} rule
+ * @returns {Object[]} New rule list
+ */
+export function upsertExtractionRule(rules, rule) {
+  return [...(rules || []).filter(existing => existing.pattern !== rule.pattern), rule];
+}
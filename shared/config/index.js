@@ -43,5 +43,16 @@ export {
 // Settings store
 export { settingsStore, SettingsStore } from './store.js';
 
+// Per-site setting overrides
+export { SITE_PROFILE_KEYS, getSiteOrigin, findSiteProfile } from './site-profiles.js';
+
+// Per-site article extraction selectors
+export {
+  matchesUrlPattern,
+  findExtractionRule,
+  patternForUrl,
+  upsertExtractionRule,
+} from './extraction-rules.js';
+
 // Re-export defaults as default export for convenience
 export { defaults as default } from './defaults.js';
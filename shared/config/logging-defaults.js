@@ -3,7 +3,8 @@
  * SINGLE SOURCE OF TRUTH for logging configuration values
  *
  * @module shared/config/logging-defaults
- * @description Configuration defaults for remote logging to Loki (014-loki-remote-logging)
+ * @description Configuration defaults for remote logging to Loki, OTLP collectors
+ * or webhooks (014-loki-remote-logging)
  */
 
 /**
@@ -16,6 +17,29 @@ export const LOG_LEVELS = Object.freeze(['debug', 'info', 'warn', 'error']);
  */
 export const AUTH_TYPES = Object.freeze(['none', 'basic', 'bearer', 'cloudflare']);
 
+/**
+ * Formats logs can be shipped in: Loki push API, OTLP/HTTP JSON logs, or a
+ * generic JSON webhook
+ */
+export const LOG_EXPORTERS = Object.freeze(['loki', 'otlp', 'webhook']);
+
+/**
+ * Path an exporter's endpoint must end with (null = any path)
+ */
+export const LOG_EXPORTER_PATHS = Object.freeze({
+  loki: '/loki/api/v1/push',
+  otlp: '/v1/logs',
+  webhook: null,
+});
+
+/**
+ * How URLs in log messages and metadata are redacted before buffering:
+ * 'query' strips query strings and fragments, 'hash' keeps the origin and
+ * replaces the rest with a short hash, 'origin' keeps only the origin,
+ * 'none' sends URLs unchanged
+ */
+export const URL_REDACTION_MODES = Object.freeze(['query', 'hash', 'origin', 'none']);
+
 /**
  * Valid log component identifiers
  */
@@ -41,7 +65,11 @@ export const loggingDefaults = Object.freeze({
   // Master enable/disable toggle - enabled by default for development
   enabled: true,
 
-  // Loki push endpoint URL (must be HTTPS, end with /loki/api/v1/push)
+  // Where logs are shipped: 'loki' | 'otlp' | 'webhook'
+  exporter: 'loki',
+
+  // Endpoint URL (must be HTTPS, ending with the exporter's path:
+  // /loki/api/v1/push for Loki, /v1/logs for OTLP, any path for webhooks)
   endpoint: null,
 
   // Authentication type: 'none' | 'basic' | 'bearer' | 'cloudflare'
@@ -62,6 +90,20 @@ export const loggingDefaults = Object.freeze({
   // Default 'warn' to reduce noise in production
   logLevel: 'warn',
 
+  // Send a playback metrics summary (background/playback-metrics.js) when
+  // playback stops, whatever the minimum log level
+  emitMetrics: false,
+
+  // Redaction applied before entries reach the buffer (see log-entry.js)
+  // URL handling: 'query' | 'hash' | 'origin' | 'none'
+  redactUrls: 'query',
+
+  // Mask API keys, bearer tokens and credential-named metadata fields
+  maskSecrets: true,
+
+  // Metadata fields dropped at any depth (page text should never leave the browser)
+  redactFields: Object.freeze(['text', 'paragraphs', 'selectionText', 'payload']),
+
   // FR-003: Batch send interval in milliseconds (10 seconds default)
   batchIntervalMs: 10000,
 
@@ -7,7 +7,11 @@
  * Invalid values are reset to defaults with console warning (FR-005a).
  */
 
-import { defaults, constraints, MODES, PROVIDERS } from './defaults.js';
+import {
+  defaults, constraints, MODES, PROVIDERS, TRANSCRIPT_CUE_LEVELS, CODE_BLOCK_MODES, TABLE_MODES,
+  READER_THEMES, READER_FONTS, FOLLOW_PAGE_NAVIGATION
+} from './defaults.js';
+import { getSiteOrigin } from './site-profiles.js';
 
 /**
  * Validate a mode value
@@ -74,6 +78,20 @@ function validateVoice(value) {
   return defaults.voice;
 }
 
+/**
+ * Validate the cost confirmation threshold
+ * @param {*} value
+ * @returns {number}
+ */
+function validateCostConfirmThreshold(value) {
+  const num = typeof value === 'string' ? parseFloat(value) : value;
+  const { min, max } = constraints.costConfirmThreshold;
+  if (typeof num === 'number' && Number.isFinite(num) && num >= min && num <= max) {
+    return num;
+  }
+  return defaults.costConfirmThreshold;
+}
+
 /**
  * Validate max cache size
  * @param {*} value
@@ -87,6 +105,279 @@ function validateMaxCacheSize(value) {
   return defaults.maxCacheSize;
 }
 
+/**
+ * Validate transcript cue level
+ * @param {*} value
+ * @returns {string}
+ */
+function validateTranscriptCueLevel(value) {
+  if (TRANSCRIPT_CUE_LEVELS.includes(value)) {
+    return value;
+  }
+  return defaults.transcriptCueLevel;
+}
+
+/**
+ * Validate how code blocks are read
+ * @param {*} value
+ * @returns {string}
+ */
+function validateCodeBlockMode(value) {
+  return CODE_BLOCK_MODES.includes(value) ? value : defaults.codeBlockMode;
+}
+
+/**
+ * Validate how tables are read
+ * @param {*} value
+ * @returns {string}
+ */
+function validateTableMode(value) {
+  return TABLE_MODES.includes(value) ? value : defaults.tableMode;
+}
+
+/**
+ * Validate what following a page does on single-page app navigation
+ * @param {*} value
+ * @returns {string}
+ */
+function validateFollowPageNavigation(value) {
+  return FOLLOW_PAGE_NAVIGATION.includes(value) ? value : defaults.followPageNavigation;
+}
+
+/**
+ * Validate the reader view theme
+ * @param {*} value
+ * @returns {string}
+ */
+function validateReaderTheme(value) {
+  return READER_THEMES.includes(value) ? value : defaults.readerTheme;
+}
+
+/**
+ * Validate the reader view font family
+ * @param {*} value
+ * @returns {string}
+ */
+function validateReaderFontFamily(value) {
+  return READER_FONTS.includes(value) ? value : defaults.readerFontFamily;
+}
+
+/**
+ * Validate the reader view font size (whole px within constraints)
+ * @param {*} value
+ * @returns {number}
+ */
+function validateReaderFontSize(value) {
+  const num = Math.round(Number(value));
+  const { min, max } = constraints.readerFontSize;
+  return Number.isFinite(num) && num >= min && num <= max ? num : defaults.readerFontSize;
+}
+
+/**
+ * Validate custom provider URL (http/https or empty)
+ * @param {*} value
+ * @returns {string}
+ */
+function validateCustomProviderUrl(value) {
+  if (typeof value === 'string' && (value.trim() === '' || /^https?:\/\/\S+$/i.test(value.trim()))) {
+    return value.trim();
+  }
+  return defaults.customProviderUrl;
+}
+
+/**
+ * Validate custom provider model name
+ * @param {*} value
+ * @returns {string}
+ */
+function validateCustomProviderModel(value) {
+  if (typeof value === 'string' && value.trim().length > 0) {
+    return value.trim();
+  }
+  return defaults.customProviderModel;
+}
+
+/**
+ * Validate custom provider voice list (array of non-empty strings)
+ * @param {*} value
+ * @returns {string[]}
+ */
+function validateCustomProviderVoices(value) {
+  if (!Array.isArray(value)) {
+    return [...defaults.customProviderVoices];
+  }
+  return value.filter(v => typeof v === 'string' && v.trim().length > 0).map(v => v.trim());
+}
+
+/**
+ * Validate provider fallback order (known providers, no duplicates)
+ * @param {*} value
+ * @returns {string[]}
+ */
+function validateFallbackProviders(value) {
+  if (!Array.isArray(value)) {
+    return [...defaults.fallbackProviders];
+  }
+  return [...new Set(value.filter(v => PROVIDERS.includes(v)))];
+}
+
+/**
+ * Validate per-provider monthly spending caps
+ * Keeps known providers with at least one positive cap; a soft cap at or
+ * above the hard cap would never warn, so it is dropped.
+ * @param {*} value
+ * @returns {Object<string, {soft: number|null, hard: number|null}>}
+ */
+function validateSpendingCaps(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { ...defaults.spendingCaps };
+  }
+
+  const toCap = (amount) => {
+    const number = Number(amount);
+    return amount !== null && amount !== '' && Number.isFinite(number) && number > 0 ? number : null;
+  };
+
+  const caps = {};
+  for (const [providerId, cap] of Object.entries(value)) {
+    if (!PROVIDERS.includes(providerId) || !cap || typeof cap !== 'object') continue;
+
+    const hard = toCap(cap.hard);
+    let soft = toCap(cap.soft);
+    if (soft !== null && hard !== null && soft >= hard) soft = null;
+
+    if (soft !== null || hard !== null) {
+      caps[providerId] = { soft, hard };
+    }
+  }
+  return caps;
+}
+
+/**
+ * Validate per-site profiles
+ * Keys must be http(s) origins. Each profile keeps only the overrides that
+ * are valid on their own (an invalid speed is dropped rather than reset, so
+ * the global speed applies); profiles left empty are removed.
+ * @param {*} value
+ * @returns {Object<string, Object>}
+ */
+function validateSiteProfiles(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { ...defaults.siteProfiles };
+  }
+
+  const profiles = {};
+  for (const [origin, entry] of Object.entries(value)) {
+    if (getSiteOrigin(origin) !== origin || !entry || typeof entry !== 'object') continue;
+
+    const profile = {};
+    if (MODES.includes(entry.mode)) profile.mode = entry.mode;
+    if (PROVIDERS.includes(entry.provider)) profile.provider = entry.provider;
+    if (entry.voice === null || (typeof entry.voice === 'string' && entry.voice)) profile.voice = entry.voice;
+    const speed = parseFloat(entry.speed);
+    if (speed >= constraints.speed.min && speed <= constraints.speed.max) profile.speed = speed;
+    if (typeof entry.wordSyncEnabled === 'boolean') profile.wordSyncEnabled = entry.wordSyncEnabled;
+
+    if (Object.keys(profile).length > 0) {
+      profiles[origin] = profile;
+    }
+  }
+  return profiles;
+}
+
+/**
+ * Validate article extraction rules
+ * Selector lists are trimmed and emptied of blanks; rules without a pattern
+ * or without any selector are dropped, as are later rules repeating a pattern.
+ * Selector syntax is only checked where a document is available to parse it.
+ * @param {*} value
+ * @returns {Object[]}
+ */
+function validateExtractionRules(value) {
+  if (!Array.isArray(value)) {
+    return [...defaults.extractionRules];
+  }
+
+  const toSelectors = (list) => (Array.isArray(list) ? list : [])
+    .filter(selector => typeof selector === 'string' && selector.trim())
+    .map(selector => selector.trim());
+  const toSelector = (selector) => (typeof selector === 'string' && selector.trim()) || null;
+
+  const rules = [];
+  for (const entry of value) {
+    const pattern = typeof entry?.pattern === 'string' ? entry.pattern.trim() : '';
+    if (!pattern || rules.some(rule => rule.pattern === pattern)) continue;
+
+    const rule = {
+      pattern,
+      include: toSelectors(entry.include),
+      exclude: toSelectors(entry.exclude),
+      startAfter: toSelector(entry.startAfter),
+      stopBefore: toSelector(entry.stopBefore)
+    };
+    if (rule.include.length || rule.exclude.length || rule.startAfter || rule.stopBefore) {
+      rules.push(rule);
+    }
+  }
+  return rules;
+}
+
+/**
+ * Validate the pronunciation lexicon
+ * Entries need a match; regex entries whose pattern does not compile are
+ * dropped. `language` is a lower-case language code and `site` a URL
+ * pattern; null means the entry applies everywhere.
+ * @param {*} value
+ * @returns {Object[]}
+ */
+function validatePronunciationLexicon(value) {
+  if (!Array.isArray(value)) {
+    return [...defaults.pronunciationLexicon];
+  }
+
+  const entries = [];
+  for (const entry of value) {
+    const match = typeof entry?.match === 'string' ? entry.match.trim() : '';
+    if (!match) continue;
+
+    const isRegex = entry.isRegex === true;
+    if (isRegex) {
+      try {
+        new RegExp(match, 'u');
+      } catch (e) {
+        continue;
+      }
+    }
+
+    const language = typeof entry.language === 'string' ? entry.language.trim().toLowerCase() : '';
+    const site = typeof entry.site === 'string' ? entry.site.trim() : '';
+    entries.push({
+      match,
+      replacement: typeof entry.replacement === 'string' ? entry.replacement : '',
+      isRegex,
+      matchCase: entry.matchCase === true,
+      language: /^[a-z]{2,3}$/.test(language) ? language : null,
+      site: site || null
+    });
+  }
+  return entries;
+}
+
+/**
+ * Validate the built-in normalizer switches
+ * Unknown keys are dropped; missing or non-boolean ones take the default.
+ * @param {*} value
+ * @returns {Object<string, boolean>}
+ */
+function validateTextNormalizers(value) {
+  const input = value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+  const normalizers = {};
+  for (const [key, enabled] of Object.entries(defaults.textNormalizers)) {
+    normalizers[key] = validateBoolean(input[key], enabled);
+  }
+  return normalizers;
+}
+
 /**
  * Validate and parse settings with defaults
  * @param {Object} data - Raw settings object
@@ -101,10 +392,30 @@ export function validateSettings(data) {
     voice: validateVoice(input.voice),
     speed: validateSpeed(input.speed),
     showCostEstimate: validateBoolean(input.showCostEstimate, defaults.showCostEstimate),
+    costConfirmThreshold: validateCostConfirmThreshold(input.costConfirmThreshold),
     cacheEnabled: validateBoolean(input.cacheEnabled, defaults.cacheEnabled),
     maxCacheSize: validateMaxCacheSize(input.maxCacheSize),
     wordSyncEnabled: validateBoolean(input.wordSyncEnabled, defaults.wordSyncEnabled),
     autoDetectLanguage: validateBoolean(input.autoDetectLanguage, defaults.autoDetectLanguage),
+    transcriptCueLevel: validateTranscriptCueLevel(input.transcriptCueLevel),
+    customProviderUrl: validateCustomProviderUrl(input.customProviderUrl),
+    customProviderModel: validateCustomProviderModel(input.customProviderModel),
+    customProviderVoices: validateCustomProviderVoices(input.customProviderVoices),
+    fallbackProviders: validateFallbackProviders(input.fallbackProviders),
+    spendingCaps: validateSpendingCaps(input.spendingCaps),
+    siteProfiles: validateSiteProfiles(input.siteProfiles),
+    extractionRules: validateExtractionRules(input.extractionRules),
+    speechMarkupEnabled: validateBoolean(input.speechMarkupEnabled, defaults.speechMarkupEnabled),
+    codeBlockMode: validateCodeBlockMode(input.codeBlockMode),
+    tableMode: validateTableMode(input.tableMode),
+    readImageDescriptions: validateBoolean(input.readImageDescriptions, defaults.readImageDescriptions),
+    followPage: validateBoolean(input.followPage, defaults.followPage),
+    followPageNavigation: validateFollowPageNavigation(input.followPageNavigation),
+    readerTheme: validateReaderTheme(input.readerTheme),
+    readerFontFamily: validateReaderFontFamily(input.readerFontFamily),
+    readerFontSize: validateReaderFontSize(input.readerFontSize),
+    pronunciationLexicon: validatePronunciationLexicon(input.pronunciationLexicon),
+    textNormalizers: validateTextNormalizers(input.textNormalizers),
   };
 
   return { success: true, data: validated };
@@ -123,10 +434,30 @@ export function validateSetting(key, value) {
     voice: validateVoice,
     speed: validateSpeed,
     showCostEstimate: (v) => validateBoolean(v, defaults.showCostEstimate),
+    costConfirmThreshold: validateCostConfirmThreshold,
     cacheEnabled: (v) => validateBoolean(v, defaults.cacheEnabled),
     maxCacheSize: validateMaxCacheSize,
     wordSyncEnabled: (v) => validateBoolean(v, defaults.wordSyncEnabled),
     autoDetectLanguage: (v) => validateBoolean(v, defaults.autoDetectLanguage),
+    transcriptCueLevel: validateTranscriptCueLevel,
+    customProviderUrl: validateCustomProviderUrl,
+    customProviderModel: validateCustomProviderModel,
+    customProviderVoices: validateCustomProviderVoices,
+    fallbackProviders: validateFallbackProviders,
+    spendingCaps: validateSpendingCaps,
+    siteProfiles: validateSiteProfiles,
+    extractionRules: validateExtractionRules,
+    speechMarkupEnabled: (v) => validateBoolean(v, defaults.speechMarkupEnabled),
+    codeBlockMode: validateCodeBlockMode,
+    tableMode: validateTableMode,
+    readImageDescriptions: (v) => validateBoolean(v, defaults.readImageDescriptions),
+    followPage: (v) => validateBoolean(v, defaults.followPage),
+    followPageNavigation: validateFollowPageNavigation,
+    readerTheme: validateReaderTheme,
+    readerFontFamily: validateReaderFontFamily,
+    readerFontSize: validateReaderFontSize,
+    pronunciationLexicon: validatePronunciationLexicon,
+    textNormalizers: validateTextNormalizers,
   };
 
   if (!(key in validators)) {
@@ -0,0 +1,39 @@
+/**
+ * Site Profiles
+ * Per-origin overrides of the global playback settings, applied when
+ * playback starts on a page from that origin. Stored in the `siteProfiles`
+ * setting as { [origin]: { mode?, provider?, voice?, speed?, wordSyncEnabled? } }.
+ *
+ * @module shared/config/site-profiles
+ */
+
+/**
+ * Settings a site profile may override
+ */
+export const SITE_PROFILE_KEYS = Object.freeze(['mode', 'provider', 'voice', 'speed', 'wordSyncEnabled']);
+
+/**
+ * Get the profile key for a page URL
+ * @param {string} url
+ * @returns {string|null} Origin (e.g. "https://docs.example.com"), or null for non-web pages
+ */
+export function getSiteOrigin(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed.origin : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Find the profile for a page
+ * @param {Object<string, Object>} profiles - The siteProfiles setting
+ * @param {string} url - Page URL
+ * @returns {{origin: string, profile: Object}|null}
+ */
+export function findSiteProfile(profiles, url) {
+  const origin = getSiteOrigin(url);
+  const profile = origin ? profiles?.[origin] : null;
+  return profile ? { origin, profile } : null;
+}
@@ -0,0 +1,48 @@
+/**
+ * VoxPage Provider Error Classes
+ * Custom errors for failed TTS provider requests
+ *
+ * @module shared/errors/provider-errors
+ */
+
+/**
+ * Error thrown when a provider API request fails
+ * Keeps the HTTP status so callers can tell a bad key or exhausted quota
+ * from a bad request.
+ */
+export class ProviderRequestError extends Error {
+  /**
+   * @param {string} message - User-facing error message
+   * @param {number} status - HTTP status (0 when the server could not be reached)
+   * @param {string} providerId - Provider that failed
+   */
+  constructor(message, status, providerId) {
+    super(message);
+    this.name = 'ProviderRequestError';
+    this.status = status;
+    this.providerId = providerId;
+  }
+}
+
+/**
+ * Error thrown instead of calling a provider whose monthly hard cap is reached
+ */
+export class BudgetExceededError extends Error {
+  /**
+   * @param {string} providerId - Provider whose budget is exhausted
+   * @param {number} cap - Monthly hard cap in USD
+   * @param {number} spent - Estimated spend so far this month in USD
+   */
+  constructor(providerId, cap, spent) {
+    super(`Monthly budget reached for ${providerId} ($${spent.toFixed(2)} of $${cap.toFixed(2)})`);
+    this.name = 'BudgetExceededError';
+    this.providerId = providerId;
+    this.cap = cap;
+    this.spent = spent;
+  }
+}
+
+export default {
+  ProviderRequestError,
+  BudgetExceededError
+};
@@ -9,6 +9,7 @@
  */
 
 import { z } from 'zod';
+import { READER_THEMES, READER_FONTS, constraints } from './config/defaults.js';
 
 // =============================================================================
 // Base Types
@@ -22,7 +23,8 @@ export const ProviderIdSchema = z.enum([
   'elevenlabs',
   'cartesia',
   'groq',
-  'browser'
+  'browser',
+  'custom'
 ]);
 
 /**
@@ -64,7 +66,8 @@ export const PlayMessageSchema = z.object({
   voice: z.string().optional(),
   speed: SpeedSchema.optional(),
   mode: ReadingModeSchema.optional(),
-  text: z.string().optional()
+  text: z.string().optional(),
+  resume: z.boolean().optional()
 });
 
 /**
@@ -165,7 +168,66 @@ export const GetVisualizerDataMessageSchema = z.object({
 export const TextContentMessageSchema = z.object({
   action: z.literal('textContent'),
   paragraphs: z.array(z.string()),
-  mode: ReadingModeSchema.optional()
+  paragraphTags: z.array(z.string()).optional(),
+  paragraphMarkup: z.array(z.object({
+    quote: z.boolean(),
+    emphasis: z.array(z.object({
+      start: z.number(),
+      end: z.number(),
+      level: z.enum(['moderate', 'strong'])
+    }))
+  })).optional(),
+  paragraphFrames: z.array(z.object({
+    frameId: z.number().int().min(0),
+    index: z.number().int().min(0)
+  })).optional(),
+  mode: ReadingModeSchema.optional(),
+  exportId: z.number().int().optional()
+});
+
+/**
+ * The page could not extract the text it was asked for
+ */
+export const ExtractTextFailedMessageSchema = z.object({
+  action: z.literal('extractTextFailed'),
+  error: z.string().optional(),
+  exportId: z.number().int().optional()
+});
+
+/**
+ * Extraction request from a frame for one of its child frames (relayed by the background)
+ */
+export const ExtractFrameTextMessageSchema = z.object({
+  action: z.literal('extractFrameText'),
+  frameId: z.number().int().min(0),
+  mode: ReadingModeSchema,
+  extractionRule: z.unknown().optional(),
+  contentBlocks: z.record(z.unknown()).optional()
+});
+
+/**
+ * Paragraphs the page added after extraction (follow page mode)
+ */
+export const PageContentAddedMessageSchema = TextContentMessageSchema
+  .omit({ action: true, mode: true, exportId: true })
+  .extend({ action: z.literal('pageContentAdded') });
+
+/**
+ * Single-page app moved to another view while it was followed
+ */
+export const PageNavigatedMessageSchema = z.object({
+  action: z.literal('pageNavigated'),
+  url: z.string(),
+  title: z.string().optional()
+});
+
+/**
+ * Highlight latency samples measured by the content script
+ */
+export const ReportHighlightLatencyMessageSchema = z.object({
+  action: z.literal('reportHighlightLatency'),
+  paragraphMs: z.array(z.number()).optional(),
+  wordMs: z.array(z.number()).optional()
 });
 
 /**
@@ -176,6 +238,25 @@ export const JumpToParagraphMessageSchema = z.object({
   index: z.number().int().min(0)
 });
 
+/**
+ * Reader view overlay closed from the page
+ */
+export const ReaderViewClosedMessageSchema = z.object({
+  action: z.literal('readerViewClosed')
+});
+
+/**
+ * Reader view theme and typography chosen in the overlay
+ */
+export const SaveReaderStyleMessageSchema = z.object({
+  action: z.literal('saveReaderStyle'),
+  style: z.object({
+    theme: z.enum(READER_THEMES),
+    fontFamily: z.enum(READER_FONTS),
+    fontSize: z.number().int().min(constraints.readerFontSize.min).max(constraints.readerFontSize.max)
+  })
+});
+
 /**
  * Jump to word message
  */
@@ -388,8 +469,15 @@ export const IncomingMessageSchema = z.discriminatedUnion('action', [
   GetProvidersMessageSchema,
   GetVisualizerDataMessageSchema,
   TextContentMessageSchema,
+  ExtractTextFailedMessageSchema,
+  ExtractFrameTextMessageSchema,
+  PageContentAddedMessageSchema,
+  PageNavigatedMessageSchema,
+  ReportHighlightLatencyMessageSchema,
   JumpToParagraphMessageSchema,
   JumpToWordMessageSchema,
+  ReaderViewClosedMessageSchema,
+  SaveReaderStyleMessageSchema,
   ControllerActionMessageSchema,
   VisibilityChangedMessageSchema,
   RequestResyncMessageSchema,
@@ -0,0 +1,110 @@
+/**
+ * Shortcut Keys
+ * Converts key presses into the shortcut strings accepted by
+ * browser.commands.update() and formats shortcuts for display.
+ *
+ * A shortcut is a modifier (Alt, Ctrl, Command or MacCtrl), an optional
+ * second modifier (Shift or another of those), and one key. Function keys
+ * may be used alone.
+ *
+ * @module shared/shortcut-keys
+ */
+
+/**
+ * KeyboardEvent.code values that map to a differently named shortcut key
+ * Codes are used instead of KeyboardEvent.key so Alt combinations on
+ * macOS (Alt+P types "π") and non-US layouts still give the printed key.
+ */
+const CODE_KEYS = Object.freeze({
+  Comma: 'Comma',
+  Period: 'Period',
+  Space: 'Space',
+  ArrowUp: 'Up',
+  ArrowDown: 'Down',
+  ArrowLeft: 'Left',
+  ArrowRight: 'Right',
+  Home: 'Home',
+  End: 'End',
+  PageUp: 'PageUp',
+  PageDown: 'PageDown',
+  Insert: 'Insert',
+  Delete: 'Delete'
+});
+
+/**
+ * Display labels for shortcut keys that are not shown as-is
+ */
+const KEY_LABELS = Object.freeze({
+  Comma: ',',
+  Period: '.',
+  Up: '↑',
+  Down: '↓',
+  Left: '←',
+  Right: '→',
+  MacCtrl: 'Ctrl',
+  Command: '⌘'
+});
+
+const MODIFIER_CODES = /^(Shift|Control|Alt|Meta|OS)(Left|Right)?$/;
+const FUNCTION_KEY = /^F([1-9]|1[0-2])$/;
+
+/**
+ * Get the shortcut key name for a KeyboardEvent code
+ * @param {string} code - KeyboardEvent.code
+ * @returns {string|null} Key name, or null when the key cannot be bound
+ */
+function keyFromCode(code) {
+  if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+  if (/^Digit[0-9]$/.test(code)) return code.slice(5);
+  if (FUNCTION_KEY.test(code)) return code;
+  return CODE_KEYS[code] || null;
+}
+
+/**
+ * Build a shortcut from a keydown event
+ * @param {{code: string, altKey: boolean, ctrlKey: boolean, metaKey: boolean, shiftKey: boolean}} event
+ * @param {Object} [options]
+ * @param {boolean} [options.isMac=false] - Map Ctrl to MacCtrl and allow Command
+ * @returns {{shortcut: string|null, error: string|null}}
+ *   Both are null while only modifiers are held
+ */
+export function shortcutFromKeyEvent(event, { isMac = false } = {}) {
+  if (MODIFIER_CODES.test(event.code)) {
+    return { shortcut: null, error: null };
+  }
+
+  const key = keyFromCode(event.code);
+  if (!key) {
+    return { shortcut: null, error: 'That key cannot be used in a shortcut' };
+  }
+
+  const modifiers = [];
+  if (event.ctrlKey) modifiers.push(isMac ? 'MacCtrl' : 'Ctrl');
+  if (event.altKey) modifiers.push('Alt');
+  if (event.metaKey) {
+    if (!isMac) {
+      return { shortcut: null, error: 'The Windows/Super key cannot be used in a shortcut' };
+    }
+    modifiers.push('Command');
+  }
+
+  if (modifiers.length === 0 && !FUNCTION_KEY.test(key)) {
+    return { shortcut: null, error: `Include ${isMac ? 'Command, Ctrl' : 'Ctrl'} or Alt` };
+  }
+  if (event.shiftKey) modifiers.push('Shift');
+  if (modifiers.length > 2) {
+    return { shortcut: null, error: 'Use at most two modifier keys' };
+  }
+
+  return { shortcut: [...modifiers, key].join('+'), error: null };
+}
+
+/**
+ * Split a shortcut into display labels, one per key
+ * @param {string} shortcut - e.g. "Alt+Shift+Period"
+ * @returns {string[]} e.g. ["Alt", "Shift", "."]
+ */
+export function formatShortcut(shortcut) {
+  if (!shortcut) return [];
+  return shortcut.split('+').map(part => KEY_LABELS[part] || part);
+}
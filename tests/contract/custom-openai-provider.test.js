@@ -0,0 +1,252 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Contract tests for the custom OpenAI-compatible provider
+ * Runs the provider against a local mock server implementing the
+ * /v1/audio/speech, /v1/audio/voices and /v1/models endpoints.
+ *
+ * @module tests/contract/custom-openai-provider.test
+ */
+
+import http from 'http';
+import {
+  CustomOpenAIProvider,
+  fetchCompatibleVoices,
+  normalizeBaseUrl,
+  parseVoiceList
+} from '../../background/providers/custom-openai-provider.js';
+import { collectStream } from '../../background/audio-stream.js';
+import { providerRegistry } from '../../background/provider-registry.js';
+
+const MP3_BYTES = Buffer.from([0xff, 0xfb, 0x90, 0x44, 0x00, 0x00]);
+const VALID_KEY = 'local-secret';
+
+/** @type {http.Server} */
+let server;
+let baseUrl;
+let requests = [];
+
+/**
+ * Minimal OpenAI-compatible speech server
+ * Requests carrying a bearer token must use VALID_KEY; requests without
+ * one are accepted, like most self-hosted servers.
+ */
+function handleRequest(req, res) {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const entry = { method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null };
+    requests.push(entry);
+
+    const auth = req.headers.authorization;
+    if (auth && auth !== `Bearer ${VALID_KEY}`) {
+      res.writeHead(401, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: { message: 'Incorrect API key' } }));
+      return;
+    }
+
+    if (req.method === 'POST' && req.url === '/v1/audio/speech') {
+      if (entry.body.voice === 'missing') {
+        res.writeHead(422, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ detail: 'Voice missing not found' }));
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'audio/mpeg' });
+      res.end(MP3_BYTES);
+      return;
+    }
+
+    if (req.method === 'GET' && req.url === '/v1/audio/voices') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ voices: ['af_bella', 'am_adam', 'af_bella'] }));
+      return;
+    }
+
+    if (req.method === 'GET' && req.url === '/v1/models') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ data: [{ id: 'kokoro' }] }));
+      return;
+    }
+
+    res.writeHead(404);
+    res.end();
+  });
+}
+
+beforeAll(async () => {
+  server = http.createServer(handleRequest);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  requests = [];
+});
+
+describe('Custom OpenAI-compatible provider contract', () => {
+  describe('Provider metadata', () => {
+    it('should not require an API key or restrict languages', () => {
+      expect(CustomOpenAIProvider.id).toBe('custom');
+      expect(CustomOpenAIProvider.requiresApiKey).toBe(false);
+
+      const provider = new CustomOpenAIProvider(null, { baseUrl });
+      expect(provider.supportsLanguage('de')).toBe(true);
+      expect(provider.pricingModel.type).toBe('free');
+    });
+  });
+
+  describe('POST /audio/speech', () => {
+    it('should send an OpenAI speech request and return the audio', async () => {
+      const provider = new CustomOpenAIProvider(null, { baseUrl, model: 'kokoro' });
+
+      const audio = await provider.generateAudio('Hello world', 'af_bella', { speed: 1.5 });
+
+      expect(audio).toBeInstanceOf(ArrayBuffer);
+      expect(new Uint8Array(audio)).toEqual(new Uint8Array(MP3_BYTES));
+
+      expect(requests).toHaveLength(1);
+      expect(requests[0].url).toBe('/v1/audio/speech');
+      expect(requests[0].headers['content-type']).toBe('application/json');
+      expect(requests[0].headers.authorization).toBeUndefined();
+      expect(requests[0].body).toEqual({
+        model: 'kokoro',
+        input: 'Hello world',
+        voice: 'af_bella',
+        response_format: 'mp3',
+        speed: 1.5
+      });
+    });
+
+    it('should stream the same request body', async () => {
+      const provider = new CustomOpenAIProvider(null, { baseUrl });
+
+      const { stream, mimeType } = await provider.generateAudioStream('Hello', 'af_bella');
+
+      expect(mimeType).toBe('audio/mpeg');
+      expect(new Uint8Array(await collectStream(stream))).toEqual(new Uint8Array(MP3_BYTES));
+      expect(requests[0].body).toEqual(expect.objectContaining({ input: 'Hello', response_format: 'mp3' }));
+    });
+
+    it('should send the bearer token when a key is set', async () => {
+      const provider = new CustomOpenAIProvider(VALID_KEY, { baseUrl });
+
+      await provider.generateAudio('Hi', 'alloy');
+
+      expect(requests[0].headers.authorization).toBe(`Bearer ${VALID_KEY}`);
+      expect(requests[0].body.model).toBe('tts-1');
+    });
+
+    it('should accept the full speech endpoint as the base URL', async () => {
+      const provider = new CustomOpenAIProvider(null, { baseUrl: `${baseUrl}/audio/speech/` });
+
+      await provider.generateAudio('Hi', 'alloy', { speed: 10 });
+
+      expect(requests[0].url).toBe('/v1/audio/speech');
+      expect(requests[0].body.speed).toBe(4.0);
+    });
+
+    it('should map a rejected key to the standard message', async () => {
+      const provider = new CustomOpenAIProvider('wrong-key', { baseUrl });
+
+      await expect(provider.generateAudio('Hi', 'alloy')).rejects.toThrow('Invalid API key');
+    });
+
+    it('should surface FastAPI-style error details', async () => {
+      const provider = new CustomOpenAIProvider(null, { baseUrl });
+
+      await expect(provider.generateAudio('Hi', 'missing')).rejects.toThrow('Voice missing not found');
+    });
+
+    it('should report an unreachable server as a status 0 request error', async () => {
+      const provider = new CustomOpenAIProvider(null, { baseUrl: 'http://127.0.0.1:1/v1' });
+
+      await expect(provider.generateAudio('Hi', 'alloy')).rejects.toMatchObject({
+        status: 0,
+        providerId: 'custom',
+        message: 'Could not reach http://127.0.0.1:1/v1. Is the speech server running?'
+      });
+    });
+
+    it('should fail clearly when no endpoint is configured', async () => {
+      const provider = new CustomOpenAIProvider();
+
+      expect(provider.isConfigured()).toBe(false);
+      await expect(provider.generateAudio('Hi', 'alloy')).rejects.toThrow('endpoint not configured');
+      expect(requests).toHaveLength(0);
+    });
+  });
+
+  describe('Voice list', () => {
+    it('should fetch and dedupe voices from /audio/voices', async () => {
+      const provider = new CustomOpenAIProvider(null, { baseUrl });
+
+      expect(await provider.fetchVoices()).toEqual(['af_bella', 'am_adam']);
+      expect(requests[0].url).toBe('/v1/audio/voices');
+    });
+
+    it('should fall back to /voices and report when neither exists', async () => {
+      const rootUrl = baseUrl.replace(/\/v1$/, '');
+
+      await expect(fetchCompatibleVoices(rootUrl)).rejects.toThrow('did not return a voice list');
+      expect(requests.map(r => r.url)).toEqual(['/audio/voices', '/voices']);
+    });
+
+    it('should offer the configured voices, or a server default', () => {
+      const configured = new CustomOpenAIProvider(null, { baseUrl, voices: ['af_bella', 'am_adam'] });
+      expect(configured.getVoices().map(v => v.id)).toEqual(['af_bella', 'am_adam']);
+
+      const unlisted = new CustomOpenAIProvider(null, { baseUrl });
+      expect(unlisted.getDefaultVoice().id).toBe('alloy');
+    });
+
+    it('should parse the voice list shapes servers return', () => {
+      expect(parseVoiceList(['a', 'b'])).toEqual(['a', 'b']);
+      expect(parseVoiceList({ data: [{ id: 'a' }, { voice_id: 'b' }, { name: 'c' }] })).toEqual(['a', 'b', 'c']);
+      expect(parseVoiceList({ unexpected: true })).toEqual([]);
+    });
+  });
+
+  describe('GET /models (connection check)', () => {
+    it('should validate a reachable endpoint', async () => {
+      const provider = new CustomOpenAIProvider(null, { baseUrl });
+
+      expect(await provider.validateKey()).toBe(true);
+      expect(requests[0].url).toBe('/v1/models');
+    });
+
+    it('should reject a bad key or unreachable endpoint', async () => {
+      expect(await new CustomOpenAIProvider('wrong-key', { baseUrl }).validateKey()).toBe(false);
+      expect(await new CustomOpenAIProvider(null, { baseUrl: 'http://127.0.0.1:1/v1' }).validateKey()).toBe(false);
+    });
+  });
+
+  describe('normalizeBaseUrl', () => {
+    it('should only accept http(s) URLs', () => {
+      expect(normalizeBaseUrl(' http://localhost:8880/v1/ ')).toBe('http://localhost:8880/v1');
+      expect(normalizeBaseUrl('localhost:8880')).toBe('');
+      expect(normalizeBaseUrl(null)).toBe('');
+    });
+  });
+
+  describe('Registry integration', () => {
+    it('should register like the built-in providers', async () => {
+      providerRegistry.registerProvider(new CustomOpenAIProvider(null, { baseUrl, voices: ['af_bella'] }));
+
+      const info = providerRegistry.getProviderInfo().find(p => p.id === 'custom');
+      expect(info).toEqual(expect.objectContaining({
+        name: 'Custom (OpenAI-compatible)',
+        requiresApiKey: false,
+        voices: [expect.objectContaining({ id: 'af_bella' })]
+      }));
+
+      const audio = await providerRegistry.getProvider('custom').generateAudio('Hi', 'af_bella');
+      expect(audio.byteLength).toBe(MP3_BYTES.length);
+    });
+  });
+});
@@ -0,0 +1,256 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Contract tests for remote log exporters
+ * Runs RemoteLogger against a local mock collector implementing the Loki
+ * push API, the OTLP/HTTP logs endpoint and a plain JSON webhook.
+ *
+ * @module tests/contract/log-exporters.test
+ */
+
+import http from 'http';
+import { jest } from '@jest/globals';
+import { RemoteLogger } from '../../background/remote-logger.js';
+import { createLogEntry } from '../../background/log-entry.js';
+import { createLogExporter, LokiExporter, OtlpLogExporter, WebhookLogExporter } from '../../background/log-exporters.js';
+import { loggingDefaults, loggingConstants } from '../../shared/config/logging-defaults.js';
+
+global.browser = {
+  runtime: {
+    getManifest: () => ({ version: '1.0.0' }),
+  },
+  storage: {
+    local: {
+      get: jest.fn().mockResolvedValue({}),
+      set: jest.fn().mockResolvedValue(undefined),
+    },
+    onChanged: {
+      addListener: jest.fn(),
+    },
+  },
+};
+
+const SESSION_ID = '550e8400-e29b-41d4-a716-446655440000';
+
+/** @type {http.Server} */
+let server;
+let baseUrl;
+let requests = [];
+// Statuses to answer with before accepting again
+let failWith = [];
+
+/**
+ * Mock collector
+ * Loki answers 204, OTLP answers 200 with an empty ExportLogsServiceResponse,
+ * the webhook answers 202.
+ */
+function handleRequest(req, res) {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+
+    const status = failWith.shift();
+    if (status) {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ code: 3, message: `Collector refused (${status})` }));
+      return;
+    }
+
+    if (req.url === '/loki/api/v1/push') {
+      res.writeHead(204);
+      res.end();
+    } else if (req.url === '/v1/logs') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end('{}');
+    } else if (req.url === '/hooks/logs') {
+      res.writeHead(202);
+      res.end();
+    } else {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+}
+
+beforeAll(async () => {
+  server = http.createServer(handleRequest);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  requests = [];
+  failWith = [];
+});
+
+/**
+ * Create a ready logger shipping to the mock collector
+ * @param {Object} config - Logging config overrides
+ * @returns {RemoteLogger}
+ */
+function createLogger(config) {
+  const logger = new RemoteLogger();
+  logger.sessionId = SESSION_ID;
+  logger.version = '1.0.0';
+  logger.initialized = true;
+  logger.handleConfigChange({ ...loggingDefaults, logLevel: 'debug', ...config });
+  return logger;
+}
+
+describe('Log exporter contract', () => {
+  it('should push Loki streams and accept 204', async () => {
+    const logger = createLogger({ exporter: 'loki', endpoint: `${baseUrl}/loki/api/v1/push` });
+    logger.warn('Slow provider', 'background', { provider: 'openai' });
+    await logger.flush();
+
+    expect(requests).toHaveLength(1);
+    expect(requests[0].body.streams[0].stream).toEqual({
+      app: 'voxpage', version: '1.0.0', session: SESSION_ID, level: 'warn', component: 'background',
+    });
+    expect(requests[0].body.streams[0].values[0].slice(1)).toEqual(['Slow provider', { provider: 'openai' }]);
+    expect(logger.retryQueue).toHaveLength(0);
+    expect(logger.buffer.isEmpty()).toBe(true);
+  });
+
+  it('should export OTLP log records to /v1/logs', async () => {
+    const logger = createLogger({
+      exporter: 'otlp', endpoint: `${baseUrl}/v1/logs`, authType: 'bearer', bearerToken: 'collector-token',
+    });
+    logger.error('Playback failed', 'content', { attempt: 2, cached: false, ratio: 0.5 });
+    await logger.flush();
+
+    const { headers, body } = requests[0];
+    expect(headers['content-type']).toBe('application/json');
+    expect(headers.authorization).toBe('Bearer collector-token');
+
+    const resourceLogs = body.resourceLogs[0];
+    expect(resourceLogs.resource.attributes).toEqual([
+      { key: 'service.name', value: { stringValue: 'voxpage' } },
+      { key: 'service.version', value: { stringValue: '1.0.0' } },
+      { key: 'session.id', value: { stringValue: SESSION_ID } },
+    ]);
+    const record = resourceLogs.scopeLogs[0].logRecords[0];
+    expect(record.timeUnixNano).toMatch(/^\d{19}$/);
+    expect(record).toMatchObject({
+      severityNumber: 17,
+      severityText: 'ERROR',
+      body: { stringValue: 'Playback failed' },
+    });
+    expect(record.attributes).toEqual([
+      { key: 'component', value: { stringValue: 'content' } },
+      { key: 'attempt', value: { intValue: '2' } },
+      { key: 'cached', value: { boolValue: false } },
+      { key: 'ratio', value: { doubleValue: 0.5 } },
+    ]);
+  });
+
+  it('should post webhook batches with ISO timestamps', async () => {
+    const logger = createLogger({
+      exporter: 'webhook', endpoint: `${baseUrl}/hooks/logs`, authType: 'basic', username: 'dev', password: 'pw',
+    });
+    logger.info('Queue advanced', 'popup');
+    await logger.flush();
+
+    const { headers, body } = requests[0];
+    expect(headers.authorization).toBe(`Basic ${btoa('dev:pw')}`);
+    expect(body).toMatchObject({ app: 'voxpage', version: '1.0.0', session: SESSION_ID });
+    expect(body.entries).toEqual([{
+      timestamp: expect.stringMatching(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/),
+      level: 'info',
+      component: 'popup',
+      message: 'Queue advanced',
+      metadata: null,
+    }]);
+  });
+
+  it('should queue batches the collector is unavailable for and resend them', async () => {
+    const logger = createLogger({ exporter: 'otlp', endpoint: `${baseUrl}/v1/logs` });
+    failWith = [503];
+    logger.warn('First batch');
+    await logger.flush();
+
+    expect(logger.retryQueue).toHaveLength(1);
+    expect(logger.retryQueue[0].exporter).toBe('otlp');
+
+    logger.retryQueue[0].nextRetryAt = 0;
+    logger.warn('Second batch');
+    await logger.flush();
+
+    expect(logger.retryQueue).toHaveLength(0);
+    expect(requests.map(r => r.body.resourceLogs[0].scopeLogs[0].logRecords[0].body.stringValue))
+      .toEqual(['First batch', 'First batch', 'Second batch']);
+  });
+
+  it('should drop rejected batches and report the collector error', async () => {
+    const logger = createLogger({ exporter: 'otlp', endpoint: `${baseUrl}/v1/logs` });
+    failWith = [400];
+    logger.warn('Malformed');
+    await logger.flush();
+
+    expect(logger.retryQueue).toHaveLength(0);
+
+    failWith = [400];
+    const result = await logger.testConnection({ exporter: 'otlp', endpoint: `${baseUrl}/v1/logs`, authType: 'none' });
+    expect(result).toEqual({ success: false, error: 'Collector refused (400)' });
+  });
+
+  it('should stop buffering once the circuit breaker trips', async () => {
+    const logger = createLogger({ exporter: 'webhook', endpoint: `${baseUrl}/hooks/logs` });
+    failWith = Array(loggingConstants.maxConsecutiveFailures).fill(400);
+
+    for (let i = 0; i < loggingConstants.maxConsecutiveFailures; i++) {
+      logger.warn(`Attempt ${i}`);
+      await logger.flush();
+    }
+    logger.warn('Not sent');
+
+    expect(logger.buffer.isCircuitBroken()).toBe(true);
+    expect(logger.buffer.isEmpty()).toBe(true);
+  });
+
+  it('should drop queued batches built for another exporter', async () => {
+    const logger = createLogger({ exporter: 'loki', endpoint: `${baseUrl}/loki/api/v1/push` });
+    failWith = [503];
+    logger.warn('Loki batch');
+    await logger.flush();
+    expect(logger.retryQueue).toHaveLength(1);
+
+    logger.handleConfigChange({ ...logger.config, exporter: 'otlp', endpoint: `${baseUrl}/v1/logs` });
+    logger.warn('OTLP batch');
+    await logger.flush();
+
+    expect(logger.retryQueue).toHaveLength(0);
+    expect(requests.at(-1).url).toBe('/v1/logs');
+  });
+
+  it('should test the connection with the selected exporter', async () => {
+    const logger = createLogger({});
+
+    await expect(logger.testConnection({ exporter: 'webhook', endpoint: `${baseUrl}/hooks/logs`, authType: 'none' }))
+      .resolves.toEqual({ success: true });
+    expect(requests[0].body.entries[0]).toMatchObject({ message: 'VoxPage connection test', component: 'options' });
+  });
+});
+
+describe('createLogExporter', () => {
+  it('should pick the exporter from the config and fall back to Loki', () => {
+    expect(createLogExporter({ exporter: 'otlp' })).toBeInstanceOf(OtlpLogExporter);
+    expect(createLogExporter({ exporter: 'webhook' })).toBeInstanceOf(WebhookLogExporter);
+    expect(createLogExporter({ exporter: 'syslog' })).toBeInstanceOf(LokiExporter);
+    expect(createLogExporter({}).id).toBe('loki');
+  });
+
+  it('should build the same Loki payload as the logger', () => {
+    const logger = createLogger({});
+    const entries = [createLogEntry({ level: 'info', message: 'Test', component: 'background' })];
+
+    expect(logger.buildPayload(entries)).toEqual(logger.buildLokiPayload(entries));
+  });
+});
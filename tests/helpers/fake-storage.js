@@ -0,0 +1,23 @@
+/**
+ * In-memory stand-in for browser.storage.local
+ * @module tests/helpers/fake-storage
+ */
+
+import { jest } from '@jest/globals';
+
+/**
+ * Create a storage area that keeps values in `data`
+ * Values are copied through JSON like the real storage area.
+ * @param {Object} [initial] - Values already stored
+ * @returns {{data: Object, get: Function, set: Function}}
+ */
+export function createFakeStorage(initial = {}) {
+  const data = { ...initial };
+  return {
+    data,
+    get: jest.fn(async (key) => (key in data ? { [key]: data[key] } : {})),
+    set: jest.fn(async (values) => {
+      Object.assign(data, JSON.parse(JSON.stringify(values)));
+    })
+  };
+}
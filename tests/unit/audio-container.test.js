@@ -0,0 +1,203 @@
+/**
+ * Unit tests for audio container utilities (MP3/WAV joining and metadata)
+ * @module tests/unit/audio-container.test
+ */
+
+import {
+  detectAudioFormat,
+  buildId3Tag,
+  stripId3,
+  joinMp3,
+  parseWav,
+  joinWav,
+  joinAudioSegments,
+  getAudioDurationMs
+} from '../../background/audio-container.js';
+
+const decoder = new TextDecoder();
+
+/**
+ * Build a minimal PCM WAV buffer
+ * @param {number[]} samples - Data bytes
+ * @param {Object} [options]
+ * @returns {Uint8Array}
+ */
+function makeWav(samples, { sampleRate = 24000, dataSize } = {}) {
+  const data = new Uint8Array(samples);
+  const buffer = new ArrayBuffer(44 + data.length);
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  const write = (offset, text) => bytes.set(new TextEncoder().encode(text), offset);
+
+  write(0, 'RIFF');
+  view.setUint32(4, 36 + data.length, true);
+  write(8, 'WAVE');
+  write(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);        // PCM
+  view.setUint16(22, 1, true);        // mono
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true);
+  view.setUint16(32, 2, true);
+  view.setUint16(34, 16, true);
+  write(36, 'data');
+  view.setUint32(40, dataSize ?? data.length, true);
+  bytes.set(data, 44);
+
+  return bytes;
+}
+
+/**
+ * Build an MP3-like buffer wrapped in ID3v2 and ID3v1 tags
+ * @param {number[]} frames - Fake MPEG frame bytes
+ * @returns {Uint8Array}
+ */
+function makeTaggedMp3(frames) {
+  const id3v2 = new Uint8Array([0x49, 0x44, 0x33, 4, 0, 0, 0, 0, 0, 2, 0xAA, 0xBB]);
+  const id3v1 = new Uint8Array(128);
+  id3v1.set([0x54, 0x41, 0x47]);
+  const result = new Uint8Array(id3v2.length + frames.length + 128);
+  result.set(id3v2, 0);
+  result.set(frames, id3v2.length);
+  result.set(id3v1, id3v2.length + frames.length);
+  return result;
+}
+
+/**
+ * Build a run of MPEG-1 Layer III frames (128 kbps, 44.1 kHz)
+ * @param {number} count - Number of frames
+ * @returns {Uint8Array}
+ */
+function makeMp3Frames(count) {
+  const frameLength = 417;
+  const bytes = new Uint8Array(frameLength * count);
+  for (let i = 0; i < count; i++) {
+    bytes.set([0xFF, 0xFB, 0x90, 0x00], i * frameLength);
+  }
+  return bytes;
+}
+
+describe('audio-container', () => {
+  describe('detectAudioFormat', () => {
+    it('should detect WAV by RIFF/WAVE header', () => {
+      expect(detectAudioFormat(makeWav([0, 0]))).toBe('wav');
+    });
+
+    it('should treat anything else as MP3', () => {
+      expect(detectAudioFormat(new Uint8Array([0xFF, 0xFB, 0x90, 0x00]))).toBe('mp3');
+    });
+  });
+
+  describe('ID3', () => {
+    it('should build a v2.4 tag with title, URL, provider and voice', () => {
+      const tag = buildId3Tag({
+        title: 'My Article',
+        url: 'https://example.com/post',
+        provider: 'openai',
+        voice: 'alloy'
+      });
+      const text = decoder.decode(tag);
+
+      expect(text.startsWith('ID3')).toBe(true);
+      expect(tag[3]).toBe(4);
+      expect(text).toContain('TIT2');
+      expect(text).toContain('My Article');
+      expect(text).toContain('WOAS');
+      expect(text).toContain('https://example.com/post');
+      expect(text).toContain('Provider\u0000openai');
+      expect(text).toContain('Voice\u0000alloy');
+    });
+
+    it('should encode the tag size as synchsafe', () => {
+      const tag = buildId3Tag({ title: 'x'.repeat(300) });
+      const size = (tag[6] << 21) | (tag[7] << 14) | (tag[8] << 7) | tag[9];
+
+      expect(size).toBe(tag.length - 10);
+      expect(tag[6] & 0x80).toBe(0);
+      expect(tag[9] & 0x80).toBe(0);
+    });
+
+    it('should strip leading and trailing ID3 tags', () => {
+      const stripped = stripId3(makeTaggedMp3([1, 2, 3]));
+      expect(Array.from(stripped)).toEqual([1, 2, 3]);
+    });
+  });
+
+  describe('joinMp3', () => {
+    it('should concatenate frames behind a single tag', () => {
+      const joined = joinMp3([makeTaggedMp3([1, 2]), makeTaggedMp3([3, 4])], { title: 'T' });
+      const tag = buildId3Tag({ title: 'T' });
+
+      expect(Array.from(joined.subarray(0, tag.length))).toEqual(Array.from(tag));
+      expect(Array.from(joined.subarray(tag.length))).toEqual([1, 2, 3, 4]);
+    });
+  });
+
+  describe('WAV', () => {
+    it('should parse fmt and data chunks', () => {
+      const { fmt, data } = parseWav(makeWav([1, 2, 3, 4]));
+      expect(fmt.length).toBe(16);
+      expect(Array.from(data)).toEqual([1, 2, 3, 4]);
+    });
+
+    it('should tolerate streamed WAVs with an unset data size', () => {
+      const { data } = parseWav(makeWav([5, 6], { dataSize: 0xFFFFFFFF }));
+      expect(Array.from(data)).toEqual([5, 6]);
+    });
+
+    it('should join data chunks and add LIST/INFO metadata', () => {
+      const joined = joinWav([makeWav([1, 2]), makeWav([3, 4])], {
+        title: 'My Article',
+        url: 'https://example.com',
+        provider: 'groq',
+        voice: 'hannah'
+      });
+      const text = decoder.decode(joined);
+      const view = new DataView(joined.buffer, joined.byteOffset, joined.byteLength);
+
+      expect(view.getUint32(4, true)).toBe(joined.length - 8);
+      expect(text).toContain('LIST');
+      expect(text).toContain('INFOINAM');
+      expect(text).toContain('My Article');
+      expect(text).toContain('https://example.com');
+      expect(text).toContain('Provider: groq, Voice: hannah');
+      expect(Array.from(parseWav(joined).data)).toEqual([1, 2, 3, 4]);
+    });
+
+    it('should refuse to join different sample formats', () => {
+      expect(() => joinWav([makeWav([1, 2]), makeWav([3, 4], { sampleRate: 44100 })]))
+        .toThrow('different sample formats');
+    });
+  });
+
+  describe('getAudioDurationMs', () => {
+    it('should sum MP3 frame durations', () => {
+      expect(getAudioDurationMs(makeMp3Frames(10))).toBeCloseTo(10 * 1152 / 44100 * 1000, 3);
+    });
+
+    it('should ignore ID3 tags when measuring MP3', () => {
+      const tagged = joinMp3([makeMp3Frames(4)], { title: 'Tagged' });
+      expect(getAudioDurationMs(tagged)).toBeCloseTo(4 * 1152 / 44100 * 1000, 3);
+    });
+
+    it('should use the WAV byte rate', () => {
+      // 24 kHz mono 16-bit = 48000 bytes per second
+      expect(getAudioDurationMs(makeWav(new Array(4800).fill(0)))).toBeCloseTo(100, 3);
+    });
+
+    it('should return null when no frames are found', () => {
+      expect(getAudioDurationMs(new Uint8Array([1, 2, 3, 4, 5]))).toBeNull();
+    });
+  });
+
+  describe('joinAudioSegments', () => {
+    it('should pick the container from the first segment', () => {
+      expect(joinAudioSegments([makeWav([1, 2])]).mimeType).toBe('audio/wav');
+      expect(joinAudioSegments([new Uint8Array([0xFF, 0xFB])]).mimeType).toBe('audio/mpeg');
+    });
+
+    it('should throw when there is nothing to join', () => {
+      expect(() => joinAudioSegments([])).toThrow('No audio segments');
+    });
+  });
+});
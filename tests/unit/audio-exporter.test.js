@@ -0,0 +1,308 @@
+/**
+ * Unit tests for AudioExporter
+ * @module tests/unit/audio-exporter.test
+ */
+
+import { jest } from '@jest/globals';
+import {
+  AudioExporter,
+  isRateLimitError,
+  buildExportFilename
+} from '../../background/audio-exporter.js';
+import { audioCache } from '../../background/audio-cache.js';
+import { persistentAudioCache } from '../../background/persistent-audio-cache.js';
+import { PlaybackController } from '../../background/playback-controller.js';
+import { settingsStore } from '../../shared/config/store.js';
+import { createRouter } from '../../background/message-router.js';
+import { validateIncomingMessage } from '../../shared/message-schemas.js';
+import { ProviderRequestError } from '../../shared/errors/provider-errors.js';
+import { SpokenText } from '../../background/text-normalizer.js';
+
+describe('AudioExporter', () => {
+  let audioGenerator;
+  let uiCoordinator;
+  let exporter;
+
+  beforeEach(() => {
+    audioCache.clear();
+    jest.spyOn(persistentAudioCache, 'get').mockResolvedValue(null);
+    jest.spyOn(persistentAudioCache, 'set').mockResolvedValue(true);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    audioGenerator = {
+      isBrowserTTS: jest.fn((id) => id === 'browser'),
+      generateAudio: jest.fn(async () => new Uint8Array([0xFF, 0xFB, 1]).buffer)
+    };
+    uiCoordinator = { notifyExportProgress: jest.fn() };
+    exporter = new AudioExporter({ audioGenerator, uiCoordinator, sleep: jest.fn(async () => {}) });
+
+    global.browser.downloads = { download: jest.fn().mockResolvedValue(1) };
+    global.URL.createObjectURL = jest.fn(() => 'blob:export');
+    global.URL.revokeObjectURL = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const exportOptions = {
+    paragraphs: ['First paragraph.', 'Second paragraph.'],
+    provider: 'openai',
+    voice: 'alloy',
+    title: 'Test: Article?',
+    url: 'https://example.com'
+  };
+
+  it('should generate every paragraph and download one file', async () => {
+    const result = await exporter.exportArticle(exportOptions);
+
+    expect(audioGenerator.generateAudio).toHaveBeenCalledTimes(2);
+    expect(result.format).toBe('mp3');
+    expect(result.filename).toBe('Test Article.mp3');
+    expect(result.totalSegments).toBe(2);
+    expect(browser.downloads.download).toHaveBeenCalledWith(
+      expect.objectContaining({ url: 'blob:export', filename: 'Test Article.mp3' })
+    );
+  });
+
+  it('should reuse cached segments instead of paying twice', async () => {
+    const key = audioCache.generateKey('openai', 'alloy', 'First paragraph.');
+    audioCache.set(key, new Uint8Array([0xFF, 0xFB, 2]).buffer, { provider: 'openai' });
+
+    const result = await exporter.exportArticle(exportOptions);
+
+    expect(audioGenerator.generateAudio).toHaveBeenCalledTimes(1);
+    expect(result.cachedSegments).toBe(1);
+  });
+
+  it('should look up and generate the text as sent to the provider', async () => {
+    const speech = exportOptions.paragraphs.map(text => new SpokenText(text).insertMarkup(0, '<break time="500ms"/> '));
+    const key = audioCache.generateKey('openai', 'alloy', speech[0].text);
+    audioCache.set(key, new Uint8Array([0xFF, 0xFB, 2]).buffer, { provider: 'openai' });
+
+    const result = await exporter.exportArticle({ ...exportOptions, speech });
+
+    expect(result.cachedSegments).toBe(1);
+    expect(audioGenerator.generateAudio).toHaveBeenCalledWith(speech[1].text, 'openai', 'alloy', expect.any(Object));
+  });
+
+  it('should store newly generated segments in both cache tiers', async () => {
+    await exporter.exportArticle(exportOptions);
+
+    const key = audioCache.generateKey('openai', 'alloy', 'Second paragraph.');
+    expect(audioCache.has(key)).toBe(true);
+    expect(persistentAudioCache.set).toHaveBeenCalledWith(key, expect.anything(), expect.any(Object));
+  });
+
+  it('should back off and retry on rate limits', async () => {
+    audioGenerator.generateAudio
+      .mockRejectedValueOnce(new Error('Rate limited. Please wait and try again.'));
+
+    await exporter.exportArticle(exportOptions);
+
+    expect(exporter.sleep).toHaveBeenCalledTimes(1);
+    expect(audioGenerator.generateAudio).toHaveBeenCalledTimes(3);
+    expect(uiCoordinator.notifyExportProgress).toHaveBeenCalledWith(
+      expect.objectContaining({ status: 'rateLimited' })
+    );
+  });
+
+  it('should not retry other errors', async () => {
+    audioGenerator.generateAudio.mockRejectedValue(new Error('Invalid API key'));
+
+    await expect(exporter.exportArticle(exportOptions)).rejects.toThrow('Invalid API key');
+    expect(exporter.sleep).not.toHaveBeenCalled();
+    expect(uiCoordinator.notifyExportProgress).toHaveBeenLastCalledWith(
+      expect.objectContaining({ status: 'error', error: 'Invalid API key' })
+    );
+    expect(exporter.isExporting).toBe(false);
+  });
+
+  it('should report progress per paragraph', async () => {
+    await exporter.exportArticle(exportOptions);
+
+    const statuses = uiCoordinator.notifyExportProgress.mock.calls.map(([p]) => `${p.status}:${p.completed}`);
+    expect(statuses).toEqual(['running:0', 'running:1', 'running:2', 'complete:2']);
+  });
+
+  it('should refuse browser TTS', async () => {
+    await expect(exporter.exportArticle({ ...exportOptions, provider: 'browser' }))
+      .rejects.toThrow('Browser TTS cannot be exported');
+  });
+
+  it('should write captions and chapters when transcripts are enabled', async () => {
+    audioGenerator.generateAudioWithTiming = jest.fn(async (text) => ({
+      audioData: new Uint8Array([0xFF, 0xFB, 1]).buffer,
+      wordTiming: [{ word: text, startTimeMs: 0, endTimeMs: 500 }]
+    }));
+
+    const result = await exporter.exportArticle({
+      ...exportOptions,
+      paragraphs: ['Heading', 'Body text.'],
+      paragraphTags: ['H2', 'P'],
+      cueLevel: 'sentence'
+    });
+
+    expect(audioGenerator.generateAudioWithTiming).toHaveBeenCalledTimes(2);
+    expect(audioGenerator.generateAudio).not.toHaveBeenCalled();
+    expect(result.transcriptFiles).toEqual([
+      'Test Article.vtt',
+      'Test Article.srt',
+      'Test Article.chapters.vtt'
+    ]);
+    expect(browser.downloads.download).toHaveBeenCalledTimes(4);
+  });
+
+  it('should skip the chapter file when there are no headings', async () => {
+    audioGenerator.generateAudioWithTiming = jest.fn(async () => ({
+      audioData: new Uint8Array([0xFF, 0xFB, 1]).buffer,
+      wordTiming: null
+    }));
+
+    const result = await exporter.exportArticle({ ...exportOptions, cueLevel: 'word' });
+
+    expect(result.transcriptFiles).toEqual(['Test Article.vtt', 'Test Article.srt']);
+  });
+
+  it('should reuse cached word timing for transcripts', async () => {
+    const wordTiming = [{ word: 'First', startTimeMs: 0, endTimeMs: 300 }];
+    for (const text of exportOptions.paragraphs) {
+      audioCache.set(audioCache.generateKey('openai', 'alloy', text), new Uint8Array([0xFF, 0xFB]).buffer, {
+        wordTiming
+      });
+    }
+    audioGenerator.generateAudioWithTiming = jest.fn();
+
+    await exporter.exportArticle({ ...exportOptions, cueLevel: 'word' });
+
+    expect(audioGenerator.generateAudioWithTiming).not.toHaveBeenCalled();
+  });
+
+  it('should stop when cancelled', async () => {
+    audioGenerator.generateAudio.mockImplementation(async () => {
+      exporter.cancel();
+      return new Uint8Array([0xFF, 0xFB]).buffer;
+    });
+
+    await expect(exporter.exportArticle(exportOptions)).rejects.toThrow('Export cancelled');
+    expect(browser.downloads.download).not.toHaveBeenCalled();
+    expect(uiCoordinator.notifyExportProgress).toHaveBeenLastCalledWith(
+      expect.objectContaining({ status: 'cancelled' })
+    );
+  });
+});
+
+describe('isRateLimitError', () => {
+  it('should match provider rate limit messages', () => {
+    expect(isRateLimitError(new Error('Rate limited. Please wait and try again.'))).toBe(true);
+    expect(isRateLimitError(new Error('API error (429)'))).toBe(true);
+    expect(isRateLimitError(new Error('Invalid API key'))).toBe(false);
+  });
+
+  it('should go by the status of provider request errors', () => {
+    expect(isRateLimitError(new ProviderRequestError('Slow down', 429, 'openai'))).toBe(true);
+    expect(isRateLimitError(new ProviderRequestError('Unknown voice 429', 400, 'openai'))).toBe(false);
+  });
+});
+
+describe('buildExportFilename', () => {
+  it('should fall back to a default name', () => {
+    expect(buildExportFilename('', 'wav')).toBe('voxpage-export.wav');
+  });
+
+  it('should truncate long titles', () => {
+    expect(buildExportFilename('a'.repeat(200), 'mp3')).toBe(`${'a'.repeat(80)}.mp3`);
+  });
+});
+
+describe('PlaybackController export requests', () => {
+  let controller;
+  let audioExporter;
+  let uiCoordinator;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    browser.tabs.query.mockResolvedValue([{ id: 3, url: 'https://example.com/article', title: 'Article' }]);
+    browser.tabs.sendMessage.mockResolvedValue(undefined);
+    audioExporter = { isExporting: false, exportArticle: jest.fn().mockResolvedValue(undefined) };
+    uiCoordinator = { notifyError: jest.fn(), notifyPlaybackState: jest.fn(), notifyQueueChanged: jest.fn() };
+    controller = new PlaybackController({ audioExporter, uiCoordinator });
+    jest.spyOn(controller, '_getCurrentLanguage').mockResolvedValue('en');
+  });
+
+  afterEach(() => {
+    controller._clearPendingExport();
+    jest.restoreAllMocks();
+  });
+
+  const extractRequest = () => browser.tabs.sendMessage.mock.lastCall[1];
+
+  it('should tag the extraction request and export only the text sent back for it', async () => {
+    await controller.handleExport({ mode: 'article' });
+    const { exportId } = extractRequest();
+
+    await controller.processTextContent('Page text', 'article', ['Page text'], null, { exportId });
+
+    expect(audioExporter.exportArticle).toHaveBeenCalledWith(expect.objectContaining({ paragraphs: ['Page text'] }));
+    expect(controller.pendingExport).toBeNull();
+  });
+
+  it('should drop the export when the page cannot extract its text', async () => {
+    await controller.handleExport({ mode: 'article' });
+    controller.handleExtractionFailed({ exportId: extractRequest().exportId, error: 'Readability failed' });
+
+    expect(controller.pendingExport).toBeNull();
+    expect(uiCoordinator.notifyError).toHaveBeenCalled();
+
+    uiCoordinator.notifyError.mockClear();
+    await controller.handleExport({ mode: 'article' });
+    expect(uiCoordinator.notifyError).not.toHaveBeenCalledWith('An audio export is already in progress');
+  });
+
+  it('should route and validate extraction failures', () => {
+    const handleExtractionFailed = jest.fn();
+    createRouter({ playbackController: { handleExtractionFailed } })
+      .route({ action: 'extractTextFailed', error: 'Readability failed', exportId: 2 }, {}, () => {});
+
+    expect(handleExtractionFailed).toHaveBeenCalledWith(expect.objectContaining({ exportId: 2 }));
+    expect(validateIncomingMessage({ action: 'extractTextFailed', exportId: 2 }).success).toBe(true);
+  });
+
+  it('should cancel a waiting export on play and ignore its late text', async () => {
+    jest.spyOn(controller, '_requestTextFromActiveTab').mockResolvedValue(true);
+    jest.spyOn(controller, '_applySiteProfile').mockResolvedValue(undefined);
+    await controller.handleExport({ mode: 'article' });
+    const { id: exportId } = controller.pendingExport;
+
+    await controller.handlePlay({ mode: 'article' });
+    expect(controller.pendingExport).toBeNull();
+
+    await controller.processTextContent('Late text', 'article', ['Late text'], null, { exportId });
+    expect(audioExporter.exportArticle).not.toHaveBeenCalled();
+    expect(controller.state.paragraphs).toEqual([]);
+  });
+
+  it('should export the text with the speech markup playback sends', async () => {
+    class MarkupProvider {
+      static get speechMarkup() { return 'cartesia'; }
+    }
+    controller.providerRegistry = { getProvider: () => new MarkupProvider() };
+    browser.storage.local.get.mockResolvedValue({ speechMarkupEnabled: true });
+    controller.pendingExport = { id: 1, title: '', url: '' };
+
+    await controller._runExport(['Heading', 'Body text.'], ['H2', 'P'], null);
+
+    const { paragraphs, speech } = audioExporter.exportArticle.mock.lastCall[0];
+    expect(paragraphs).toEqual(['Heading', 'Body text.']);
+    expect(speech.map(spoken => spoken.text)).toEqual(['<break time="500ms"/> Heading <break time="700ms"/>', 'Body text.']);
+  });
+
+  it('should log a failed export setup instead of leaving it unhandled', async () => {
+    jest.spyOn(settingsStore, 'load').mockRejectedValue(new Error('Storage error'));
+    controller.pendingExport = { id: 1, title: '', url: '' };
+
+    await expect(controller._runExport(['Text'], null)).resolves.toBeUndefined();
+    expect(audioExporter.exportArticle).not.toHaveBeenCalled();
+  });
+});
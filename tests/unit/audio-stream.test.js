@@ -0,0 +1,154 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Unit tests for streaming audio helpers and provider streams
+ * @module tests/unit/audio-stream.test
+ */
+
+import { jest } from '@jest/globals';
+import {
+  readStreamChunks,
+  readJsonLines,
+  iterableToStream,
+  collectStream,
+  concatChunks,
+  isStreamingPlaybackSupported
+} from '../../background/audio-stream.js';
+import { AudioGenerator } from '../../background/audio-generator.js';
+import { ElevenLabsProvider } from '../../background/providers/elevenlabs-provider.js';
+import { GroqProvider } from '../../background/providers/groq-provider.js';
+
+const encoder = new TextEncoder();
+
+/**
+ * Build a ReadableStream from string or byte chunks
+ * @param {Array<string|Uint8Array>} parts
+ */
+function streamOf(parts) {
+  return iterableToStream((async function* () {
+    for (const part of parts) {
+      yield typeof part === 'string' ? encoder.encode(part) : part;
+    }
+  })());
+}
+
+describe('audio stream helpers', () => {
+  it('should read chunks from streams and async iterables', async () => {
+    const fromStream = [];
+    for await (const chunk of readStreamChunks(streamOf([new Uint8Array([1]), new Uint8Array([2, 3])]))) {
+      fromStream.push(...chunk);
+    }
+    expect(fromStream).toEqual([1, 2, 3]);
+
+    const buffer = await collectStream((async function* () {
+      yield new Uint8Array([4, 5]);
+      yield new Uint8Array([6]);
+    })());
+    expect(new Uint8Array(buffer)).toEqual(new Uint8Array([4, 5, 6]));
+  });
+
+  it('should parse JSON lines split across chunks', async () => {
+    const lines = [];
+    for await (const line of readJsonLines(streamOf(['{"a":1}\n{"b"', ':2}\n\n', '{"c":3}']))) {
+      lines.push(line);
+    }
+    expect(lines).toEqual([{ a: 1 }, { b: 2 }, { c: 3 }]);
+  });
+
+  it('should concatenate chunks into one buffer', () => {
+    const joined = concatChunks([new Uint8Array([1, 2]), new Uint8Array(0), new Uint8Array([3])]);
+    expect(joined.byteLength).toBe(3);
+  });
+
+  it('should report no streaming playback without MediaSource', () => {
+    expect(isStreamingPlaybackSupported('audio/mpeg')).toBe(false);
+  });
+});
+
+describe('provider streams', () => {
+  const originalFetch = global.fetch;
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  it('should stream ElevenLabs audio and collect timestamps from each chunk', async () => {
+    const toBase64 = (bytes) => Buffer.from(bytes).toString('base64');
+    const body = [
+      JSON.stringify({
+        audio_base64: toBase64([1, 2]),
+        alignment: {
+          characters: ['H', 'i', ' '],
+          character_start_times_seconds: [0, 0.1, 0.2],
+          character_end_times_seconds: [0.1, 0.2, 0.3]
+        }
+      }),
+      JSON.stringify({
+        audio_base64: toBase64([3]),
+        alignment: {
+          characters: ['y', 'o'],
+          character_start_times_seconds: [0.3, 0.4],
+          character_end_times_seconds: [0.4, 0.5]
+        }
+      })
+    ].join('\n');
+    global.fetch = jest.fn().mockResolvedValue({ ok: true, body: streamOf([body.slice(0, 40), body.slice(40)]) });
+
+    const provider = new ElevenLabsProvider('key');
+    const result = await provider.generateAudioStream('Hi yo', 'voice-1', { withTimestamps: true });
+
+    expect(global.fetch.mock.calls[0][0]).toContain('/voice-1/stream/with-timestamps');
+    expect(new Uint8Array(await collectStream(result.stream))).toEqual(new Uint8Array([1, 2, 3]));
+    expect(await result.wordTiming).toEqual([
+      expect.objectContaining({ word: 'Hi', startTimeMs: 0, endTimeMs: 200 }),
+      expect.objectContaining({ word: 'yo', charOffset: 3, startTimeMs: 300, endTimeMs: 500 })
+    ]);
+  });
+
+  it('should stream raw ElevenLabs audio when no timing is needed', async () => {
+    global.fetch = jest.fn().mockResolvedValue({ ok: true, body: streamOf([new Uint8Array([9])]) });
+
+    const result = await new ElevenLabsProvider('key').generateAudioStream('Hi', 'voice-1');
+
+    expect(global.fetch.mock.calls[0][0]).toMatch(/\/voice-1\/stream$/);
+    expect(await result.wordTiming).toBeNull();
+  });
+
+  it('should fall back to a single chunk for providers without a streaming API', async () => {
+    const provider = new GroqProvider('key');
+    jest.spyOn(provider, 'generateAudio').mockResolvedValue(new Uint8Array([7, 8]).buffer);
+
+    const result = await provider.generateAudioStream('Hi', 'voice');
+
+    expect(GroqProvider.supportsStreaming).toBe(false);
+    expect(new Uint8Array(await collectStream(result.stream))).toEqual(new Uint8Array([7, 8]));
+  });
+});
+
+describe('AudioGenerator streaming', () => {
+  it('should only stream for streaming providers with MediaSource support', () => {
+    const generator = new AudioGenerator({
+      providerRegistry: { getProvider: () => new ElevenLabsProvider('key') }
+    });
+
+    // No MediaSource in this environment
+    expect(generator.canStream('elevenlabs')).toBe(false);
+  });
+
+  it('should collect the stream and play it whole without MediaSource', async () => {
+    const generator = new AudioGenerator({ providerRegistry: {} });
+    const audio = { play: jest.fn() };
+    const playAudio = jest.spyOn(generator, 'playAudio').mockReturnValue(audio);
+
+    const result = await generator.playAudioStream({
+      stream: streamOf([new Uint8Array([1]), new Uint8Array([2])]),
+      mimeType: 'audio/mpeg'
+    }, { speed: 1.5 });
+
+    expect(result.audio).toBe(audio);
+    expect(new Uint8Array(await result.complete)).toEqual(new Uint8Array([1, 2]));
+    expect(playAudio).toHaveBeenCalledWith(expect.any(ArrayBuffer), { speed: 1.5 });
+  });
+});
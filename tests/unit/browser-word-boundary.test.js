@@ -0,0 +1,199 @@
+/**
+ * Unit tests for word highlighting from browser TTS boundary events
+ * @module tests/unit/browser-word-boundary.test
+ */
+
+import { jest } from '@jest/globals';
+import { PlaybackSyncState, createBoundaryWordTimeline, findBoundaryWord } from '../../background/playback-sync.js';
+import { AudioGenerator } from '../../background/audio-generator.js';
+import { BrowserProvider } from '../../background/providers/browser-provider.js';
+import { PlaybackController } from '../../background/playback-controller.js';
+import { SyncConfig } from '../../background/constants.js';
+
+const TEXT = 'Reading aloud is wonderful.';
+
+describe('createBoundaryWordTimeline', () => {
+  it('should give each word its offset and an estimated time in order', () => {
+    const timeline = createBoundaryWordTimeline(TEXT);
+
+    expect(timeline.map(({ word, charOffset }) => [word, charOffset])).toEqual([
+      ['Reading', 0], ['aloud', 8], ['is', 14], ['wonderful', 17]
+    ]);
+    expect(timeline[0]).toMatchObject({ startMs: 0, endMs: 2 * SyncConfig.BROWSER_TTS_SYLLABLE_MS });
+    timeline.slice(1).forEach((word, i) => expect(word.startMs).toBe(timeline[i].endMs));
+  });
+
+  it('should speed up with the utterance rate', () => {
+    const normal = createBoundaryWordTimeline(TEXT, 1);
+    const fast = createBoundaryWordTimeline(TEXT, 2);
+
+    expect(fast[3].endMs).toBe(normal[3].endMs / 2);
+  });
+
+  it('should find the word a boundary falls in', () => {
+    const timeline = createBoundaryWordTimeline(TEXT);
+
+    expect(findBoundaryWord(timeline, 0)).toBe(0);
+    expect(findBoundaryWord(timeline, 8)).toBe(1);
+    expect(findBoundaryWord(timeline, 13)).toBe(2);
+    expect(findBoundaryWord(timeline, TEXT.length)).toBe(-1);
+  });
+});
+
+describe('PlaybackSyncState.syncToBoundary', () => {
+  it('should move the word and those after it to when it was spoken', () => {
+    const sync = new PlaybackSyncState();
+    const onWordChange = jest.fn();
+    sync.onWordChange(onWordChange);
+    sync.setWordTimeline([
+      { word: 'a', startMs: 0, endMs: 200 },
+      { word: 'b', startMs: 200, endMs: 400 },
+      { word: 'c', startMs: 400, endMs: 600 }
+    ]);
+
+    sync.syncToBoundary(1, 350);
+
+    expect(sync.wordTimeline.map(({ startMs, endMs }) => [startMs, endMs])).toEqual([
+      [0, 350], [350, 550], [550, 750]
+    ]);
+    expect(sync.currentWordIndex).toBe(1);
+    expect(onWordChange).toHaveBeenCalledWith(0, 1, expect.any(Number));
+  });
+
+  it('should ignore boundaries without a word timeline', () => {
+    const sync = new PlaybackSyncState();
+    const onWordChange = jest.fn();
+    sync.onWordChange(onWordChange);
+
+    sync.syncToBoundary(0, 100);
+
+    expect(onWordChange).not.toHaveBeenCalled();
+  });
+});
+
+describe('AudioGenerator.playWithBrowserTTS', () => {
+  let utterance;
+
+  beforeEach(() => {
+    global.SpeechSynthesisUtterance = jest.fn(function (text) {
+      this.text = text;
+      utterance = this;
+    });
+    global.speechSynthesis = { speak: jest.fn(), getVoices: () => [] };
+  });
+
+  afterEach(() => {
+    delete global.SpeechSynthesisUtterance;
+    delete global.speechSynthesis;
+  });
+
+  it('should speak from the start offset and report word boundaries in the full text', async () => {
+    const onBoundary = jest.fn();
+    const playing = new AudioGenerator().playWithBrowserTTS(TEXT, 'voice', 1, null, {}, { startChar: 8, onBoundary });
+
+    expect(utterance.text).toBe('aloud is wonderful.');
+    utterance.onboundary({ name: 'word', charIndex: 0 });
+    utterance.onboundary({ name: 'sentence', charIndex: 0 });
+    utterance.onboundary({ charIndex: 6 });
+    utterance.onend();
+
+    await playing;
+    expect(onBoundary.mock.calls).toEqual([[8], [14]]);
+  });
+
+  it('should resolve when speech is interrupted and reject other errors', async () => {
+    const generator = new AudioGenerator();
+
+    const interrupted = generator.playWithBrowserTTS(TEXT, 'voice');
+    utterance.onerror({ error: 'interrupted' });
+    await expect(interrupted).resolves.toBeUndefined();
+
+    const failed = generator.playWithBrowserTTS(TEXT, 'voice');
+    utterance.onerror({ error: 'synthesis-failed' });
+    await expect(failed).rejects.toThrow('synthesis-failed');
+  });
+});
+
+describe('PlaybackController with browser TTS', () => {
+  let controller;
+  let audioGenerator;
+  let uiCoordinator;
+  let utterances;
+
+  beforeEach(() => {
+    utterances = [];
+    audioGenerator = {
+      isBrowserTTS: () => true,
+      playWithBrowserTTS: jest.fn((text, voice, speed, languageCode, prosody, options) => new Promise(resolve => {
+        utterances.push({ ...options, end: resolve });
+      })),
+      stopBrowserTTS: jest.fn(() => utterances.forEach(utterance => utterance.end()))
+    };
+    uiCoordinator = {
+      resetWordHighlightTracking: jest.fn(),
+      highlightParagraph: jest.fn(),
+      notifyParagraphChanged: jest.fn(),
+      notifyPlaybackState: jest.fn(),
+      notifyProgress: jest.fn(),
+      sendWordTimeline: jest.fn(),
+      notifyWordSyncStatus: jest.fn(),
+      highlightWord: jest.fn()
+    };
+    controller = new PlaybackController({
+      audioGenerator,
+      providerRegistry: { getProvider: () => new BrowserProvider(), hasProvider: () => true },
+      uiCoordinator
+    });
+    jest.spyOn(controller, '_onParagraphEnded').mockImplementation(() => {});
+    jest.spyOn(controller, '_saveReadingPosition').mockImplementation(() => {});
+    controller.state.paragraphs = [TEXT, 'Second paragraph.'];
+    controller.state.currentProvider = 'browser';
+    controller.state.isPlaying = true;
+    controller.state.wordSyncEnabled = true;
+  });
+
+  const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+  const highlightedWords = () => uiCoordinator.highlightWord.mock.calls.map(([, wordIndex]) => wordIndex);
+
+  it('should highlight each word as the engine reaches it', async () => {
+    const playing = controller._playCurrentParagraph();
+    await Promise.resolve();
+
+    expect(uiCoordinator.sendWordTimeline).toHaveBeenCalledWith(
+      expect.arrayContaining([expect.objectContaining({ word: 'aloud', charOffset: 8 })]), 0
+    );
+    utterances[0].onBoundary(8);
+    utterances[0].onBoundary(17);
+    expect(highlightedWords()).toEqual([0, 1, 3]);
+
+    utterances[0].end();
+    await playing;
+    expect(controller._onParagraphEnded).toHaveBeenCalledTimes(1);
+  });
+
+  it('should speak again from the current word after a pause', async () => {
+    controller._playCurrentParagraph();
+    await Promise.resolve();
+    utterances[0].onBoundary(14);
+
+    controller.handlePause();
+    controller.handleResume();
+    await flush();
+
+    expect(audioGenerator.playWithBrowserTTS).toHaveBeenCalledTimes(2);
+    expect(utterances[1].startChar).toBe(14);
+    expect(controller._onParagraphEnded).not.toHaveBeenCalled();
+  });
+
+  it('should restart at a clicked word without ending the stopped utterance\'s paragraph', async () => {
+    controller._playCurrentParagraph();
+    await Promise.resolve();
+
+    controller.jumpToWord(0, 3);
+    await flush();
+
+    expect(utterances[1].startChar).toBe(17);
+    expect(highlightedWords()).toEqual([0, 3]);
+    expect(controller._onParagraphEnded).not.toHaveBeenCalled();
+  });
+});
@@ -96,7 +96,8 @@ describe('Configuration Defaults', () => {
       expect(PROVIDERS).toContain('cartesia');
       expect(PROVIDERS).toContain('groq');
       expect(PROVIDERS).toContain('browser');
-      expect(PROVIDERS).toHaveLength(5);
+      expect(PROVIDERS).toContain('custom');
+      expect(PROVIDERS).toHaveLength(6);
     });
 
     test('default provider is in PROVIDERS', () => {
@@ -20,10 +20,34 @@ describe('Configuration Schema', () => {
         voice: null,
         speed: 1.0,
         showCostEstimate: true,
+        costConfirmThreshold: 1.5,
         cacheEnabled: true,
         maxCacheSize: 50,
         wordSyncEnabled: true,
         autoDetectLanguage: true, // 019-multilingual-tts
+        transcriptCueLevel: 'word',
+        customProviderUrl: 'http://localhost:8880/v1',
+        customProviderModel: 'kokoro',
+        customProviderVoices: ['af_bella', 'am_adam'],
+        fallbackProviders: ['openai', 'browser'],
+        spendingCaps: { openai: { soft: 5, hard: 10 } },
+        siteProfiles: { 'https://docs.example.com': { provider: 'openai', speed: 1.4 } },
+        extractionRules: [
+          { pattern: 'docs.example.com', include: ['main'], exclude: ['.toc'], startAfter: null, stopBefore: 'footer' }
+        ],
+        speechMarkupEnabled: true,
+        codeBlockMode: 'verbalize',
+        tableMode: 'rows',
+        readImageDescriptions: true,
+        followPage: true,
+        followPageNavigation: 'reset',
+        readerTheme: 'sepia',
+        readerFontFamily: 'sans',
+        readerFontSize: 24,
+        pronunciationLexicon: [
+          { match: 'VoxPage', replacement: 'Vox Page', isRegex: false, matchCase: true, language: null, site: null }
+        ],
+        textNormalizers: { urls: true, emails: true, numbers: false, dates: true, identifiers: false },
       };
 
       const result = validateSettings(settings);
@@ -96,6 +120,100 @@ describe('Configuration Schema', () => {
       expect(validateSettings({ maxCacheSize: 201 }).data.maxCacheSize).toBe(50);
     });
 
+    test('validates transcriptCueLevel values', () => {
+      expect(validateSettings({ transcriptCueLevel: 'word' }).data.transcriptCueLevel).toBe('word');
+      expect(validateSettings({ transcriptCueLevel: 'off' }).data.transcriptCueLevel).toBe('off');
+      expect(validateSettings({ transcriptCueLevel: 'line' }).data.transcriptCueLevel).toBe('sentence');
+    });
+
+    test('validates custom provider settings', () => {
+      expect(validateSettings({ customProviderUrl: 'ftp://host' }).data.customProviderUrl).toBe('');
+      expect(validateSettings({ customProviderModel: '  ' }).data.customProviderModel).toBe('tts-1');
+      expect(validateSettings({ customProviderVoices: ['a', '', 3, ' b '] }).data.customProviderVoices)
+        .toEqual(['a', 'b']);
+      expect(validateSettings({ customProviderVoices: 'a,b' }).data.customProviderVoices).toEqual([]);
+    });
+
+    test('validates fallback provider order', () => {
+      expect(validateSettings({ fallbackProviders: ['openai', 'nope', 'openai', 'browser'] }).data.fallbackProviders)
+        .toEqual(['openai', 'browser']);
+      expect(validateSettings({ fallbackProviders: 'openai' }).data.fallbackProviders).toEqual([]);
+    });
+
+    test('validates cost confirmation threshold', () => {
+      expect(validateSettings({ costConfirmThreshold: '2.5' }).data.costConfirmThreshold).toBe(2.5);
+      expect(validateSettings({ costConfirmThreshold: 0 }).data.costConfirmThreshold).toBe(0);
+      expect(validateSettings({ costConfirmThreshold: -1 }).data.costConfirmThreshold)
+        .toBe(defaults.costConfirmThreshold);
+      expect(validateSettings({ costConfirmThreshold: 'abc' }).data.costConfirmThreshold)
+        .toBe(defaults.costConfirmThreshold);
+    });
+
+    test('validates spending caps', () => {
+      expect(validateSettings({
+        spendingCaps: {
+          openai: { soft: '2.5', hard: 10 },
+          elevenlabs: { soft: 20, hard: 10 },
+          cartesia: { soft: 0, hard: null },
+          nope: { hard: 5 }
+        }
+      }).data.spendingCaps).toEqual({
+        openai: { soft: 2.5, hard: 10 },
+        elevenlabs: { soft: null, hard: 10 }
+      });
+      expect(validateSettings({ spendingCaps: [] }).data.spendingCaps).toEqual({});
+    });
+
+    test('validates site profiles', () => {
+      expect(validateSettings({
+        siteProfiles: {
+          'https://news.example.pt': { provider: 'elevenlabs', voice: 'abc', mode: 'article', extra: 1 },
+          'https://wiki.example.org': { mode: 'full', speed: 5, wordSyncEnabled: false },
+          'https://docs.example.com/guide': { speed: 1.4 },
+          'about:blank': { speed: 1.2 },
+          'https://empty.example.com': { provider: 'nope' }
+        }
+      }).data.siteProfiles).toEqual({
+        'https://news.example.pt': { provider: 'elevenlabs', voice: 'abc', mode: 'article' },
+        'https://wiki.example.org': { mode: 'full', wordSyncEnabled: false }
+      });
+      expect(validateSettings({ siteProfiles: 'x' }).data.siteProfiles).toEqual({});
+    });
+
+    test('validates extraction rules', () => {
+      expect(validateSettings({
+        extractionRules: [
+          { pattern: ' intranet.example.com/wiki/* ', include: ['#content', ' ', 3], startAfter: ' h1 ' },
+          { pattern: 'intranet.example.com/wiki/*', include: ['main'] },
+          { pattern: 'docs.example.com', include: [], exclude: [] },
+          { include: ['main'] },
+          null
+        ]
+      }).data.extractionRules).toEqual([
+        { pattern: 'intranet.example.com/wiki/*', include: ['#content'], exclude: [], startAfter: 'h1', stopBefore: null }
+      ]);
+      expect(validateSettings({ extractionRules: {} }).data.extractionRules).toEqual([]);
+    });
+
+    test('validates the pronunciation lexicon and normalizers', () => {
+      expect(validateSettings({
+        pronunciationLexicon: [
+          { match: ' SQL ', replacement: 'sequel', language: 'EN', site: ' ' },
+          { match: 'v(\\d+)', replacement: 'version $1', isRegex: true, site: 'docs.example.com' },
+          { match: '(unclosed', isRegex: true },
+          { match: '  ', replacement: 'x' },
+          null
+        ],
+        textNormalizers: { urls: false, numbers: 'no', extra: true }
+      }).data).toEqual(expect.objectContaining({
+        pronunciationLexicon: [
+          { match: 'SQL', replacement: 'sequel', isRegex: false, matchCase: false, language: 'en', site: null },
+          { match: 'v(\\d+)', replacement: 'version $1', isRegex: true, matchCase: false, language: null, site: 'docs.example.com' }
+        ],
+        textNormalizers: { urls: false, emails: true, numbers: true, dates: true, identifiers: true }
+      }));
+    });
+
     test('validates boolean fields', () => {
       expect(validateSettings({ showCostEstimate: true }).data.showCostEstimate).toBe(true);
       expect(validateSettings({ showCostEstimate: false }).data.showCostEstimate).toBe(false);
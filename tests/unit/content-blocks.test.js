@@ -0,0 +1,181 @@
+/**
+ * Unit tests for code block, table and image description reading modes
+ * @module tests/unit/content-blocks.test
+ */
+
+import { TextSegmentMap } from '../../content/text-segment.js';
+import { validateSetting } from '../../shared/config/schema.js';
+import { PlaybackController } from '../../background/playback-controller.js';
+
+const PAGE = `
+  <main id="docs">
+    <h2>Configuring the server</h2>
+    <p>Set the port before starting the server for the first time.</p>
+    <div class="highlight"><pre>const port = 8080;
+if (port >= 1024) {
+  listen(port);
+}</pre></div>
+    <p>Plans differ in price and in the number of seats included.</p>
+    <table>
+      <caption>Plans</caption>
+      <thead><tr><th>Plan</th><th>Price</th><th>Seats</th></tr></thead>
+      <tbody>
+        <tr><td>Basic</td><td>$10</td><td>1</td></tr>
+        <tr><td>Team</td><td colspan="2">Contact us</td></tr>
+      </tbody>
+    </table>
+    <table role="presentation"><tr><td><p>Layout tables are read through their own paragraphs.</p></td></tr></table>
+  </main>
+`;
+
+const RULE = { pattern: 'docs.example.com', include: ['#docs'], exclude: [], startAfter: null, stopBefore: null };
+
+describe('content extractor code blocks and tables', () => {
+  let extractor;
+
+  beforeAll(async () => {
+    await import('../../content/content-scorer.js');
+    await import('../../content/content-extractor.js');
+    extractor = window.VoxPage.contentExtractor;
+  });
+
+  beforeEach(() => {
+    document.body.innerHTML = PAGE;
+  });
+
+  it('should announce code blocks and summarize tables by default', () => {
+    const text = extractor.extractText('article', RULE);
+
+    expect(extractor.getParagraphTexts()).toEqual([
+      'Configuring the server',
+      'Set the port before starting the server for the first time.',
+      'Code block, 4 lines.',
+      'Plans differ in price and in the number of seats included.',
+      'Table: Plans. 2 rows, 3 columns: Plan, Price, Seats.',
+      'Layout tables are read through their own paragraphs.'
+    ]);
+    expect(extractor.getParagraphTags()).toEqual(['H2', 'P', 'PRE', 'P', 'TABLE', 'P']);
+    expect(text).toBe(extractor.getParagraphTexts().join('\n\n'));
+  });
+
+  it('should read code with symbols and tables row by row', () => {
+    extractor.extractText('article', RULE, { code: 'verbalize', table: 'rows' });
+    const texts = extractor.getParagraphTexts();
+
+    expect(texts[2]).toBe([
+      'Code block, 4 lines.',
+      'const port equals 8080 semicolon.',
+      'if open paren port greater or equal 1024 close paren open brace.',
+      'listen open paren port close paren semicolon.',
+      'close brace.'
+    ].join('\n'));
+    expect(texts[4]).toBe('Table: Plans.\nPlan: Basic, Price: $10, Seats: 1.\nPlan: Team, Price: Contact us.');
+  });
+
+  it('should skip blocks and the wrappers around them', () => {
+    extractor.extractText('full', null, { code: 'skip', table: 'skip' });
+    const texts = extractor.getParagraphTexts();
+
+    expect(texts).toContain('Set the port before starting the server for the first time.');
+    expect(texts).toContain('Layout tables are read through their own paragraphs.');
+    expect(texts.some(text => text.includes('8080') || text.includes('Basic'))).toBe(false);
+    expect(extractor.getParagraphMarkup()).toHaveLength(texts.length);
+  });
+
+  it('should find blocks by their spoken text for highlighting', () => {
+    extractor.extractText('article', RULE);
+
+    const pre = document.querySelector('pre');
+    expect(extractor.findElementByText('Code block, 4 lines.')).toBe(pre);
+    expect(extractor.isContentBlock(pre)).toBe(true);
+    expect(extractor.isContentBlock(document.querySelector('p'))).toBe(false);
+    expect(extractor.getParagraphMarkup()[2]).toEqual({ quote: false, emphasis: [] });
+  });
+});
+
+describe('content extractor image descriptions', () => {
+  const FIGURES = `
+    <article>
+      <p>The new dashboard groups every report on a single page.</p>
+      <figure class="wp-block-image">
+        <img src="a.png" alt="Dashboard with three charts">
+        <figcaption>The redesigned dashboard</figcaption>
+      </figure>
+      <p><img src="b.png" alt="Settings menu"></p>
+      <img src="spacer.gif" alt="">
+      <div role="img" aria-label="Sales rising since March"></div>
+      <p>Reports can be exported from the menu in the top right corner.</p>
+    </article>
+  `;
+  let extractor;
+
+  beforeAll(async () => {
+    await import('../../content/content-scorer.js');
+    await import('../../content/content-extractor.js');
+    extractor = window.VoxPage.contentExtractor;
+  });
+
+  beforeEach(() => {
+    document.body.innerHTML = FIGURES;
+  });
+
+  it('should read figures and labelled images in document order when enabled', () => {
+    extractor.extractText('full', null, { figures: true });
+
+    expect(extractor.getParagraphTexts()).toEqual([
+      'The new dashboard groups every report on a single page.',
+      'Figure: The redesigned dashboard. Image: Dashboard with three charts.',
+      'Image: Settings menu.',
+      'Image: Sales rising since March.',
+      'Reports can be exported from the menu in the top right corner.'
+    ]);
+
+    const figure = document.querySelector('figure');
+    expect(extractor.findElementByText('Figure: The redesigned dashboard. Image: Dashboard with three charts.')).toBe(figure);
+    expect(extractor.isContentBlock(figure)).toBe(true);
+  });
+
+  it('should leave images out when disabled', () => {
+    extractor.extractText('full', null, { figures: false });
+
+    expect(extractor.getParagraphTexts().some(text => /^(Image|Figure):/.test(text))).toBe(false);
+    expect(extractor.isContentBlock(document.querySelector('figure'))).toBe(false);
+  });
+});
+
+describe('code and table segments', () => {
+  it('should type blocks and highlight them as a whole', () => {
+    document.body.innerHTML = PAGE;
+    const map = new TextSegmentMap().buildFromElements([...document.querySelectorAll('h2, pre, table')]);
+
+    expect(map.orderedSegments.map(segment => segment.type)).toEqual(['heading', 'code', 'table', 'table']);
+    expect(map.getByIndex(1).words).toEqual([]);
+    expect(map.getByIndex(1).createWordRange(0)).toBeNull();
+    expect(new TextSegmentMap().detectSegmentType(document.createElement('figure'))).toBe('figure');
+  });
+});
+
+describe('code block and table settings', () => {
+  it('should fall back to the defaults for unknown modes', () => {
+    expect(validateSetting('codeBlockMode', 'verbalize').data).toBe('verbalize');
+    expect(validateSetting('codeBlockMode', 'sing').data).toBe('announce');
+    expect(validateSetting('tableMode', 'rows').data).toBe('rows');
+    expect(validateSetting('tableMode', null).data).toBe('summary');
+  });
+
+  it('should send the modes with the extraction request', async () => {
+    browser.storage.local.get.mockResolvedValue({ codeBlockMode: 'skip', tableMode: 'rows' });
+    browser.tabs.sendMessage.mockResolvedValue(undefined);
+    const controller = new PlaybackController({});
+
+    await controller._requestTextFromTab({ id: 3, url: 'https://docs.example.com/' }, 'full');
+
+    expect(browser.tabs.sendMessage.mock.lastCall).toEqual([3, {
+      action: 'extractText',
+      mode: 'full',
+      extractionRule: null,
+      contentBlocks: { code: 'skip', table: 'rows', figures: false },
+      followPage: false
+    }]);
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Unit tests for the pre-playback cost confirmation
+ * @module tests/unit/cost-confirmation.test
+ */
+
+import { jest } from '@jest/globals';
+import { PlaybackController } from '../../background/playback-controller.js';
+import { countParagraphsWithinCost } from '../../background/cost-estimator.js';
+import { providerRegistry } from '../../background/provider-registry.js';
+import { OpenAIProvider } from '../../background/providers/openai-provider.js';
+import { ElevenLabsProvider } from '../../background/providers/elevenlabs-provider.js';
+import { CartesiaProvider } from '../../background/providers/cartesia-provider.js';
+import { CustomOpenAIProvider } from '../../background/providers/custom-openai-provider.js';
+
+// Ten 1000-character paragraphs: $3.00 with ElevenLabs, $0.15 with OpenAI
+const PARAGRAPHS = Array.from({ length: 10 }, (_, i) => String(i).repeat(1000));
+
+beforeAll(() => {
+  providerRegistry.registerProvider(new ElevenLabsProvider('el-key'));
+  providerRegistry.registerProvider(new OpenAIProvider('openai-key'));
+  providerRegistry.registerProvider(new CartesiaProvider(null));
+  providerRegistry.registerProvider(new CustomOpenAIProvider());
+});
+
+describe('countParagraphsWithinCost', () => {
+  it('should count leading paragraphs that fit the limit', () => {
+    expect(countParagraphsWithinCost(PARAGRAPHS, 'elevenlabs', 1)).toBe(3);
+    expect(countParagraphsWithinCost(PARAGRAPHS, 'elevenlabs', 0.1)).toBe(0);
+    expect(countParagraphsWithinCost(PARAGRAPHS, 'openai', 1)).toBe(10);
+  });
+});
+
+describe('PlaybackController cost confirmation', () => {
+  let uiCoordinator;
+  let controller;
+
+  function mockSettings(settings) {
+    browser.storage.local.get.mockResolvedValue(settings);
+    browser.storage.local.set.mockResolvedValue(undefined);
+  }
+
+  beforeEach(() => {
+    mockSettings({ showCostEstimate: true, costConfirmThreshold: 1 });
+    uiCoordinator = {
+      notifyError: jest.fn(),
+      notifyStatus: jest.fn(),
+      notifyPlaybackState: jest.fn(),
+      notifyProgress: jest.fn(),
+      requestCostConfirmation: jest.fn(),
+      notifyCostConfirmationResolved: jest.fn(),
+      hideStickyFooter: jest.fn()
+    };
+    controller = new PlaybackController({
+      providerRegistry,
+      uiCoordinator,
+      audioGenerator: { isBrowserTTS: () => false }
+    });
+    controller.state.currentProvider = 'elevenlabs';
+    jest.spyOn(controller, '_startArticle').mockResolvedValue(undefined);
+    jest.spyOn(controller, '_saveReadingPosition').mockImplementation(() => {});
+  });
+
+  it('should hold an article above the threshold and describe the cost', async () => {
+    await controller.processTextContent(PARAGRAPHS.join('\n\n'), 'full', PARAGRAPHS, null, { tabId: 7 });
+
+    expect(controller._startArticle).not.toHaveBeenCalled();
+    expect(uiCoordinator.requestCostConfirmation).toHaveBeenCalledWith({
+      provider: 'elevenlabs',
+      providerName: 'ElevenLabs',
+      characters: PARAGRAPHS.join('\n\n').length,
+      cost: expect.stringMatching(/^\$3\.0/),
+      threshold: '$1.00',
+      paragraphCount: 10,
+      affordableParagraphs: 3,
+      alternatives: [{ provider: 'openai', name: 'OpenAI', cost: expect.stringMatching(/^\$0\.15/) }]
+    }, 7);
+    expect(controller.getState().costConfirmation.provider).toBe('elevenlabs');
+  });
+
+  it('should start right away below the threshold or when confirmation is off', async () => {
+    mockSettings({ showCostEstimate: true, costConfirmThreshold: 5 });
+    await controller.processTextContent('Short', 'full', PARAGRAPHS);
+    expect(controller._startArticle).toHaveBeenCalledWith(0);
+
+    mockSettings({ showCostEstimate: false, costConfirmThreshold: 0 });
+    await controller.processTextContent('Short', 'full', PARAGRAPHS);
+    expect(controller._startArticle).toHaveBeenCalledTimes(2);
+    expect(uiCoordinator.requestCostConfirmation).not.toHaveBeenCalled();
+  });
+
+  it('should play only the confirmed paragraphs', async () => {
+    await controller.processTextContent('Long', 'full', PARAGRAPHS);
+    await controller.confirmCostPlayback({ paragraphLimit: '3' });
+
+    expect(controller.stopAtIndex).toBe(3);
+    expect(controller._startArticle).toHaveBeenCalledWith(0);
+    expect(uiCoordinator.notifyCostConfirmationResolved).toHaveBeenCalled();
+    expect(controller.getState().costConfirmation).toBeNull();
+
+    jest.spyOn(controller, 'handleStop').mockImplementation(() => {});
+    controller.state.isPlaying = true;
+    controller.state.currentIndex = 2;
+    controller._onParagraphEnded();
+
+    expect(controller.handleStop).toHaveBeenCalled();
+    expect(uiCoordinator.notifyStatus).toHaveBeenCalledWith(expect.stringMatching(/paragraph limit/));
+  });
+
+  it('should switch to a cheaper provider when one is picked', async () => {
+    jest.spyOn(controller, 'setProvider').mockImplementation((id) => {
+      controller.state.currentProvider = id;
+    });
+    await controller.processTextContent('Long', 'full', PARAGRAPHS);
+    await controller.confirmCostPlayback({ provider: 'openai' });
+
+    expect(controller.setProvider).toHaveBeenCalledWith('openai');
+    expect(controller.stopAtIndex).toBeNull();
+    expect(controller._startArticle).toHaveBeenCalledWith(0);
+  });
+
+  it('should drop the article on cancel', async () => {
+    await controller.processTextContent('Long', 'full', PARAGRAPHS);
+    controller.cancelCostPlayback();
+
+    expect(controller.pendingCostConfirmation).toBeNull();
+    expect(uiCoordinator.hideStickyFooter).toHaveBeenCalled();
+
+    await controller.confirmCostPlayback();
+    expect(controller._startArticle).not.toHaveBeenCalled();
+  });
+});
+
+describe('pre-generation within the confirmed paragraphs', () => {
+  it('should not pre-generate paragraphs past the confirmed limit', async () => {
+    const audioGenerator = {
+      canStream: () => false,
+      generateAudioWithTiming: jest.fn().mockResolvedValue({ audioData: new ArrayBuffer(8), wordTiming: null }),
+      playAudio: jest.fn(() => ({ currentTime: 0 })),
+      preGenerateNextParagraphs: jest.fn()
+    };
+    const controller = new PlaybackController({ audioGenerator });
+    jest.spyOn(controller.syncState, 'start').mockImplementation(() => {});
+    jest.spyOn(controller, '_cacheGeneratedAudio').mockImplementation(() => {});
+    controller.state.paragraphs = ['First confirmed', 'Second confirmed', 'Declined', 'Also declined'];
+    controller.stopAtIndex = 2;
+
+    await controller._playWithTTSProvider(controller._getSpokenParagraph(0), { provider: 'openai', voice: 'alloy' });
+
+    expect(audioGenerator.preGenerateNextParagraphs.mock.lastCall[0]).toEqual(['First confirmed', 'Second confirmed']);
+  });
+});
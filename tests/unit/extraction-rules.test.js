@@ -0,0 +1,229 @@
+/**
+ * Unit tests for user-defined article extraction rules
+ * @module tests/unit/extraction-rules.test
+ */
+
+import { jest } from '@jest/globals';
+import {
+  matchesUrlPattern,
+  findExtractionRule,
+  patternForUrl,
+  upsertExtractionRule
+} from '../../shared/config/extraction-rules.js';
+import { createRouter } from '../../background/message-router.js';
+import { MessageType } from '../../background/constants.js';
+
+const PAGE = `
+  <nav><p>Home · Products · Documentation · Support · Contact us</p></nav>
+  <main id="docs">
+    <div class="toc"><p>On this page: Installing, Configuring, Running the server</p></div>
+    <h2 class="title">Installing the command line tools</h2>
+    <p>Download the archive for your platform and unpack it anywhere on your path.</p>
+    <div class="callout"><p>Administrators can install the tools for every user at once.</p></div>
+    <p>Run the version command to check that the installation worked.</p>
+    <hr class="end">
+    <p>Was this page helpful? Let us know in the feedback form below.</p>
+  </main>
+  <footer><p>Copyright Example Corporation. All rights reserved worldwide.</p></footer>
+`;
+
+describe('extraction rule matching', () => {
+  it('should match URLs against wildcard patterns', () => {
+    expect(matchesUrlPattern('https://docs.example.com/guide/*', 'https://docs.example.com/guide/install#top')).toBe(true);
+    expect(matchesUrlPattern('https://docs.example.com/guide/*', 'https://docs.example.com/api/')).toBe(false);
+    expect(matchesUrlPattern('*.example.com/*', 'http://wiki.example.com/page')).toBe(true);
+    expect(matchesUrlPattern('https://x.org/read?id=*', 'https://x.org/read?id=4')).toBe(true);
+  });
+
+  it('should treat a bare host as the whole site on http and https', () => {
+    expect(matchesUrlPattern('docs.example.com', 'https://docs.example.com/a/b')).toBe(true);
+    expect(matchesUrlPattern('docs.example.com', 'http://docs.example.com/')).toBe(true);
+    expect(matchesUrlPattern('example.com', 'https://example.com.evil.io/')).toBe(false);
+  });
+
+  it('should not match a site named in another site\'s path or query', () => {
+    expect(matchesUrlPattern('docs.example.com', 'https://evil.com/r?u=https://docs.example.com/x')).toBe(false);
+    expect(matchesUrlPattern('*.example.com/*', 'https://evil.com/?u=.example.com/')).toBe(false);
+    expect(matchesUrlPattern('*.example.com/*', 'https://evil.com?.example.com/')).toBe(false);
+    expect(matchesUrlPattern('*.example.com/*', 'https://x.example.com@evil.com/')).toBe(false);
+    expect(matchesUrlPattern('docs.example.com', 'ftp://docs.example.com/')).toBe(false);
+    expect(matchesUrlPattern('*://docs.example.com/*', 'https://evil.com/docs.example.com/')).toBe(false);
+  });
+
+  it('should allow a port unless the pattern names one', () => {
+    expect(matchesUrlPattern('localhost', 'http://localhost:8080/app')).toBe(true);
+    expect(matchesUrlPattern('localhost:3000', 'http://localhost:8080/app')).toBe(false);
+  });
+
+  it('should prefer the most specific matching rule', () => {
+    const rules = [
+      { pattern: 'docs.example.com', include: ['main'] },
+      { pattern: 'https://docs.example.com/guide/*', include: ['#content'] }
+    ];
+
+    expect(findExtractionRule(rules, 'https://docs.example.com/guide/x').include).toEqual(['#content']);
+    expect(findExtractionRule(rules, 'https://docs.example.com/blog').include).toEqual(['main']);
+    expect(findExtractionRule(rules, 'https://example.org/')).toBeNull();
+    expect(findExtractionRule(undefined, 'https://docs.example.com/')).toBeNull();
+  });
+
+  it('should suggest a site-wide pattern and replace rules by pattern', () => {
+    expect(patternForUrl('https://docs.example.com/guide/x?y=1')).toBe('https://docs.example.com/*');
+    expect(patternForUrl('about:blank')).toBeNull();
+
+    const rules = [{ pattern: 'a.com', include: ['main'] }, { pattern: 'b.com', include: ['article'] }];
+    expect(upsertExtractionRule(rules, { pattern: 'a.com', include: ['#x'] })).toEqual([
+      { pattern: 'b.com', include: ['article'] },
+      { pattern: 'a.com', include: ['#x'] }
+    ]);
+  });
+});
+
+describe('content extractor with a rule', () => {
+  let extractor;
+
+  beforeAll(async () => {
+    await import('../../content/content-scorer.js');
+    await import('../../content/content-extractor.js');
+    extractor = window.VoxPage.contentExtractor;
+  });
+
+  beforeEach(() => {
+    document.body.innerHTML = PAGE;
+  });
+
+  it('should read only the included blocks, minus excluded ones', () => {
+    const text = extractor.extractText('article', {
+      pattern: 'docs.example.com',
+      include: ['#docs'],
+      exclude: ['.toc', '.callout'],
+      startAfter: null,
+      stopBefore: null
+    });
+
+    expect(extractor.getParagraphTexts()).toEqual([
+      'Installing the command line tools',
+      'Download the archive for your platform and unpack it anywhere on your path.',
+      'Run the version command to check that the installation worked.',
+      'Was this page helpful? Let us know in the feedback form below.'
+    ]);
+    expect(text).toBe(extractor.getParagraphTexts().join('\n\n'));
+  });
+
+  it('should read only between the start and stop elements', () => {
+    extractor.extractText('article', {
+      pattern: 'docs.example.com',
+      include: [],
+      exclude: ['.callout'],
+      startAfter: 'h2.title',
+      stopBefore: 'hr.end'
+    });
+
+    expect(extractor.getParagraphTexts()).toEqual([
+      'Download the archive for your platform and unpack it anywhere on your path.',
+      'Run the version command to check that the installation worked.'
+    ]);
+  });
+
+  it('should fall back to automatic extraction when the rule matches nothing', () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    extractor.extractText('article', { pattern: 'x', include: ['#missing', 'p:bad('], exclude: [] });
+
+    expect(log).toHaveBeenCalledWith(expect.stringContaining('matched nothing'));
+    log.mockRestore();
+  });
+});
+
+describe('rule picker selectors', () => {
+  let picker;
+
+  beforeAll(async () => {
+    await import('../../content/rule-picker.js');
+    picker = window.VoxPage.rulePicker;
+  });
+
+  beforeEach(() => {
+    document.body.innerHTML = PAGE;
+  });
+
+  it('should build selectors that match only the clicked element', () => {
+    const targets = [
+      document.getElementById('docs'),
+      document.querySelector('.callout p'),
+      document.querySelectorAll('main > p')[1],
+      document.querySelector('footer p')
+    ];
+
+    for (const target of targets) {
+      const selector = picker.buildSelector(target);
+      expect(document.querySelectorAll(selector)).toHaveLength(1);
+      expect(document.querySelector(selector)).toBe(target);
+    }
+    expect(picker.buildSelector(targets[0])).toBe('#docs');
+  });
+
+  it('should toggle picked elements into the rule', () => {
+    picker.start({ pattern: 'https://docs.example.com/*', include: ['#docs'] });
+    const callout = document.querySelector('.callout');
+
+    callout.dispatchEvent(new MouseEvent('click', { bubbles: true }));
+    expect(picker.getRule().include).toEqual(['#docs', picker.buildSelector(callout)]);
+    callout.dispatchEvent(new MouseEvent('click', { bubbles: true }));
+    expect(picker.getRule().include).toEqual(['#docs']);
+
+    picker.stop();
+    expect(picker.isActive()).toBe(false);
+    expect(document.querySelector('.voxpage-pick-include')).toBeNull();
+  });
+});
+
+describe('extraction rule routing', () => {
+  let router;
+
+  beforeEach(() => {
+    browser.storage.local.set.mockResolvedValue(undefined);
+    browser.tabs.sendMessage.mockResolvedValue(undefined);
+    router = createRouter({});
+  });
+
+  function route(message) {
+    return new Promise(resolve => router.route(message, {}, resolve));
+  }
+
+  it('should open the picker with the rule for the active page', async () => {
+    const rule = { pattern: 'docs.example.com', include: ['main'], exclude: [], startAfter: null, stopBefore: null };
+    browser.storage.local.get.mockResolvedValue({ extractionRules: [rule] });
+    browser.tabs.query.mockResolvedValue([{ id: 5, url: 'https://docs.example.com/guide' }]);
+
+    expect(await route({ action: MessageType.START_RULE_PICKER })).toEqual({ success: true });
+    expect(browser.tabs.sendMessage).toHaveBeenCalledWith(5, { action: MessageType.START_RULE_PICKER, rule });
+  });
+
+  it('should start a site-wide rule when the page has none', async () => {
+    browser.storage.local.get.mockResolvedValue({});
+    browser.tabs.query.mockResolvedValue([{ id: 5, url: 'https://docs.example.com/guide' }]);
+
+    await route({ action: MessageType.START_RULE_PICKER });
+
+    expect(browser.tabs.sendMessage.mock.lastCall[1].rule).toEqual(
+      expect.objectContaining({ pattern: 'https://docs.example.com/*', include: [] })
+    );
+  });
+
+  it('should replace the saved rule with the same pattern', async () => {
+    browser.storage.local.get.mockResolvedValue({
+      extractionRules: [{ pattern: 'docs.example.com', include: ['main'] }]
+    });
+
+    const response = await route({
+      action: MessageType.SAVE_EXTRACTION_RULE,
+      rule: { pattern: 'docs.example.com', include: ['#docs'], exclude: ['.toc'] }
+    });
+
+    expect(response).toEqual({ success: true });
+    expect(browser.storage.local.set).toHaveBeenCalledWith({
+      extractionRules: [{ pattern: 'docs.example.com', include: ['#docs'], exclude: ['.toc'], startAfter: null, stopBefore: null }]
+    });
+  });
+});
@@ -0,0 +1,222 @@
+/**
+ * Unit tests for extraction and highlighting across frames and shadow roots
+ * @module tests/unit/frame-content.test
+ */
+
+import { jest } from '@jest/globals';
+import { UICoordinator } from '../../background/ui-coordinator.js';
+import { createRouter } from '../../background/message-router.js';
+import { TextContentMessageSchema, validateIncomingMessage } from '../../shared/message-schemas.js';
+
+const SHADOW_PARAGRAPHS = [
+  'Version four rewrites the sync engine so that large libraries open in seconds.',
+  'Offline edits are now merged on reconnect instead of being kept as conflicting copies.',
+  'Shared folders show who changed a file last and when the change was made.'
+];
+
+describe('shadow DOM extraction', () => {
+  let extractor;
+
+  beforeAll(async () => {
+    await import('../../content/content-scorer.js');
+    await import('../../content/content-extractor.js');
+    extractor = window.VoxPage.contentExtractor;
+  });
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <main>
+        <p>Release notes for the desktop app, published on the first of the month.</p>
+        <release-notes></release-notes>
+        <p>Older releases are listed on the archive page with their own notes.</p>
+      </main>`;
+    const shadow = document.querySelector('release-notes').attachShadow({ mode: 'open' });
+    shadow.innerHTML = `<section>${SHADOW_PARAGRAPHS.map(text => `<p>${text}</p>`).join('')}</section>`;
+  });
+
+  it('should read paragraphs in open shadow roots in page order', () => {
+    const expected = [
+      'Release notes for the desktop app, published on the first of the month.',
+      ...SHADOW_PARAGRAPHS,
+      'Older releases are listed on the archive page with their own notes.'
+    ];
+
+    extractor.extractText('full');
+    expect(extractor.getParagraphTexts()).toEqual(expected);
+
+    extractor.extractText('article');
+    expect(extractor.getParagraphTexts()).toEqual(expected);
+    expect(extractor.findElementByText(SHADOW_PARAGRAPHS[1]).getRootNode()).toBeInstanceOf(ShadowRoot);
+  });
+
+  it('should link the highlight styles into the shadow root once', async () => {
+    await import('../../content/highlight-manager.js');
+    browser.runtime.getURL = jest.fn(path => `moz-extension://voxpage/${path}`);
+    Element.prototype.scrollIntoView = jest.fn();
+    extractor.extractText('full');
+
+    window.VoxPage.highlightManager.highlightParagraph(2, SHADOW_PARAGRAPHS[1]);
+    window.VoxPage.highlightManager.highlightParagraph(3, SHADOW_PARAGRAPHS[2]);
+
+    const shadow = document.querySelector('release-notes').shadowRoot;
+    expect(shadow.querySelectorAll('link[data-voxpage-styles]')).toHaveLength(1);
+    expect(shadow.querySelector('link').href).toBe('moz-extension://voxpage/styles/content.css');
+    expect(shadow.querySelector('.voxpage-highlight').textContent).toBe(SHADOW_PARAGRAPHS[2]);
+  });
+});
+
+describe('frame collector', () => {
+  let collector;
+
+  beforeAll(async () => {
+    await import('../../content/content-scorer.js');
+    await import('../../content/content-extractor.js');
+    await import('../../content/frame-collector.js');
+    collector = window.VoxPage.frameCollector;
+  });
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <main>
+        <p>The course starts with a short overview of what each lesson covers.</p>
+        <iframe id="lesson"></iframe>
+        <iframe id="empty"></iframe>
+        <p>Questions about the lesson can be posted in the discussion forum.</p>
+      </main>`;
+    document.getElementById('lesson').contentDocument.body.innerHTML =
+      '<p>Lesson one explains how to set up the project on your own machine.</p>';
+    browser.runtime.getFrameId = jest.fn(() => 4);
+    browser.runtime.sendMessage.mockResolvedValue({
+      paragraphs: ['Lesson one explains how to set up the project.', 'A quiz follows the lesson.'],
+      paragraphTags: ['P', 'P'],
+      paragraphMarkup: [{ quote: false, emphasis: [] }, { quote: false, emphasis: [] }],
+      paragraphFrames: [{ frameId: null, index: 0 }, { frameId: 9, index: 0 }]
+    });
+  });
+
+  it('should only read same-origin frames with text', () => {
+    expect(collector.findContentFrames('full').map(frame => frame.id)).toEqual(['lesson']);
+  });
+
+  it('should splice frame paragraphs in where the frame sits', async () => {
+    const content = await collector.extractWithFrames({ action: 'extractText', mode: 'full', contentBlocks: { code: 'skip' } });
+
+    expect(browser.runtime.sendMessage.mock.lastCall[0]).toEqual({
+      action: 'extractFrameText',
+      frameId: 4,
+      mode: 'full',
+      extractionRule: undefined,
+      contentBlocks: { code: 'skip' }
+    });
+    expect(content.paragraphs).toEqual([
+      'The course starts with a short overview of what each lesson covers.',
+      'Lesson one explains how to set up the project.',
+      'A quiz follows the lesson.',
+      'Questions about the lesson can be posted in the discussion forum.'
+    ]);
+    // Own paragraphs stay null for the frame above; nested frames keep their ids
+    expect(content.paragraphFrames).toEqual([
+      { frameId: null, index: 0 },
+      { frameId: 4, index: 0 },
+      { frameId: 9, index: 0 },
+      { frameId: null, index: 1 }
+    ]);
+    expect(content.paragraphTags).toHaveLength(4);
+    expect(content.text).toBe(content.paragraphs.join('\n\n'));
+  });
+
+  it('should keep its own paragraphs when a frame does not answer', async () => {
+    browser.runtime.sendMessage.mockRejectedValue(new Error('No frame'));
+    const content = await collector.extractWithFrames({ action: 'extractText', mode: 'full' });
+
+    expect(content.paragraphs).toHaveLength(2);
+    expect(content.paragraphFrames.every(target => target.frameId === null)).toBe(true);
+  });
+});
+
+describe('UICoordinator frame routing', () => {
+  let coordinator;
+
+  beforeEach(() => {
+    browser.tabs.query.mockResolvedValue([{ id: 12 }]);
+    browser.tabs.sendMessage.mockResolvedValue(undefined);
+    coordinator = new UICoordinator();
+    coordinator.setParagraphFrames([{ frameId: 0, index: 0 }, { frameId: 4, index: 0 }, { frameId: 4, index: 1 }]);
+  });
+
+  it('should send highlights to the frame holding the paragraph', async () => {
+    await coordinator.highlightParagraph(0, 'Intro');
+    expect(browser.tabs.sendMessage.mock.lastCall[2]).toEqual({ frameId: 0 });
+
+    await coordinator.highlightParagraph(2, 'Quiz');
+    const calls = browser.tabs.sendMessage.mock.calls.slice(-2);
+    expect(calls[0][1]).toEqual({ action: 'clearHighlight' });
+    expect(calls[0][2]).toEqual({ frameId: 0 });
+    expect(calls[1][1]).toMatchObject({ action: 'highlight', index: 1 });
+    expect(calls[1][2]).toEqual({ frameId: 4 });
+
+    await coordinator.highlightWord(2, 3, 100);
+    expect(browser.tabs.sendMessage.mock.lastCall).toEqual([12,
+      { action: 'highlightWord', paragraphIndex: 1, wordIndex: 3, timestamp: 100 }, { frameId: 4 }]);
+  });
+
+  it('should map frame paragraph indexes back to the article', () => {
+    expect(coordinator.paragraphFromFrame(4, 1)).toBe(2);
+    expect(coordinator.paragraphFromFrame(0, 0)).toBe(0);
+
+    coordinator.setParagraphFrames([]);
+    expect(coordinator.paragraphFromFrame(0, 5)).toBe(5);
+    expect(coordinator._frameTarget(5)).toEqual({ frameId: 0, index: 5 });
+  });
+});
+
+describe('frame messages in the router', () => {
+  it('should relay extraction to the child frame and answer with its content', async () => {
+    const content = { paragraphs: ['From the frame'] };
+    browser.tabs.sendMessage.mockResolvedValue(content);
+    const router = createRouter({});
+
+    const response = await new Promise(resolve => router.route(
+      { action: 'extractFrameText', frameId: 4, mode: 'article', contentBlocks: {} },
+      { tab: { id: 12 }, frameId: 0 },
+      resolve
+    ));
+
+    expect(browser.tabs.sendMessage.mock.lastCall).toEqual([12,
+      { action: 'extractFrameText', mode: 'article', extractionRule: undefined, contentBlocks: {} }, { frameId: 4 }]);
+    expect(response).toBe(content);
+  });
+
+  it('should jump to the article paragraph clicked in a frame', () => {
+    const playbackController = { jumpToParagraph: jest.fn(), uiCoordinator: new UICoordinator() };
+    playbackController.uiCoordinator.setParagraphFrames([{ frameId: 0, index: 0 }, { frameId: 4, index: 0 }]);
+    const router = createRouter({ playbackController });
+
+    router.route({ action: 'jumpToParagraph', index: 0 }, { tab: { id: 12 }, frameId: 4 }, () => {});
+    expect(playbackController.jumpToParagraph).toHaveBeenCalledWith(1);
+  });
+
+  it('should validate paragraph frames and frame extraction messages', () => {
+    expect(TextContentMessageSchema.safeParse({
+      action: 'textContent', paragraphs: ['a'], paragraphFrames: [{ frameId: 4, index: 0 }]
+    }).success).toBe(true);
+    expect(validateIncomingMessage({ action: 'extractFrameText', frameId: 4, mode: 'full' }).success).toBe(true);
+    expect(validateIncomingMessage({ action: 'extractFrameText', frameId: -1, mode: 'full' }).success).toBe(false);
+  });
+});
+
+describe('content script entry point', () => {
+  it('should load and register its message listener', async () => {
+    const addListener = jest.spyOn(browser.runtime.onMessage, 'addListener');
+    const extractWithFrames = jest.fn().mockResolvedValue({ paragraphs: [] });
+    window.VoxPage = { ...window.VoxPage, frameCollector: { extractWithFrames } };
+
+    await import('../../content/index.js');
+
+    expect(window.VoxPage._indexInitialized).toBe(true);
+    const listener = addListener.mock.lastCall[0];
+    listener({ action: 'extractFrameText', mode: 'full' }, {}, () => {});
+    expect(extractWithFrames).toHaveBeenCalledWith({ action: 'extractFrameText', mode: 'full' });
+    addListener.mockRestore();
+  });
+});
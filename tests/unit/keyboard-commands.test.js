@@ -0,0 +1,167 @@
+/**
+ * Unit tests for global keyboard shortcuts
+ * @module tests/unit/keyboard-commands.test
+ */
+
+import { jest } from '@jest/globals';
+import { readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { shortcutFromKeyEvent, formatShortcut } from '../../shared/shortcut-keys.js';
+import { createRouter } from '../../background/message-router.js';
+import { PlaybackController } from '../../background/playback-controller.js';
+import { CommandId, MessageType, SPEED_STEP } from '../../background/constants.js';
+
+const projectRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+
+/**
+ * Build a keydown-like event
+ */
+function keyEvent(code, modifiers = {}) {
+  return { code, altKey: false, ctrlKey: false, metaKey: false, shiftKey: false, ...modifiers };
+}
+
+describe('manifest commands', () => {
+  it('should declare every command the router handles', () => {
+    const manifest = JSON.parse(readFileSync(path.join(projectRoot, 'manifest.json'), 'utf8'));
+
+    expect(Object.keys(manifest.commands).sort()).toEqual(Object.values(CommandId).sort());
+    for (const command of Object.values(manifest.commands)) {
+      expect(command.description).toBeTruthy();
+      expect(command.suggested_key.default).toMatch(/^Alt(\+Shift)?\+([A-Z]|Period|Comma|Up|Down)$/);
+    }
+  });
+});
+
+describe('shortcutFromKeyEvent', () => {
+  it('should build shortcuts from physical keys', () => {
+    expect(shortcutFromKeyEvent(keyEvent('KeyP', { altKey: true })).shortcut).toBe('Alt+P');
+    expect(shortcutFromKeyEvent(keyEvent('Period', { altKey: true })).shortcut).toBe('Alt+Period');
+    expect(shortcutFromKeyEvent(keyEvent('ArrowUp', { altKey: true, shiftKey: true })).shortcut).toBe('Alt+Shift+Up');
+    expect(shortcutFromKeyEvent(keyEvent('Digit3', { ctrlKey: true, altKey: true })).shortcut).toBe('Ctrl+Alt+3');
+    expect(shortcutFromKeyEvent(keyEvent('F8')).shortcut).toBe('F8');
+  });
+
+  it('should use macOS modifier names on a Mac', () => {
+    const event = keyEvent('KeyR', { ctrlKey: true, metaKey: true });
+
+    expect(shortcutFromKeyEvent(event, { isMac: true }).shortcut).toBe('MacCtrl+Command+R');
+    expect(shortcutFromKeyEvent(event).error).toMatch(/Windows\/Super/);
+  });
+
+  it('should wait while only modifiers are held', () => {
+    expect(shortcutFromKeyEvent(keyEvent('AltLeft', { altKey: true }))).toEqual({ shortcut: null, error: null });
+  });
+
+  it('should reject combinations the browser cannot bind', () => {
+    expect(shortcutFromKeyEvent(keyEvent('KeyP')).error).toMatch(/Include/);
+    expect(shortcutFromKeyEvent(keyEvent('KeyP', { shiftKey: true })).error).toMatch(/Include/);
+    expect(shortcutFromKeyEvent(keyEvent('KeyP', { ctrlKey: true, altKey: true, shiftKey: true })).error)
+      .toMatch(/at most two/);
+    expect(shortcutFromKeyEvent(keyEvent('Backquote', { altKey: true })).error).toMatch(/cannot be used/);
+  });
+});
+
+describe('formatShortcut', () => {
+  it('should label punctuation, arrows and macOS modifiers', () => {
+    expect(formatShortcut('Alt+Period')).toEqual(['Alt', '.']);
+    expect(formatShortcut('MacCtrl+Shift+Down')).toEqual(['Ctrl', 'Shift', '↓']);
+    expect(formatShortcut('')).toEqual([]);
+  });
+});
+
+describe('keyboard command routing', () => {
+  let playbackController;
+  let router;
+
+  function runCommand(command, tab = { id: 4 }) {
+    router.route({ action: MessageType.KEYBOARD_COMMAND, command }, { tab }, () => {});
+  }
+
+  beforeEach(() => {
+    playbackController = {
+      togglePlayback: jest.fn(),
+      handleStop: jest.fn(),
+      handleNext: jest.fn(),
+      handlePrev: jest.fn(),
+      changeSpeed: jest.fn(),
+      playSelection: jest.fn()
+    };
+    router = createRouter({ playbackController });
+  });
+
+  it('should send each command to the playback controller', () => {
+    runCommand(CommandId.PLAY_PAUSE);
+    runCommand(CommandId.STOP);
+    runCommand(CommandId.NEXT);
+    runCommand(CommandId.PREV);
+    runCommand(CommandId.SPEED_UP);
+    runCommand(CommandId.SPEED_DOWN);
+    runCommand(CommandId.READ_SELECTION);
+
+    expect(playbackController.togglePlayback).toHaveBeenCalledWith({ id: 4 });
+    expect(playbackController.handleStop).toHaveBeenCalled();
+    expect(playbackController.handleNext).toHaveBeenCalled();
+    expect(playbackController.handlePrev).toHaveBeenCalled();
+    expect(playbackController.changeSpeed.mock.calls).toEqual([[SPEED_STEP], [-SPEED_STEP]]);
+    expect(playbackController.playSelection).toHaveBeenCalled();
+  });
+});
+
+describe('PlaybackController shortcut actions', () => {
+  let uiCoordinator;
+  let controller;
+
+  beforeEach(() => {
+    browser.storage.local.get.mockResolvedValue({});
+    browser.storage.local.set.mockResolvedValue(undefined);
+    uiCoordinator = {
+      notifyStatus: jest.fn(),
+      notifyPlaybackState: jest.fn(),
+      sendFooterStateUpdate: jest.fn()
+    };
+    controller = new PlaybackController({ uiCoordinator });
+  });
+
+  it('should step the speed within its limits', () => {
+    controller.state.speed = 1.0;
+    expect(controller.changeSpeed(SPEED_STEP)).toBe(1.25);
+    expect(uiCoordinator.notifyStatus).toHaveBeenCalledWith('Speed 1.25x');
+
+    controller.state.speed = 1.9;
+    expect(controller.changeSpeed(SPEED_STEP)).toBe(2);
+
+    controller.state.speed = 0.6;
+    expect(controller.changeSpeed(-SPEED_STEP)).toBe(0.5);
+    expect(uiCoordinator.sendFooterStateUpdate).toHaveBeenCalledWith(controller.state);
+  });
+
+  it('should pause, resume or start depending on the state', async () => {
+    jest.spyOn(controller, 'handlePause').mockImplementation(() => {});
+    jest.spyOn(controller, 'handleResume').mockImplementation(() => {});
+    jest.spyOn(controller, 'handlePlay').mockResolvedValue(undefined);
+
+    controller.state.isPlaying = true;
+    await controller.togglePlayback();
+    expect(controller.handlePause).toHaveBeenCalled();
+
+    controller.state.isPlaying = false;
+    controller.state.isPaused = true;
+    await controller.togglePlayback();
+    expect(controller.handleResume).toHaveBeenCalled();
+
+    controller.state.isPaused = false;
+    await controller.togglePlayback({ id: 9 });
+    expect(controller.handlePlay).toHaveBeenCalledWith({}, { id: 9 });
+  });
+
+  it('should read the selection without changing the reading mode', async () => {
+    controller.state.mode = 'article';
+    const request = jest.spyOn(controller, '_requestTextFromActiveTab').mockResolvedValue(true);
+
+    await controller.playSelection();
+
+    expect(request).toHaveBeenCalledWith('selection');
+    expect(controller.state.mode).toBe('article');
+  });
+});
@@ -0,0 +1,254 @@
+/**
+ * Unit tests for offline word timing estimation
+ * @module tests/unit/local-alignment-provider.test
+ */
+
+import { jest } from '@jest/globals';
+import {
+  LocalAlignmentProvider,
+  tokenizeWords,
+  countSyllables,
+  computeFrameEnergy,
+  findSpeechSegments,
+  estimateWordTimeline
+} from '../../background/providers/local-alignment-provider.js';
+import { AudioGenerator } from '../../background/audio-generator.js';
+import { PlaybackController } from '../../background/playback-controller.js';
+import { audioCache } from '../../background/audio-cache.js';
+import { persistentAudioCache } from '../../background/persistent-audio-cache.js';
+import { LocalAlignment } from '../../background/constants.js';
+
+const SAMPLE_RATE = 16000;
+
+/**
+ * Synthesize a tone during each speech span and near-silence elsewhere
+ * @param {Array<[number, number]>} spans - Speech [startMs, endMs]
+ * @param {number} durationMs
+ * @returns {Float32Array}
+ */
+function synthesize(spans, durationMs) {
+  const samples = new Float32Array(Math.round(SAMPLE_RATE * durationMs / 1000));
+  for (let i = 0; i < samples.length; i++) {
+    const ms = (i / SAMPLE_RATE) * 1000;
+    const speaking = spans.some(([start, end]) => ms >= start && ms < end);
+    samples[i] = (speaking ? 0.5 : 0.001) * Math.sin(i * 0.3);
+  }
+  return samples;
+}
+
+describe('tokenizeWords', () => {
+  it('should keep offsets, skip markup and note the pause after each word', () => {
+    const text = '"Hello," she said <break time="1s"/> — then left.';
+    const words = tokenizeWords(text);
+
+    expect(words.map(({ word, pause }) => [word, pause])).toEqual([
+      ['Hello', 1], ['she', 0], ['said', 0], ['then', 0], ['left', 2]
+    ]);
+    expect(words[0]).toMatchObject({ charOffset: 1, charLength: 7 });
+    expect(words[4]).toMatchObject({ charOffset: text.indexOf('left'), charLength: 5 });
+  });
+});
+
+describe('countSyllables', () => {
+  it('should weigh words by how long they take to say', () => {
+    expect(countSyllables('cake')).toBe(1);
+    expect(countSyllables('wonderful')).toBe(3);
+    expect(countSyllables('sentence')).toBe(2);
+    expect(countSyllables('2024')).toBe(6);
+    expect(countSyllables('日本語')).toBe(2);
+  });
+});
+
+describe('findSpeechSegments', () => {
+  it('should split speech on pauses and merge short gaps', () => {
+    // The 60 ms gap is within speech, the 400 ms gap is a pause
+    const samples = synthesize([[100, 500], [560, 1000], [1400, 2000]], 2300);
+    const segments = findSpeechSegments(computeFrameEnergy(samples, SAMPLE_RATE));
+
+    expect(segments).toEqual([
+      { startMs: 100, endMs: 1000 },
+      { startMs: 1400, endMs: 2000 }
+    ]);
+  });
+
+  it('should find nothing in silence', () => {
+    expect(findSpeechSegments(computeFrameEnergy(new Float32Array(16000), SAMPLE_RATE))).toEqual([]);
+  });
+});
+
+describe('estimateWordTimeline', () => {
+  const text = 'Hello there, my friend. This is a wonderful example sentence. Goodbye now.';
+  const samples = synthesize([[100, 1000], [1400, 2600], [3000, 3500]], 3700);
+
+  it('should return a WordTimeline with words aligned to the pauses at punctuation', () => {
+    const timeline = estimateWordTimeline(samples, SAMPLE_RATE, text);
+
+    expect(timeline).toMatchObject({ paragraphIndex: 0, audioDurationMs: 3700, sourceText: text });
+    expect(timeline.words).toHaveLength(12);
+
+    const byWord = Object.fromEntries(timeline.words.map(word => [word.word, word]));
+    expect(byWord.Hello).toMatchObject({ startMs: 100, charOffset: 0, charLength: 5 });
+    expect(byWord.friend).toMatchObject({ endMs: 1000 });
+    expect(byWord.This).toMatchObject({ startMs: 1400 });
+    expect(byWord.sentence).toMatchObject({ endMs: 2600 });
+    expect(byWord.Goodbye).toMatchObject({ startMs: 3000 });
+    expect(byWord.now).toMatchObject({ endMs: 3500, charOffset: text.indexOf('now'), charLength: 4 });
+  });
+
+  it('should give longer words more time and keep words in order', () => {
+    const { words } = estimateWordTimeline(samples, SAMPLE_RATE, text);
+    const duration = word => words.find(w => w.word === word).endMs - words.find(w => w.word === word).startMs;
+
+    expect(duration('wonderful')).toBeGreaterThan(duration('is'));
+    words.slice(1).forEach((word, i) => {
+      expect(word.startMs).toBeGreaterThanOrEqual(words[i].endMs);
+      expect(word.endMs).toBeGreaterThan(word.startMs);
+    });
+  });
+
+  it('should report less confidence than a transcription', () => {
+    const { alignmentConfidence } = estimateWordTimeline(samples, SAMPLE_RATE, text);
+
+    expect(alignmentConfidence).toBeGreaterThan(0);
+    expect(alignmentConfidence).toBeLessThanOrEqual(LocalAlignment.MAX_CONFIDENCE);
+  });
+
+  it('should return null without words or speech', () => {
+    expect(estimateWordTimeline(samples, SAMPLE_RATE, ' — ')).toBeNull();
+    expect(estimateWordTimeline(new Float32Array(8000), SAMPLE_RATE, text)).toBeNull();
+  });
+});
+
+describe('LocalAlignmentProvider', () => {
+  const samples = synthesize([[0, 600], [1000, 1600]], 1800);
+  let decodeAudioData;
+
+  beforeEach(() => {
+    decodeAudioData = jest.fn().mockResolvedValue({
+      numberOfChannels: 2,
+      sampleRate: SAMPLE_RATE,
+      getChannelData: () => samples
+    });
+    global.OfflineAudioContext = jest.fn(() => ({ decodeAudioData }));
+  });
+
+  afterEach(() => {
+    delete global.OfflineAudioContext;
+  });
+
+  it('should decode a copy of the audio and estimate timings', async () => {
+    const audioData = new ArrayBuffer(16);
+    const timeline = await new LocalAlignmentProvider().extractWordTimings(audioData, 'First part. Second part.');
+
+    expect(global.OfflineAudioContext).toHaveBeenCalledWith(1, 1, LocalAlignment.SAMPLE_RATE);
+    expect(decodeAudioData.mock.calls[0][0]).not.toBe(audioData);
+    expect(timeline.words.every(word => word.estimated)).toBe(true);
+    expect(timeline.words.map(word => [word.word, word.startMs, word.endMs])).toEqual([
+      ['First', 0, 300], ['part', 300, 600], ['Second', 1000, 1400], ['part', 1400, 1600]
+    ]);
+  });
+
+  it('should return null when audio cannot be decoded', async () => {
+    decodeAudioData.mockRejectedValue(new Error('Unsupported format'));
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await expect(new LocalAlignmentProvider().extractWordTimings(new ArrayBuffer(4), 'Text')).resolves.toBeNull();
+    warn.mockRestore();
+  });
+
+  it('should be unavailable without Web Audio', () => {
+    delete global.OfflineAudioContext;
+    expect(new LocalAlignmentProvider().isAvailable()).toBe(false);
+  });
+});
+
+describe('AudioGenerator word timing fallback', () => {
+  const estimated = { words: [{ word: 'Hello', startMs: 0, endMs: 300, charOffset: 0, charLength: 5 }] };
+  let localAlignmentProvider;
+
+  beforeEach(() => {
+    localAlignmentProvider = {
+      isAvailable: () => true,
+      extractWordTimings: jest.fn().mockResolvedValue(estimated)
+    };
+  });
+
+  it('should estimate timings locally without a Groq key', async () => {
+    const generator = new AudioGenerator({
+      groqTimestampProvider: { hasApiKey: () => false },
+      localAlignmentProvider
+    });
+
+    await expect(generator.extractWordTiming(new ArrayBuffer(4), 'Hello')).resolves.toBe(estimated.words);
+  });
+
+  it('should prefer Groq and fall back to the estimate when it fails', async () => {
+    const groqWords = [{ word: 'Hello', startMs: 10, endMs: 290, charOffset: 0, charLength: 5 }];
+    const groqTimestampProvider = {
+      hasApiKey: () => true,
+      extractWordTimings: jest.fn()
+        .mockResolvedValueOnce({ words: groqWords })
+        .mockResolvedValueOnce(null)
+    };
+    const generator = new AudioGenerator({ groqTimestampProvider, localAlignmentProvider });
+
+    await expect(generator.extractWordTiming(new ArrayBuffer(4), 'Hello')).resolves.toBe(groqWords);
+    expect(localAlignmentProvider.extractWordTimings).not.toHaveBeenCalled();
+
+    await expect(generator.extractWordTiming(new ArrayBuffer(4), 'Hello')).resolves.toBe(estimated.words);
+  });
+});
+
+describe('estimated timing for cached audio', () => {
+  const estimated = [{ word: 'Cached', startMs: 0, endMs: 300, charOffset: 0, charLength: 6, estimated: true }];
+
+  beforeEach(() => {
+    jest.spyOn(persistentAudioCache, 'has').mockResolvedValue(true);
+    jest.spyOn(persistentAudioCache, 'get').mockResolvedValue(null);
+    jest.spyOn(persistentAudioCache, 'set').mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should estimate timings for pre-generated paragraphs', async () => {
+    const provider = {
+      constructor: { requiresApiKey: false, supportsWordTiming: false },
+      generateAudio: jest.fn().mockResolvedValue(new ArrayBuffer(8))
+    };
+    const generator = new AudioGenerator({
+      providerRegistry: { getProvider: () => provider },
+      localAlignmentProvider: { isAvailable: () => true, extractWordTimings: jest.fn().mockResolvedValue({ words: estimated }) }
+    });
+    jest.spyOn(persistentAudioCache, 'has').mockResolvedValue(false);
+
+    await generator.preGenerateNextParagraphs(['Now', 'Pre-generated with timing'], 0, 'openai', 'alloy', new Set(), null);
+
+    expect(audioCache.get(audioCache.generateKey('openai', 'alloy', 'Pre-generated with timing')).wordTiming).toBe(estimated);
+  });
+
+  it('should estimate and keep timings for cached audio without any, reported as local', async () => {
+    const text = 'Cached without timing';
+    const key = audioCache.generateKey('openai', 'alloy', text);
+    audioCache.set(key, new ArrayBuffer(8), { provider: 'openai', voice: 'alloy', text });
+    const audioGenerator = {
+      canStream: () => false,
+      estimateWordTiming: jest.fn().mockResolvedValue(estimated),
+      playAudio: jest.fn(() => ({ currentTime: 0 })),
+      preGenerateNextParagraphs: jest.fn()
+    };
+    const uiCoordinator = { sendWordTimeline: jest.fn(), notifyWordSyncStatus: jest.fn(), notifyCacheHit: jest.fn() };
+    const controller = new PlaybackController({ audioGenerator, uiCoordinator });
+    jest.spyOn(controller.syncState, 'start').mockImplementation(() => {});
+    controller.state.paragraphs = [text];
+    controller.state.wordSyncEnabled = true;
+
+    await controller._playWithTTSProvider(controller._getSpokenParagraph(0), { provider: 'openai', voice: 'alloy' });
+
+    expect(audioGenerator.estimateWordTiming).toHaveBeenCalledWith(expect.any(ArrayBuffer), text);
+    expect(audioCache.get(key).wordTiming).toBe(estimated);
+    expect(persistentAudioCache.set).toHaveBeenCalledWith(key, expect.any(ArrayBuffer), expect.objectContaining({ wordTiming: estimated }));
+    expect(uiCoordinator.notifyWordSyncStatus).toHaveBeenCalledWith(true, 'local', expect.any(Number), expect.any(Boolean));
+  });
+});
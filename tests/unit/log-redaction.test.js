@@ -0,0 +1,132 @@
+/**
+ * Unit tests for remote log redaction
+ * @module tests/unit/log-redaction.test
+ */
+
+import { redactUrl, redactText, redactLogFields, REDACTED } from '../../background/log-entry.js';
+import { RemoteLogger } from '../../background/remote-logger.js';
+import { loggingDefaults } from '../../shared/config/logging-defaults.js';
+
+const rules = (overrides = {}) => ({
+  redactUrls: loggingDefaults.redactUrls,
+  maskSecrets: loggingDefaults.maskSecrets,
+  redactFields: loggingDefaults.redactFields,
+  ...overrides
+});
+
+describe('redactUrl', () => {
+  const url = 'https://news.example.com/world/story?id=4821&utm_source=feed#comments';
+
+  it('should strip query strings and fragments', () => {
+    expect(redactUrl(url, 'query')).toBe('https://news.example.com/world/story');
+  });
+
+  it('should keep only the origin', () => {
+    expect(redactUrl(url, 'origin')).toBe('https://news.example.com');
+    expect(redactUrl('moz-extension://abc-123/popup/popup.html', 'origin')).toBe('moz-extension://abc-123');
+  });
+
+  it('should replace the path with a stable hash', () => {
+    const hashed = redactUrl(url, 'hash');
+
+    expect(hashed).toMatch(/^https:\/\/news\.example\.com\/\[[0-9a-f]{8}\]$/);
+    expect(redactUrl(url, 'hash')).toBe(hashed);
+    expect(redactUrl('https://news.example.com/other', 'hash')).not.toBe(hashed);
+    expect(redactUrl('https://news.example.com/', 'hash')).toBe('https://news.example.com');
+  });
+
+  it('should leave URLs alone when redaction is off', () => {
+    expect(redactUrl(url, 'none')).toBe(url);
+  });
+});
+
+describe('redactText', () => {
+  it('should redact URLs inside a sentence without eating punctuation', () => {
+    expect(redactText('Could not load https://example.com/a?b=1, retrying.', rules()))
+      .toBe('Could not load https://example.com/a, retrying.');
+  });
+
+  it('should mask provider keys, auth headers and long hex tokens', () => {
+    const text = [
+      'openai sk-proj-4f9d2c7a1b8e6f3d0c5a',
+      'groq gsk_8c1f3e5a7b9d2c4e6f8a0b',
+      'header Bearer abc.def-ghi_123',
+      'elevenlabs 0123456789abcdef0123456789abcdef'
+    ].join('; ');
+
+    expect(redactText(text, rules())).toBe(
+      `openai ${REDACTED}; groq ${REDACTED}; header Bearer ${REDACTED}; elevenlabs ${REDACTED}`
+    );
+  });
+
+  it('should mask credential query parameters when URLs are sent in full', () => {
+    expect(redactText('https://api.example.com/tts?voice=a&api_key=xyz#top', rules({ redactUrls: 'none' })))
+      .toBe(`https://api.example.com/tts?voice=a&api_key=${REDACTED}#top`);
+  });
+
+  it('should leave secrets alone when masking is off', () => {
+    expect(redactText('key sk-proj-4f9d2c7a1b8e6f3d0c5a', rules({ maskSecrets: false })))
+      .toBe('key sk-proj-4f9d2c7a1b8e6f3d0c5a');
+  });
+});
+
+describe('redactLogFields', () => {
+  it('should drop configured fields and mask credential-named fields at any depth', () => {
+    const { message, metadata } = redactLogFields({
+      message: 'Failed on https://example.com/page?q=secret',
+      metadata: {
+        tabUrl: 'https://example.com/page?q=secret',
+        paragraphs: ['Page text'],
+        request: { apiKey: 'plain-key', text: 'Page text', attempts: [1, 2] },
+        bearerToken: null
+      }
+    }, rules());
+
+    expect(message).toBe('Failed on https://example.com/page');
+    expect(metadata).toEqual({
+      tabUrl: 'https://example.com/page',
+      request: { apiKey: REDACTED, attempts: [1, 2] },
+      bearerToken: null
+    });
+  });
+
+  it('should not modify the caller\'s metadata', () => {
+    const metadata = { url: 'https://example.com/?q=1', text: 'Page text' };
+    redactLogFields({ message: 'Test', metadata }, rules());
+
+    expect(metadata).toEqual({ url: 'https://example.com/?q=1', text: 'Page text' });
+  });
+
+  it('should redact what would be serialized and stop at deep nesting', () => {
+    let nested = { url: 'https://example.com/?q=1' };
+    for (let i = 0; i < 10; i++) nested = { nested };
+
+    const { metadata } = redactLogFields({
+      message: 'Test',
+      metadata: { at: new Date(0), nested }
+    }, rules());
+
+    expect(metadata.at).toBe('1970-01-01T00:00:00.000Z');
+    expect(JSON.stringify(metadata)).toContain('[Truncated]');
+    expect(JSON.stringify(metadata)).not.toContain('q=1');
+  });
+});
+
+describe('RemoteLogger redaction', () => {
+  it('should redact entries before they reach the buffer', () => {
+    const logger = new RemoteLogger();
+    logger.initialized = true;
+    logger.config = { ...logger.config, enabled: true, logLevel: 'debug', redactUrls: 'origin' };
+
+    logger.error('Failed to communicate with content scripts', 'background', {
+      error: 'Bearer sk-proj-4f9d2c7a1b8e6f3d0c5a',
+      tabUrl: 'https://news.example.com/world/story?id=4821',
+      paragraphs: ['Page text']
+    });
+
+    expect(logger.buffer.getAll()[0].metadata).toEqual({
+      error: `Bearer ${REDACTED}`,
+      tabUrl: 'https://news.example.com'
+    });
+  });
+});
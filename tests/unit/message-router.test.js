@@ -0,0 +1,60 @@
+/**
+ * Unit tests for message dispatch in the MessageRouter
+ * @module tests/unit/message-router.test
+ */
+
+import { jest } from '@jest/globals';
+import { MessageRouter, createRouter } from '../../background/message-router.js';
+import { FooterMessageTypes, FooterActions } from '../../background/constants.js';
+
+describe('MessageRouter dispatch', () => {
+  it('should dispatch on action, falling back to type', () => {
+    const router = new MessageRouter();
+    const byAction = jest.fn();
+    const byType = jest.fn();
+    router.register('play', byAction).register('FOOTER_SHOW', byType);
+
+    router.route({ action: 'play', type: 'ignored' }, {}, () => {});
+    router.route({ type: 'FOOTER_SHOW' }, {}, () => {});
+
+    expect(byAction).toHaveBeenCalledTimes(1);
+    expect(byType).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('footer actions', () => {
+  let playbackController;
+  let router;
+  const sender = { tab: { id: 4 } };
+
+  const footerAction = (action, value) =>
+    router.route({ type: FooterMessageTypes.FOOTER_ACTION, action, value }, sender, () => {});
+
+  beforeEach(() => {
+    playbackController = {
+      handlePlay: jest.fn(),
+      handleResume: jest.fn(),
+      handlePause: jest.fn(),
+      handleStop: jest.fn(),
+      toggleReaderView: jest.fn()
+    };
+    router = createRouter({ playbackController });
+  });
+
+  it('should reach the footer handler rather than the popup handler of the same name', () => {
+    footerAction(FooterActions.PLAY);
+    footerAction(FooterActions.PAUSE);
+
+    expect(playbackController.handleResume).toHaveBeenCalledTimes(1);
+    expect(playbackController.handlePlay).not.toHaveBeenCalled();
+    expect(playbackController.handlePause).toHaveBeenCalledTimes(1);
+  });
+
+  it('should handle footer-only actions', () => {
+    footerAction(FooterActions.CLOSE);
+    footerAction(FooterActions.READER_VIEW);
+
+    expect(playbackController.handleStop).toHaveBeenCalledTimes(1);
+    expect(playbackController.toggleReaderView).toHaveBeenCalledWith(sender.tab);
+  });
+});
@@ -50,6 +50,7 @@ describe('Message Schemas', () => {
         expect(ProviderIdSchema.parse('cartesia')).toBe('cartesia');
         expect(ProviderIdSchema.parse('groq')).toBe('groq');
         expect(ProviderIdSchema.parse('browser')).toBe('browser');
+        expect(ProviderIdSchema.parse('custom')).toBe('custom');
       });
 
       it('should reject invalid provider IDs', () => {
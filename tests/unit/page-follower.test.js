@@ -0,0 +1,232 @@
+/**
+ * Unit tests for follow page mode (infinite feeds and single-page app navigation)
+ * @module tests/unit/page-follower.test
+ */
+
+import { jest } from '@jest/globals';
+import { UICoordinator } from '../../background/ui-coordinator.js';
+import { PlaybackController } from '../../background/playback-controller.js';
+import { createRouter } from '../../background/message-router.js';
+import { validateSetting } from '../../shared/config/schema.js';
+import { validateIncomingMessage } from '../../shared/message-schemas.js';
+
+const FEED = `
+  <nav><a href="/">Home</a><a href="/popular">Popular posts this week</a></nav>
+  <main>
+    <section id="feed">
+      <article><p>The first post explains why the team moved the build to a new server.</p></article>
+      <article><p>The second post lists the plugins that did not survive the upgrade.</p></article>
+    </section>
+  </main>
+  <aside><p>Related posts are picked from the tags of the post you are reading.</p></aside>
+`;
+
+const post = text => {
+  const article = document.createElement('article');
+  article.innerHTML = `<p>${text}</p>`;
+  return article;
+};
+
+describe('content extractor added paragraphs', () => {
+  let extractor;
+  let known;
+
+  beforeAll(async () => {
+    await import('../../content/content-scorer.js');
+    await import('../../content/content-extractor.js');
+    extractor = window.VoxPage.contentExtractor;
+  });
+
+  beforeEach(() => {
+    document.body.innerHTML = FEED;
+    known = [...document.querySelectorAll('#feed p')];
+  });
+
+  it('should find paragraphs added after the last known one', () => {
+    const feed = document.getElementById('feed');
+    const appended = feed.appendChild(post('The third post shows how long the new build takes on a cold cache.'));
+    const prepended = feed.insertBefore(post('A pinned post about the upcoming maintenance window tonight.'), feed.firstChild);
+
+    expect(extractor.findAddedParagraphs([appended, prepended], known, 'full'))
+      .toEqual([appended.querySelector('p')]);
+  });
+
+  it('should skip navigation and, in article mode, content outside the article', () => {
+    const nav = document.querySelector('nav').appendChild(post('A new link in the navigation bar of the site.'));
+    const outside = document.querySelector('main').appendChild(post('A newsletter signup box added below the feed itself.'));
+    const inside = document.getElementById('feed').appendChild(post('The third post shows how long the new build takes.'));
+
+    expect(extractor.findAddedParagraphs([nav, outside, inside], known, 'full')).toHaveLength(2);
+    expect(extractor.findAddedParagraphs([nav, outside, inside], known, 'article'))
+      .toEqual([inside.querySelector('p')]);
+  });
+
+  it('should read added paragraphs like extracted ones', () => {
+    const added = document.getElementById('feed').appendChild(post('Builds are <em>twice</em> as fast as before.'));
+
+    expect(extractor.readParagraphs([added.querySelector('p'), document.createElement('p')])).toEqual({
+      elements: [added.querySelector('p')],
+      paragraphs: ['Builds are twice as fast as before.'],
+      paragraphTags: ['P'],
+      paragraphMarkup: [{ quote: false, emphasis: [{ start: 11, end: 16, level: 'moderate' }] }]
+    });
+  });
+});
+
+describe('PageFollower', () => {
+  let follower;
+  let extractor;
+
+  // Mutation records are delivered as microtasks, before the settle timer runs
+  const settle = async () => {
+    await Promise.resolve();
+    jest.advanceTimersByTime(1000);
+  };
+
+  beforeAll(async () => {
+    await import('../../content/content-scorer.js');
+    await import('../../content/content-extractor.js');
+    await import('../../content/page-follower.js');
+    follower = window.VoxPage.pageFollower;
+    extractor = window.VoxPage.contentExtractor;
+  });
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    window.history.replaceState({}, '', '/blog');
+    document.body.innerHTML = FEED;
+    extractor.extractText('full');
+    browser.runtime.sendMessage.mockResolvedValue(undefined);
+    follower.start({ action: 'extractText', mode: 'full' });
+  });
+
+  afterEach(() => {
+    follower.stop();
+    jest.useRealTimers();
+  });
+
+  it('should send paragraphs the feed adds and keep them for highlighting', async () => {
+    const before = extractor.getReadableParagraphs().length;
+    document.getElementById('feed').appendChild(post('The third post shows how long the new build takes on a cold cache.'));
+    await settle();
+
+    expect(browser.runtime.sendMessage.mock.lastCall[0]).toEqual({
+      action: 'pageContentAdded',
+      paragraphs: ['The third post shows how long the new build takes on a cold cache.'],
+      paragraphTags: ['P'],
+      paragraphMarkup: [{ quote: false, emphasis: [] }],
+      paragraphFrames: [{ frameId: 0, index: before }]
+    });
+    expect(extractor.getReadableParagraphs()).toHaveLength(before + 1);
+  });
+
+  it('should report route changes and stop following', async () => {
+    window.history.pushState({}, '', '/blog/moving-the-build');
+    document.querySelector('main').replaceChildren(post('The full post about moving the build to a new server.'));
+    await settle();
+
+    expect(browser.runtime.sendMessage.mock.lastCall[0]).toEqual({
+      action: 'pageNavigated',
+      url: 'http://localhost/blog/moving-the-build',
+      title: ''
+    });
+    expect(follower.isFollowing()).toBe(false);
+  });
+
+  it('should not treat in-page anchors as navigation', async () => {
+    window.history.pushState({}, '', '/blog#comments');
+    document.getElementById('feed').appendChild(post('The third post shows how long the new build takes on a cold cache.'));
+    await settle();
+
+    expect(browser.runtime.sendMessage.mock.lastCall[0].action).toBe('pageContentAdded');
+    expect(follower.isFollowing()).toBe(true);
+  });
+});
+
+describe('PlaybackController follow page', () => {
+  const TAB = { id: 5, url: 'https://news.example.com/feed', title: 'Feed' };
+  let controller;
+
+  beforeEach(() => {
+    browser.storage.local.get.mockResolvedValue({ followPage: true, followPageNavigation: 'continue' });
+    browser.tabs.sendMessage.mockResolvedValue(undefined);
+    browser.tabs.query.mockResolvedValue([TAB]);
+    controller = new PlaybackController({ uiCoordinator: new UICoordinator() });
+    controller.state.paragraphs = ['First post.', 'Second post.'];
+    controller.paragraphStyles = [{ type: 'paragraph', emphasis: [] }, { type: 'paragraph', emphasis: [] }];
+    controller.uiCoordinator.setParagraphFrames([{ frameId: 0, index: 0 }, { frameId: 3, index: 0 }]);
+    controller.state.isPlaying = true;
+    controller.state.currentIndex = 1;
+    controller.playbackTabId = TAB.id;
+  });
+
+  it('should append added paragraphs without restarting', async () => {
+    await controller.appendParagraphs({
+      paragraphs: ['Third post.'],
+      paragraphTags: ['H2'],
+      paragraphMarkup: [{ quote: false, emphasis: [] }],
+      paragraphFrames: [{ frameId: 0, index: 1 }]
+    }, TAB);
+
+    expect(controller.state.paragraphs).toEqual(['First post.', 'Second post.', 'Third post.']);
+    expect(controller.state.currentIndex).toBe(1);
+    expect(controller.paragraphStyles[2].type).toBe('heading');
+    expect(controller.uiCoordinator._frameTarget(2)).toEqual({ frameId: 0, index: 1 });
+    expect(controller.syncState.paragraphTimeline).toHaveLength(3);
+  });
+
+  it('should ignore content from a tab that is not being read', async () => {
+    await controller.appendParagraphs({ paragraphs: ['Elsewhere.'] }, { id: 9 });
+    controller.state.isPlaying = false;
+    await controller.appendParagraphs({ paragraphs: ['Too late.'] }, TAB);
+
+    expect(controller.state.paragraphs).toHaveLength(2);
+  });
+
+  it('should read the new view after single-page app navigation', async () => {
+    await controller.handlePageNavigation({ url: 'https://news.example.com/post/1', title: 'Post' }, TAB);
+
+    expect(browser.tabs.sendMessage.mock.lastCall).toEqual([TAB.id, {
+      action: 'extractText',
+      mode: controller.state.mode,
+      extractionRule: null,
+      contentBlocks: { code: 'announce', table: 'summary', figures: false },
+      followPage: true
+    }]);
+  });
+
+  it('should stop reading on navigation when set to reset', async () => {
+    browser.storage.local.get.mockResolvedValue({ followPageNavigation: 'reset' });
+    await controller.handlePageNavigation({ url: 'https://news.example.com/post/1' }, TAB);
+
+    expect(controller.state.isPlaying).toBe(false);
+    expect(browser.tabs.sendMessage.mock.calls.some(([tabId, message, options]) =>
+      tabId === TAB.id && message.action === 'stopFollowingPage' && options.frameId === 0)).toBe(true);
+  });
+});
+
+describe('follow page messages and settings', () => {
+  it('should route added content and navigation with the sending tab', () => {
+    const playbackController = { appendParagraphs: jest.fn(), handlePageNavigation: jest.fn() };
+    const router = createRouter({ playbackController });
+    const sender = { tab: { id: 5 } };
+    const added = { action: 'pageContentAdded', paragraphs: ['Third post.'] };
+    const navigated = { action: 'pageNavigated', url: 'https://news.example.com/post/1' };
+
+    router.route(added, sender, () => {});
+    router.route(navigated, sender, () => {});
+
+    expect(playbackController.appendParagraphs).toHaveBeenCalledWith(added, sender.tab);
+    expect(playbackController.handlePageNavigation).toHaveBeenCalledWith(navigated, sender.tab);
+  });
+
+  it('should validate follow page settings and messages', () => {
+    expect(validateSetting('followPage', true).data).toBe(true);
+    expect(validateSetting('followPageNavigation', 'reset').data).toBe('reset');
+    expect(validateSetting('followPageNavigation', 'reload').data).toBe('continue');
+    expect(validateIncomingMessage({
+      action: 'pageContentAdded', paragraphs: ['Third post.'], paragraphFrames: [{ frameId: 0, index: 2 }]
+    }).success).toBe(true);
+    expect(validateIncomingMessage({ action: 'pageNavigated' }).success).toBe(false);
+  });
+});
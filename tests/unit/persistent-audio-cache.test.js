@@ -0,0 +1,225 @@
+/**
+ * Unit tests for PersistentAudioCache
+ * Uses an in-memory store in place of IndexedDB
+ * @module tests/unit/persistent-audio-cache.test
+ */
+
+import { jest } from '@jest/globals';
+import { PersistentAudioCache, persistentAudioCache } from '../../background/persistent-audio-cache.js';
+import { audioCache } from '../../background/audio-cache.js';
+import { AudioGenerator } from '../../background/audio-generator.js';
+import { PlaybackController } from '../../background/playback-controller.js';
+
+/**
+ * Minimal in-memory stand-in for IndexedDBAudioStore
+ */
+function createMemoryStore() {
+  const entries = new Map();
+  const audio = new Map();
+
+  return {
+    entries,
+    audio,
+    getEntry: jest.fn(async (key) => (entries.has(key) ? { ...entries.get(key) } : undefined)),
+    getAudio: jest.fn(async (key) => audio.get(key)),
+    put: jest.fn(async (entry, audioData) => {
+      entries.set(entry.cacheKey, { ...entry });
+      if (audioData) audio.set(entry.cacheKey, audioData);
+    }),
+    delete: jest.fn(async (key) => {
+      entries.delete(key);
+      audio.delete(key);
+    }),
+    listEntries: jest.fn(async () => Array.from(entries.values()).map(e => ({ ...e }))),
+    clear: jest.fn(async () => {
+      entries.clear();
+      audio.clear();
+    })
+  };
+}
+
+describe('PersistentAudioCache', () => {
+  let store;
+  let cache;
+
+  beforeEach(() => {
+    store = createMemoryStore();
+    cache = new PersistentAudioCache({ store, maxSizeBytes: 1000, maxEntries: 3 });
+  });
+
+  describe('set/get', () => {
+    it('should round-trip audio and word timing', async () => {
+      const audioData = new ArrayBuffer(100);
+      const wordTiming = [{ word: 'Hello', startTimeMs: 0, endTimeMs: 300 }];
+
+      await cache.set('key-1', audioData, {
+        provider: 'openai',
+        voice: 'alloy',
+        text: 'Hello',
+        wordTiming
+      });
+
+      const result = await cache.get('key-1');
+      expect(result.audioData).toBe(audioData);
+      expect(result.wordTiming).toEqual(wordTiming);
+      expect(result.provider).toBe('openai');
+      expect(result.size).toBe(100);
+    });
+
+    it('should return null on miss', async () => {
+      expect(await cache.get('missing')).toBeNull();
+    });
+
+    it('should update lastAccessedAt on read', async () => {
+      await cache.set('key-1', new ArrayBuffer(10));
+      store.entries.get('key-1').lastAccessedAt = 0;
+
+      await cache.get('key-1');
+
+      expect(store.entries.get('key-1').lastAccessedAt).toBeGreaterThan(0);
+    });
+
+    it('should drop entries whose audio is missing', async () => {
+      await cache.set('key-1', new ArrayBuffer(10));
+      store.audio.delete('key-1');
+
+      expect(await cache.get('key-1')).toBeNull();
+      expect(store.entries.has('key-1')).toBe(false);
+    });
+
+    it('should refuse segments larger than the quota', async () => {
+      const stored = await cache.set('huge', new ArrayBuffer(2000));
+      expect(stored).toBe(false);
+      expect(store.put).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('has', () => {
+    it('should not load audio', async () => {
+      await cache.set('key-1', new ArrayBuffer(10));
+
+      expect(await cache.has('key-1')).toBe(true);
+      expect(await cache.has('key-2')).toBe(false);
+      expect(store.getAudio).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('eviction', () => {
+    it('should evict least recently used entries over the entry limit', async () => {
+      await cache.set('a', new ArrayBuffer(10));
+      await cache.set('b', new ArrayBuffer(10));
+      await cache.set('c', new ArrayBuffer(10));
+      store.entries.get('a').lastAccessedAt = 3;
+      store.entries.get('b').lastAccessedAt = 1;
+      store.entries.get('c').lastAccessedAt = 2;
+
+      await cache.set('d', new ArrayBuffer(10));
+
+      expect(store.entries.has('b')).toBe(false);
+      expect(store.entries.has('a')).toBe(true);
+      expect(store.entries.has('d')).toBe(true);
+    });
+
+    it('should evict until within the size quota', async () => {
+      await cache.set('a', new ArrayBuffer(400));
+      await cache.set('b', new ArrayBuffer(400));
+      store.entries.get('a').lastAccessedAt = 1;
+      store.entries.get('b').lastAccessedAt = 2;
+
+      await cache.set('c', new ArrayBuffer(400));
+
+      expect(store.entries.has('a')).toBe(false);
+      expect(store.entries.has('b')).toBe(true);
+      expect(store.entries.has('c')).toBe(true);
+    });
+  });
+
+  describe('getStats/clear', () => {
+    it('should report usage and clear everything', async () => {
+      await cache.set('a', new ArrayBuffer(100));
+      await cache.set('b', new ArrayBuffer(150));
+
+      const stats = await cache.getStats();
+      expect(stats.entries).toBe(2);
+      expect(stats.totalSize).toBe(250);
+      expect(stats.maxSize).toBe(1000);
+      expect(stats.sizePercentage).toBe('25.0');
+
+      await cache.clear();
+      expect((await cache.getStats()).entries).toBe(0);
+    });
+  });
+
+  describe('error handling', () => {
+    beforeEach(() => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.warn.mockRestore();
+    });
+
+    it('should treat storage failures as misses', async () => {
+      store.getEntry.mockRejectedValue(new Error('IndexedDB is not available'));
+
+      expect(await cache.get('key-1')).toBeNull();
+      expect(await cache.has('key-1')).toBe(false);
+    });
+
+    it('should report failed writes without throwing', async () => {
+      store.put.mockRejectedValue(new Error('QuotaExceededError'));
+
+      expect(await cache.set('key-1', new ArrayBuffer(10))).toBe(false);
+    });
+  });
+});
+
+describe('writing through to the persistent cache', () => {
+  beforeEach(() => {
+    jest.spyOn(persistentAudioCache, 'has').mockResolvedValue(false);
+    jest.spyOn(persistentAudioCache, 'get').mockResolvedValue(null);
+    jest.spyOn(persistentAudioCache, 'set').mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should persist pre-generated paragraphs', async () => {
+    const provider = {
+      constructor: { requiresApiKey: false, supportsWordTiming: false },
+      generateAudio: jest.fn().mockResolvedValue(new ArrayBuffer(8))
+    };
+    const generator = new AudioGenerator({ providerRegistry: { getProvider: () => provider } });
+    const paragraphs = ['First pre-generated', 'Second pre-generated', 'Third pre-generated'];
+
+    await generator.preGenerateNextParagraphs(paragraphs, 0, 'openai', 'alloy', new Set(), null);
+
+    expect(persistentAudioCache.set.mock.calls.map(([key]) => key)).toEqual([
+      audioCache.generateKey('openai', 'alloy', paragraphs[1]),
+      audioCache.generateKey('openai', 'alloy', paragraphs[2])
+    ]);
+  });
+
+  it('should persist memory hits that are not on disk yet', async () => {
+    const text = 'Only cached in memory';
+    const key = audioCache.generateKey('openai', 'alloy', text);
+    const audioData = new ArrayBuffer(8);
+    audioCache.set(key, audioData, { provider: 'openai', voice: 'alloy', text });
+    const controller = new PlaybackController({
+      audioGenerator: {
+        canStream: () => false,
+        estimateWordTiming: jest.fn().mockResolvedValue(null),
+        playAudio: jest.fn(() => ({ currentTime: 0 })),
+        preGenerateNextParagraphs: jest.fn()
+      }
+    });
+    jest.spyOn(controller.syncState, 'start').mockImplementation(() => {});
+    controller.state.paragraphs = [text];
+
+    await controller._playWithTTSProvider(controller._getSpokenParagraph(0), { provider: 'openai', voice: 'alloy' });
+    await Promise.resolve();
+
+    expect(persistentAudioCache.set).toHaveBeenCalledWith(key, audioData, expect.objectContaining({ text }));
+  });
+});
@@ -0,0 +1,235 @@
+/**
+ * Unit tests for playback performance metrics
+ * @module tests/unit/playback-metrics.test
+ */
+
+import { jest } from '@jest/globals';
+import { LatencyHistogram, PlaybackMetrics, CacheTier } from '../../background/playback-metrics.js';
+import { AudioGenerator } from '../../background/audio-generator.js';
+import { PlaybackController } from '../../background/playback-controller.js';
+import { createRouter } from '../../background/message-router.js';
+import { getLogger } from '../../background/remote-logger.js';
+import { validateIncomingMessage } from '../../shared/message-schemas.js';
+
+describe('LatencyHistogram', () => {
+  it('should bucket samples and estimate percentiles from the buckets', () => {
+    const histogram = new LatencyHistogram({ bucketsMs: [50, 100, 200], targetMs: 100 });
+    [10, 40, 60, 90, 150, 450].forEach(ms => histogram.record(ms));
+
+    const snapshot = histogram.toJSON();
+    expect(snapshot.buckets).toEqual([
+      { leMs: 50, count: 2 },
+      { leMs: 100, count: 2 },
+      { leMs: 200, count: 1 },
+      { leMs: null, count: 1 }
+    ]);
+    expect(snapshot).toMatchObject({ count: 6, meanMs: 133, minMs: 10, maxMs: 450, p50Ms: 100, p95Ms: 450 });
+    expect(snapshot.overTarget).toBe(2);
+  });
+
+  it('should report nothing before the first sample and ignore bad values', () => {
+    const histogram = new LatencyHistogram();
+    histogram.record(NaN);
+
+    expect(histogram.toJSON()).toMatchObject({ count: 0, meanMs: null, p50Ms: null, overTarget: 0 });
+  });
+
+  it('should not report a percentile above the slowest sample', () => {
+    const histogram = new LatencyHistogram({ bucketsMs: [1000] });
+    histogram.record(120);
+
+    expect(histogram.percentile(95)).toBe(120);
+  });
+});
+
+describe('PlaybackMetrics', () => {
+  let metrics;
+
+  beforeEach(() => {
+    metrics = new PlaybackMetrics();
+  });
+
+  it('should keep latency and failures per provider', () => {
+    metrics.recordProviderLatency('openai', 800);
+    metrics.recordProviderLatency('openai', 1200);
+    metrics.recordProviderFailure('openai', new Error('HTTP 500'));
+    metrics.recordProviderFailure('cartesia', new Error('Rate limited'));
+
+    const { providers } = metrics.getSnapshot();
+    expect(providers.openai).toMatchObject({ failures: 1, lastError: 'HTTP 500' });
+    expect(providers.openai.latency).toMatchObject({ count: 2, maxMs: 1200 });
+    expect(providers.cartesia).toMatchObject({ failures: 1, latency: { count: 0 } });
+  });
+
+  it('should measure highlight latency against the sync targets', () => {
+    metrics.recordHighlightLatency('paragraph', [40, 250]);
+    metrics.recordHighlightLatency('word', [20, 30, 140]);
+
+    const snapshot = metrics.getSnapshot();
+    expect(snapshot.paragraphHighlight).toMatchObject({ count: 2, targetMs: 200, overTarget: 1 });
+    expect(snapshot.wordHighlight).toMatchObject({ count: 3, targetMs: 100, overTarget: 1 });
+  });
+
+  it('should compute the cache hit rate over both tiers', () => {
+    expect(metrics.cacheHitRate).toBeNull();
+
+    metrics.recordCacheLookup(CacheTier.MEMORY);
+    metrics.recordCacheLookup(CacheTier.PERSISTENT);
+    metrics.recordCacheLookup(CacheTier.MISS);
+    metrics.recordCacheLookup(CacheTier.MISS);
+
+    expect(metrics.getSnapshot().cache).toEqual({ memory: 1, persistent: 1, miss: 2, hitRate: 0.5 });
+    expect(metrics.getSummary().cacheHitRate).toBe(0.5);
+  });
+
+  it('should start over on reset', () => {
+    metrics.recordDriftCorrection(-320);
+    metrics.recordTimeToFirstAudio(900);
+    metrics.reset();
+
+    const snapshot = metrics.getSnapshot();
+    expect(snapshot.driftCorrections.count).toBe(0);
+    expect(snapshot.timeToFirstAudio.count).toBe(0);
+  });
+
+  it('should emit a summary through the remote logger only when enabled and changed', () => {
+    const logger = getLogger();
+    const logMetrics = jest.spyOn(logger, 'logMetrics').mockImplementation(() => {});
+    logger.config = { ...logger.config, emitMetrics: false };
+    metrics.recordTimeToFirstAudio(900);
+    metrics.emit();
+    expect(logMetrics).not.toHaveBeenCalled();
+
+    logger.config = { ...logger.config, emitMetrics: true };
+    metrics.emit();
+    metrics.emit();
+
+    expect(logMetrics).toHaveBeenCalledTimes(1);
+    expect(logMetrics.mock.lastCall[0]).toBe('Playback metrics');
+    expect(logMetrics.mock.lastCall[1].timeToFirstAudio).toMatchObject({ count: 1, maxMs: 900 });
+    logMetrics.mockRestore();
+  });
+});
+
+describe('remote logger metrics', () => {
+  it('should buffer metrics below the minimum log level', () => {
+    const logger = getLogger();
+    logger.initialized = true;
+    logger.config = { ...logger.config, enabled: true, logLevel: 'error' };
+    logger.buffer.clear();
+
+    logger.info('Filtered out', 'background');
+    logger.logMetrics('Playback metrics', { driftCorrections: 2 });
+
+    expect(logger.buffer.getAll().map(entry => [entry.level, entry.message, entry.metadata]))
+      .toEqual([['info', 'Playback metrics', { driftCorrections: 2 }]]);
+    logger.buffer.clear();
+    logger.initialized = false;
+  });
+});
+
+describe('metrics recording', () => {
+  let metrics;
+
+  beforeEach(() => {
+    metrics = new PlaybackMetrics();
+  });
+
+  it('should time provider requests in the audio generator', async () => {
+    const provider = {
+      constructor: { requiresApiKey: false, supportsWordTiming: false },
+      generateAudio: jest.fn()
+        .mockResolvedValueOnce(new ArrayBuffer(4))
+        .mockRejectedValueOnce(new Error('HTTP 503'))
+    };
+    const generator = new AudioGenerator({
+      providerRegistry: { getProvider: () => provider },
+      metrics
+    });
+
+    await generator.generateAudio('Hello', 'openai', 'alloy');
+    await expect(generator.generateAudio('Hello', 'openai', 'alloy')).rejects.toThrow('HTTP 503');
+
+    const { providers } = metrics.getSnapshot();
+    expect(providers.openai.latency.count).toBe(1);
+    expect(providers.openai).toMatchObject({ failures: 1, lastError: 'HTTP 503' });
+  });
+
+  it('should record drift corrections and time to first audio in the controller', () => {
+    const controller = new PlaybackController({ metrics });
+
+    controller.syncState._onDriftCorrected(-260);
+    controller._logTimeToFirstAudio(Date.now() - 500, 'Hello', 'openai', true);
+
+    const snapshot = metrics.getSnapshot();
+    expect(snapshot.driftCorrections).toMatchObject({ count: 1, maxMs: 260 });
+    expect(snapshot.timeToFirstAudio.count).toBe(1);
+    expect(snapshot.timeToFirstAudio.minMs).toBeGreaterThanOrEqual(500);
+  });
+
+  it('should route latency reports and serve the panel', () => {
+    const router = createRouter({ metrics });
+    const respond = jest.fn();
+
+    router.route({ action: 'reportHighlightLatency', paragraphMs: [80], wordMs: [30, 120] }, {}, () => {});
+    router.route({ action: 'getPlaybackMetrics' }, {}, respond);
+
+    expect(respond.mock.lastCall[0].metrics.wordHighlight).toMatchObject({ count: 2, overTarget: 1 });
+    expect(respond.mock.lastCall[0].metrics.paragraphHighlight.count).toBe(1);
+
+    router.route({ action: 'resetPlaybackMetrics' }, {}, respond);
+    expect(respond.mock.lastCall[0]).toEqual({ success: true });
+    expect(metrics.getSnapshot().wordHighlight.count).toBe(0);
+  });
+
+  it('should validate latency reports', () => {
+    expect(validateIncomingMessage({ action: 'reportHighlightLatency', wordMs: [12, 40] }).success).toBe(true);
+    expect(validateIncomingMessage({ action: 'reportHighlightLatency', wordMs: ['fast'] }).success).toBe(false);
+  });
+});
+
+describe('highlight manager latency reports', () => {
+  let highlighter;
+
+  beforeAll(async () => {
+    Element.prototype.scrollIntoView = jest.fn();
+    browser.runtime.getURL = jest.fn(path => `moz-extension://voxpage/${path}`);
+    await import('../../content/content-scorer.js');
+    await import('../../content/content-extractor.js');
+    await import('../../content/highlight-manager.js');
+    highlighter = window.VoxPage.highlightManager;
+  });
+
+  beforeEach(() => {
+    document.body.innerHTML = '<p>First paragraph of the article.</p><p>Second paragraph of the article.</p>';
+    window.VoxPage.contentExtractor.setExtractedParagraphs([...document.querySelectorAll('p')]);
+    browser.runtime.sendMessage.mockClear();
+    browser.runtime.sendMessage.mockResolvedValue(undefined);
+  });
+
+  const latencyReports = () => browser.runtime.sendMessage.mock.calls
+    .map(([message]) => message)
+    .filter(message => message.action === 'reportHighlightLatency');
+
+  it('should report paragraph latency with the word samples before it', () => {
+    highlighter.highlightWord(0, 1, Date.now() - 30);
+    highlighter.highlightWord(0, 2, Date.now() - 30);
+    expect(latencyReports()).toHaveLength(0);
+
+    highlighter.highlightParagraph(1, '', Date.now() - 50);
+
+    const [report] = latencyReports();
+    expect(report.paragraphMs).toHaveLength(1);
+    expect(report.paragraphMs[0]).toBeGreaterThanOrEqual(50);
+    expect(report.wordMs).toHaveLength(2);
+  });
+
+  it('should send the remaining word samples when highlights are cleared', () => {
+    highlighter.highlightWord(0, 1, Date.now() - 10);
+    highlighter.clearHighlights();
+    highlighter.clearHighlights();
+
+    expect(latencyReports()).toHaveLength(1);
+    expect(latencyReports()[0]).toMatchObject({ paragraphMs: [], wordMs: [expect.any(Number)] });
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Unit tests for the provider fallback chain
+ * @module tests/unit/provider-fallback.test
+ */
+
+import { jest } from '@jest/globals';
+import {
+  ProviderFallback,
+  FALLBACK_CONFIG,
+  isFallbackError
+} from '../../background/provider-fallback.js';
+import { LanguageNotSupportedError } from '../../shared/errors/language-errors.js';
+import { ProviderRequestError } from '../../shared/errors/provider-errors.js';
+import { OpenAIProvider } from '../../background/providers/openai-provider.js';
+
+/**
+ * Minimal provider stand-in
+ */
+function fakeProvider({ requiresApiKey = true, hasKey = true, voices = [{ id: 'default' }] } = {}) {
+  return {
+    constructor: { requiresApiKey },
+    hasApiKey: () => hasKey,
+    getVoices: () => voices,
+    getDefaultVoice: () => voices[0] || null
+  };
+}
+
+describe('isFallbackError', () => {
+  it('should fall back on auth, quota, rate limit, outage and language errors', () => {
+    for (const status of [0, 401, 402, 403, 429, 500, 503]) {
+      expect(isFallbackError(new ProviderRequestError('failed', status, 'openai'))).toBe(true);
+    }
+    expect(isFallbackError(new LanguageNotSupportedError('de', 'cartesia'))).toBe(true);
+  });
+
+  it('should not fall back on bad requests or unrelated errors', () => {
+    expect(isFallbackError(new ProviderRequestError('bad input', 400, 'openai'))).toBe(false);
+    expect(isFallbackError(new Error('Audio playback failed'))).toBe(false);
+    expect(isFallbackError(new TypeError("Cannot read properties of undefined (reading 'voice')"))).toBe(false);
+  });
+});
+
+describe('ProviderFallback', () => {
+  let now;
+  let providers;
+  let fallback;
+
+  beforeEach(() => {
+    now = 1000;
+    providers = {
+      elevenlabs: fakeProvider(),
+      openai: fakeProvider({ voices: [{ id: 'alloy' }] }),
+      cartesia: fakeProvider(),
+      groq: fakeProvider({ hasKey: false }),
+      browser: fakeProvider({
+        requiresApiKey: false,
+        voices: [
+          { id: 'en-voice', language: 'en-US' },
+          { id: 'de-voice', language: 'de-DE' }
+        ]
+      })
+    };
+    fallback = new ProviderFallback({
+      providerRegistry: { getProvider: (id) => providers[id] || null },
+      now: () => now
+    });
+    fallback.setOrder(['groq', 'openai', 'browser']);
+  });
+
+  it('should keep the primary while it is healthy', () => {
+    expect(fallback.resolve('elevenlabs', 'en')).toBe('elevenlabs');
+  });
+
+  it('should skip providers without a key and use the next in order', () => {
+    fallback.markFailed('elevenlabs', new ProviderRequestError('Rate limited', 429, 'elevenlabs'));
+
+    expect(fallback.resolve('elevenlabs', 'en')).toBe('openai');
+    expect(fallback.getFailureReason('elevenlabs')).toBe('Rate limited');
+  });
+
+  it('should return to the primary once its cooldown has passed', () => {
+    fallback.markFailed('elevenlabs', new ProviderRequestError('Server error', 503, 'elevenlabs'));
+    now += FALLBACK_CONFIG.cooldownMs - 1;
+    expect(fallback.resolve('elevenlabs', 'en')).toBe('openai');
+
+    now += 1;
+    expect(fallback.resolve('elevenlabs', 'en')).toBe('elevenlabs');
+  });
+
+  it('should use a shorter cooldown for rate limits', () => {
+    fallback.markFailed('elevenlabs', new ProviderRequestError('Rate limited', 429, 'elevenlabs'));
+    now += FALLBACK_CONFIG.rateLimitCooldownMs;
+
+    expect(fallback.resolve('elevenlabs', 'en')).toBe('elevenlabs');
+  });
+
+  it('should skip providers that cannot speak the article language', () => {
+    fallback.setOrder(['cartesia', 'browser']);
+    fallback.markFailed('elevenlabs', new ProviderRequestError('Invalid API key', 401, 'elevenlabs'));
+
+    expect(fallback.resolve('elevenlabs', 'de')).toBe('browser');
+  });
+
+  it('should keep a language failure until the language changes', () => {
+    fallback.markFailed('cartesia', new LanguageNotSupportedError('de', 'cartesia'), 'de');
+    now += FALLBACK_CONFIG.cooldownMs * 10;
+
+    expect(fallback.isFailed('cartesia', 'de')).toBe(true);
+    expect(fallback.isFailed('cartesia', 'en')).toBe(false);
+  });
+
+  it('should return null when nothing is usable', () => {
+    fallback.setOrder([]);
+    fallback.markFailed('elevenlabs', new ProviderRequestError('Invalid API key', 401, 'elevenlabs'));
+
+    expect(fallback.resolve('elevenlabs', 'en')).toBeNull();
+  });
+
+  it('should clear failures on reset', () => {
+    fallback.markFailed('elevenlabs', new ProviderRequestError('Invalid API key', 401, 'elevenlabs'));
+    fallback.reset();
+
+    expect(fallback.resolve('elevenlabs', 'en')).toBe('elevenlabs');
+  });
+
+  it('should pick a voice in the article language', () => {
+    expect(fallback.pickVoice('browser', 'de')).toBe('de-voice');
+    expect(fallback.pickVoice('browser', 'ja')).toBe('en-voice');
+    expect(fallback.pickVoice('openai', 'de')).toBe('alloy');
+    expect(fallback.pickVoice('missing', 'en')).toBeNull();
+  });
+});
+
+describe('provider response errors', () => {
+  it('should carry the HTTP status and provider', () => {
+    const error = new OpenAIProvider('key').createResponseError({ status: 429 });
+
+    expect(error).toBeInstanceOf(ProviderRequestError);
+    expect(error.status).toBe(429);
+    expect(error.providerId).toBe('openai');
+    expect(error.message).toMatch(/Rate limited/);
+  });
+
+  it('should report an unreachable API as an outage', async () => {
+    const originalFetch = global.fetch;
+    global.fetch = jest.fn().mockRejectedValue(new TypeError('NetworkError when attempting to fetch resource.'));
+
+    try {
+      const error = await new OpenAIProvider('key').generateAudio('Hello', 'alloy').catch(e => e);
+
+      expect(error).toBeInstanceOf(ProviderRequestError);
+      expect(error.status).toBe(0);
+      expect(error.providerId).toBe('openai');
+      expect(isFallbackError(error)).toBe(true);
+    } finally {
+      global.fetch = originalFetch;
+    }
+  });
+});
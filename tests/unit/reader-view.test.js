@@ -0,0 +1,196 @@
+/**
+ * Unit tests for the reader view overlay
+ * @module tests/unit/reader-view.test
+ */
+
+import { jest } from '@jest/globals';
+import { UICoordinator } from '../../background/ui-coordinator.js';
+import { PlaybackController } from '../../background/playback-controller.js';
+import { createRouter } from '../../background/message-router.js';
+import { validateSetting } from '../../shared/config/schema.js';
+import { validateIncomingMessage } from '../../shared/message-schemas.js';
+
+const VIEW = {
+  title: 'Getting started',
+  paragraphs: [
+    'Installation',
+    'Download the installer and run it once.',
+    'Windows 10 or later',
+    'macOS 13 or later',
+    'npm install voxpage'
+  ],
+  types: ['heading', 'paragraph', 'listItem', 'listItem', 'code'],
+  style: { theme: 'sepia', fontFamily: 'serif', fontSize: 20 }
+};
+
+describe('ReaderView', () => {
+  let readerView;
+  let extractor;
+  let pageParagraphs;
+
+  beforeAll(async () => {
+    browser.runtime.getURL = jest.fn(path => `moz-extension://voxpage/${path}`);
+    Element.prototype.scrollIntoView = jest.fn();
+    await import('../../content/content-scorer.js');
+    await import('../../content/content-extractor.js');
+    await import('../../content/highlight-manager.js');
+    await import('../../content/reader-view.js');
+    readerView = window.VoxPage.readerView;
+    extractor = window.VoxPage.contentExtractor;
+  });
+
+  beforeEach(() => {
+    document.body.innerHTML = '<p>Page paragraph one.</p><p>Page paragraph two.</p>';
+    pageParagraphs = [...document.querySelectorAll('p')];
+    extractor.setExtractedParagraphs(pageParagraphs);
+    browser.runtime.sendMessage.mockResolvedValue(undefined);
+    readerView.show(VIEW);
+  });
+
+  afterEach(() => {
+    readerView.hide();
+  });
+
+  it('should render each paragraph by its segment type', () => {
+    const root = readerView.shadowRoot;
+
+    expect(document.getElementById('voxpage-reader-view')).not.toBeNull();
+    expect(root.querySelector('h1').textContent).toBe('Getting started');
+    expect([...root.querySelectorAll('[data-reader-index]')].map(el => el.tagName))
+      .toEqual(['H2', 'P', 'LI', 'LI', 'PRE']);
+    expect(root.querySelectorAll('ul > li')).toHaveLength(2);
+    expect(root.querySelector('.reader').className).toBe('reader theme-sepia font-serif');
+    expect(document.documentElement.style.overflow).toBe('hidden');
+  });
+
+  it('should highlight paragraphs and words inside the overlay', () => {
+    const highlighter = window.VoxPage.highlightManager;
+    highlighter.highlightParagraph(1, VIEW.paragraphs[1]);
+
+    const el = readerView.shadowRoot.querySelector('[data-reader-index="1"]');
+    expect(extractor.getExtractedParagraphs()[1]).toBe(el);
+    expect(el.classList.contains('voxpage-highlight')).toBe(true);
+    expect(highlighter.createWordRange(el, 9, 3).toString()).toBe('the');
+    // The overlay links content.css itself
+    expect(readerView.shadowRoot.querySelectorAll('link[data-voxpage-styles]')).toHaveLength(1);
+  });
+
+  it('should play from a clicked paragraph', () => {
+    readerView.shadowRoot.querySelector('[data-reader-index="3"]').click();
+    expect(browser.runtime.sendMessage.mock.lastCall[0]).toEqual({ action: 'playFromParagraph', index: 3 });
+  });
+
+  it('should change and save typography and theme', () => {
+    const root = readerView.shadowRoot;
+    root.querySelector('[aria-label="Larger text"]').click();
+    root.querySelector('[data-theme="dark"]').click();
+
+    expect(root.querySelector('.reader').className).toBe('reader theme-dark font-serif');
+    expect(root.querySelector('.reader').style.getPropertyValue('--reader-font-size')).toBe('22px');
+    expect(root.querySelector('[data-theme="dark"]').getAttribute('aria-pressed')).toBe('true');
+    expect(browser.runtime.sendMessage.mock.lastCall[0]).toEqual({
+      action: 'saveReaderStyle',
+      style: { theme: 'dark', fontFamily: 'serif', fontSize: 22 }
+    });
+  });
+
+  it('should close on Escape and give the page its paragraphs back', () => {
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+
+    expect(readerView.isReaderVisible()).toBe(false);
+    expect(document.getElementById('voxpage-reader-view')).toBeNull();
+    expect(extractor.getExtractedParagraphs()).toEqual(pageParagraphs);
+    expect(document.documentElement.style.overflow).toBe('');
+    expect(browser.runtime.sendMessage.mock.lastCall[0]).toEqual({ action: 'readerViewClosed' });
+  });
+});
+
+describe('PlaybackController reader view', () => {
+  let controller;
+
+  beforeEach(() => {
+    browser.tabs.query.mockResolvedValue([{ id: 7, title: 'Getting started' }]);
+    browser.tabs.sendMessage.mockResolvedValue(undefined);
+    browser.storage.local.get.mockResolvedValue({ readerTheme: 'dark', readerFontSize: 24 });
+    controller = new PlaybackController({ uiCoordinator: new UICoordinator() });
+    controller.state.paragraphs = VIEW.paragraphs;
+    controller.paragraphStyles = VIEW.types.map(type => ({ type, emphasis: [] }));
+    controller.state.isPlaying = true;
+    controller.state.currentIndex = 1;
+  });
+
+  it('should open the article in the overlay and highlight there', async () => {
+    // Paragraph 1 lives in a child frame on the page
+    controller.uiCoordinator.setParagraphFrames(VIEW.paragraphs.map((text, i) => ({ frameId: i === 1 ? 4 : 0, index: 0 })));
+
+    await controller.toggleReaderView();
+
+    const calls = browser.tabs.sendMessage.mock.calls.slice(-2);
+    expect(calls[0]).toEqual([7, {
+      action: 'showReaderView',
+      view: {
+        title: 'Getting started',
+        paragraphs: VIEW.paragraphs,
+        types: VIEW.types,
+        style: { theme: 'dark', fontFamily: 'serif', fontSize: 24 }
+      }
+    }, { frameId: 0 }]);
+    expect(calls[1][1]).toMatchObject({ action: 'highlight', index: 1 });
+    expect(calls[1][2]).toEqual({ frameId: 0 });
+    expect(controller.uiCoordinator.paragraphFromFrame(0, 1)).toBe(1);
+  });
+
+  it('should close the overlay and highlight the page again', async () => {
+    await controller.toggleReaderView();
+    await controller.toggleReaderView();
+
+    const calls = browser.tabs.sendMessage.mock.calls.slice(-2);
+    expect(calls[0]).toEqual([7, { action: 'hideReaderView' }, { frameId: 0 }]);
+    expect(calls[1][1]).toMatchObject({ action: 'highlight', index: 1 });
+    expect(controller.uiCoordinator.readerViewOpen).toBe(false);
+  });
+
+  it('should not open without an article', async () => {
+    controller.state.paragraphs = [];
+    jest.spyOn(controller.uiCoordinator, 'notifyError').mockImplementation(() => {});
+
+    await controller.toggleReaderView();
+    expect(controller.uiCoordinator.readerViewOpen).toBe(false);
+    expect(controller.uiCoordinator.notifyError).toHaveBeenCalled();
+  });
+});
+
+describe('reader view messages and settings', () => {
+  it('should toggle from the footer and forget the overlay closed by the page', () => {
+    const playbackController = { toggleReaderView: jest.fn(), closeReaderView: jest.fn() };
+    const router = createRouter({ playbackController });
+    const sender = { tab: { id: 7 } };
+
+    router.route({ type: 'FOOTER_ACTION', action: 'readerView' }, sender, () => {});
+    router.route({ action: 'readerViewClosed' }, sender, () => {});
+
+    expect(playbackController.toggleReaderView).toHaveBeenCalledWith(sender.tab);
+    expect(playbackController.closeReaderView).toHaveBeenCalledWith(sender.tab, { notifyPage: false });
+  });
+
+  it('should save the overlay style as settings', async () => {
+    const router = createRouter({});
+    const response = await new Promise(resolve => router.route(
+      { action: 'saveReaderStyle', style: { theme: 'sepia', fontFamily: 'sans', fontSize: 18 } }, {}, resolve
+    ));
+
+    expect(response).toEqual({ success: true });
+    expect(browser.storage.local.set.mock.lastCall[0])
+      .toMatchObject({ readerTheme: 'sepia', readerFontFamily: 'sans', readerFontSize: 18 });
+  });
+
+  it('should validate reader settings and messages', () => {
+    expect(validateSetting('readerTheme', 'sepia').data).toBe('sepia');
+    expect(validateSetting('readerTheme', 'neon').data).toBe('light');
+    expect(validateSetting('readerFontFamily', 'mono').data).toBe('serif');
+    expect(validateSetting('readerFontSize', 40).data).toBe(20);
+    expect(validateIncomingMessage({
+      action: 'saveReaderStyle', style: { theme: 'dark', fontFamily: 'sans', fontSize: 22 }
+    }).success).toBe(true);
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Unit tests for per-URL reading positions
+ * @module tests/unit/reading-positions.test
+ */
+
+import { jest } from '@jest/globals';
+import {
+  ReadingPositionStore,
+  READING_POSITION_CONFIG,
+  createTextFingerprint,
+  createContentFingerprint,
+  createParagraphHash,
+  normalizePositionUrl,
+  locateParagraph
+} from '../../background/reading-positions.js';
+import { StorageKey, MessageType } from '../../background/constants.js';
+import { createRouter } from '../../background/message-router.js';
+import { createFakeStorage } from '../helpers/fake-storage.js';
+
+const article = [
+  'The first paragraph introduces the topic at some length.',
+  'The second paragraph develops the argument further.',
+  'The third paragraph offers a counterpoint worth considering.',
+  'The fourth paragraph wraps everything up nicely.'
+];
+
+describe('fingerprints', () => {
+  it('should normalize text like the content extractor', () => {
+    expect(createTextFingerprint("  It's   a TEST... ")).toBe('its a test');
+    expect(createTextFingerprint(null)).toBe('');
+  });
+
+  it('should give the same content fingerprint for equivalent text', () => {
+    const reformatted = article.map(p => `  ${p.toUpperCase()} `);
+    expect(createContentFingerprint(reformatted)).toBe(createContentFingerprint(article));
+    expect(createContentFingerprint(article.slice(1))).not.toBe(createContentFingerprint(article));
+  });
+
+  it('should key positions by URL without the fragment', () => {
+    expect(normalizePositionUrl('https://example.com/post#comments')).toBe('https://example.com/post');
+    expect(normalizePositionUrl('about:reader')).toBeNull();
+  });
+});
+
+describe('locateParagraph', () => {
+  const saved = {
+    paragraphIndex: 2,
+    wordIndex: 5,
+    paragraphFingerprint: createTextFingerprint(article[2]),
+    paragraphHash: createParagraphHash(article[2]),
+    contentFingerprint: createContentFingerprint(article)
+  };
+
+  it('should keep the index when the page is unchanged', () => {
+    expect(locateParagraph(article, saved)).toEqual({ paragraphIndex: 2, exact: true });
+  });
+
+  it('should re-locate the paragraph by text when content shifts', () => {
+    const changed = ['Breaking: a banner was added above the article.', ...article];
+    expect(locateParagraph(changed, saved)).toEqual({ paragraphIndex: 3, exact: true });
+  });
+
+  it('should fall back to a prefix match when the paragraph was edited', () => {
+    const edited = [...article];
+    edited[2] = 'The third paragraph offers a counterpoint worth considering, now with an update.';
+    edited.unshift('New intro.');
+
+    expect(locateParagraph(edited, {
+      ...saved,
+      paragraphFingerprint: createTextFingerprint('The third paragraph offers a counterpoint')
+    })).toEqual({ paragraphIndex: 3, exact: false });
+  });
+
+  it('should not count a paragraph edited past its fingerprint as unchanged', () => {
+    const edited = [...article];
+    edited[2] = 'The third paragraph offers a counterpoint worth considering, now with an update.';
+    expect(createTextFingerprint(edited[2])).toBe(saved.paragraphFingerprint);
+
+    expect(locateParagraph(edited, saved)).toEqual({ paragraphIndex: 2, exact: false });
+  });
+
+  it('should pick the match nearest the saved index when text repeats', () => {
+    const repeated = ['Advertisement', 'Intro text here.', 'Advertisement', 'Body', 'Advertisement'];
+    const position = {
+      paragraphIndex: 3,
+      paragraphFingerprint: 'advertisement',
+      contentFingerprint: 'stale'
+    };
+    expect(locateParagraph(repeated, position).paragraphIndex).toBe(2);
+  });
+
+  it('should return null when the paragraph is gone', () => {
+    const rewritten = ['Entirely different content now.', 'Nothing in common at all.'];
+    expect(locateParagraph(rewritten, saved)).toBeNull();
+  });
+});
+
+describe('ReadingPositionStore', () => {
+  let storage;
+  let store;
+
+  beforeEach(() => {
+    storage = createFakeStorage();
+    store = new ReadingPositionStore({ storage });
+  });
+
+  it('should save and restore a position with fingerprints', async () => {
+    await store.save('https://example.com/post#top', {
+      paragraphs: article,
+      paragraphIndex: 1,
+      wordIndex: 3,
+      mode: 'article'
+    });
+
+    const restored = new ReadingPositionStore({ storage });
+    const position = await restored.get('https://example.com/post');
+
+    expect(position).toEqual(expect.objectContaining({
+      url: 'https://example.com/post',
+      mode: 'article',
+      paragraphIndex: 1,
+      wordIndex: 3,
+      totalParagraphs: 4,
+      paragraphFingerprint: createTextFingerprint(article[1]),
+      contentFingerprint: createContentFingerprint(article)
+    }));
+  });
+
+  it('should ignore pages without a readable URL or paragraph', async () => {
+    await store.save('about:blank', { paragraphs: article, paragraphIndex: 0 });
+    await store.save('https://example.com', { paragraphs: article, paragraphIndex: 10 });
+
+    expect(storage.set).not.toHaveBeenCalled();
+  });
+
+  it('should clear a finished page', async () => {
+    await store.save('https://example.com', { paragraphs: article, paragraphIndex: 2 });
+    await store.clear('https://example.com');
+
+    expect(await store.get('https://example.com')).toBeNull();
+    expect(storage.data[StorageKey.READING_POSITIONS]).toEqual({});
+  });
+
+  it('should evict the oldest positions above the limit', async () => {
+    const now = jest.spyOn(Date, 'now');
+    for (let i = 0; i <= READING_POSITION_CONFIG.maxEntries; i++) {
+      now.mockReturnValue(1000 + i);
+      await store.save(`https://example.com/${i}`, { paragraphs: article, paragraphIndex: 0 });
+    }
+    now.mockRestore();
+
+    expect(Object.keys(store.positions)).toHaveLength(READING_POSITION_CONFIG.maxEntries);
+    expect(await store.get('https://example.com/0')).toBeNull();
+    expect(await store.get('https://example.com/1')).not.toBeNull();
+  });
+});
+
+describe('resume position messages', () => {
+  it('should answer with the error when storage fails', async () => {
+    const failure = () => jest.fn().mockRejectedValue(new Error('Storage unavailable'));
+    const router = createRouter({ readingPositions: { get: failure(), clear: failure() } });
+
+    for (const action of [MessageType.GET_RESUME_POSITION, MessageType.CLEAR_RESUME_POSITION]) {
+      const response = await new Promise(resolve => router.route({ action, url: 'https://example.com' }, {}, resolve));
+      expect(response).toEqual({ success: false, error: 'Storage unavailable' });
+    }
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Unit tests for ReadingQueue
+ * @module tests/unit/reading-queue.test
+ */
+
+import { jest } from '@jest/globals';
+import { ReadingQueue, isQueueableUrl, QUEUE_CONFIG } from '../../background/reading-queue.js';
+import { StorageKey, QueueMessageTypes } from '../../background/constants.js';
+import { createRouter } from '../../background/message-router.js';
+import { createFakeStorage } from '../helpers/fake-storage.js';
+
+describe('ReadingQueue', () => {
+  let storage;
+  let queue;
+
+  beforeEach(() => {
+    storage = createFakeStorage();
+    queue = new ReadingQueue({ storage });
+  });
+
+  const pages = [
+    { url: 'https://example.com/a', title: 'Page A' },
+    { url: 'https://example.com/b', title: 'Page B' },
+    { url: 'https://example.com/c', title: 'Page C' }
+  ];
+
+  it('should add pages in order and persist them', async () => {
+    const added = await queue.add(pages);
+
+    expect(added).toHaveLength(3);
+    expect(storage.data[StorageKey.READING_QUEUE].items.map(i => i.title))
+      .toEqual(['Page A', 'Page B', 'Page C']);
+  });
+
+  it('should skip duplicates and pages that cannot be read', async () => {
+    await queue.add(pages.slice(0, 1));
+    const added = await queue.add([
+      pages[0],
+      { url: 'about:config', title: 'Config' },
+      { url: 'https://example.com/d' }
+    ]);
+
+    expect(added).toHaveLength(1);
+    expect(added[0].title).toBe('https://example.com/d');
+  });
+
+  it('should stop adding at the item limit', async () => {
+    const many = Array.from({ length: QUEUE_CONFIG.maxItems + 5 }, (_, i) => ({ url: `https://example.com/${i}` }));
+    await queue.add(many);
+
+    expect((await queue.getAll()).items).toHaveLength(QUEUE_CONFIG.maxItems);
+  });
+
+  it('should move and remove items', async () => {
+    const [a, b, c] = await queue.add(pages);
+
+    await queue.move(c.id, 0);
+    expect((await queue.getAll()).items.map(i => i.id)).toEqual([c.id, a.id, b.id]);
+
+    await queue.move(a.id, 99);
+    expect((await queue.getAll()).items.map(i => i.id)).toEqual([c.id, b.id, a.id]);
+
+    expect(await queue.remove(b.id)).toBe(true);
+    expect(await queue.remove('missing')).toBe(false);
+    expect((await queue.getAll()).items.map(i => i.id)).toEqual([c.id, a.id]);
+  });
+
+  it('should remember the reading position', async () => {
+    const [a] = await queue.add(pages);
+
+    await queue.savePosition(a.id, 4, 10);
+
+    expect((await queue.get(a.id)).position).toEqual(
+      expect.objectContaining({ paragraphIndex: 4, totalParagraphs: 10 })
+    );
+  });
+
+  it('should remove a completed item and return the one after it', async () => {
+    const [a, b, c] = await queue.add(pages);
+    await queue.setCurrent(b.id);
+
+    const next = await queue.complete(b.id);
+
+    expect(next.id).toBe(c.id);
+    expect((await queue.getAll())).toEqual(expect.objectContaining({ currentId: null }));
+    expect(await queue.complete(c.id)).toBeNull();
+    expect((await queue.getAll()).items.map(i => i.id)).toEqual([a.id]);
+  });
+
+  it('should restore the queue from storage', async () => {
+    const [a] = await queue.add(pages);
+    await queue.setCurrent(a.id);
+
+    const restored = new ReadingQueue({ storage });
+    const snapshot = await restored.getAll();
+
+    expect(snapshot.items).toHaveLength(3);
+    expect(snapshot.currentId).toBe(a.id);
+  });
+
+  it('should notify subscribers on change until unsubscribed', async () => {
+    const callback = jest.fn();
+    const unsubscribe = queue.subscribe(callback);
+
+    await queue.add(pages.slice(0, 1));
+    expect(callback).toHaveBeenCalledWith(expect.objectContaining({ items: [expect.any(Object)] }));
+
+    unsubscribe();
+    await queue.clear();
+    expect(callback).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('isQueueableUrl', () => {
+  it('should accept web pages only', () => {
+    expect(isQueueableUrl('https://example.com')).toBe(true);
+    expect(isQueueableUrl('http://example.com')).toBe(true);
+    expect(isQueueableUrl('about:blank')).toBe(false);
+    expect(isQueueableUrl('moz-extension://abc/popup.html')).toBe(false);
+    expect(isQueueableUrl('https://addons.mozilla.org/firefox')).toBe(false);
+    expect(isQueueableUrl(undefined)).toBe(false);
+  });
+});
+
+describe('reading queue messages', () => {
+  it('should answer with the error when storage fails', async () => {
+    const failure = () => jest.fn().mockRejectedValue(new Error('Storage unavailable'));
+    const router = createRouter({
+      readingQueue: { getAll: failure(), add: failure(), remove: failure(), move: failure(), clear: failure() }
+    });
+
+    for (const message of [
+      { action: QueueMessageTypes.GET_QUEUE },
+      { action: QueueMessageTypes.ADD_TO_QUEUE, items: [{ url: 'https://example.com/a' }] },
+      { action: QueueMessageTypes.REMOVE_FROM_QUEUE, id: 'q1' },
+      { action: QueueMessageTypes.MOVE_QUEUE_ITEM, id: 'q1', toIndex: 0 },
+      { action: QueueMessageTypes.CLEAR_QUEUE }
+    ]) {
+      const response = await new Promise(resolve => router.route(message, {}, resolve));
+      expect(response).toEqual({ success: false, error: 'Storage unavailable' });
+    }
+  });
+});
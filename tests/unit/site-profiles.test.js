@@ -0,0 +1,139 @@
+/**
+ * Unit tests for per-site profiles
+ * @module tests/unit/site-profiles.test
+ */
+
+import { jest } from '@jest/globals';
+import { getSiteOrigin, findSiteProfile } from '../../shared/config/site-profiles.js';
+import { PlaybackController } from '../../background/playback-controller.js';
+import { audioCache } from '../../background/audio-cache.js';
+
+const PROFILES = {
+  'https://docs.example.com': { mode: 'article', provider: 'openai', voice: 'nova', speed: 1.4, wordSyncEnabled: false }
+};
+
+describe('site profile lookup', () => {
+  it('should key profiles by web origin', () => {
+    expect(getSiteOrigin('https://docs.example.com/guide/intro?x=1#top')).toBe('https://docs.example.com');
+    expect(getSiteOrigin('http://localhost:8080/')).toBe('http://localhost:8080');
+    expect(getSiteOrigin('about:reader?url=https://example.com')).toBeNull();
+    expect(getSiteOrigin('not a url')).toBeNull();
+    expect(getSiteOrigin(undefined)).toBeNull();
+  });
+
+  it('should only match the exact origin', () => {
+    expect(findSiteProfile(PROFILES, 'https://docs.example.com/a')).toEqual({
+      origin: 'https://docs.example.com',
+      profile: PROFILES['https://docs.example.com']
+    });
+    expect(findSiteProfile(PROFILES, 'https://example.com/a')).toBeNull();
+    expect(findSiteProfile(PROFILES, 'http://docs.example.com/a')).toBeNull();
+    expect(findSiteProfile(undefined, 'https://docs.example.com/a')).toBeNull();
+  });
+});
+
+describe('PlaybackController site profiles', () => {
+  let controller;
+
+  beforeEach(() => {
+    browser.storage.local.get.mockResolvedValue({ siteProfiles: PROFILES });
+    controller = new PlaybackController({
+      providerRegistry: {
+        hasProvider: () => true,
+        getProvider: () => ({ getDefaultVoice: () => 'alloy' })
+      },
+      uiCoordinator: { notifyError: jest.fn(), sendWordTimeline: jest.fn(), notifyWordSyncStatus: jest.fn() }
+    });
+    jest.spyOn(controller, '_requestTextFromActiveTab').mockResolvedValue(true);
+  });
+
+  it('should override the popup values on a profiled site', async () => {
+    await controller.handlePlay(
+      { provider: 'elevenlabs', voice: 'rachel', speed: 1, mode: 'full' },
+      { id: 3, url: 'https://docs.example.com/guide' }
+    );
+
+    expect(controller.state).toEqual(expect.objectContaining({
+      currentProvider: 'openai',
+      currentVoice: 'nova',
+      speed: 1.4,
+      mode: 'article',
+      wordSyncEnabled: false
+    }));
+    expect(controller.getState().siteProfileOrigin).toBe('https://docs.example.com');
+    expect(controller._requestTextFromActiveTab).toHaveBeenCalledWith('article');
+  });
+
+  it('should keep the popup values elsewhere', async () => {
+    await controller.handlePlay(
+      { provider: 'elevenlabs', voice: 'rachel', speed: 1.2, mode: 'full' },
+      { id: 3, url: 'https://news.example.com/' }
+    );
+
+    expect(controller.state).toEqual(expect.objectContaining({
+      currentProvider: 'elevenlabs',
+      currentVoice: 'rachel',
+      speed: 1.2,
+      mode: 'full',
+      wordSyncEnabled: true
+    }));
+    expect(controller.getState().siteProfileOrigin).toBeNull();
+  });
+
+  it('should go back to the saved settings on a site without a profile', async () => {
+    browser.storage.local.get.mockResolvedValue({
+      siteProfiles: PROFILES, provider: 'elevenlabs', voice: 'rachel', speed: 1.1, mode: 'full', _modeExplicit: true
+    });
+    await controller.handlePlay({}, { id: 3, url: 'https://docs.example.com/guide' });
+    expect(controller.state.currentVoice).toBe('nova');
+
+    await controller.handlePlay({}, { id: 4, url: 'https://news.example.com/' });
+
+    expect(controller.state).toEqual(expect.objectContaining({
+      currentProvider: 'elevenlabs',
+      currentVoice: 'rachel',
+      speed: 1.1,
+      mode: 'full',
+      wordSyncEnabled: true
+    }));
+    expect(controller.getState().siteProfileOrigin).toBeNull();
+  });
+
+  it('should keep cached audio when a profile switches the provider', async () => {
+    browser.storage.local.get.mockResolvedValue({ siteProfiles: PROFILES, provider: 'elevenlabs' });
+    const clearForProvider = jest.spyOn(audioCache, 'clearForProvider');
+
+    await controller.handlePlay({}, { id: 3, url: 'https://docs.example.com/guide' });
+    await controller.handlePlay({}, { id: 4, url: 'https://news.example.com/' });
+
+    expect(controller.state.currentProvider).toBe('elevenlabs');
+    expect(clearForProvider).not.toHaveBeenCalled();
+    clearForProvider.mockRestore();
+  });
+
+  it('should apply the profile to a page opened from the reading queue', async () => {
+    controller.readingQueue = {
+      getAll: jest.fn().mockResolvedValue({ items: [{ id: 'q1', url: 'https://docs.example.com/guide' }] }),
+      setCurrent: jest.fn().mockResolvedValue(undefined)
+    };
+    jest.spyOn(controller, '_openQueueTab').mockResolvedValue({ id: 5, url: 'about:blank' });
+    jest.spyOn(controller, '_waitForTabComplete').mockResolvedValue(undefined);
+    jest.spyOn(controller, '_requestTextFromTab').mockResolvedValue(true);
+
+    await controller.playQueueItem();
+
+    expect(controller.state).toEqual(expect.objectContaining({
+      currentProvider: 'openai',
+      currentVoice: 'nova',
+      speed: 1.4
+    }));
+    expect(controller._requestTextFromTab).toHaveBeenCalledWith(expect.objectContaining({ id: 5 }), 'article');
+  });
+
+  it('should skip word timelines when word sync is off', async () => {
+    await controller.handlePlay({}, { id: 3, url: 'https://docs.example.com/' });
+    controller._setupWordTimeline([{ word: 'Hi', startTimeMs: 0, endTimeMs: 200 }]);
+
+    expect(controller.uiCoordinator.sendWordTimeline).not.toHaveBeenCalled();
+  });
+});
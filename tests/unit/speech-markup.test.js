@@ -0,0 +1,198 @@
+/**
+ * Unit tests for speech markup from page structure
+ * @module tests/unit/speech-markup.test
+ */
+
+import { jest } from '@jest/globals';
+import { describeParagraphs, renderSpeechMarkup } from '../../background/speech-markup.js';
+import { SpokenText, normalizeText } from '../../background/text-normalizer.js';
+import { GroqTimestampProvider } from '../../background/providers/groq-timestamp-provider.js';
+import { ElevenLabsProvider } from '../../background/providers/elevenlabs-provider.js';
+import { OpenAIProvider } from '../../background/providers/openai-provider.js';
+import { BrowserProvider } from '../../background/providers/browser-provider.js';
+import { PlaybackController } from '../../background/playback-controller.js';
+
+const HEADING = { type: 'heading', emphasis: [] };
+
+/**
+ * Split text on spaces into word timing, like a provider echoing its input
+ * @param {string} text
+ * @returns {Array<{word: string, charOffset: number, charLength: number}>}
+ */
+function timingFor(text) {
+  const words = [];
+  for (const match of text.matchAll(/\S+/g)) {
+    words.push({ word: match[0], charOffset: match.index, charLength: match[0].length });
+  }
+  return words;
+}
+
+describe('describeParagraphs', () => {
+  it('should type paragraphs from tags and block quotes', () => {
+    const markup = [
+      { quote: false, emphasis: [] },
+      { quote: true, emphasis: [{ start: 0, end: 4, level: 'strong' }] },
+      { quote: true, emphasis: [] },
+      { quote: false, emphasis: [] }
+    ];
+
+    expect(describeParagraphs(['H2', 'P', 'LI', 'P'], markup, 4)).toEqual([
+      { type: 'heading', emphasis: [] },
+      { type: 'quote', emphasis: [{ start: 0, end: 4, level: 'strong' }] },
+      { type: 'listItem', emphasis: [] },
+      { type: 'paragraph', emphasis: [] }
+    ]);
+    expect(describeParagraphs(null, null, 2)).toEqual([
+      { type: 'paragraph', emphasis: [] },
+      { type: 'paragraph', emphasis: [] }
+    ]);
+  });
+});
+
+describe('renderSpeechMarkup', () => {
+  const paragraph = { type: 'quote', emphasis: [{ start: 3, end: 10, level: 'strong' }] };
+
+  it('should add ElevenLabs break tags that word timing skips', () => {
+    const spoken = new SpokenText('It is really fast');
+    const rendered = renderSpeechMarkup(spoken, { type: 'paragraph', emphasis: [{ start: 6, end: 12, level: 'moderate' }] }, 'elevenlabs');
+
+    expect(rendered.spoken.text).toBe('It is <break time="0.15s" /> really fast');
+    expect(spoken.text).toBe('It is really fast');
+
+    const mapped = rendered.spoken.mapWordTiming(timingFor(rendered.spoken.text));
+    expect(mapped.map(w => spoken.original.slice(w.charOffset, w.charOffset + w.charLength)))
+      .toEqual(['It', 'is', 'really', 'fast']);
+  });
+
+  it('should wrap quotes and headings in Cartesia pauses', () => {
+    const rendered = renderSpeechMarkup(new SpokenText('We shipped it today'), paragraph, 'cartesia');
+    expect(rendered.spoken.text)
+      .toBe('<break time="300ms"/> We <break time="250ms"/> shipped it today <break time="300ms"/>');
+    expect(renderSpeechMarkup(new SpokenText('Setup'), HEADING, 'cartesia').spoken.text)
+      .toBe('<break time="500ms"/> Setup <break time="700ms"/>');
+  });
+
+  it('should place emphasis pauses after normalized text', () => {
+    const spoken = normalizeText('See www.example.com now', { normalizers: { urls: true } });
+    const rendered = renderSpeechMarkup(spoken, { type: 'paragraph', emphasis: [{ start: 20, end: 23, level: 'strong' }] }, 'elevenlabs');
+
+    expect(rendered.spoken.text).toBe('See example dot com <break time="0.25s" /> now');
+  });
+
+  it('should give browser voices prosody and pauses instead of tags', () => {
+    const spoken = new SpokenText('Setup');
+    expect(renderSpeechMarkup(spoken, HEADING, 'utterance')).toEqual({
+      spoken, rate: 0.9, pitch: 0.9, pauseBeforeMs: 500, pauseAfterMs: 700
+    });
+  });
+
+  it('should send plain text to providers without markup support', () => {
+    const spoken = new SpokenText('Setup');
+    expect(renderSpeechMarkup(spoken, HEADING, null)).toEqual({
+      spoken, rate: 1, pitch: 1, pauseBeforeMs: 0, pauseAfterMs: 0
+    });
+  });
+
+  it('should name what each provider supports', () => {
+    expect(ElevenLabsProvider.speechMarkup).toBe('elevenlabs');
+    expect(BrowserProvider.speechMarkup).toBe('utterance');
+    expect(OpenAIProvider.speechMarkup).toBeNull();
+  });
+});
+
+describe('Groq alignment with markup', () => {
+  it('should not align spoken words inside break tags', () => {
+    const provider = new GroqTimestampProvider();
+    const source = '<break time="0.5s" /> Break time is over';
+    const aligned = provider._alignWordsToSource(
+      ['Break', 'time', 'is', 'over'].map(word => ({ word, startMs: 0, endMs: 0, charOffset: -1, charLength: -1 })),
+      source
+    );
+
+    expect(aligned.map(w => source.slice(w.charOffset, w.charOffset + w.charLength)))
+      .toEqual(['Break', 'time', 'is', 'over']);
+  });
+});
+
+describe('content paragraph markup', () => {
+  let extractor;
+
+  beforeAll(async () => {
+    await import('../../content/content-scorer.js');
+    await import('../../content/content-extractor.js');
+    extractor = window.VoxPage.contentExtractor;
+  });
+
+  it('should report quotes and emphasis offsets in paragraph text', () => {
+    document.body.innerHTML = `
+      <h2>Title</h2>
+      <blockquote><p>  It was <em>very</em> <strong><em>good</em></strong>.</p></blockquote>
+      <p>Plain</p>`;
+    extractor.setExtractedParagraphs([...document.querySelectorAll('h2, p')]);
+
+    const texts = extractor.getParagraphTexts();
+    const markup = extractor.getParagraphMarkup();
+
+    expect(markup.map(m => m.quote)).toEqual([false, true, false]);
+    expect(markup[1].emphasis.map(({ start, end, level }) => [texts[1].slice(start, end), level])).toEqual([
+      ['very', 'moderate'],
+      ['good', 'strong'],
+      ['good', 'moderate']
+    ]);
+  });
+});
+
+describe('PlaybackController speech markup', () => {
+  it('should render paragraphs for the speaking provider only when enabled', () => {
+    const controller = new PlaybackController({
+      providerRegistry: { getProvider: (id) => (id === 'elevenlabs' ? new ElevenLabsProvider('key') : new OpenAIProvider('key')) }
+    });
+    controller.state.paragraphs = ['Setup'];
+    controller.paragraphStyles = [HEADING];
+
+    expect(controller._renderParagraph(0, 'elevenlabs').spoken.text).toBe('Setup');
+
+    controller.speechMarkupEnabled = true;
+    expect(controller._renderParagraph(0, 'elevenlabs').spoken.text)
+      .toBe('<break time="0.5s" /> Setup <break time="0.7s" />');
+    expect(controller._renderParagraph(0, 'openai').spoken.text).toBe('Setup');
+  });
+
+  it('should pass prosody to browser TTS and pause around it', async () => {
+    jest.useFakeTimers();
+    const audioGenerator = {
+      isBrowserTTS: () => true,
+      playWithBrowserTTS: jest.fn().mockResolvedValue(undefined)
+    };
+    const controller = new PlaybackController({
+      audioGenerator,
+      providerRegistry: { getProvider: () => new BrowserProvider(), hasProvider: () => true },
+      uiCoordinator: {
+        resetWordHighlightTracking: jest.fn(),
+        highlightParagraph: jest.fn(),
+        notifyParagraphChanged: jest.fn(),
+        sendWordTimeline: jest.fn(),
+        notifyWordSyncStatus: jest.fn(),
+        highlightWord: jest.fn()
+      }
+    });
+    jest.spyOn(controller, '_onParagraphEnded').mockImplementation(() => {});
+    controller.state.paragraphs = ['Setup'];
+    controller.state.currentProvider = 'browser';
+    controller.state.isPlaying = true;
+    controller.paragraphStyles = [HEADING];
+    controller.speechMarkupEnabled = true;
+
+    const playing = controller._playCurrentParagraph();
+    await jest.advanceTimersByTimeAsync(500);
+    expect(audioGenerator.playWithBrowserTTS).toHaveBeenCalledWith(
+      'Setup', controller.state.currentVoice, 1, null, { rate: 0.9, pitch: 0.9 }, expect.objectContaining({ startChar: 0 })
+    );
+    expect(controller._onParagraphEnded).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(700);
+    await playing;
+    expect(controller._onParagraphEnded).toHaveBeenCalled();
+    jest.useRealTimers();
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Unit tests for the pronunciation lexicon and text normalizers
+ * @module tests/unit/text-normalizer.test
+ */
+
+import { jest } from '@jest/globals';
+import { SpokenText, normalizeText, selectLexiconEntries } from '../../background/text-normalizer.js';
+import { PlaybackController } from '../../background/playback-controller.js';
+
+const ALL_NORMALIZERS = { urls: true, emails: true, numbers: true, dates: true, identifiers: true };
+
+const entry = (overrides) => ({
+  match: '', replacement: '', isRegex: false, matchCase: false, language: null, site: null, ...overrides
+});
+
+describe('SpokenText', () => {
+  it('should map spoken offsets back to the original text', () => {
+    const spoken = new SpokenText('Open VoxPage now').replace(/VoxPage/, () => 'Vox Page');
+
+    expect(spoken.text).toBe('Open Vox Page now');
+    expect(spoken.toOriginalRange(0, 4)).toEqual({ charOffset: 0, charLength: 4 });
+    // Both spoken words highlight the whole original word
+    expect(spoken.toOriginalRange(5, 3)).toEqual({ charOffset: 5, charLength: 7 });
+    expect(spoken.toOriginalRange(9, 4)).toEqual({ charOffset: 5, charLength: 7 });
+    expect(spoken.toOriginalRange(14, 3)).toEqual({ charOffset: 13, charLength: 3 });
+  });
+
+  it('should not rewrite replaced text again', () => {
+    const spoken = new SpokenText('SQL')
+      .replace(/SQL/, () => 'sequel')
+      .replace(/sequel/, () => 'nope');
+
+    expect(spoken.text).toBe('sequel');
+  });
+
+  it('should remap word timing and keep unaligned words', () => {
+    const spoken = normalizeText('Mail me at jo@example.com today', { normalizers: ALL_NORMALIZERS, languageCode: 'en' });
+    const words = spoken.text.split(' ').reduce((list, word) => {
+      const charOffset = list.length ? list.at(-1).charOffset + list.at(-1).charLength + 1 : 0;
+      return [...list, { word, charOffset, charLength: word.length, startMs: 0, endMs: 0 }];
+    }, []);
+    words.push({ word: 'extra', charOffset: -1, charLength: -1 });
+
+    const mapped = spoken.mapWordTiming(words);
+    const original = 'Mail me at jo@example.com today';
+
+    expect(spoken.text).toBe('Mail me at jo at example dot com today');
+    expect(mapped.map(w => original.slice(w.charOffset, w.charOffset + w.charLength))).toEqual([
+      'Mail', 'me', 'at', 'jo@example.com', 'jo@example.com', 'jo@example.com', 'jo@example.com',
+      'jo@example.com', 'today', ''
+    ]);
+    expect(mapped.at(-1)).toEqual({ word: 'extra', charOffset: -1, charLength: -1 });
+  });
+});
+
+describe('pronunciation lexicon', () => {
+  it('should order entries from site to language to global', () => {
+    const lexicon = [
+      entry({ match: 'a' }),
+      entry({ match: 'b', language: 'de' }),
+      entry({ match: 'c', language: 'en' }),
+      entry({ match: 'd', site: 'docs.example.com' }),
+      entry({ match: 'e', site: 'other.example.com' })
+    ];
+
+    expect(selectLexiconEntries(lexicon, 'en-US', 'https://docs.example.com/x').map(e => e.match))
+      .toEqual(['d', 'c', 'a']);
+  });
+
+  it('should replace whole words, honouring case and regex groups', () => {
+    const lexicon = [
+      entry({ match: 'nginx', replacement: 'engine x' }),
+      entry({ match: 'SQL', replacement: 'sequel', matchCase: true }),
+      entry({ match: 'v(\\d+)', replacement: 'version $1', isRegex: true })
+    ];
+
+    expect(normalizeText('Run nginx (not nginxd), SQL and sql on v2.', { lexicon }).text)
+      .toBe('Run engine x (not nginxd), sequel and sql on version 2.');
+  });
+});
+
+describe('built-in normalizers', () => {
+  const normalize = (text, languageCode = 'en') =>
+    normalizeText(text, { normalizers: ALL_NORMALIZERS, languageCode }).text;
+
+  it('should read URLs and emails', () => {
+    expect(normalize('See https://www.example.com/docs/getting-started?x=1.'))
+      .toBe('See example dot com slash docs slash getting started.');
+    expect(normalize('Mail jane.doe@example.org', 'es')).toBe('Mail jane punto doe arroba example punto org');
+  });
+
+  it('should read numbers and dates for the page language', () => {
+    expect(normalize('On 2026-03-14 sales grew 1,234.5% (v1.2.3, 2019).'))
+      .toBe('On March 14, 2026 sales grew 1234 point 5 percent (v1.2.3, 2019).');
+    expect(normalize('Am 2026-03-14 stieg er um 1.234,5 %.', 'de'))
+      .toBe('Am 14. März 2026 stieg er um 1234 Komma 5 Prozent.');
+    expect(normalize('Not a date: 2026-02-31')).toBe('Not a date: 2026-02-31');
+  });
+
+  it('should split code identifiers but not brand names', () => {
+    expect(normalize('Call getUserName, parseHTMLDocument or user_id on an iPhone'))
+      .toBe('Call get User Name, parse HTML Document or user id on an iPhone');
+  });
+
+  it('should leave the text alone when normalizers are off', () => {
+    const spoken = normalizeText('Visit https://example.com on 2026-03-14', { normalizers: {} });
+    expect(spoken.changed).toBe(false);
+    expect(spoken.text).toBe('Visit https://example.com on 2026-03-14');
+  });
+});
+
+describe('PlaybackController pronunciation', () => {
+  let controller;
+  let audioGenerator;
+
+  beforeEach(() => {
+    browser.storage.local.get.mockResolvedValue({
+      pronunciationLexicon: [entry({ match: 'VoxPage', replacement: 'Vox Page' })]
+    });
+    audioGenerator = {
+      isBrowserTTS: () => false,
+      canStream: () => false,
+      generateAudioWithTiming: jest.fn(async (text) => ({
+        audioData: new ArrayBuffer(8),
+        wordTiming: text.split(' ').map((word, i, all) => ({
+          word,
+          startTimeMs: i * 100,
+          endTimeMs: i * 100 + 90,
+          charOffset: all.slice(0, i).join(' ').length + (i > 0 ? 1 : 0),
+          charLength: word.length
+        }))
+      })),
+      playAudio: jest.fn(() => ({ currentTime: 0 })),
+      preGenerateNextParagraphs: jest.fn()
+    };
+    controller = new PlaybackController({
+      audioGenerator,
+      uiCoordinator: { sendWordTimeline: jest.fn(), notifyWordSyncStatus: jest.fn(), notifyCacheHit: jest.fn() }
+    });
+    jest.spyOn(controller.syncState, 'start').mockImplementation(() => {});
+  });
+
+  it('should synthesize the spoken text and highlight page words', async () => {
+    controller.state.paragraphs = ['Try VoxPage today', 'Thanks to VoxPage users'];
+    controller.state.languageCode = 'en';
+    controller.spokenParagraphs = await controller._normalizeParagraphs(controller.state.paragraphs);
+
+    await controller._playWithTTSProvider(controller._getSpokenParagraph(0), { provider: 'openai', voice: 'pron-test' });
+
+    expect(audioGenerator.generateAudioWithTiming.mock.lastCall[0]).toBe('Try Vox Page today');
+    const [timeline] = controller.uiCoordinator.sendWordTimeline.mock.lastCall;
+    expect(timeline.map(w => [w.charOffset, w.charLength])).toEqual([[0, 3], [4, 7], [4, 7], [12, 5]]);
+    expect(audioGenerator.preGenerateNextParagraphs.mock.lastCall[0])
+      .toEqual(['Try Vox Page today', 'Thanks to Vox Page users']);
+  });
+});
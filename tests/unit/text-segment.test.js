@@ -353,6 +353,17 @@ describe('TextSegmentMap', () => {
       expect(map.getByIndex(0).type).toBe('listItem');
     });
 
+    it('should detect block quote type', () => {
+      const map = new TextSegmentMap();
+      map.buildFromElements([
+        { textContent: 'Quote', tagName: 'BLOCKQUOTE' },
+        { textContent: 'Quoted', tagName: 'P', closest: (selector) => (selector === 'blockquote' ? {} : null) }
+      ]);
+
+      expect(map.getByIndex(0).type).toBe('quote');
+      expect(map.getByIndex(1).type).toBe('quote');
+    });
+
     it('should default to paragraph type', () => {
       const map = new TextSegmentMap();
       map.buildFromElements([
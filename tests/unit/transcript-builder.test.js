@@ -0,0 +1,133 @@
+/**
+ * Unit tests for transcript builder (WebVTT/SRT cues and chapters)
+ * @module tests/unit/transcript-builder.test
+ */
+
+import { jest } from '@jest/globals';
+import {
+  segmentTypesFromTags,
+  estimateWordTiming,
+  buildCues,
+  buildChapters,
+  formatTimestamp,
+  toWebVtt,
+  toSrt
+} from '../../background/transcript-builder.js';
+
+describe('transcript-builder', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'debug').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('segmentTypesFromTags', () => {
+    it('should detect headings and list items', () => {
+      expect(segmentTypesFromTags(['H2', 'P', 'LI', 'h3'], 4))
+        .toEqual(['heading', 'paragraph', 'listItem', 'heading']);
+    });
+
+    it('should treat everything as paragraphs when tags are missing or misaligned', () => {
+      expect(segmentTypesFromTags(null, 2)).toEqual(['paragraph', 'paragraph']);
+      expect(segmentTypesFromTags(['H1'], 2)).toEqual(['paragraph', 'paragraph']);
+    });
+  });
+
+  describe('estimateWordTiming', () => {
+    it('should spread words across the duration by length', () => {
+      const timing = estimateWordTiming('a bbb', 600);
+
+      expect(timing).toHaveLength(2);
+      expect(timing[0]).toEqual({ word: 'a', startTimeMs: 0, endTimeMs: 200 });
+      expect(timing[1].startTimeMs).toBe(200);
+      expect(timing[1].endTimeMs).toBe(600);
+    });
+  });
+
+  describe('buildCues', () => {
+    const timedSegment = {
+      text: 'Hello world. Bye now.',
+      durationMs: 2000,
+      wordTiming: [
+        { word: 'Hello', startMs: 0, endMs: 400 },
+        { word: 'world.', startMs: 400, endMs: 900 },
+        { word: 'Bye', startTimeMs: 1100, endTimeMs: 1400 },
+        { word: 'now.', startTimeMs: 1400, endTimeMs: 1800 }
+      ]
+    };
+
+    it('should group provider timings into sentences', () => {
+      expect(buildCues([timedSegment], 'sentence')).toEqual([
+        { startMs: 0, endMs: 900, text: 'Hello world.' },
+        { startMs: 1100, endMs: 1800, text: 'Bye now.' }
+      ]);
+    });
+
+    it('should emit one cue per word at word level', () => {
+      const cues = buildCues([timedSegment], 'word');
+      expect(cues.map(c => c.text)).toEqual(['Hello', 'world.', 'Bye', 'now.']);
+    });
+
+    it('should offset later segments by earlier durations', () => {
+      const cues = buildCues([timedSegment, { text: 'Next.', durationMs: 500 }], 'sentence');
+      expect(cues[2]).toEqual({ startMs: 2000, endMs: 2500, text: 'Next.' });
+    });
+
+    it('should split long sentences into readable cues', () => {
+      const text = Array.from({ length: 30 }, (_, i) => `word${i}`).join(' ');
+      const cues = buildCues([{ text, durationMs: 10000 }], 'sentence');
+
+      expect(cues.length).toBeGreaterThan(1);
+      cues.forEach(cue => expect(cue.text.length).toBeLessThanOrEqual(84));
+    });
+  });
+
+  describe('buildChapters', () => {
+    it('should start a chapter at each heading', () => {
+      const chapters = buildChapters([
+        { text: 'Intro text', type: 'paragraph', durationMs: 1000 },
+        { text: 'Part  One', type: 'heading', durationMs: 500 },
+        { text: 'Body', type: 'paragraph', durationMs: 2000 },
+        { text: 'Part Two', type: 'heading', durationMs: 500 },
+        { text: 'More', type: 'paragraph', durationMs: 1000 }
+      ], 'My Article');
+
+      expect(chapters).toEqual([
+        { startMs: 0, endMs: 1000, title: 'My Article' },
+        { startMs: 1000, endMs: 3500, title: 'Part One' },
+        { startMs: 3500, endMs: 5000, title: 'Part Two' }
+      ]);
+    });
+
+    it('should return no chapters without headings', () => {
+      expect(buildChapters([{ text: 'Only text', type: 'paragraph', durationMs: 1000 }])).toEqual([]);
+    });
+  });
+
+  describe('formatting', () => {
+    it('should format timestamps for both formats', () => {
+      expect(formatTimestamp(3723456)).toBe('01:02:03.456');
+      expect(formatTimestamp(61001, ',')).toBe('00:01:01,001');
+    });
+
+    it('should write WebVTT with escaped cue text', () => {
+      const vtt = toWebVtt([{ startMs: 0, endMs: 1500, text: 'a < b & c' }]);
+      expect(vtt).toBe('WEBVTT\n\n1\n00:00:00.000 --> 00:00:01.500\na &lt; b &amp; c\n');
+    });
+
+    it('should write chapters as WebVTT cues', () => {
+      const vtt = toWebVtt([{ startMs: 0, endMs: 1000, title: 'Chapter 1' }]);
+      expect(vtt).toContain('Chapter 1');
+    });
+
+    it('should write SRT', () => {
+      const srt = toSrt([
+        { startMs: 0, endMs: 1000, text: 'One' },
+        { startMs: 1000, endMs: 2000, text: 'Two' }
+      ]);
+      expect(srt).toBe('1\n00:00:00,000 --> 00:00:01,000\nOne\n\n2\n00:00:01,000 --> 00:00:02,000\nTwo\n');
+    });
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Unit tests for the usage ledger and spending caps
+ * @module tests/unit/usage-ledger.test
+ */
+
+import { jest } from '@jest/globals';
+import {
+  UsageLedger,
+  BudgetLevel,
+  USAGE_LEDGER_CONFIG,
+  toDayKey
+} from '../../background/usage-ledger.js';
+import { AudioGenerator } from '../../background/audio-generator.js';
+import { StorageKey } from '../../background/constants.js';
+import { BudgetExceededError } from '../../shared/errors/provider-errors.js';
+import { isFallbackError } from '../../background/provider-fallback.js';
+import { createPricingModel, PricingType } from '../../background/providers/pricing-model.js';
+import { createFakeStorage } from '../helpers/fake-storage.js';
+
+describe('UsageLedger', () => {
+  let storage;
+  let now;
+  let caps;
+  let ledger;
+
+  beforeEach(() => {
+    storage = createFakeStorage();
+    now = new Date(2026, 2, 15, 12, 0);
+    caps = {};
+    ledger = new UsageLedger({ storage, now: () => now, loadCaps: async () => caps });
+  });
+
+  it('should key days by local date', () => {
+    expect(toDayKey(new Date(2026, 0, 5, 23, 59))).toBe('2026-01-05');
+  });
+
+  it('should total characters, cost and requests per provider', async () => {
+    await ledger.record('openai', 1000, 0.015);
+    await ledger.record('openai', 500, 0.0075);
+    now = new Date(2026, 2, 16, 9, 0);
+    await ledger.record('openai', 200, 0.003);
+    await ledger.record('elevenlabs', 100, 0.03);
+
+    const summary = await ledger.getSummary();
+
+    expect(summary.today).toBe('2026-03-16');
+    expect(summary.providers.openai.today).toEqual({ characters: 200, cost: 0.003, requests: 1 });
+    expect(summary.providers.openai.month.characters).toBe(1700);
+    expect(summary.providers.openai.month.requests).toBe(3);
+    expect(summary.totals.today.characters).toBe(300);
+    expect(summary.totals.month.cost).toBeCloseTo(0.0555);
+    expect(summary.daily.map(day => day.date)).toEqual(['2026-03-16', '2026-03-15']);
+  });
+
+  it('should only count the current month', async () => {
+    await ledger.record('openai', 1000, 1);
+    now = new Date(2026, 3, 1, 8, 0);
+
+    expect(await ledger.getMonthlySpend('openai')).toBe(0);
+    expect((await ledger.getSummary()).daily).toEqual([]);
+  });
+
+  it('should persist and restore usage', async () => {
+    await ledger.record('cartesia', 300, 0.012);
+
+    const restored = new UsageLedger({ storage, now: () => now, loadCaps: async () => caps });
+    expect(await restored.getMonthlySpend('cartesia')).toBeCloseTo(0.012);
+    expect(storage.data[StorageKey.USAGE_LEDGER].days['2026-03-15'].cartesia.requests).toBe(1);
+  });
+
+  it('should not lose records made while the ledger is loading', async () => {
+    await Promise.all([
+      ledger.record('openai', 10, 0.1),
+      ledger.record('openai', 20, 0.2)
+    ]);
+
+    expect(storage.get).toHaveBeenCalledTimes(1);
+    expect((await ledger.getSummary()).providers.openai.today.characters).toBe(30);
+  });
+
+  it('should drop days past the retention window', async () => {
+    await ledger.record('openai', 10, 0.1);
+    now = new Date(now.getTime());
+    now.setDate(now.getDate() + USAGE_LEDGER_CONFIG.retentionDays + 1);
+    await ledger.record('openai', 10, 0.1);
+
+    expect(Object.keys(ledger.days)).toEqual([toDayKey(now)]);
+  });
+
+  it('should check spending against the monthly caps', async () => {
+    caps = { openai: { soft: 1, hard: 2 } };
+    await ledger.record('openai', 1000, 0.9);
+
+    expect((await ledger.checkBudget('openai', 0.05)).level).toBe(BudgetLevel.OK);
+    expect(await ledger.checkBudget('openai', 0.5)).toEqual(
+      expect.objectContaining({ level: BudgetLevel.SOFT, cap: 1 })
+    );
+    expect(await ledger.checkBudget('openai', 1.5)).toEqual(
+      expect.objectContaining({ level: BudgetLevel.HARD, cap: 2, spent: 0.9 })
+    );
+    expect((await ledger.checkBudget('elevenlabs', 100)).level).toBe(BudgetLevel.OK);
+  });
+
+  it('should clear all usage', async () => {
+    await ledger.record('openai', 10, 0.1);
+    await ledger.clear();
+
+    expect((await ledger.getSummary()).providers).toEqual({});
+    expect(storage.data[StorageKey.USAGE_LEDGER]).toEqual({ days: {} });
+  });
+});
+
+describe('AudioGenerator usage tracking', () => {
+  let provider;
+  let usageLedger;
+  let generator;
+
+  beforeEach(() => {
+    provider = {
+      constructor: { requiresApiKey: true, supportsWordTiming: false },
+      hasApiKey: () => true,
+      pricingModel: createPricingModel(PricingType.PER_CHARACTER, 0.5, 1),
+      generateAudio: jest.fn().mockResolvedValue(new ArrayBuffer(4))
+    };
+    usageLedger = {
+      checkBudget: jest.fn().mockResolvedValue({ level: BudgetLevel.OK }),
+      record: jest.fn().mockResolvedValue(undefined)
+    };
+    generator = new AudioGenerator({
+      providerRegistry: { getProvider: () => provider },
+      usageLedger
+    });
+  });
+
+  it('should record characters and estimated cost of each API call', async () => {
+    await generator.generateAudio('Hello world', 'openai', 'alloy');
+
+    expect(usageLedger.checkBudget).toHaveBeenCalledWith('openai', 5.5);
+    expect(usageLedger.record).toHaveBeenCalledWith('openai', 11, 5.5);
+  });
+
+  it('should not record failed calls', async () => {
+    provider.generateAudio.mockRejectedValue(new Error('Server error'));
+
+    await expect(generator.generateAudio('Hello', 'openai', 'alloy')).rejects.toThrow('Server error');
+    expect(usageLedger.record).not.toHaveBeenCalled();
+  });
+
+  it('should refuse calls past the hard cap without contacting the provider', async () => {
+    usageLedger.checkBudget.mockResolvedValue({ level: BudgetLevel.HARD, cap: 5, spent: 4.99 });
+
+    const error = await generator.generateAudio('Hello', 'openai', 'alloy').catch(e => e);
+
+    expect(error).toBeInstanceOf(BudgetExceededError);
+    expect(error.message).toBe('Monthly budget reached for openai ($4.99 of $5.00)');
+    expect(isFallbackError(error)).toBe(true);
+    expect(provider.generateAudio).not.toHaveBeenCalled();
+  });
+
+  it('should still play when only the soft cap is crossed', async () => {
+    usageLedger.checkBudget.mockResolvedValue({ level: BudgetLevel.SOFT, cap: 1, spent: 1.2 });
+
+    await generator.generateAudio('Hello', 'openai', 'alloy');
+
+    expect(provider.generateAudio).toHaveBeenCalled();
+  });
+});